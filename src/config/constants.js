@@ -10,6 +10,24 @@ const PAGINATION = {
   MAX_LIMIT: 100
 };
 
+// Temple's local timezone - used when an event or community doesn't specify one
+const DEFAULT_TIMEZONE = process.env.TEMPLE_TIMEZONE || 'Asia/Kolkata';
+
+// Topics a recipient can opt in / out of per channel. Required topics
+// (account security, credentials) are always delivered.
+const COMMUNICATION_TOPICS = {
+  GENERAL: 'general',
+  FESTIVAL_ANNOUNCEMENTS: 'festival_announcements',
+  EVENT_UPDATES: 'event_updates',
+  DONATION_RECEIPTS: 'donation_receipts',
+  VOLUNTEER_SHIFTS: 'volunteer_shifts',
+  COMMUNITY_UPDATES: 'community_updates',
+  PUJA_BOOKINGS: 'puja_bookings',
+  ACCOUNT: 'account'
+};
+
+const REQUIRED_COMMUNICATION_TOPICS = [COMMUNICATION_TOPICS.ACCOUNT];
+
 const ROLES = {
   ADMIN: 'admin',
   BOARD: 'board',
@@ -20,41 +38,24 @@ const ROLES = {
   COMMUNITY_LEAD: 'community_lead',
   COMMUNITY_MEMBER: 'community_member',
   VOLUNTEER_COORDINATOR: 'volunteer_coordinator',
+  VOLUNTEER_HEAD: 'volunteer_head',
   PRIEST: 'priest',
   VOLUNTEER: 'volunteer',
+  USER: 'user',
   PUBLIC: 'public'
 };
 
-const PERMISSIONS = {
-  CAN_CREATE_COMMUNITY: [
-    ROLES.ADMIN,
-    ROLES.BOARD,
-    ROLES.CHAIR_BOARD, // Added
-    ROLES.CHAIRMAN,    // Added
-    ROLES.COMMUNITY_OWNER
-  ],
-  CAN_MANAGE_COMMUNITY: [
-    ROLES.ADMIN,
-    ROLES.BOARD,
-    ROLES.CHAIR_BOARD, // Added
-    ROLES.CHAIRMAN,    // Added
-    ROLES.COMMUNITY_OWNER,
-    ROLES.COMMUNITY_LEAD
-  ],
-  CAN_VIEW_FINANCE: [
-    ROLES.ADMIN,
-    ROLES.BOARD,
-    ROLES.CHAIR_BOARD, // Added
-    ROLES.CHAIRMAN,    // Added
-    ROLES.FINANCE
-  ],
-};
+// Roles an admin can give a user (public is for anonymous visitors only)
+const ASSIGNABLE_ROLES = Object.values(ROLES).filter(role => role !== ROLES.PUBLIC);
 
 module.exports = {
   COMMUNITY_STATUS,
   PAGINATION,
+  DEFAULT_TIMEZONE,
+  COMMUNICATION_TOPICS,
+  REQUIRED_COMMUNICATION_TOPICS,
   ROLES,
-  PERMISSIONS
+  ASSIGNABLE_ROLES
 };
 
 
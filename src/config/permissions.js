@@ -0,0 +1,195 @@
+const { ROLES } = require('./constants');
+
+// Every permission a route can require. Keys are <area>.<resource>.<action>;
+// routes use the constants, admins see the keys and descriptions.
+const PERMISSIONS = {
+  // Administration
+  USERS_MANAGE: 'admin.users.manage',
+  ROLES_ASSIGN: 'admin.roles.assign',
+  PERMISSIONS_MANAGE: 'admin.permissions.manage',
+  SESSIONS_MANAGE: 'admin.sessions.manage',
+  SYSTEM_DEBUG: 'admin.system.debug',
+  AUDIT_READ: 'admin.audit.read',
+
+  // Finance
+  TRANSACTIONS_READ: 'finance.transactions.read',
+  TRANSACTIONS_MANAGE: 'finance.transactions.manage',
+  BUDGETS_READ: 'finance.budgets.read',
+  BUDGETS_MANAGE: 'finance.budgets.manage',
+  BUDGET_REQUESTS_SUBMIT: 'finance.budget_requests.submit',
+  BUDGET_REQUESTS_APPROVE: 'finance.budget_requests.approve',
+  DONATIONS_READ: 'finance.donations.read',
+  DONATIONS_MANAGE: 'finance.donations.manage',
+  STATEMENTS_READ: 'finance.statements.read',
+  STATEMENTS_MANAGE: 'finance.statements.manage',
+  EXPENSES_READ: 'finance.expenses.read',
+  EXPENSES_MANAGE: 'finance.expenses.manage',
+  EXPENSES_PAY: 'finance.expenses.pay',
+  APPROVAL_RULES_MANAGE: 'finance.approval_rules.manage',
+  RECONCILIATION_READ: 'finance.reconciliation.read',
+  RECONCILIATION_MANAGE: 'finance.reconciliation.manage',
+  RECONCILIATION_UNLOCK: 'finance.reconciliation.unlock',
+  LEDGER_READ: 'finance.ledger.read',
+  LEDGER_MANAGE: 'finance.ledger.manage',
+  LEDGER_REOPEN: 'finance.ledger.reopen',
+  FUNDS_READ: 'finance.funds.read',
+  FUNDS_MANAGE: 'finance.funds.manage',
+  PAYMENTS_READ: 'finance.payments.read',
+  PAYMENTS_MANAGE: 'finance.payments.manage',
+
+  // Communities
+  COMMUNITY_MANAGE: 'community.settings.manage',
+  COMMUNITY_TRANSFER: 'community.ownership.transfer',
+  COMMUNITY_DELETE: 'community.delete',
+  COMMUNITY_MEMBERS_READ: 'community.members.read',
+  COMMUNITY_MEMBERS_MANAGE: 'community.members.manage',
+  COMMUNITY_APPLICATIONS_REVIEW: 'community.applications.review',
+  COMMUNITY_TASKS_READ: 'community.tasks.read',
+  COMMUNITY_TASKS_ASSIGN: 'community.tasks.assign',
+  COMMUNITY_EVENTS_MANAGE: 'community.events.manage',
+  COMMUNITY_FINANCES_READ: 'community.finances.read',
+  COMMUNITY_REPORTS_READ: 'community.reports.read',
+
+  // Events and schedules
+  EVENTS_MANAGE: 'events.registrations.manage',
+  EVENTS_CHECK_IN: 'events.registrations.check_in',
+  PRIEST_FEEDS_READ: 'priests.feeds.read',
+
+  // Communications
+  EMAIL_EVENTS_MANAGE: 'communications.email_events.manage',
+  PREFERENCES_MANAGE: 'communications.preferences.manage'
+};
+
+const PERMISSION_DESCRIPTIONS = {
+  [PERMISSIONS.USERS_MANAGE]: 'Create users, list all users and resend login credentials',
+  [PERMISSIONS.ROLES_ASSIGN]: 'Assign roles to users',
+  [PERMISSIONS.PERMISSIONS_MANAGE]: 'Change which permissions each role has',
+  [PERMISSIONS.SESSIONS_MANAGE]: "See a user's sessions and sign them out of all devices",
+  [PERMISSIONS.SYSTEM_DEBUG]: 'Database status and other diagnostics',
+  [PERMISSIONS.AUDIT_READ]: 'View the log of denied access attempts',
+
+  [PERMISSIONS.TRANSACTIONS_READ]: 'View finance categories, transactions and summaries',
+  [PERMISSIONS.TRANSACTIONS_MANAGE]: 'Record, edit and delete finance transactions and categories',
+  [PERMISSIONS.BUDGETS_READ]: 'View budgets and budget periods',
+  [PERMISSIONS.BUDGETS_MANAGE]: 'Create and change budgets and budget periods',
+  [PERMISSIONS.BUDGET_REQUESTS_SUBMIT]: 'Submit budget requests and view them',
+  [PERMISSIONS.BUDGET_REQUESTS_APPROVE]: 'Approve, reject and delete budget requests',
+  [PERMISSIONS.DONATIONS_READ]: 'View donations and receipts',
+  [PERMISSIONS.DONATIONS_MANAGE]: 'Record, adjust and refund donations',
+  [PERMISSIONS.STATEMENTS_READ]: 'View year-end giving statements',
+  [PERMISSIONS.STATEMENTS_MANAGE]: 'Generate and send giving statements',
+  [PERMISSIONS.EXPENSES_READ]: "View all expenses and everyone's reimbursements",
+  [PERMISSIONS.EXPENSES_MANAGE]: "Record expenses and submit or withdraw anyone's reimbursement",
+  [PERMISSIONS.EXPENSES_PAY]: 'Mark approved expenses as paid',
+  [PERMISSIONS.APPROVAL_RULES_MANAGE]: 'Create and change expense approval rules',
+  [PERMISSIONS.RECONCILIATION_READ]: 'View statement imports, matches and locked periods',
+  [PERMISSIONS.RECONCILIATION_MANAGE]: 'Import statements, match lines and lock periods',
+  [PERMISSIONS.RECONCILIATION_UNLOCK]: 'Unlock a reconciled period',
+  [PERMISSIONS.LEDGER_READ]: 'View the chart of accounts, journal and financial statements',
+  [PERMISSIONS.LEDGER_MANAGE]: 'Post journal entries, change accounts and close periods',
+  [PERMISSIONS.LEDGER_REOPEN]: 'Reopen the latest closed period',
+  [PERMISSIONS.FUNDS_READ]: 'View funds and their balances',
+  [PERMISSIONS.FUNDS_MANAGE]: 'Create funds and move money between them',
+  [PERMISSIONS.PAYMENTS_READ]: 'View PayPal webhook events',
+  [PERMISSIONS.PAYMENTS_MANAGE]: 'Reprocess PayPal webhook events',
+
+  [PERMISSIONS.COMMUNITY_MANAGE]: "Edit a community's name, description, logo and status",
+  [PERMISSIONS.COMMUNITY_TRANSFER]: 'Transfer ownership of a community',
+  [PERMISSIONS.COMMUNITY_DELETE]: 'Delete a community',
+  [PERMISSIONS.COMMUNITY_MEMBERS_READ]: "View a community's member list and contact details",
+  [PERMISSIONS.COMMUNITY_MEMBERS_MANAGE]: 'Add, edit and remove community members',
+  [PERMISSIONS.COMMUNITY_APPLICATIONS_REVIEW]: 'View, approve and reject applications to join a community',
+  [PERMISSIONS.COMMUNITY_TASKS_READ]: "View a community's tasks",
+  [PERMISSIONS.COMMUNITY_TASKS_ASSIGN]: 'Create, assign, update and delete community tasks',
+  [PERMISSIONS.COMMUNITY_EVENTS_MANAGE]: 'Create community events',
+  [PERMISSIONS.COMMUNITY_FINANCES_READ]: "View a community's donation and expense totals",
+  [PERMISSIONS.COMMUNITY_REPORTS_READ]: 'View community reports and calendars',
+
+  [PERMISSIONS.EVENTS_MANAGE]: 'View and export event registrations, register others and get volunteer calendar links',
+  [PERMISSIONS.EVENTS_CHECK_IN]: 'Check attendees in at events',
+  [PERMISSIONS.PRIEST_FEEDS_READ]: "Get calendar links for any priest's bookings",
+
+  [PERMISSIONS.EMAIL_EVENTS_MANAGE]: 'View email delivery events and suppressions, reprocess and simulate events',
+  [PERMISSIONS.PREFERENCES_MANAGE]: "Change a contact's communication preferences and view the opt-out report"
+};
+
+// Roles held within a community. On a request about a community the caller
+// gets the permissions of their role there (owner_id, or their active
+// community_members row); these roles grant nothing anywhere else.
+const COMMUNITY_ROLES = [ROLES.COMMUNITY_OWNER, ROLES.COMMUNITY_LEAD, ROLES.COMMUNITY_MEMBER];
+
+const BOARD_ROLES = [ROLES.BOARD, ROLES.CHAIR_BOARD, ROLES.CHAIRMAN];
+
+const FINANCE_PERMISSIONS = [
+  PERMISSIONS.TRANSACTIONS_READ,
+  PERMISSIONS.TRANSACTIONS_MANAGE,
+  PERMISSIONS.BUDGETS_READ,
+  PERMISSIONS.BUDGETS_MANAGE,
+  PERMISSIONS.BUDGET_REQUESTS_SUBMIT,
+  PERMISSIONS.BUDGET_REQUESTS_APPROVE,
+  PERMISSIONS.DONATIONS_READ,
+  PERMISSIONS.DONATIONS_MANAGE,
+  PERMISSIONS.STATEMENTS_READ,
+  PERMISSIONS.STATEMENTS_MANAGE,
+  PERMISSIONS.EXPENSES_READ,
+  PERMISSIONS.EXPENSES_MANAGE,
+  PERMISSIONS.EXPENSES_PAY,
+  PERMISSIONS.RECONCILIATION_READ,
+  PERMISSIONS.RECONCILIATION_MANAGE,
+  PERMISSIONS.LEDGER_READ,
+  PERMISSIONS.LEDGER_MANAGE,
+  PERMISSIONS.FUNDS_READ,
+  PERMISSIONS.FUNDS_MANAGE,
+  PERMISSIONS.PAYMENTS_READ,
+  PERMISSIONS.PAYMENTS_MANAGE
+];
+
+const EVENT_STAFF_PERMISSIONS = [PERMISSIONS.EVENTS_MANAGE, PERMISSIONS.EVENTS_CHECK_IN];
+
+// What a community lead can do in their own community
+const COMMUNITY_LEAD_PERMISSIONS = [
+  ...EVENT_STAFF_PERMISSIONS,
+  PERMISSIONS.BUDGET_REQUESTS_SUBMIT,
+  PERMISSIONS.COMMUNITY_MANAGE,
+  PERMISSIONS.COMMUNITY_MEMBERS_READ,
+  PERMISSIONS.COMMUNITY_MEMBERS_MANAGE,
+  PERMISSIONS.COMMUNITY_APPLICATIONS_REVIEW,
+  PERMISSIONS.COMMUNITY_TASKS_READ,
+  PERMISSIONS.COMMUNITY_TASKS_ASSIGN,
+  PERMISSIONS.COMMUNITY_EVENTS_MANAGE,
+  PERMISSIONS.COMMUNITY_FINANCES_READ
+];
+
+const BOARD_PERMISSIONS = [
+  ...FINANCE_PERMISSIONS,
+  ...COMMUNITY_LEAD_PERMISSIONS,
+  PERMISSIONS.COMMUNITY_TRANSFER,
+  PERMISSIONS.COMMUNITY_DELETE,
+  PERMISSIONS.COMMUNITY_REPORTS_READ,
+  PERMISSIONS.PRIEST_FEEDS_READ,
+  PERMISSIONS.EMAIL_EVENTS_MANAGE,
+  PERMISSIONS.PREFERENCES_MANAGE
+];
+
+// Shipped role -> permission mappings. Admins change these through
+// role_permissions overrides; admin itself always has every permission.
+const DEFAULT_ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+  ...Object.fromEntries(BOARD_ROLES.map(role => [role, BOARD_PERMISSIONS])),
+  [ROLES.FINANCE]: [...FINANCE_PERMISSIONS, PERMISSIONS.COMMUNITY_FINANCES_READ],
+  [ROLES.COMMUNITY_OWNER]: [...COMMUNITY_LEAD_PERMISSIONS, PERMISSIONS.COMMUNITY_TRANSFER],
+  [ROLES.COMMUNITY_LEAD]: COMMUNITY_LEAD_PERMISSIONS,
+  [ROLES.COMMUNITY_MEMBER]: [PERMISSIONS.COMMUNITY_MEMBERS_READ, PERMISSIONS.COMMUNITY_TASKS_READ],
+  [ROLES.VOLUNTEER_COORDINATOR]: EVENT_STAFF_PERMISSIONS,
+  [ROLES.VOLUNTEER_HEAD]: EVENT_STAFF_PERMISSIONS,
+  [ROLES.VOLUNTEER]: [PERMISSIONS.EVENTS_CHECK_IN],
+  [ROLES.PRIEST]: [],
+  [ROLES.USER]: []
+};
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_DESCRIPTIONS,
+  COMMUNITY_ROLES,
+  DEFAULT_ROLE_PERMISSIONS
+};
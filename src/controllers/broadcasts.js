@@ -1,7 +1,9 @@
-// Broadcasts Controller - MongoDB with SendGrid
+// Broadcasts Controller - MongoDB with pluggable delivery providers
 const Broadcast = require('../models/Broadcast');
 const { body, validationResult } = require('express-validator');
-const emailService = require('../services/emailService'); // SendGrid
+const broadcastDeliveryService = require('../services/messaging/broadcastDeliveryService');
+const audienceResolver = require('../services/messaging/audienceResolver');
+const broadcastDispatcher = require('../services/messaging/broadcastDispatcher');
 
 // Get all broadcasts with filtering and pagination
 const getBroadcasts = async (req, res) => {
@@ -69,9 +71,11 @@ const getBroadcastById = async (req, res) => {
       });
     }
 
+    const progress = await broadcastDispatcher.getProgress(broadcast._id);
+
     res.json({
       success: true,
-      data: broadcast
+      data: { ...broadcast.toObject(), progress }
     });
   } catch (error) {
     console.error('Error fetching broadcast:', error);
@@ -157,15 +161,13 @@ const updateBroadcast = async (req, res) => {
   }
 };
 
-// Send broadcast (actually send via SendGrid)
+// Queue a broadcast for background delivery over its channel
+// (email, SMS, WhatsApp or push). Progress is reported on GET /:id.
 const sendBroadcast = async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Get the broadcast first
-    const broadcast = await Broadcast.findById(id)
-      .populate('template_id', 'name type content')
-      .populate('created_by', 'full_name email');
+    const broadcast = await Broadcast.findById(id);
 
     if (!broadcast) {
       return res.status(404).json({
@@ -174,86 +176,151 @@ const sendBroadcast = async (req, res) => {
       });
     }
 
-    // Update status to sending
-    broadcast.status = 'sending';
-    broadcast.sent_at = new Date();
-    broadcast.updated_at = new Date();
-    await broadcast.save();
+    await broadcastDispatcher.enqueue(broadcast);
+    const progress = await broadcastDispatcher.getProgress(broadcast._id);
 
-    // Get recipients from the broadcast
-    const recipients = broadcast.recipients || [];
+    res.status(202).json({
+      success: true,
+      message: `Broadcast (${broadcast.channel}) queued for sending`,
+      data: { ...broadcast.toObject(), progress }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { details: error.details })
+      });
+    }
+    console.error('Error sending broadcast:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send broadcast',
+      error: error.message
+    });
+  }
+};
 
-    if (recipients.length === 0) {
-      broadcast.status = 'failed';
-      broadcast.error_message = 'No recipients specified';
-      await broadcast.save();
+// Preview an audience definition (count + sample) before creating a broadcast
+const previewAudience = async (req, res) => {
+  try {
+    const { channel = 'email', audience_type, audience_filters, recipients, sample_size } = req.body;
 
-      return res.status(400).json({
+    const preview = await audienceResolver.preview(
+      { audience_type, audience_filters, recipients },
+      { channel, sampleSize: Math.min(parseInt(sample_size) || 10, 50) }
+    );
+
+    res.json({
+      success: true,
+      data: preview
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
         success: false,
-        message: 'No recipients specified for broadcast'
+        message: error.message
       });
     }
+    console.error('Error previewing audience:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview audience'
+    });
+  }
+};
 
-    // Send emails via SendGrid
-    console.log('📧 Sending broadcast via SendGrid to', recipients.length, 'recipients');
-    console.log('📧 Subject:', broadcast.subject);
-    console.log('📧 Channel:', broadcast.channel);
-
-    if (broadcast.channel === 'email') {
-      try {
-        const emailResult = await emailService.sendBulkEmail({
-          from: process.env.EMAIL_FROM || 'noreply@temple.com',
-          recipients: recipients,
-          subject: broadcast.subject,
-          html: broadcast.content || broadcast.template_id?.content || '<p>No content</p>'
-        });
-
-        // Update broadcast with results
-        broadcast.status = emailResult.success ? 'sent' : 'failed';
-        broadcast.sent_count = emailResult.sent || 0;
-        broadcast.total_recipients = recipients.length;
-        broadcast.delivery_status = emailResult;
-        await broadcast.save();
-
-        console.log('✅ Broadcast sent successfully:', emailResult.sent, 'delivered');
-
-        res.json({
-          success: true,
-          message: `Broadcast sent to ${emailResult.sent} recipients`,
-          data: broadcast
-        });
-
-      } catch (sendError) {
-        console.error('❌ Broadcast send error:', sendError);
-        broadcast.status = 'failed';
-        broadcast.error_message = sendError.message;
-        await broadcast.save();
-
-        res.status(500).json({
-          success: false,
-          message: 'Failed to send broadcast',
-          error: sendError.message
-        });
-      }
-    } else {
-      // For non-email channels (SMS, push, etc.) - just mark as sent for now
-      broadcast.status = 'sent';
-      broadcast.sent_count = recipients.length;
-      broadcast.total_recipients = recipients.length;
-      await broadcast.save();
-
-      res.json({
-        success: true,
-        message: `Broadcast (${broadcast.channel}) marked as sent`,
-        data: broadcast
+// Preview the audience of an existing broadcast
+const previewBroadcastAudience = async (req, res) => {
+  try {
+    const broadcast = await Broadcast.findById(req.params.id);
+
+    if (!broadcast) {
+      return res.status(404).json({
+        success: false,
+        message: 'Broadcast not found'
       });
     }
 
+    const preview = await audienceResolver.preview(broadcast, {
+      channel: broadcast.channel,
+      sampleSize: Math.min(parseInt(req.query.sample_size) || 10, 50)
+    });
+
+    res.json({
+      success: true,
+      data: preview
+    });
   } catch (error) {
-    console.error('Error sending broadcast:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error previewing broadcast audience:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview audience'
+    });
+  }
+};
+
+// Re-queue deliveries that failed with a transient provider error
+const retryBroadcast = async (req, res) => {
+  try {
+    const broadcast = await Broadcast.findById(req.params.id);
+
+    if (!broadcast) {
+      return res.status(404).json({
+        success: false,
+        message: 'Broadcast not found'
+      });
+    }
+
+    const { retried } = await broadcastDispatcher.retry(broadcast);
+
+    res.status(retried > 0 ? 202 : 200).json({
+      success: true,
+      message: retried > 0 ? `Queued ${retried} failed deliveries for retry` : 'No retryable deliveries',
+      data: broadcast
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error retrying broadcast:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to send broadcast'
+      message: 'Failed to retry broadcast'
+    });
+  }
+};
+
+// Get per-recipient delivery results for a broadcast
+const getBroadcastDeliveries = async (req, res) => {
+  try {
+    const { deliveries, pagination } = await broadcastDeliveryService.getDeliveries(req.params.id, req.query);
+
+    res.json({
+      success: true,
+      data: deliveries,
+      pagination
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error fetching broadcast deliveries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch broadcast deliveries'
     });
   }
 };
@@ -280,6 +347,9 @@ const cancelBroadcast = async (req, res) => {
       });
     }
 
+    // Stops an in-flight send; recipients not yet reached are marked skipped
+    await broadcastDispatcher.cancel(broadcast._id);
+
     res.json({
       success: true,
       message: 'Broadcast cancelled successfully',
@@ -391,6 +461,10 @@ module.exports = {
   createBroadcast,
   updateBroadcast,
   sendBroadcast,
+  previewAudience,
+  previewBroadcastAudience,
+  retryBroadcast,
+  getBroadcastDeliveries,
   cancelBroadcast,
   deleteBroadcast,
   getBroadcastStats
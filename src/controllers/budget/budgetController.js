@@ -0,0 +1,84 @@
+const budgetService = require('../../services/budget/budgetService');
+const ApiResponse = require('../../utils/response');
+
+const actorOf = (req) => req.user?.email || req.user?.id || null;
+
+const listPeriods = async (req, res, next) => {
+  try {
+    const periods = await budgetService.listPeriods({ status: req.query.status });
+    return ApiResponse.success(res, periods);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const createFiscalYear = async (req, res, next) => {
+  try {
+    const period = await budgetService.createFiscalYear({
+      date: req.body.date,
+      includeQuarters: req.body.include_quarters !== false
+    }, actorOf(req));
+    return ApiResponse.success(res, period, 'Fiscal year created', 201);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const updatePeriod = async (req, res, next) => {
+  try {
+    const period = await budgetService.updatePeriod(req.params.id, req.body);
+    return ApiResponse.success(res, period, 'Budget period updated');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getVarianceReport = async (req, res, next) => {
+  try {
+    const report = await budgetService.varianceReport({
+      periodId: req.query.period_id,
+      communityId: req.query.community_id,
+      asOf: req.query.as_of
+    });
+    return ApiResponse.success(res, report);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getBudgetVariance = async (req, res, next) => {
+  try {
+    const variance = await budgetService.budgetVariance(req.params.id, { asOf: req.query.as_of });
+    return ApiResponse.success(res, variance);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const listAlerts = async (req, res, next) => {
+  try {
+    const alerts = await budgetService.listAlerts({ budgetId: req.query.budget_id, limit: req.query.limit || 50 });
+    return ApiResponse.success(res, alerts);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const checkAlerts = async (req, res, next) => {
+  try {
+    const sent = await budgetService.checkAlerts();
+    return ApiResponse.success(res, sent, `${sent.length} alert(s) sent`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  listPeriods,
+  createFiscalYear,
+  updatePeriod,
+  getVarianceReport,
+  getBudgetVariance,
+  listAlerts,
+  checkAlerts
+};
@@ -0,0 +1,65 @@
+const emailEventService = require('../../services/messaging/emailEventService');
+const ApiResponse = require('../../utils/response');
+
+// SendGrid Event Webhook. SendGrid retries anything but a 2xx, so a batch is
+// acknowledged once it is logged; events that fail to apply are kept as
+// 'failed' for reprocessing instead of being redelivered.
+const receiveSendGridEvents = async (req, res, next) => {
+  try {
+    const verificationStatus = emailEventService.verifySignature(
+      req.rawBody,
+      req.get('X-Twilio-Email-Event-Webhook-Signature'),
+      req.get('X-Twilio-Email-Event-Webhook-Timestamp')
+    );
+
+    const result = await emailEventService.ingest(req.body, { source: 'sendgrid', verificationStatus });
+    return ApiResponse.success(res, result, 'Events received');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getEvents = async (req, res, next) => {
+  try {
+    const result = await emailEventService.listEvents(req.query);
+    return ApiResponse.success(res, result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const reprocessEvent = async (req, res, next) => {
+  try {
+    const result = await emailEventService.reprocess(req.params.id);
+    return ApiResponse.success(res, result, `Event ${result.status}`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Addresses opted out automatically after a hard bounce or spam report
+const getSuppressed = async (req, res, next) => {
+  try {
+    const result = await emailEventService.listSuppressed(req.query);
+    return ApiResponse.success(res, result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const simulateEvents = async (req, res, next) => {
+  try {
+    const result = await emailEventService.simulate(req.body);
+    return ApiResponse.success(res, result, `${result.recorded} simulated event(s) processed`, 201);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  receiveSendGridEvents,
+  getEvents,
+  reprocessEvent,
+  getSuppressed,
+  simulateEvents
+};
@@ -0,0 +1,177 @@
+const preferenceService = require('../../services/messaging/preferenceService');
+const ApiResponse = require('../../utils/response');
+const { escapeHtml } = require('../../utils/html');
+
+const consentContext = (req, source) => ({
+  source,
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent')
+});
+
+const renderPage = (title, body) => `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+</head>
+<body style="font-family: Arial, sans-serif; background: #f9f5f0; margin: 0; padding: 40px 16px;">
+  <div style="max-width: 480px; margin: 0 auto; background: #fff; border-radius: 8px; padding: 32px; text-align: center;">
+    <h2 style="color: #8b4513; margin-top: 0;">${escapeHtml(title)}</h2>
+    ${body}
+    <p style="font-size: 14px; color: #666;">🙏 Om Sai Ram!<br>Sai Samsthan USA</p>
+  </div>
+</body>
+</html>`;
+
+// Link clicked from an email footer. Only asks for confirmation: mail
+// security scanners fetch links, and a GET that unsubscribed would opt
+// recipients out without them ever seeing the page
+const unsubscribeFromLink = async (req, res) => {
+  const { token, topic = 'all' } = req.query;
+
+  try {
+    const identity = preferenceService.verifyToken(token);
+    preferenceService.assertChannelTopic(identity.channel, topic);
+    const what = topic === 'all' ? 'all emails' : preferenceService.topicLabel(topic);
+    const action = `${req.baseUrl}/unsubscribe/confirm?token=${encodeURIComponent(token)}&topic=${encodeURIComponent(topic)}`;
+
+    res.send(renderPage('Unsubscribe?', `
+      <p>Stop sending ${escapeHtml(what)} to <strong>${escapeHtml(identity.contact)}</strong>?</p>
+      <form method="post" action="${escapeHtml(action)}" style="margin: 24px 0;">
+        <button type="submit" style="background: #8b4513; color: #fff; border: 0; border-radius: 4px; padding: 12px 24px; font-size: 16px; cursor: pointer;">Unsubscribe</button>
+      </form>
+      <p><a href="${escapeHtml(preferenceService.preferenceCenterUrl(token))}" style="color: #8b4513;">Manage all email preferences</a></p>
+    `));
+  } catch (error) {
+    res.status(error.statusCode || 500).send(renderPage('Unable to unsubscribe', `
+      <p>${escapeHtml(error.statusCode ? error.message : 'Something went wrong. Please try again later.')}</p>
+    `));
+  }
+};
+
+// The button on the confirmation page
+const confirmUnsubscribe = async (req, res) => {
+  const { token, topic = 'all' } = req.query;
+
+  try {
+    const result = await preferenceService.unsubscribe(token, topic, consentContext(req, 'unsubscribe_link'));
+    const what = topic === 'all' ? 'all emails' : preferenceService.topicLabel(topic);
+
+    res.send(renderPage('You have been unsubscribed', `
+      <p><strong>${escapeHtml(result.contact)}</strong> will no longer receive ${escapeHtml(what)} from us.</p>
+      <p><a href="${escapeHtml(preferenceService.preferenceCenterUrl(token))}" style="color: #8b4513;">Manage all email preferences</a></p>
+    `));
+  } catch (error) {
+    res.status(error.statusCode || 500).send(renderPage('Unable to unsubscribe', `
+      <p>${escapeHtml(error.statusCode ? error.message : 'Something went wrong. Please try again later.')}</p>
+    `));
+  }
+};
+
+// RFC 8058 one-click unsubscribe, POSTed by the mail client
+const unsubscribeOneClick = async (req, res, next) => {
+  try {
+    const { token, topic = 'all' } = req.query;
+    const result = await preferenceService.unsubscribe(token, topic, consentContext(req, 'one_click'));
+    return ApiResponse.success(res, { contact: result.contact, topic }, 'Unsubscribed');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Preference center (token from an email link, no login needed)
+const getTokenPreferences = async (req, res, next) => {
+  try {
+    const identity = preferenceService.verifyToken(req.query.token);
+    const preferences = await preferenceService.getPreferences([identity]);
+    return ApiResponse.success(res, preferences);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const updateTokenPreferences = async (req, res, next) => {
+  try {
+    const identity = preferenceService.verifyToken(req.query.token);
+    const preferences = await preferenceService.setPreferences(
+      identity,
+      req.body.preferences,
+      consentContext(req, 'preference_center')
+    );
+    return ApiResponse.success(res, preferences, 'Preferences updated');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Logged-in user: every channel address on file
+const getMyPreferences = async (req, res, next) => {
+  try {
+    const identities = await preferenceService.getUserIdentities(req.user.id);
+    const preferences = await preferenceService.getPreferences(identities);
+    return ApiResponse.success(res, preferences);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const updateMyPreferences = async (req, res, next) => {
+  try {
+    const identities = await preferenceService.getUserIdentities(req.user.id);
+
+    for (const identity of identities) {
+      const changes = req.body.preferences.filter(p => p.channel === identity.channel);
+      if (changes.length > 0) {
+        await preferenceService.setPreferences(identity, changes, consentContext(req, 'preference_center'));
+      }
+    }
+
+    const missing = req.body.preferences.find(p => !identities.some(i => i.channel === p.channel));
+    const preferences = await preferenceService.getPreferences(identities);
+    const message = missing
+      ? `Preferences updated (no ${missing.channel} address on file)`
+      : 'Preferences updated';
+    return ApiResponse.success(res, preferences, message);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Admin records an opt-out/opt-in received another way (phone call, letter)
+const setContactPreference = async (req, res, next) => {
+  try {
+    const { channel, contact, topic = 'all', subscribed, reason } = req.body;
+    const identity = { channel, contact: preferenceService.resolveContact(channel, contact) };
+
+    const preferences = await preferenceService.setPreferences(
+      identity,
+      [{ topic, subscribed }],
+      { ...consentContext(req, 'admin'), reason: reason || `Recorded by ${req.user.email}` }
+    );
+    return ApiResponse.success(res, preferences, 'Preference recorded');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getOptOutReport = async (req, res, next) => {
+  try {
+    const report = await preferenceService.getOptOutReport(req.query);
+    return ApiResponse.success(res, report);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  unsubscribeFromLink,
+  confirmUnsubscribe,
+  unsubscribeOneClick,
+  getTokenPreferences,
+  updateTokenPreferences,
+  getMyPreferences,
+  updateMyPreferences,
+  setContactPreference,
+  getOptOutReport
+};
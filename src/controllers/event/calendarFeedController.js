@@ -0,0 +1,107 @@
+const calendarFeedService = require('../../services/event/calendarFeedService');
+const ApiResponse = require('../../utils/response');
+
+// Calendar apps poll feeds; a short cache keeps repeated refreshes cheap
+const sendCalendar = (res, ics, filename, { personal = false } = {}) => {
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+  res.setHeader('Cache-Control', `${personal ? 'private' : 'public'}, max-age=300`);
+  return res.send(ics);
+};
+
+// All published temple events (optionally one community's)
+const getPublicEventsFeed = async (req, res, next) => {
+  try {
+    const ics = await calendarFeedService.publicEventsCalendar({ communityId: req.query.community_id });
+    return sendCalendar(res, ics, 'temple-events.ics');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getCommunityFeed = async (req, res, next) => {
+  try {
+    const ics = await calendarFeedService.communityCalendar(req.params.communityId);
+    return sendCalendar(res, ics, 'community-calendar.ics');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Volunteer shifts or priest bookings; the signed token in the URL is the credential
+const getPersonalFeed = async (req, res, next) => {
+  try {
+    const ics = await calendarFeedService.personalCalendar(req.params.token);
+    return sendCalendar(res, ics, 'my-schedule.ics', { personal: true });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Subscription links for the signed-in user's own feeds
+const getMyFeedLinks = async (req, res, next) => {
+  try {
+    const links = await calendarFeedService.linksForUser(req.user);
+    return ApiResponse.success(res, links);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getVolunteerFeedLink = async (req, res, next) => {
+  try {
+    const links = await calendarFeedService.volunteerFeedLinks(req.params.volunteerId);
+    return ApiResponse.success(res, links);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getPriestFeedLink = async (req, res, next) => {
+  try {
+    const links = await calendarFeedService.priestFeedLinks(req.params.priestId);
+    return ApiResponse.success(res, links);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Reset links: every earlier URL for the feed stops working
+const resetMyFeedLink = async (req, res, next) => {
+  try {
+    const links = await calendarFeedService.resetFeedForUser(req.user, req.params.type);
+    return ApiResponse.success(res, links, 'Calendar feed link reset');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const resetVolunteerFeedLink = async (req, res, next) => {
+  try {
+    const links = await calendarFeedService.resetFeed('volunteer', req.params.volunteerId);
+    return ApiResponse.success(res, links, 'Calendar feed link reset');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const resetPriestFeedLink = async (req, res, next) => {
+  try {
+    const links = await calendarFeedService.resetFeed('priest', req.params.priestId);
+    return ApiResponse.success(res, links, 'Calendar feed link reset');
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPublicEventsFeed,
+  getCommunityFeed,
+  getPersonalFeed,
+  getMyFeedLinks,
+  getVolunteerFeedLink,
+  getPriestFeedLink,
+  resetMyFeedLink,
+  resetVolunteerFeedLink,
+  resetPriestFeedLink
+};
@@ -0,0 +1,81 @@
+const recurringService = require('../../services/event/recurringService');
+const ApiResponse = require('../../utils/response');
+
+const getRecurrence = async (req, res, next) => {
+  try {
+    const recurrence = await recurringService.getRecurrence(req.params.id);
+    return ApiResponse.success(res, recurrence, 'Recurrence retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const setRecurrence = async (req, res, next) => {
+  try {
+    const recurrence = await recurringService.setRecurrence(req.params.id, req.body, req.user?.id);
+    return ApiResponse.success(res, recurrence, 'Recurrence saved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const deleteRecurrence = async (req, res, next) => {
+  try {
+    await recurringService.deleteRecurrence(req.params.id);
+    return ApiResponse.success(res, null, 'Recurrence removed successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const previewRecurrence = async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+    const preview = await recurringService.previewRecurrence(req.params.id, req.body, { from, to });
+    return ApiResponse.success(res, preview, 'Recurrence preview generated');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const materializeRecurrence = async (req, res, next) => {
+  try {
+    const result = await recurringService.materializeEvent(req.params.id, req.body.until);
+    return ApiResponse.success(res, result, 'Occurrences generated successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getOccurrences = async (req, res, next) => {
+  try {
+    const occurrences = await recurringService.getOccurrences(req.params.id, req.query);
+    return ApiResponse.success(res, occurrences, 'Occurrences retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const updateOccurrence = async (req, res, next) => {
+  try {
+    const result = await recurringService.updateOccurrence(
+      req.params.id,
+      req.params.occurrenceId,
+      req.body,
+      req.user?.id
+    );
+    return ApiResponse.success(res, result, 'Occurrence updated successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getRecurrence,
+  setRecurrence,
+  deleteRecurrence,
+  previewRecurrence,
+  materializeRecurrence,
+  getOccurrences,
+  updateOccurrence
+};
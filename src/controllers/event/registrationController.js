@@ -0,0 +1,126 @@
+const registrationService = require('../../services/event/registrationService');
+const ApiResponse = require('../../utils/response');
+const permissionService = require('../../services/user/permissionService');
+const { PERMISSIONS } = require('../../config/permissions');
+
+// Event managers, or community roles on their own community's events
+const canManageEvents = async (user, eventId) => {
+  if (!user) return false;
+  if (permissionService.can(user, PERMISSIONS.EVENTS_MANAGE)) return true;
+  const communityId = await registrationService.getCommunityId(eventId);
+  return permissionService.hasCommunityPermission(user, [PERMISSIONS.EVENTS_MANAGE], communityId);
+};
+
+// Public registration (no account needed)
+const registerPublic = async (req, res, next) => {
+  try {
+    const registration = await registrationService.register(req.params.id, req.body, { source: 'public' });
+    const message = registration.status === 'waitlisted'
+      ? 'Event is full - you have been added to the waitlist'
+      : 'Registration confirmed';
+    return ApiResponse.success(res, registration, message, 201);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Logged-in member registers themselves (or a manager registers someone else)
+const registerMember = async (req, res, next) => {
+  try {
+    const onBehalf = Boolean(req.body.email) && await canManageEvents(req.user, req.params.id);
+    const input = onBehalf
+      ? req.body
+      : { ...req.body, name: req.user.full_name || req.user.email, email: req.user.email };
+
+    const registration = await registrationService.register(req.params.id, input, {
+      userId: onBehalf ? null : req.user.id,
+      source: onBehalf ? 'admin' : 'member'
+    });
+    const message = registration.status === 'waitlisted'
+      ? 'Event is full - you have been added to the waitlist'
+      : 'Registration confirmed';
+    return ApiResponse.success(res, registration, message, 201);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getRegistrations = async (req, res, next) => {
+  try {
+    const registrations = await registrationService.listRegistrations(req.params.id, req.query);
+    return ApiResponse.success(res, registrations, 'Registrations retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getRegistrationSummary = async (req, res, next) => {
+  try {
+    const summary = await registrationService.getSummary(req.params.id, req.query.occurrence_id || null);
+    return ApiResponse.success(res, summary, 'Registration summary retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const cancelRegistration = async (req, res, next) => {
+  try {
+    const result = await registrationService.cancelRegistration(req.params.id, req.params.registrationId, {
+      userId: req.user?.id,
+      canManage: await canManageEvents(req.user, req.params.id)
+    });
+    return ApiResponse.success(res, result, 'Registration cancelled successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getTicket = async (req, res, next) => {
+  try {
+    const ticket = await registrationService.getTicket(req.params.code);
+    return ApiResponse.success(res, ticket, 'Ticket retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const cancelByTicket = async (req, res, next) => {
+  try {
+    const result = await registrationService.cancelByTicket(req.params.code);
+    return ApiResponse.success(res, result, 'Registration cancelled successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const checkIn = async (req, res, next) => {
+  try {
+    const registration = await registrationService.checkIn(req.params.id, req.body.ticket_code, req.user?.id);
+    return ApiResponse.success(res, registration, `Checked in ${registration.name} (party of ${registration.party_size})`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const exportAttendees = async (req, res, next) => {
+  try {
+    const { filename, csv } = await registrationService.exportAttendees(req.params.id, req.query);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.send(csv);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  registerPublic,
+  registerMember,
+  getRegistrations,
+  getRegistrationSummary,
+  cancelRegistration,
+  getTicket,
+  cancelByTicket,
+  checkIn,
+  exportAttendees
+};
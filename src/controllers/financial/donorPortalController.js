@@ -0,0 +1,119 @@
+const donorPortalService = require('../../services/financial/donorPortalService');
+const ApiResponse = require('../../utils/response');
+
+// Portal calls carry the magic-link token in X-Donor-Token, or in ?token= for
+// plain links such as the history download
+const requireDonorToken = (req, res, next) => {
+  try {
+    req.donorEmail = donorPortalService.verifyToken(req.get('x-donor-token') || req.query.token);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const requestMagicLink = async (req, res, next) => {
+  try {
+    await donorPortalService.requestMagicLink(req.body.email);
+    return ApiResponse.success(
+      res,
+      null,
+      'If we have recurring donations for this email, a link to manage them is on its way',
+      202
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getSession = async (req, res) => ApiResponse.success(res, { email: req.donorEmail });
+
+const listSubscriptions = async (req, res, next) => {
+  try {
+    const subscriptions = await donorPortalService.listSubscriptions(req.donorEmail);
+    return ApiResponse.success(res, subscriptions);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const listPayments = async (req, res, next) => {
+  try {
+    const payments = await donorPortalService.getPayments(req.donorEmail, {
+      subscriptionId: req.params.subscriptionId || req.query.subscription_id
+    });
+    return ApiResponse.success(res, payments);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const changeAmount = async (req, res, next) => {
+  try {
+    const result = await donorPortalService.changeAmount(req.donorEmail, req.params.subscriptionId, req.body.amount);
+    return ApiResponse.success(
+      res,
+      result,
+      result.requires_approval
+        ? 'Please approve the new amount with PayPal to finish the change'
+        : 'Donation amount updated'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+const pauseSubscription = async (req, res, next) => {
+  try {
+    const subscription = await donorPortalService.pause(req.donorEmail, req.params.subscriptionId, req.body.reason);
+    return ApiResponse.success(res, subscription, 'Recurring donation paused');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const resumeSubscription = async (req, res, next) => {
+  try {
+    const subscription = await donorPortalService.resume(req.donorEmail, req.params.subscriptionId);
+    return ApiResponse.success(res, subscription, 'Recurring donation resumed');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const cancelSubscription = async (req, res, next) => {
+  try {
+    const subscription = await donorPortalService.cancel(req.donorEmail, req.params.subscriptionId, req.body.reason);
+    return ApiResponse.success(res, subscription, 'Recurring donation cancelled');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const downloadHistory = async (req, res, next) => {
+  try {
+    const format = req.query.format === 'json' ? 'json' : 'csv';
+    const history = await donorPortalService.exportHistory(req.donorEmail, { format });
+
+    if (format === 'json') return ApiResponse.success(res, history);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${history.filename}"`);
+    return res.send(history.csv);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  requireDonorToken,
+  requestMagicLink,
+  getSession,
+  listSubscriptions,
+  listPayments,
+  changeAmount,
+  pauseSubscription,
+  resumeSubscription,
+  cancelSubscription,
+  downloadHistory
+};
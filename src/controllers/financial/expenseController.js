@@ -0,0 +1,194 @@
+const expenseService = require('../../services/financial/expenseService');
+const ApiResponse = require('../../utils/response');
+const { AppError } = require('../../middleware/errorHandler');
+const permissionService = require('../../services/user/permissionService');
+const { PERMISSIONS } = require('../../config/permissions');
+
+// ------------------------------------------------------------------
+// Approval rules
+// ------------------------------------------------------------------
+
+const listRules = async (req, res, next) => {
+  try {
+    const rules = await expenseService.listRules({ includeInactive: req.query.include_inactive === 'true' });
+    return ApiResponse.success(res, rules);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const createRule = async (req, res, next) => {
+  try {
+    const rule = await expenseService.createRule(req.body);
+    return ApiResponse.success(res, rule, 'Approval rule created', 201);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const updateRule = async (req, res, next) => {
+  try {
+    const rule = await expenseService.updateRule(req.params.id, req.body);
+    return ApiResponse.success(res, rule, 'Approval rule updated');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const deleteRule = async (req, res, next) => {
+  try {
+    await expenseService.deleteRule(req.params.id);
+    return ApiResponse.success(res, null, 'Approval rule deleted');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ------------------------------------------------------------------
+// Approval workflow
+// ------------------------------------------------------------------
+
+const getApprovalQueue = async (req, res, next) => {
+  try {
+    const queue = await expenseService.queueFor(req.user);
+    return ApiResponse.success(res, queue);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getApproval = async (req, res, next) => {
+  try {
+    const approval = await expenseService.getApproval(req.params.id, req.user);
+    return ApiResponse.success(res, approval);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const submitExpense = async (req, res, next) => {
+  try {
+    const approval = await expenseService.submit(req.params.id, req.user);
+    return ApiResponse.success(res, approval, 'Expense submitted for approval');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const withdrawExpense = async (req, res, next) => {
+  try {
+    const approval = await expenseService.withdraw(req.params.id, req.user);
+    return ApiResponse.success(res, approval, 'Expense withdrawn');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const decideExpense = async (req, res, next) => {
+  try {
+    const approval = await expenseService.decide(req.params.id, {
+      decision: req.body.decision,
+      comments: req.body.comments,
+      override: req.body.override_designation === true
+    }, req.user);
+    return ApiResponse.success(res, approval, req.body.decision === 'approve' ? 'Step approved' : 'Expense rejected');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const payExpense = async (req, res, next) => {
+  try {
+    const expense = await expenseService.markPaid(req.params.id, req.body, req.user);
+    return ApiResponse.success(res, expense, 'Payment recorded');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ------------------------------------------------------------------
+// Reimbursements
+// ------------------------------------------------------------------
+
+const listReimbursements = async (req, res, next) => {
+  try {
+    const everyone = req.query.all === 'true' && permissionService.can(req.user, PERMISSIONS.EXPENSES_READ);
+    const result = await expenseService.listReimbursements({
+      claimantId: everyone ? null : req.user.id,
+      approvalStatus: req.query.approval_status,
+      paymentStatus: req.query.payment_status,
+      page: req.query.page || 1,
+      limit: req.query.limit || 20
+    });
+    return ApiResponse.success(res, result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getReimbursement = async (req, res, next) => {
+  try {
+    const reimbursement = await expenseService.getReimbursement(req.params.id, req.user);
+    return ApiResponse.success(res, reimbursement);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const createReimbursement = async (req, res, next) => {
+  try {
+    const reimbursement = await expenseService.createReimbursement(req.body, req.user);
+    return ApiResponse.success(res, reimbursement, 'Reimbursement drafted; upload receipts and submit it', 201);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const updateReimbursement = async (req, res, next) => {
+  try {
+    const reimbursement = await expenseService.updateReimbursement(req.params.id, req.body, req.user);
+    return ApiResponse.success(res, reimbursement, 'Reimbursement updated');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const deleteReimbursement = async (req, res, next) => {
+  try {
+    await expenseService.deleteReimbursement(req.params.id, req.user);
+    return ApiResponse.success(res, null, 'Reimbursement deleted');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const uploadReimbursementReceipts = async (req, res, next) => {
+  try {
+    await expenseService.getOwnDraft(req.params.id, req.user);
+    if (!req.files || req.files.length === 0) throw new AppError('No files provided', 400);
+
+    const attachments = await expenseService.uploadDocuments(req.params.id, req.files);
+    return ApiResponse.success(res, attachments, `${attachments.length} receipt(s) uploaded`, 201);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  getApprovalQueue,
+  getApproval,
+  submitExpense,
+  withdrawExpense,
+  decideExpense,
+  payExpense,
+  listReimbursements,
+  getReimbursement,
+  createReimbursement,
+  updateReimbursement,
+  deleteReimbursement,
+  uploadReimbursementReceipts
+};
@@ -0,0 +1,79 @@
+const fundService = require('../../services/financial/fundService');
+const ApiResponse = require('../../utils/response');
+
+const actorOf = (req) => req.user?.email || req.user?.id || null;
+
+const listFunds = async (req, res, next) => {
+  try {
+    const funds = await fundService.listFunds({ includeInactive: req.query.include_inactive === 'true' });
+    return ApiResponse.success(res, funds);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getFund = async (req, res, next) => {
+  try {
+    const fund = await fundService.getFundWithPosition(req.params.id);
+    return ApiResponse.success(res, fund);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const createFund = async (req, res, next) => {
+  try {
+    const fund = await fundService.createFund(req.body);
+    return ApiResponse.success(res, fund, 'Fund created', 201);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const updateFund = async (req, res, next) => {
+  try {
+    const fund = await fundService.updateFund(req.params.id, req.body);
+    return ApiResponse.success(res, fund, 'Fund updated');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const transferBetweenFunds = async (req, res, next) => {
+  try {
+    const entry = await fundService.transfer({
+      fromFundId: req.body.from_fund_id,
+      toFundId: req.body.to_fund_id,
+      amount: req.body.amount,
+      entryDate: req.body.entry_date,
+      description: req.body.description,
+      override: req.body.override_designation === true
+    }, actorOf(req));
+    return ApiResponse.success(res, entry, 'Transfer posted', 201);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getBalanceReport = async (req, res, next) => {
+  try {
+    const report = await fundService.balanceReport({
+      startDate: req.query.start_date,
+      endDate: req.query.end_date,
+      interval: req.query.interval || 'month',
+      fundId: req.query.fund_id
+    });
+    return ApiResponse.success(res, report);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  listFunds,
+  getFund,
+  createFund,
+  updateFund,
+  transferBetweenFunds,
+  getBalanceReport
+};
@@ -0,0 +1,155 @@
+const givingStatementService = require('../../services/financial/givingStatementService');
+const ApiResponse = require('../../utils/response');
+
+const createRun = async (req, res, next) => {
+  try {
+    const run = await givingStatementService.createRun({
+      year: req.body.year,
+      periodType: req.body.period_type,
+      send: req.body.send !== false,
+      createdBy: req.user?.email || req.user?.id || null
+    });
+    return ApiResponse.success(
+      res,
+      run,
+      run.send_emails ? 'Statements generated; emails are being sent' : 'Statements generated',
+      202
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+const listRuns = async (req, res, next) => {
+  try {
+    const result = await givingStatementService.listRuns({
+      page: req.query.page || 1,
+      limit: req.query.limit || 20
+    });
+    return ApiResponse.success(res, result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getRun = async (req, res, next) => {
+  try {
+    const run = await givingStatementService.getRun(req.params.runId);
+    return ApiResponse.success(res, run);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Continue sending a run's pending statements (e.g. after a restart)
+const resumeRun = async (req, res, next) => {
+  try {
+    const run = await givingStatementService.getRun(req.params.runId);
+    givingStatementService.kick(run.id);
+    return ApiResponse.success(res, run, 'Sending pending statements', 202);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getSummary = async (req, res, next) => {
+  try {
+    const summary = await givingStatementService.summary({
+      year: req.query.year,
+      periodType: req.query.period_type || 'calendar'
+    });
+    return ApiResponse.success(res, summary);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const listStatements = async (req, res, next) => {
+  try {
+    const result = await givingStatementService.listStatements({
+      year: req.query.year,
+      periodType: req.query.period_type,
+      status: req.query.status,
+      email: req.query.email,
+      page: req.query.page || 1,
+      limit: req.query.limit || 50
+    });
+    return ApiResponse.success(res, result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getStatement = async (req, res, next) => {
+  try {
+    const statement = await givingStatementService.getStatement(req.params.id);
+    return ApiResponse.success(res, statement);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const downloadStatement = async (req, res, next) => {
+  try {
+    const { pdf, filename } = await givingStatementService.getStatementPdf(req.params.id);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.send(pdf);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const resendStatement = async (req, res, next) => {
+  try {
+    const statement = await givingStatementService.resendStatement(req.params.id);
+    return ApiResponse.success(
+      res,
+      statement,
+      statement.status === 'sent' ? 'Statement sent' : `Statement not sent (${statement.status})`
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+const markBounced = async (req, res, next) => {
+  try {
+    const [statement] = await givingStatementService.markBounced({ statementId: req.params.id }, req.body.reason);
+    return ApiResponse.success(res, statement, 'Statement marked as bounced');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Public: donor asks for their statement again
+const requestStatement = async (req, res, next) => {
+  try {
+    await givingStatementService.requestStatement(req.body.email, {
+      year: req.body.year,
+      periodType: req.body.period_type
+    });
+    return ApiResponse.success(
+      res,
+      null,
+      'If we have donations from this email for that year, the statement is on its way',
+      202
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createRun,
+  listRuns,
+  getRun,
+  resumeRun,
+  getSummary,
+  listStatements,
+  getStatement,
+  downloadStatement,
+  resendStatement,
+  markBounced,
+  requestStatement
+};
@@ -0,0 +1,177 @@
+const ledgerService = require('../../services/financial/ledgerService');
+const ApiResponse = require('../../utils/response');
+
+const actorOf = (req) => req.user?.email || req.user?.id || null;
+
+const listAccounts = async (req, res, next) => {
+  try {
+    const accounts = await ledgerService.listAccounts({ includeInactive: req.query.include_inactive === 'true' });
+    return ApiResponse.success(res, accounts);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const createAccount = async (req, res, next) => {
+  try {
+    const account = await ledgerService.createAccount(req.body);
+    return ApiResponse.success(res, account, 'Account created', 201);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const updateAccount = async (req, res, next) => {
+  try {
+    const account = await ledgerService.updateAccount(req.params.id, req.body);
+    return ApiResponse.success(res, account, 'Account updated');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getAccountLedger = async (req, res, next) => {
+  try {
+    const ledger = await ledgerService.accountLedger(req.params.id, {
+      startDate: req.query.start_date,
+      endDate: req.query.end_date
+    });
+    return ApiResponse.success(res, ledger);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const listEntries = async (req, res, next) => {
+  try {
+    const result = await ledgerService.listEntries({
+      startDate: req.query.start_date,
+      endDate: req.query.end_date,
+      sourceType: req.query.source_type,
+      sourceId: req.query.source_id,
+      page: req.query.page || 1,
+      limit: req.query.limit || 50
+    });
+    return ApiResponse.success(res, result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getEntry = async (req, res, next) => {
+  try {
+    const entry = await ledgerService.getEntry(req.params.id);
+    return ApiResponse.success(res, entry);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const createEntry = async (req, res, next) => {
+  try {
+    const entry = await ledgerService.createManualEntry(req.body, actorOf(req));
+    return ApiResponse.success(res, entry, 'Journal entry posted', 201);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const reverseEntry = async (req, res, next) => {
+  try {
+    const entry = await ledgerService.reverseEntry(req.params.id, {
+      entryDate: req.body.entry_date,
+      reason: req.body.reason
+    }, actorOf(req));
+    return ApiResponse.success(res, entry, 'Journal entry reversed', 201);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Catch up records whose automatic posting failed, or backfill history
+const syncLedger = async (req, res, next) => {
+  try {
+    const counts = await ledgerService.syncAll({ since: req.body.since, createdBy: actorOf(req) });
+    return ApiResponse.success(res, counts, 'Ledger synchronised');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getTrialBalance = async (req, res, next) => {
+  try {
+    const report = await ledgerService.trialBalance({ asOf: req.query.as_of });
+    return ApiResponse.success(res, report);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getIncomeStatement = async (req, res, next) => {
+  try {
+    const report = await ledgerService.incomeStatement({
+      startDate: req.query.start_date,
+      endDate: req.query.end_date
+    });
+    return ApiResponse.success(res, report);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getBalanceSheet = async (req, res, next) => {
+  try {
+    const report = await ledgerService.balanceSheet({ asOf: req.query.as_of });
+    return ApiResponse.success(res, report);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const listCloses = async (req, res, next) => {
+  try {
+    const closes = await ledgerService.listCloses();
+    return ApiResponse.success(res, closes);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const closePeriod = async (req, res, next) => {
+  try {
+    const close = await ledgerService.closePeriod({
+      closedThrough: req.body.closed_through,
+      notes: req.body.notes
+    }, actorOf(req));
+    return ApiResponse.success(res, close, `Books closed through ${close.closed_through}`, 201);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const reopenPeriod = async (req, res, next) => {
+  try {
+    const close = await ledgerService.reopenLatest();
+    return ApiResponse.success(res, close, `Books reopened after ${close.closed_through}`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  listAccounts,
+  createAccount,
+  updateAccount,
+  getAccountLedger,
+  listEntries,
+  getEntry,
+  createEntry,
+  reverseEntry,
+  syncLedger,
+  getTrialBalance,
+  getIncomeStatement,
+  getBalanceSheet,
+  listCloses,
+  closePeriod,
+  reopenPeriod
+};
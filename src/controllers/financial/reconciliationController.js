@@ -0,0 +1,165 @@
+const reconciliationService = require('../../services/financial/reconciliationService');
+const ApiResponse = require('../../utils/response');
+
+const actorOf = (req) => req.user?.email || req.user?.id || null;
+
+const importStatement = async (req, res, next) => {
+  try {
+    const result = await reconciliationService.importStatement(req.file, {
+      source: req.body.source,
+      accountKey: req.body.account_key,
+      mapping: req.body.mapping,
+      currency: req.body.currency,
+      createdBy: actorOf(req)
+    });
+    return ApiResponse.success(
+      res,
+      result,
+      `Imported ${result.line_count} lines, ${result.matched_count} matched automatically`,
+      201
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+const listImports = async (req, res, next) => {
+  try {
+    const result = await reconciliationService.listImports({
+      source: req.query.source,
+      page: req.query.page || 1,
+      limit: req.query.limit || 20
+    });
+    return ApiResponse.success(res, result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getImport = async (req, res, next) => {
+  try {
+    const statementImport = await reconciliationService.getImport(req.params.id);
+    return ApiResponse.success(res, statementImport);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const deleteImport = async (req, res, next) => {
+  try {
+    await reconciliationService.deleteImport(req.params.id);
+    return ApiResponse.success(res, null, 'Statement import deleted');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Manual matching queue (defaults to unmatched lines)
+const listLines = async (req, res, next) => {
+  try {
+    const result = await reconciliationService.listLines({
+      status: req.query.status === 'all' ? undefined : (req.query.status || 'unmatched'),
+      source: req.query.source,
+      accountKey: req.query.account_key,
+      importId: req.query.import_id,
+      startDate: req.query.start_date,
+      endDate: req.query.end_date,
+      page: req.query.page || 1,
+      limit: req.query.limit || 50
+    });
+    return ApiResponse.success(res, result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getCandidates = async (req, res, next) => {
+  try {
+    const result = await reconciliationService.getCandidates(req.params.id);
+    return ApiResponse.success(res, result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const matchLine = async (req, res, next) => {
+  try {
+    const line = await reconciliationService.matchLine(req.params.id, {
+      donationId: req.body.donation_id,
+      expenseId: req.body.expense_id,
+      notes: req.body.notes
+    }, actorOf(req));
+    return ApiResponse.success(res, line, 'Statement line matched');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const unmatchLine = async (req, res, next) => {
+  try {
+    const line = await reconciliationService.unmatchLine(req.params.id);
+    return ApiResponse.success(res, line, 'Statement line returned to the queue');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const excludeLine = async (req, res, next) => {
+  try {
+    const line = await reconciliationService.excludeLine(req.params.id, req.body.reason, actorOf(req));
+    return ApiResponse.success(res, line, 'Statement line excluded');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const listPeriods = async (req, res, next) => {
+  try {
+    const periods = await reconciliationService.listPeriods({
+      source: req.query.source,
+      accountKey: req.query.account_key
+    });
+    return ApiResponse.success(res, periods);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const lockPeriod = async (req, res, next) => {
+  try {
+    const period = await reconciliationService.lockPeriod({
+      source: req.body.source,
+      accountKey: req.body.account_key || '',
+      periodStart: req.body.period_start,
+      periodEnd: req.body.period_end,
+      notes: req.body.notes
+    }, actorOf(req));
+    return ApiResponse.success(res, period, 'Period locked', 201);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const unlockPeriod = async (req, res, next) => {
+  try {
+    const period = await reconciliationService.unlockPeriod(req.params.id);
+    return ApiResponse.success(res, period, 'Period unlocked');
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  importStatement,
+  listImports,
+  getImport,
+  deleteImport,
+  listLines,
+  getCandidates,
+  matchLine,
+  unmatchLine,
+  excludeLine,
+  listPeriods,
+  lockPeriod,
+  unlockPeriod
+};
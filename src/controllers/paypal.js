@@ -17,6 +17,10 @@
 'use strict';
 
 const crypto = require('crypto');
+const emailService = require('../services/emailService');
+const receiptService = require('../services/financial/receiptService');
+const ledgerService = require('../services/financial/ledgerService');
+const { escapeHtml } = require('../utils/html');
 
 // =============================================
 // CONFIGURATION
@@ -678,6 +682,64 @@ const getSubscription = async (subscriptionId) => {
     return await paypalRequest(`/v1/billing/subscriptions/${subscriptionId}`, 'GET');
 };
 
+/**
+ * Pause billing. PayPal keeps the subscription and it can be resumed later.
+ */
+const suspendSubscription = async (subscriptionId, reason = 'Paused by donor') => {
+    if (!subscriptionId) throw new PayPalError('Subscription ID is required');
+    await paypalRequest(`/v1/billing/subscriptions/${subscriptionId}/suspend`, 'POST', {
+        reason: sanitizeString(reason, 128)
+    });
+    console.log(`✅ Subscription suspended: ${subscriptionId}`);
+    return { success: true, subscriptionId, status: 'SUSPENDED' };
+};
+
+const resumeSubscription = async (subscriptionId, reason = 'Resumed by donor') => {
+    if (!subscriptionId) throw new PayPalError('Subscription ID is required');
+    await paypalRequest(`/v1/billing/subscriptions/${subscriptionId}/activate`, 'POST', {
+        reason: sanitizeString(reason, 128)
+    });
+    console.log(`✅ Subscription resumed: ${subscriptionId}`);
+    return { success: true, subscriptionId, status: 'ACTIVE' };
+};
+
+/**
+ * Change a subscription's amount by moving it onto a new plan. PayPal asks the
+ * donor to approve the revision, so the caller gets an approval URL back and
+ * the new amount only applies after BILLING.SUBSCRIPTION.UPDATED arrives.
+ */
+const reviseSubscription = async (subscriptionId, { amount, currency = 'USD', frequency = 'monthly', campaignName = 'Recurring Donation' }, returnUrl, cancelUrl) => {
+    if (!subscriptionId) throw new PayPalError('Subscription ID is required');
+
+    const amountResult = validateAmount(amount);
+    if (!amountResult.valid) throw new PayPalError(amountResult.error);
+
+    const plan = await createBillingPlan({
+        campaignName: sanitizeString(campaignName, 200),
+        amount: amountResult.value.toFixed(2),
+        currency: (sanitizeString(currency, 3) || 'USD').toUpperCase()
+    }, frequency);
+
+    const revision = await paypalRequest(`/v1/billing/subscriptions/${subscriptionId}/revise`, 'POST', {
+        plan_id: plan.id,
+        application_context: {
+            brand_name: 'Temple Donation',
+            locale: 'en-US',
+            shipping_preference: 'NO_SHIPPING',
+            return_url: returnUrl,
+            cancel_url: cancelUrl
+        }
+    });
+
+    console.log(`✅ Subscription revision requested: ${subscriptionId} -> ${plan.id}`);
+    return {
+        subscriptionId,
+        planId: plan.id,
+        amount: amountResult.value,
+        approvalUrl: revision.links?.find(l => l.rel === 'approve')?.href || null
+    };
+};
+
 const cancelSubscription = async (subscriptionId, reason = 'Cancelled by user') => {
     if (!subscriptionId) throw new PayPalError('Subscription ID is required');
     await paypalRequest(`/v1/billing/subscriptions/${subscriptionId}/cancel`, 'POST', {
@@ -738,7 +800,8 @@ const saveDonationToDatabase = async (captureResult, supabaseService, pendingDon
         metadata: {
             ...(donorData.metadata || {}),
             transaction_id: captureResult.transactionId,
-            receipt_number: captureResult.receiptNumber,
+            // The official receipt_number is added when the receipt is issued
+            order_reference: captureResult.receiptNumber,
             gross_amount: captureResult.payment.grossAmount,
             net_amount: captureResult.payment.netAmount,
             paypal_order_id: captureResult.orderId,
@@ -773,10 +836,20 @@ const saveDonationToDatabase = async (captureResult, supabaseService, pendingDon
         await completePendingDonation(supabaseService, captureResult.orderId, data.id);
     }
 
+    const receipt = await receiptService.issueForCompletedDonation(data);
+    if (receipt) data.metadata = { ...data.metadata, receipt_number: receipt.receipt_number };
+    await ledgerService.record('donation', data);
+
     return data;
 };
 
+/**
+ * Save subscription with idempotency check - the activate-subscription call and
+ * the BILLING.SUBSCRIPTION.ACTIVATED webhook both record the same subscription
+ */
 const saveSubscriptionToDatabase = async (subscriptionData, status, supabaseService, donationData = null) => {
+    const existing = await getSubscriptionRecord(supabaseService, subscriptionData.id);
+
     // Get donor data from the passed donationData (from frontend sessionStorage) or parse from custom_id
     let donorInfo = donationData || {};
 
@@ -829,36 +902,143 @@ const saveSubscriptionToDatabase = async (subscriptionData, status, supabaseServ
         updated_at: new Date().toISOString()
     };
 
+    if (existing) {
+        // Only the activation call carries the donor's details; the webhook
+        // must not overwrite them with PayPal's subscriber name
+        if (!donationData) {
+            console.log('⚠️ Subscription already exists:', subscriptionData.id);
+            return existing;
+        }
+        donationRecord.metadata = { ...(existing.metadata || {}), ...donationRecord.metadata };
+    }
+
+    const { data, error } = existing
+        ? await supabaseService.client
+            .from('donations')
+            .update(donationRecord)
+            .eq('id', existing.id)
+            .select('*')
+            .single()
+        : await supabaseService.client
+            .from('donations')
+            .insert(donationRecord)
+            .select('*')
+            .single();
+
+    if (error) {
+        console.error('❌ Database error saving subscription:', error);
+        throw new PayPalError('Failed to save subscription', { dbError: error.message }, 500);
+    }
+
+    console.log(`✅ Subscription saved: ${data.id}`);
+    return data;
+};
+
+/**
+ * The donation row that represents a subscription (not its individual payments)
+ */
+const getSubscriptionRecord = async (supabaseService, subscriptionId) => {
+    const { data } = await supabaseService.client
+        .from('donations')
+        .select('*')
+        .filter('metadata->>subscription_id', 'eq', subscriptionId)
+        .filter('metadata->>is_recurring', 'eq', 'true')
+        .limit(1)
+        .maybeSingle();
+    return data;
+};
+
+// PayPal subscription status -> donations.payment_status of the subscription row.
+// EXPIRED (every billing cycle ran) ends the plan like a cancellation; the
+// PayPal status itself is kept in metadata.subscription_status.
+const SUBSCRIPTION_PAYMENT_STATUSES = {
+    APPROVAL_PENDING: 'pending',
+    APPROVED: 'pending',
+    ACTIVE: 'completed',
+    SUSPENDED: 'suspended',
+    CANCELLED: 'cancelled',
+    EXPIRED: 'cancelled'
+};
+
+/**
+ * Update a subscription's status. Only the subscription row changes - the
+ * payments already collected under it keep their own status. A status PayPal
+ * adds later leaves payment_status as it was.
+ */
+const updateSubscriptionStatus = async (subscriptionId, status, supabaseService, metadataUpdates = {}) => {
+    const record = await getSubscriptionRecord(supabaseService, subscriptionId);
+    if (!record) {
+        console.warn(`⚠️ Subscription ${subscriptionId} not found - status not updated`);
+        return null;
+    }
+
+    const paymentStatus = SUBSCRIPTION_PAYMENT_STATUSES[status] || record.payment_status;
+    if (!SUBSCRIPTION_PAYMENT_STATUSES[status]) {
+        console.warn(`⚠️ Unknown PayPal subscription status ${status} for ${subscriptionId} - payment status left unchanged`);
+    }
+
     const { data, error } = await supabaseService.client
         .from('donations')
-        .insert(donationRecord)
+        .update({
+            payment_status: paymentStatus,
+            metadata: { ...(record.metadata || {}), ...metadataUpdates, subscription_status: status },
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', record.id)
         .select('*')
         .single();
 
     if (error) {
-        console.error('❌ Database error saving subscription:', error);
-        throw new PayPalError('Failed to save subscription', { dbError: error.message }, 500);
+        console.error('❌ Error updating subscription status:', error);
+        return null;
     }
 
-    console.log(`✅ Subscription saved: ${data.id}`);
+    console.log(`✅ Subscription ${subscriptionId} status updated`);
     return data;
 };
 
-const updateSubscriptionStatus = async (subscriptionId, status, supabaseService) => {
-    const { error } = await supabaseService.client
+/**
+ * BILLING.SUBSCRIPTION.UPDATED - apply an amount change once the donor has
+ * approved the revised plan
+ */
+const applySubscriptionRevision = async (resource, supabaseService) => {
+    const record = await getSubscriptionRecord(supabaseService, resource.id);
+    const pending = record?.metadata?.pending_revision;
+    if (!pending || pending.plan_id !== resource.plan_id) return null;
+
+    const { pending_revision, ...metadata } = record.metadata;
+    const { data, error } = await supabaseService.client
         .from('donations')
         .update({
-            payment_status: status === 'CANCELLED' ? 'cancelled' : status.toLowerCase(),
-            'metadata->subscription_status': status,
+            amount: pending.amount,
+            metadata: { ...metadata, plan_id: resource.plan_id, previous_amount: record.amount, revised_at: new Date().toISOString() },
             updated_at: new Date().toISOString()
         })
-        .filter('metadata->>subscription_id', 'eq', subscriptionId);
+        .eq('id', record.id)
+        .select('*')
+        .single();
 
-    if (error) console.error('❌ Error updating subscription status:', error);
-    else console.log(`✅ Subscription ${subscriptionId} status updated`);
+    if (error) throw new PayPalError('Failed to apply subscription revision', { dbError: error.message }, 500);
+    console.log(`✅ Subscription ${resource.id} amount changed to ${pending.amount}`);
+    return data;
 };
 
+/**
+ * Save a subscription payment (PAYMENT.SALE.COMPLETED) with idempotency check
+ */
 const saveRecurringPayment = async (paymentResource, supabaseService) => {
+    const { data: existing } = await supabaseService.client
+        .from('donations')
+        .select('id')
+        .filter('metadata->>transaction_id', 'eq', paymentResource.id)
+        .limit(1)
+        .maybeSingle();
+
+    if (existing) {
+        console.log('⚠️ Recurring payment already exists:', paymentResource.id);
+        return existing;
+    }
+
     const donorEmail = paymentResource.payer?.email_address || 'not-provided@example.com';
 
     const donationRecord = {
@@ -895,19 +1075,314 @@ const saveRecurringPayment = async (paymentResource, supabaseService) => {
 
     if (error) throw new PayPalError('Failed to save recurring payment', { dbError: error.message }, 500);
     console.log(`✅ Recurring payment saved: ${data.id}`);
+
+    await receiptService.issueForCompletedDonation(data);
+    await ledgerService.record('donation', data);
     return data;
 };
 
 
+// =============================================
+// REFUNDS, REVERSALS & DISPUTES
+// =============================================
+
+// Dispute outcomes where the temple lost the money
+const LOST_DISPUTE_OUTCOMES = ['RESOLVED_BUYER_FAVOUR', 'ACCEPTED'];
+
+const ADJUSTMENT_LABELS = { refund: 'Refund', reversal: 'Reversal', dispute: 'Dispute' };
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Capture id a v2 refund/reversal belongs to, taken from its "up" link
+ */
+const getCaptureIdFromLinks = (resource) => {
+    const up = (resource.links || []).find(link => link.rel === 'up' && link.href?.includes('/captures/'));
+    return up ? up.href.split('/captures/')[1].split(/[/?]/)[0] : null;
+};
+
+/**
+ * Find the donation recorded for a PayPal capture or sale id
+ */
+const findDonationByTransactionId = async (supabaseService, transactionId) => {
+    const { data, error } = await supabaseService.client
+        .from('donations')
+        .select('*')
+        .or(`metadata->>transaction_id.eq.${transactionId},metadata->>paypal_capture_id.eq.${transactionId}`)
+        .limit(1)
+        .maybeSingle();
+
+    if (error) throw new PayPalError('Failed to look up donation', { dbError: error.message, transactionId }, 500);
+    return data;
+};
+
+/**
+ * Work out a donation's status and net amount from all of its adjustments.
+ * A dispute the temple lost only counts when PayPal has not also sent the
+ * matching refund/reversal, so the money is never subtracted twice.
+ */
+const summarizeAdjustments = (donation, adjustments) => {
+    const gross = roundAmount(donation.amount);
+    const settled = adjustments.filter(a => a.adjustment_type !== 'dispute' && a.status === 'completed');
+    const lostDisputes = adjustments.filter(a => a.adjustment_type === 'dispute' && LOST_DISPUTE_OUTCOMES.includes(a.outcome));
+    const openDispute = adjustments.find(a => a.adjustment_type === 'dispute' && a.status !== 'resolved');
+
+    const returned = (settled.length ? settled : lostDisputes).reduce((sum, a) => sum + Number(a.amount || 0), 0);
+    const refundedAmount = Math.min(roundAmount(returned), gross);
+    const reversed = lostDisputes.length > 0 || settled.some(a => a.adjustment_type === 'reversal');
+
+    let status = 'completed';
+    if (refundedAmount >= gross && gross > 0) status = reversed ? 'reversed' : 'refunded';
+    else if (openDispute) status = 'disputed';
+    else if (refundedAmount > 0) status = 'partially_refunded';
+
+    const fee = roundAmount(donation.metadata?.paypal_fee);
+
+    return {
+        status,
+        gross_amount: gross,
+        refunded_amount: refundedAmount,
+        net_amount: roundAmount(gross - fee - refundedAmount),
+        open_dispute_id: openDispute?.provider_reference || null,
+        receipt_status: ['refunded', 'reversed'].includes(status) ? 'void' : refundedAmount > 0 ? 'amended' : 'issued'
+    };
+};
+
+/**
+ * Void or amend the receipt issued for a donation. Not every donation has a
+ * donation_receipts row, so the receipt status is also kept in the donation's
+ * metadata by the caller.
+ */
+const annotateReceipt = async (supabaseService, donation, summary, note) => {
+    const isVoid = summary.receipt_status === 'void';
+
+    const { error } = await supabaseService.client
+        .from('donation_receipts')
+        .update({
+            status: summary.receipt_status,
+            amended_amount: summary.receipt_status === 'amended'
+                ? roundAmount(summary.gross_amount - summary.refunded_amount)
+                : null,
+            voided_at: isVoid ? new Date().toISOString() : null,
+            void_reason: isVoid ? note : null,
+            notes: note
+        })
+        .eq('donation_id', donation.id);
+
+    if (error) console.error('❌ Failed to update donation receipt:', error.message);
+};
+
+/**
+ * Email the finance team about money leaving (or being held from) a donation.
+ * Recipients come from FINANCE_NOTIFICATION_EMAILS, falling back to every
+ * finance_team user.
+ */
+const notifyFinanceTeam = async (supabaseService, donation, adjustment, summary) => {
+    try {
+        let recipients = (process.env.FINANCE_NOTIFICATION_EMAILS || '')
+            .split(',')
+            .map(email => email.trim())
+            .filter(Boolean);
+
+        if (recipients.length === 0) {
+            const { data } = await supabaseService.client
+                .from('users')
+                .select('email')
+                .eq('role', 'finance_team')
+                .is('deleted_at', null);
+            recipients = (data || []).map(user => user.email).filter(Boolean);
+        }
+
+        if (recipients.length === 0) {
+            console.warn('⚠️ No finance team recipients configured for PayPal adjustment alerts');
+            return;
+        }
+
+        const label = ADJUSTMENT_LABELS[adjustment.adjustment_type];
+        const currency = adjustment.currency || donation.currency || 'USD';
+        const donor = donation.donor_name || donation.name || 'Anonymous';
+        const row = (name, value) => `<tr><td style="padding: 4px 12px 4px 0;"><strong>${name}</strong></td><td>${escapeHtml(value)}</td></tr>`;
+
+        await emailService.sendEmail({
+            to: recipients,
+            topic: 'account',
+            subject: `💸 PayPal ${label.toLowerCase()} ${adjustment.status}: ${currency} ${roundAmount(adjustment.amount).toFixed(2)} from ${donor}`,
+            html: `
+                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                    <p>A PayPal ${label.toLowerCase()} was recorded against a donation.</p>
+                    <table style="border-collapse: collapse;">
+                        ${row('Donor', `${donor}${donation.donor_email ? ` <${donation.donor_email}>` : ''}`)}
+                        ${row('Donation', donation.id)}
+                        ${row('Receipt', donation.metadata?.receipt_number || 'n/a')}
+                        ${row(`${label} reference`, adjustment.provider_reference)}
+                        ${row(`${label} status`, `${adjustment.status}${adjustment.outcome ? ` (${adjustment.outcome})` : ''}`)}
+                        ${adjustment.reason ? row('Reason', adjustment.reason) : ''}
+                        ${row('Amount', `${currency} ${roundAmount(adjustment.amount).toFixed(2)}`)}
+                        ${row('Original gift', `${currency} ${summary.gross_amount.toFixed(2)}`)}
+                        ${row('Total refunded', `${currency} ${summary.refunded_amount.toFixed(2)}`)}
+                        ${row('Net amount', `${currency} ${summary.net_amount.toFixed(2)}`)}
+                        ${row('Donation status', summary.status)}
+                        ${row('Receipt status', summary.receipt_status)}
+                    </table>
+                    <p style="font-size: 14px; color: #666;">🙏 Om Sai Ram!</p>
+                </div>
+            `
+        });
+    } catch (error) {
+        console.error('⚠️ Failed to notify finance team:', error.message);
+    }
+};
+
+/**
+ * Record a refund, reversal or dispute against the donation for a PayPal
+ * transaction, then recompute the donation's status and net amount, update its
+ * receipt and alert finance. Replayed webhooks with an unchanged status are
+ * ignored.
+ */
+const applyDonationAdjustment = async (supabaseService, adjustment) => {
+    const { transactionId, ...fields } = adjustment;
+
+    const donation = await findDonationByTransactionId(supabaseService, transactionId);
+    if (!donation) {
+        console.warn(`⚠️ No donation found for PayPal transaction ${transactionId}`);
+        return { matched: false, transactionId };
+    }
+
+    const { data: existing } = await supabaseService.client
+        .from('donation_adjustments')
+        .select('status, outcome')
+        .eq('provider', 'paypal')
+        .eq('provider_reference', fields.provider_reference)
+        .maybeSingle();
+
+    if (existing && existing.status === fields.status && (existing.outcome || null) === (fields.outcome || null)) {
+        console.log(`⚠️ ${fields.adjustment_type} ${fields.provider_reference} already recorded`);
+        return { matched: true, duplicate: true, donationId: donation.id };
+    }
+
+    const { data: saved, error: saveError } = await supabaseService.client
+        .from('donation_adjustments')
+        .upsert({
+            donation_id: donation.id,
+            provider: 'paypal',
+            ...fields,
+            amount: roundAmount(fields.amount),
+            updated_at: new Date().toISOString()
+        }, { onConflict: 'provider,provider_reference' })
+        .select('*')
+        .single();
+
+    if (saveError) {
+        throw new PayPalError('Failed to save donation adjustment', {
+            dbError: saveError.message,
+            reference: fields.provider_reference
+        }, 500);
+    }
+
+    const { data: adjustments, error: listError } = await supabaseService.client
+        .from('donation_adjustments')
+        .select('*')
+        .eq('donation_id', donation.id);
+
+    if (listError) throw new PayPalError('Failed to load donation adjustments', { dbError: listError.message }, 500);
+
+    const summary = summarizeAdjustments(donation, adjustments || []);
+    const label = ADJUSTMENT_LABELS[saved.adjustment_type];
+    const note = `${label} ${saved.provider_reference} ${saved.status}` +
+        `${saved.outcome ? ` (${saved.outcome})` : ''}: ${summary.refunded_amount.toFixed(2)} of ` +
+        `${summary.gross_amount.toFixed(2)} returned on ${new Date().toISOString().split('T')[0]}`;
+
+    const { error: updateError } = await supabaseService.client
+        .from('donations')
+        .update({
+            payment_status: summary.status,
+            refunded_amount: summary.refunded_amount,
+            net_amount: summary.net_amount,
+            metadata: {
+                ...(donation.metadata || {}),
+                receipt_status: summary.receipt_status,
+                open_dispute_id: summary.open_dispute_id,
+                last_adjustment: note
+            },
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', donation.id);
+
+    if (updateError) throw new PayPalError('Failed to update donation', { dbError: updateError.message }, 500);
+
+    await annotateReceipt(supabaseService, donation, summary, note);
+    await ledgerService.record('donation_adjustment', donation);
+    await notifyFinanceTeam(supabaseService, donation, saved, summary);
+
+    console.log(`✅ Donation ${donation.id}: ${note}`);
+    return { matched: true, donationId: donation.id, ...summary };
+};
+
+/**
+ * Adjustment fields for a v2 capture refund/reversal or a v1 sale refund
+ */
+const refundAdjustment = (resource, adjustmentType) => ({
+    transactionId: getCaptureIdFromLinks(resource) || resource.sale_id || resource.parent_payment,
+    adjustment_type: adjustmentType,
+    provider_reference: resource.id,
+    status: (resource.status || resource.state || 'completed').toLowerCase(),
+    amount: resource.amount?.value || resource.amount?.total || 0,
+    currency: resource.amount?.currency_code || resource.amount?.currency,
+    reason: resource.note_to_payer || resource.reason_code || resource.reason || null
+});
+
+/**
+ * Adjustment fields for a CUSTOMER.DISPUTE.* resource
+ */
+const disputeAdjustment = (resource) => ({
+    transactionId: resource.disputed_transactions?.[0]?.seller_transaction_id,
+    adjustment_type: 'dispute',
+    provider_reference: resource.dispute_id,
+    status: (resource.status || 'open').toLowerCase(),
+    amount: resource.dispute_outcome?.amount_refunded?.value || resource.dispute_amount?.value || 0,
+    currency: resource.dispute_amount?.currency_code,
+    reason: resource.reason || null,
+    outcome: resource.dispute_outcome?.outcome_code || null
+});
+
+const handleAdjustmentEvent = async (event, action, adjustment, supabaseService) => {
+    const eventType = event.event_type;
+    if (!adjustment.transactionId) {
+        console.warn(`⚠️ ${eventType} has no related transaction id`);
+        return { processed: false, reason: 'missing_transaction_id', eventType };
+    }
+    if (!supabaseService) {
+        return { processed: true, action, transactionId: adjustment.transactionId };
+    }
+
+    const result = await applyDonationAdjustment(supabaseService, {
+        ...adjustment,
+        raw_event: { id: event.id, event_type: eventType, resource: event.resource }
+    });
+    if (!result.matched) {
+        return { processed: false, reason: 'donation_not_found', eventType, transactionId: adjustment.transactionId };
+    }
+    return { processed: true, action, transactionId: adjustment.transactionId, ...result };
+};
+
 // =============================================
 // WEBHOOK HANDLING
 // =============================================
 
+const webhookIdConfigured = () => Boolean(PAYPAL_CONFIG.webhookId && PAYPAL_CONFIG.webhookId !== 'your_webhook_id_here');
+
+/**
+ * Unsigned deliveries can refund donations and void receipts, so they are only
+ * accepted in development or with PAYPAL_WEBHOOK_ALLOW_UNSIGNED=true.
+ */
+const unsignedWebhooksAllowed = () =>
+    process.env.NODE_ENV === 'development' || process.env.PAYPAL_WEBHOOK_ALLOW_UNSIGNED === 'true';
+
 /**
  * Verify webhook signature - works in ALL modes when configured
  */
 const verifyWebhookSignature = async (headers, body) => {
-    if (!PAYPAL_CONFIG.webhookId || PAYPAL_CONFIG.webhookId === 'your_webhook_id_here') {
+    if (!webhookIdConfigured()) {
         console.warn('⚠️ Webhook ID not configured - skipping verification');
         return true;
     }
@@ -953,12 +1428,20 @@ const processWebhookEvent = async (event, supabaseService = null) => {
             return { processed: true, action: 'payment_failed', transactionId: resource.id };
 
         case 'PAYMENT.CAPTURE.REFUNDED':
-            return { processed: true, action: 'payment_refunded', transactionId: resource.id };
+        case 'PAYMENT.SALE.REFUNDED':
+            return handleAdjustmentEvent(event, 'payment_refunded', refundAdjustment(resource, 'refund'), supabaseService);
+
+        case 'PAYMENT.CAPTURE.REVERSED':
+        case 'PAYMENT.SALE.REVERSED':
+            return handleAdjustmentEvent(event, 'payment_reversed', refundAdjustment(resource, 'reversal'), supabaseService);
+
+        case 'CUSTOMER.DISPUTE.CREATED':
+        case 'CUSTOMER.DISPUTE.UPDATED':
+        case 'CUSTOMER.DISPUTE.RESOLVED':
+            return handleAdjustmentEvent(event, 'dispute_updated', disputeAdjustment(resource), supabaseService);
 
         case 'BILLING.SUBSCRIPTION.ACTIVATED':
-            if (supabaseService) {
-                try { await saveSubscriptionToDatabase(resource, 'ACTIVE', supabaseService); } catch (e) { }
-            }
+            if (supabaseService) await saveSubscriptionToDatabase(resource, 'ACTIVE', supabaseService);
             return { processed: true, action: 'subscription_activated', subscriptionId: resource.id };
 
         case 'BILLING.SUBSCRIPTION.CANCELLED':
@@ -969,10 +1452,16 @@ const processWebhookEvent = async (event, supabaseService = null) => {
             if (supabaseService) await updateSubscriptionStatus(resource.id, 'SUSPENDED', supabaseService);
             return { processed: true, action: 'subscription_suspended', subscriptionId: resource.id };
 
+        case 'BILLING.SUBSCRIPTION.RE-ACTIVATED':
+            if (supabaseService) await updateSubscriptionStatus(resource.id, 'ACTIVE', supabaseService);
+            return { processed: true, action: 'subscription_resumed', subscriptionId: resource.id };
+
+        case 'BILLING.SUBSCRIPTION.UPDATED':
+            if (supabaseService) await applySubscriptionRevision(resource, supabaseService);
+            return { processed: true, action: 'subscription_updated', subscriptionId: resource.id };
+
         case 'PAYMENT.SALE.COMPLETED':
-            if (supabaseService && resource.billing_agreement_id) {
-                try { await saveRecurringPayment(resource, supabaseService); } catch (e) { }
-            }
+            if (supabaseService && resource.billing_agreement_id) await saveRecurringPayment(resource, supabaseService);
             return { processed: true, action: 'recurring_payment', transactionId: resource.id };
 
         default:
@@ -980,6 +1469,235 @@ const processWebhookEvent = async (event, supabaseService = null) => {
     }
 };
 
+// =============================================
+// WEBHOOK EVENT STORE
+// =============================================
+
+// A 'processing' row older than this belongs to a request that died mid-way
+const WEBHOOK_PROCESSING_TTL_MS = 5 * 60 * 1000;
+const REPROCESSABLE_WEBHOOK_STATUSES = ['failed', 'received', 'processing'];
+
+const isStaleProcessing = (row) => row.status === 'processing' &&
+    Date.now() - new Date(row.last_attempt_at || row.received_at).getTime() > WEBHOOK_PROCESSING_TTL_MS;
+
+// What is kept of a delivery whose signature check failed: enough to see
+// what was attempted, without letting unauthenticated callers store payloads
+const rejectedPayload = (event) => ({
+    id: String(event.id).slice(0, 200),
+    event_type: String(event.event_type || '').slice(0, 200)
+});
+
+const getWebhookEventRow = async (supabaseService, column, value) => {
+    const { data, error } = await supabaseService.client
+        .from('paypal_webhook_events')
+        .select('*')
+        .eq(column, value)
+        .maybeSingle();
+
+    if (error) throw new PayPalError('Failed to load webhook event', { dbError: error.message }, 500);
+    return data;
+};
+
+/**
+ * Persist an incoming webhook before it is processed. Returns the stored row
+ * and whether it is a duplicate delivery of an event that was already handled
+ * (or is being handled right now). Events that previously failed are handed
+ * back for another attempt, which is how PayPal's own retries recover.
+ */
+const recordWebhookEvent = async (supabaseService, event, verificationStatus) => {
+    if (!event?.id) throw new PayPalError('Webhook event id is missing', {}, 400);
+
+    const existing = await getWebhookEventRow(supabaseService, 'event_id', event.id);
+
+    if (existing) {
+        // A forged copy of a known event never touches the stored row
+        if (verificationStatus === 'failed') return { event: existing, duplicate: true };
+
+        const inFlight = existing.status === 'processing' && !isStaleProcessing(existing);
+        if (['processed', 'ignored'].includes(existing.status) || inFlight) {
+            return { event: existing, duplicate: true };
+        }
+
+        // A genuine delivery of an id first seen on a forged (rejected) copy
+        // is processed normally
+        const revived = existing.status === 'rejected'
+            ? {
+                status: 'received',
+                event_type: event.event_type,
+                resource_type: event.resource_type || null,
+                resource_id: event.resource?.id || event.resource?.dispute_id || null,
+                summary: event.summary || null
+            }
+            : {};
+
+        const { data, error } = await supabaseService.client
+            .from('paypal_webhook_events')
+            .update({ ...revived, verification_status: verificationStatus, payload: event, updated_at: new Date().toISOString() })
+            .eq('id', existing.id)
+            .select('*')
+            .single();
+
+        if (error) throw new PayPalError('Failed to update webhook event', { dbError: error.message }, 500);
+        return { event: data, duplicate: false };
+    }
+
+    const rejected = verificationStatus === 'failed';
+    const { data, error } = await supabaseService.client
+        .from('paypal_webhook_events')
+        .insert({
+            event_id: String(event.id).slice(0, 200),
+            event_type: rejected ? rejectedPayload(event).event_type : event.event_type,
+            resource_type: rejected ? null : event.resource_type || null,
+            resource_id: rejected ? null : event.resource?.id || event.resource?.dispute_id || null,
+            summary: rejected ? null : event.summary || null,
+            verification_status: verificationStatus,
+            status: rejected ? 'rejected' : 'received',
+            payload: rejected ? rejectedPayload(event) : event
+        })
+        .select('*')
+        .single();
+
+    if (error) {
+        // Two deliveries of the same event raced; the other one owns it
+        if (error.code === '23505') {
+            return { event: await getWebhookEventRow(supabaseService, 'event_id', event.id), duplicate: true };
+        }
+        throw new PayPalError('Failed to record webhook event', { dbError: error.message }, 500);
+    }
+
+    return { event: data, duplicate: false };
+};
+
+/**
+ * Process a stored webhook event and record the outcome. Unhandled event types
+ * are 'ignored'; anything that throws or could not be applied is 'failed'
+ * and can be re-processed later.
+ *
+ * The row is claimed first with a conditional update - only from received,
+ * failed or stale processing, and only at the attempt count that was read -
+ * so a PayPal retry and an admin replay of the same event cannot both apply
+ * it. The one that loses gets { duplicate: true }.
+ */
+const runWebhookEvent = async (supabaseService, row) => {
+    const startedAt = new Date().toISOString();
+    const staleBefore = new Date(Date.now() - WEBHOOK_PROCESSING_TTL_MS).toISOString();
+
+    const { data: claimed, error: claimError } = await supabaseService.client
+        .from('paypal_webhook_events')
+        .update({ status: 'processing', attempts: (row.attempts || 0) + 1, last_attempt_at: startedAt, updated_at: startedAt })
+        .eq('id', row.id)
+        .eq('attempts', row.attempts || 0)
+        .or(`status.in.(received,failed),and(status.eq.processing,last_attempt_at.lt.${staleBefore})`)
+        .select('*')
+        .maybeSingle();
+
+    if (claimError) throw new PayPalError('Failed to claim webhook event', { dbError: claimError.message }, 500);
+    if (!claimed) {
+        console.log(`⚠️ Webhook ${row.event_id} is already being handled`);
+        const current = await getWebhookEventRow(supabaseService, 'id', row.id);
+        return { event: current || row, status: current?.status || row.status, result: null, error: null, duplicate: true };
+    }
+
+    let status;
+    let result = null;
+    let errorMessage = null;
+
+    try {
+        result = await processWebhookEvent(row.payload, supabaseService);
+        if (result.processed) status = 'processed';
+        else if (result.reason === 'unhandled_event_type') status = 'ignored';
+        else {
+            status = 'failed';
+            errorMessage = result.reason;
+        }
+    } catch (error) {
+        console.error(`❌ Webhook ${row.event_id} failed:`, error.message);
+        status = 'failed';
+        errorMessage = error.message;
+        result = error.details ? { details: error.details } : null;
+    }
+
+    const { data, error } = await supabaseService.client
+        .from('paypal_webhook_events')
+        .update({
+            status,
+            result,
+            error_message: errorMessage,
+            processed_at: status === 'failed' ? null : new Date().toISOString(),
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', row.id)
+        .select('*')
+        .single();
+
+    if (error) console.error('❌ Failed to save webhook outcome:', error.message);
+    return { event: data || { ...row, status, result, error_message: errorMessage }, status, result, error: errorMessage };
+};
+
+/**
+ * List stored webhook events, newest first. The payload is left out of the list.
+ */
+const listWebhookEvents = async (supabaseService, { status, eventType, page = 1, limit = 50 } = {}) => {
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+    const from = (pageNum - 1) * limitNum;
+
+    let query = supabaseService.client
+        .from('paypal_webhook_events')
+        .select('id, event_id, event_type, resource_type, resource_id, summary, verification_status, status, attempts, error_message, received_at, last_attempt_at, processed_at, reprocessed_by', { count: 'exact' })
+        .order('received_at', { ascending: false })
+        .range(from, from + limitNum - 1);
+
+    if (status && status !== 'all') query = query.eq('status', status);
+    if (eventType) query = query.eq('event_type', eventType);
+
+    const { data, error, count } = await query;
+    if (error) throw new PayPalError('Failed to list webhook events', { dbError: error.message }, 500);
+
+    return {
+        events: data || [],
+        pagination: { page: pageNum, limit: limitNum, total: count || 0, totalPages: Math.ceil((count || 0) / limitNum) }
+    };
+};
+
+const getWebhookEvent = async (supabaseService, id) => {
+    const row = await getWebhookEventRow(supabaseService, 'id', id);
+    if (!row) throw new PayPalError('Webhook event not found', { id }, 404);
+    return row;
+};
+
+/**
+ * Re-run a failed (or stuck) webhook event from its stored payload. Rejected
+ * events failed signature verification and are never replayed; unverified
+ * ones only where unsigned deliveries are allowed.
+ */
+const reprocessWebhookEvent = async (supabaseService, id, userId = null) => {
+    const row = await getWebhookEvent(supabaseService, id);
+
+    if (!REPROCESSABLE_WEBHOOK_STATUSES.includes(row.status) || (row.status === 'processing' && !isStaleProcessing(row))) {
+        throw new PayPalError(`Webhook event is ${row.status} and cannot be re-processed`, { id, status: row.status }, 409);
+    }
+
+    // Accepted unverified (no webhook id was configured) - could be forged
+    if (row.verification_status === 'skipped' && !unsignedWebhooksAllowed()) {
+        throw new PayPalError('Unverified webhook events cannot be re-processed', { id, verification_status: row.verification_status }, 409);
+    }
+
+    if (userId) {
+        await supabaseService.client
+            .from('paypal_webhook_events')
+            .update({ reprocessed_by: userId })
+            .eq('id', row.id);
+    }
+
+    console.log(`🔁 Re-processing webhook ${row.event_id} (${row.event_type})`);
+    const outcome = await runWebhookEvent(supabaseService, row);
+    if (outcome.duplicate) {
+        throw new PayPalError('Webhook event is already being processed', { id, status: outcome.status }, 409);
+    }
+    return outcome;
+};
+
 // =============================================
 // MAIN REQUEST HANDLER
 // =============================================
@@ -995,7 +1713,7 @@ const paypalHandler = async (req, res) => {
             status: 'healthy',
             mode: PAYPAL_CONFIG.mode,
             configured: !!(PAYPAL_CONFIG.clientId && PAYPAL_CONFIG.clientSecret),
-            webhookConfigured: !!PAYPAL_CONFIG.webhookId && PAYPAL_CONFIG.webhookId !== 'your_webhook_id_here',
+            webhookConfigured: webhookIdConfigured(),
             timestamp: new Date().toISOString()
         });
     }
@@ -1057,8 +1775,9 @@ const paypalHandler = async (req, res) => {
                 }
 
                 // Save to database - THROW on failure
+                let donation = null;
                 if (supabaseService) {
-                    await saveDonationToDatabase(result, supabaseService, pendingDonation);
+                    donation = await saveDonationToDatabase(result, supabaseService, pendingDonation);
                 } else {
                     console.warn('⚠️ Supabase not available - donation not saved');
                 }
@@ -1069,7 +1788,7 @@ const paypalHandler = async (req, res) => {
                     data: {
                         transactionId: result.transactionId,
                         orderId: result.orderId,
-                        receiptNumber: result.receiptNumber,
+                        receiptNumber: donation?.metadata?.receipt_number || result.receiptNumber,
                         status: result.status,
                         payment: result.payment,
                         payer: result.payer,
@@ -1142,16 +1861,39 @@ const paypalHandler = async (req, res) => {
                 if (req.method !== 'POST') return res.status(405).json({ success: false, message: 'Method not allowed' });
 
                 // Verify webhook in ALL modes when configured
-                if (PAYPAL_CONFIG.webhookId && PAYPAL_CONFIG.webhookId !== 'your_webhook_id_here') {
-                    const isValid = await verifyWebhookSignature(req.headers, req.body);
-                    if (!isValid) {
-                        console.error('❌ Invalid webhook signature');
-                        return res.status(401).json({ success: false, message: 'Invalid signature' });
-                    }
+                let verificationStatus = 'skipped';
+                if (webhookIdConfigured()) {
+                    verificationStatus = await verifyWebhookSignature(req.headers, req.body) ? 'verified' : 'failed';
+                } else if (!unsignedWebhooksAllowed()) {
+                    console.error('❌ PayPal webhook rejected - PAYPAL_WEBHOOK_ID is not configured');
+                    return res.status(503).json({ success: false, message: 'Webhook is not configured' });
                 }
 
-                const result = await processWebhookEvent(req.body, supabaseService);
-                return res.json({ success: true, ...result });
+                if (!supabaseService) return res.status(503).json({ success: false, message: 'Database service unavailable' });
+
+                // Every delivery is stored first so duplicates are suppressed and failures can be replayed
+                const { event: stored, duplicate } = await recordWebhookEvent(supabaseService, req.body, verificationStatus);
+
+                if (verificationStatus === 'failed') {
+                    console.error('❌ Invalid webhook signature');
+                    return res.status(401).json({ success: false, message: 'Invalid signature' });
+                }
+
+                if (duplicate) {
+                    console.log(`⚠️ Duplicate webhook ${stored.event_id} (${stored.status})`);
+                    return res.json({ success: true, duplicate: true, eventId: stored.event_id, status: stored.status });
+                }
+
+                const outcome = await runWebhookEvent(supabaseService, stored);
+                if (outcome.duplicate) {
+                    return res.json({ success: true, duplicate: true, eventId: stored.event_id, status: outcome.status });
+                }
+
+                // A non-2xx response makes PayPal deliver the event again
+                if (outcome.status === 'failed') {
+                    return res.status(500).json({ success: false, message: 'Webhook processing failed', eventId: stored.event_id });
+                }
+                return res.json({ success: true, eventId: stored.event_id, ...outcome.result });
             }
 
             default:
@@ -1188,15 +1930,27 @@ module.exports = {
     // Subscription functions
     createSubscription,
     getSubscription,
+    suspendSubscription,
+    resumeSubscription,
+    reviseSubscription,
     cancelSubscription,
     // Webhook functions
     verifyWebhookSignature,
     processWebhookEvent,
+    recordWebhookEvent,
+    runWebhookEvent,
+    listWebhookEvents,
+    getWebhookEvent,
+    reprocessWebhookEvent,
     // Database functions
     saveDonationToDatabase,
     saveSubscriptionToDatabase,
+    getSubscriptionRecord,
     updateSubscriptionStatus,
     saveRecurringPayment,
+    // Refund, reversal & dispute functions
+    applyDonationAdjustment,
+    summarizeAdjustments,
     // Pending donation functions
     createPendingDonation,
     getPendingByOrderId,
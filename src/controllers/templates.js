@@ -1,6 +1,17 @@
 // Communication Templates Controller - MongoDB
 const CommunicationTemplate = require('../models/CommunicationTemplate');
 const { body, validationResult } = require('express-validator');
+const { supabase } = require('../config/supabase');
+const templateRenderer = require('../services/messaging/templateRenderer');
+const { SAMPLE_RECIPIENT } = templateRenderer;
+
+// Invalid templates (syntax errors, undeclared variables) come back as a 400
+// listing every problem
+const sendRenderError = (res, error) => res.status(error.statusCode).json({
+  success: false,
+  message: error.message,
+  ...(error.details && { details: error.details })
+});
 
 // Get all templates with filtering and pagination
 const getTemplates = async (req, res) => {
@@ -101,6 +112,7 @@ const createTemplate = async (req, res) => {
       created_by: req.user?.id || req.body.created_by,
       usage_count: 0
     };
+    templateRenderer.validate(templateData);
 
     const template = new CommunicationTemplate(templateData);
     await template.save();
@@ -114,6 +126,7 @@ const createTemplate = async (req, res) => {
       data: template
     });
   } catch (error) {
+    if (error.statusCode) return sendRenderError(res, error);
     console.error('Error creating template:', error);
     res.status(500).json({
       success: false,
@@ -127,6 +140,15 @@ const updateTemplate = async (req, res) => {
   try {
     const { id } = req.params;
 
+    const existing = await CommunicationTemplate.findById(id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+    templateRenderer.validate({ ...existing.toObject(), ...req.body });
+
     const template = await CommunicationTemplate.findByIdAndUpdate(
       id,
       {
@@ -149,6 +171,7 @@ const updateTemplate = async (req, res) => {
       data: template
     });
   } catch (error) {
+    if (error.statusCode) return sendRenderError(res, error);
     console.error('Error updating template:', error);
     res.status(500).json({
       success: false,
@@ -190,6 +213,65 @@ const toggleTemplateStatus = async (req, res) => {
   }
 };
 
+// Render a template for a channel against sample data or a real recipient
+// (looked up by recipient_id / recipient_email). Nothing is sent; missing
+// variables and length-limit problems come back as warnings.
+const previewTemplate = async (req, res) => {
+  try {
+    const template = await CommunicationTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    const { channel, data = {}, recipient_id, recipient_email } = req.body;
+    let recipient = req.body.recipient || null;
+
+    if (recipient_id || recipient_email) {
+      const query = supabase.from('users').select('id, full_name, email, phone');
+      const { data: user, error } = await (recipient_id
+        ? query.eq('id', recipient_id)
+        : query.eq('email', String(recipient_email).trim().toLowerCase())
+      ).maybeSingle();
+      if (error) throw error;
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'Recipient not found'
+        });
+      }
+      recipient = { user_id: user.id, name: user.full_name, email: user.email, phone: user.phone };
+    }
+
+    const preview = templateRenderer.render(template.toObject(), {
+      channel: channel || template.type,
+      data,
+      recipient,
+      sample: true
+    });
+
+    res.json({
+      success: true,
+      data: {
+        template_id: template._id,
+        recipient: templateRenderer.recipientData(recipient || SAMPLE_RECIPIENT),
+        sample: !recipient,
+        ...preview
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) return sendRenderError(res, error);
+    console.error('Error previewing template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview template'
+    });
+  }
+};
+
 // Delete template
 const deleteTemplate = async (req, res) => {
   try {
@@ -255,6 +337,7 @@ module.exports = {
   createTemplate,
   updateTemplate,
   toggleTemplateStatus,
+  previewTemplate,
   deleteTemplate,
   incrementUsageCount
 };
@@ -0,0 +1,51 @@
+const accountTokenService = require('../../services/user/accountTokenService');
+const ApiResponse = require('../../utils/response');
+
+// Always the same answer, whether or not the email has an account
+const forgotPassword = async (req, res, next) => {
+  try {
+    await accountTokenService.requestPasswordReset(req.body.email, { ip: req.ip });
+    return ApiResponse.success(
+      res,
+      null,
+      'If an account exists for this email, a password reset link is on its way',
+      202
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+const resetPassword = async (req, res, next) => {
+  try {
+    const result = await accountTokenService.resetPassword(req.body.token, req.body.password);
+    return ApiResponse.success(res, result, 'Password has been reset. Please login with your new password.');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const verifyEmail = async (req, res, next) => {
+  try {
+    const result = await accountTokenService.verifyEmail(req.body.token);
+    return ApiResponse.success(res, result, 'Email address verified');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const resendVerification = async (req, res, next) => {
+  try {
+    const result = await accountTokenService.sendVerification(req.user.id, { ip: req.ip });
+    return ApiResponse.success(res, result, 'Verification email sent', 202);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification
+};
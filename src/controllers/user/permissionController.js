@@ -0,0 +1,58 @@
+const permissionService = require('../../services/user/permissionService');
+const accessAuditService = require('../../services/user/accessAuditService');
+const ApiResponse = require('../../utils/response');
+
+// The permission registry and what each role currently has
+const getPermissionMatrix = async (req, res, next) => {
+  try {
+    const matrix = await permissionService.getMatrix();
+    return ApiResponse.success(res, matrix);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Replace a role's permissions with the given list
+const updateRolePermissions = async (req, res, next) => {
+  try {
+    const role = await permissionService.setRolePermissions(req.params.role, req.body.permissions, req.user.id);
+    return ApiResponse.success(res, role, `Permissions for ${req.params.role} updated`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const resetRolePermissions = async (req, res, next) => {
+  try {
+    const role = await permissionService.resetRole(req.params.role, req.user.id);
+    return ApiResponse.success(res, role, `Permissions for ${req.params.role} reset to defaults`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Requests turned away by requirePermission, newest first
+const getAccessDenials = async (req, res, next) => {
+  try {
+    const { user_id, community_id, permission, reason, since, page, limit } = req.query;
+    const result = await accessAuditService.listDenials({
+      userId: user_id,
+      communityId: community_id,
+      permission,
+      reason,
+      since,
+      page,
+      limit
+    });
+    return ApiResponse.success(res, result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPermissionMatrix,
+  updateRolePermissions,
+  resetRolePermissions,
+  getAccessDenials
+};
@@ -0,0 +1,105 @@
+const sessionService = require('../../services/user/sessionService');
+const HybridUserService = require('../../services/hybridUserService');
+const ApiResponse = require('../../utils/response');
+
+// Same shape as the login response
+const sessionResponse = (user, tokens) => ({
+  user: {
+    id: user.id,
+    email: user.email,
+    full_name: user.full_name,
+    role: user.role || 'user',
+    roles: user.roles || user.metadata?.roles || (user.role ? [user.role] : ['user'])
+  },
+  ...tokens
+});
+
+// Exchange a refresh token for a new access / refresh token pair (no login needed)
+const refreshSession = async (req, res, next) => {
+  try {
+    const { user, tokens } = await sessionService.refresh(
+      req.body.refresh_token,
+      (userId) => HybridUserService.findUserById(userId),
+      { ip: req.ip }
+    );
+    return ApiResponse.success(res, sessionResponse(user, tokens), 'Session refreshed');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Sign out this device - by access token, or by refresh token once the access token expired
+const logout = async (req, res, next) => {
+  try {
+    if (req.user?.session_id) {
+      await sessionService.revokeSession(req.user.id, req.user.session_id);
+    } else if (req.body.refresh_token) {
+      await sessionService.revokeByRefreshToken(req.body.refresh_token);
+    } else {
+      return ApiResponse.error(res, 'refresh_token is required', 400);
+    }
+    return ApiResponse.success(res, null, 'Logged out');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getMySessions = async (req, res, next) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.id, req.user.session_id);
+    return ApiResponse.success(res, sessions);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const revokeMySession = async (req, res, next) => {
+  try {
+    const session = await sessionService.revokeSession(req.user.id, req.params.sessionId);
+    return ApiResponse.success(res, session, 'Session signed out');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Sign out everywhere except this device
+const revokeOtherSessions = async (req, res, next) => {
+  try {
+    const revoked = await sessionService.revokeAllSessions(req.user.id, {
+      reason: 'logout_other',
+      revokedBy: req.user.id,
+      exceptSessionId: req.user.session_id
+    });
+    return ApiResponse.success(res, { sessions_revoked: revoked }, `${revoked} other session(s) signed out`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getUserSessions = async (req, res, next) => {
+  try {
+    const sessions = await sessionService.listSessions(req.params.id);
+    return ApiResponse.success(res, sessions);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const forceLogoutUser = async (req, res, next) => {
+  try {
+    const result = await sessionService.forceLogout(req.params.id, req.user.id);
+    return ApiResponse.success(res, result, 'User has been logged out of all devices');
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  refreshSession,
+  logout,
+  getMySessions,
+  revokeMySession,
+  revokeOtherSessions,
+  getUserSessions,
+  forceLogoutUser
+};
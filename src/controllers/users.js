@@ -1,8 +1,9 @@
 // Users Controller - Supabase
 const HybridUserService = require('../services/hybridUserService');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
+const sessionService = require('../services/user/sessionService');
+const accountTokenService = require('../services/user/accountTokenService');
 
 // Generate random password for admin-created users
 function generateRandomPassword(length = 12) {
@@ -28,6 +29,14 @@ function generateRandomPassword(length = 12) {
   return password.split('').sort(() => Math.random() - 0.5).join('');
 }
 
+// Start a login session for this device: a short-lived access token (also
+// returned as `token` for older clients) plus a rotating refresh token
+const startSession = (req, user) => sessionService.createSession(user, {
+  userAgent: req.get('user-agent'),
+  ip: req.ip,
+  deviceName: req.body.device_name
+});
+
 // Register new user
 const registerUser = async (req, res) => {
   try {
@@ -93,12 +102,8 @@ const registerUser = async (req, res) => {
       status: status || 'active'
     });
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user.id, email: user.email, role: user.role || 'user' },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRE || '7d' }
-    );
+    // Start a session (access + refresh token)
+    const session = await startSession(req, user);
 
     // Send welcome/verification email
     try {
@@ -110,6 +115,9 @@ const registerUser = async (req, res) => {
         ? '🎉 Admin Account Created - Temple Management System'
         : '✅ Registration Successful - Temple Management System';
 
+      // New accounts start unverified; the welcome email carries the link
+      const verificationUrl = await accountTokenService.createVerificationLink(user, { ip: req.ip });
+
       // Format roles for display
       const rolesDisplay = userRoles.map(r => `<span class="role-badge">${r}</span>`).join(' ');
 
@@ -178,6 +186,16 @@ const registerUser = async (req, res) => {
                 </div>
               `}
               
+              ${verificationUrl ? `
+                <div class="info-box">
+                  <strong>✉️ Please verify your email address</strong><br>
+                  Some features stay locked until you confirm this is your email.
+                  <center>
+                    <a href="${verificationUrl}" class="button">Verify Email →</a>
+                  </center>
+                </div>
+              ` : ''}
+
               <p><strong>What you can do:</strong></p>
               <ul>
                 <li>Access the Temple Management Dashboard</li>
@@ -209,7 +227,8 @@ const registerUser = async (req, res) => {
         from: `${process.env.EMAIL_FROM_NAME || 'Temple Admin'} <${process.env.EMAIL_FROM || 'noreply@temple.com'}>`,
         to: email,
         subject: emailSubject,
-        html: emailHtml
+        html: emailHtml,
+        topic: 'account'
       });
 
       console.log(`✅ Welcome email sent to: ${email}`);
@@ -227,9 +246,10 @@ const registerUser = async (req, res) => {
           email: user.email,
           full_name: user.full_name,
           role: user.role || 'user',
-          status: user.status || 'active'
+          status: user.status || 'active',
+          email_verified: false
         },
-        token
+        ...session
       }
     });
   } catch (error) {
@@ -285,12 +305,8 @@ const loginUser = async (req, res) => {
     // Update last login
     await HybridUserService.updateUserLastLogin(user.id);
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user.id, email: user.email, role: user.role || 'user' },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRE || '7d' }
-    );
+    // Start a session (access + refresh token)
+    const session = await startSession(req, user);
 
     // Extract roles for the response
     const userRoles = user.roles || (user.metadata?.roles) || (user.role ? [user.role] : ['user']);
@@ -304,9 +320,10 @@ const loginUser = async (req, res) => {
           email: user.email,
           full_name: user.full_name,
           role: user.role || 'user',
-          roles: userRoles // Include roles array for multi-role support
+          roles: userRoles, // Include roles array for multi-role support
+          email_verified: Boolean(user.email_verified_at)
         },
-        token
+        ...session
       }
     });
   } catch (error) {
@@ -337,9 +354,10 @@ const getCurrentUser = async (req, res) => {
       });
     }
 
+    // Global permissions, so clients can show only what the user may do
     res.json({
       success: true,
-      data: user
+      data: { ...user, permissions: req.user.permissions || [] }
     });
   } catch (error) {
     console.error('Error fetching current user:', error);
@@ -441,8 +459,17 @@ const updateUser = async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Prevent password updates through this endpoint
-    const { password, password_hash, ...updateData } = req.body;
+    // Prevent password updates through this endpoint; verification and forced
+    // logout are only set by their own flows
+    const { password, password_hash, email_verified_at, sessions_revoked_at, ...updateData } = req.body;
+
+    // A new email address has to be verified again
+    const existing = updateData.email ? await HybridUserService.findUserById(id) : null;
+    const emailChanged = existing && existing.email !== String(updateData.email).toLowerCase().trim();
+    if (emailChanged) {
+      updateData.email = String(updateData.email).toLowerCase().trim();
+      updateData.email_verified_at = null;
+    }
 
     const user = await HybridUserService.updateUser(id, updateData);
 
@@ -453,6 +480,14 @@ const updateUser = async (req, res) => {
       });
     }
 
+    if (emailChanged) {
+      try {
+        await accountTokenService.sendVerification(user.id, { ip: req.ip });
+      } catch (emailError) {
+        console.error('⚠️  Failed to send verification email:', emailError.message);
+      }
+    }
+
     // Remove password_hash from response
     const { password_hash: _, ...safeUser } = user;
 
@@ -543,6 +578,9 @@ const changePassword = async (req, res) => {
       });
     }
 
+    // Sign out every device; the user logs in again with the new password
+    await sessionService.revokeAllSessions(req.user.id, { reason: 'password_changed', revokedBy: req.user.id });
+
     res.json({
       success: true,
       message: 'Password changed successfully'
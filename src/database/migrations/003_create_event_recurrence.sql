@@ -0,0 +1,74 @@
+-- Migration: Recurring events engine
+-- Purpose: RRULE-style recurrence rules on community_events with materialized
+--          occurrences and per-occurrence exceptions (moved / cancelled)
+
+-- ============================================================================
+-- RECURRENCE RULES
+-- ============================================================================
+-- One active rule per series. "This and following" edits split a series by
+-- closing the old rule with an UNTIL and creating a new rule from that date.
+
+CREATE TABLE IF NOT EXISTS public.event_recurrence_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    event_id UUID NOT NULL REFERENCES public.community_events(id) ON DELETE CASCADE,
+    parent_rule_id UUID REFERENCES public.event_recurrence_rules(id) ON DELETE SET NULL,
+
+    -- daily | weekly | monthly | yearly | tithi (Hindu lunar day)
+    freq TEXT NOT NULL CHECK (freq IN ('daily', 'weekly', 'monthly', 'yearly', 'tithi')),
+    interval INTEGER NOT NULL DEFAULT 1 CHECK (interval > 0),
+    by_weekday TEXT[],            -- e.g. {MO,TH}
+    by_month_day INTEGER[],       -- e.g. {1,15} or {-1} for last day
+    by_set_pos INTEGER,           -- e.g. 2 = second, -1 = last (with by_weekday, monthly)
+    by_month INTEGER[],           -- yearly only
+    tithis JSONB,                 -- e.g. [11, 26] or ["ekadashi"]
+    offset_days INTEGER NOT NULL DEFAULT 0,
+
+    -- Series boundaries (dates are local to the rule timezone)
+    dtstart DATE NOT NULL,
+    until DATE,
+    count INTEGER CHECK (count IS NULL OR count > 0),
+    start_time TIME NOT NULL,
+    duration_minutes INTEGER NOT NULL DEFAULT 60,
+    timezone TEXT NOT NULL DEFAULT 'Asia/Kolkata',
+
+    rrule TEXT,
+    overrides JSONB DEFAULT '{}'::jsonb,   -- title/location/description for a split series
+    materialized_until DATE,
+    created_by UUID,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_recurrence_rules_event
+    ON public.event_recurrence_rules(event_id);
+
+-- ============================================================================
+-- MATERIALIZED OCCURRENCES
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.event_occurrences (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    rule_id UUID NOT NULL REFERENCES public.event_recurrence_rules(id) ON DELETE CASCADE,
+    event_id UUID NOT NULL REFERENCES public.community_events(id) ON DELETE CASCADE,
+
+    -- The date the rule generated; stays fixed when the occurrence is moved
+    original_date DATE NOT NULL,
+    starts_at TIMESTAMPTZ NOT NULL,
+    ends_at TIMESTAMPTZ NOT NULL,
+
+    status TEXT NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'moved', 'cancelled')),
+    is_exception BOOLEAN NOT NULL DEFAULT false,
+    overrides JSONB DEFAULT '{}'::jsonb,   -- per-occurrence title/location/description
+    note TEXT,
+
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT event_occurrences_rule_date_key UNIQUE (rule_id, original_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_occurrences_event_start
+    ON public.event_occurrences(event_id, starts_at);
+
+CREATE INDEX IF NOT EXISTS idx_event_occurrences_starts_at
+    ON public.event_occurrences(starts_at)
+    WHERE status <> 'cancelled';
@@ -0,0 +1,42 @@
+-- Migration: Event registrations / RSVP
+-- Purpose: Public and member registration for community_events with capacity,
+--          waitlist promotion, guest counts and signed check-in tickets
+
+CREATE TABLE IF NOT EXISTS public.event_registrations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    event_id UUID NOT NULL REFERENCES public.community_events(id) ON DELETE CASCADE,
+    -- Set when registering for a single occurrence of a recurring event
+    occurrence_id UUID REFERENCES public.event_occurrences(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES public.users(id),
+
+    name TEXT NOT NULL,
+    email TEXT NOT NULL,
+    phone TEXT,
+    guest_count INTEGER NOT NULL DEFAULT 0 CHECK (guest_count >= 0),
+    party_size INTEGER GENERATED ALWAYS AS (guest_count + 1) STORED,
+
+    status TEXT NOT NULL DEFAULT 'confirmed'
+        CHECK (status IN ('confirmed', 'waitlisted', 'cancelled', 'checked_in')),
+    source TEXT NOT NULL DEFAULT 'public' CHECK (source IN ('public', 'member', 'admin')),
+    ticket_code TEXT UNIQUE,
+    notes TEXT,
+
+    promoted_at TIMESTAMPTZ,
+    cancelled_at TIMESTAMPTZ,
+    checked_in_at TIMESTAMPTZ,
+    checked_in_by UUID,
+
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- One active registration per email per event (or occurrence)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_event_registrations_active_email
+    ON public.event_registrations(event_id, COALESCE(occurrence_id, '00000000-0000-0000-0000-000000000000'::uuid), LOWER(email))
+    WHERE status <> 'cancelled';
+
+CREATE INDEX IF NOT EXISTS idx_event_registrations_event_status
+    ON public.event_registrations(event_id, status, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_event_registrations_user
+    ON public.event_registrations(user_id);
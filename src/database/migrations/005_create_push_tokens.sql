@@ -0,0 +1,19 @@
+-- Migration: Push notification device tokens
+-- Purpose: Expo push tokens registered by the volunteer mobile app so
+--          broadcasts on the "push" channel can reach members' devices
+
+CREATE TABLE IF NOT EXISTS public.push_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    token TEXT NOT NULL UNIQUE,               -- ExponentPushToken[...]
+    platform TEXT CHECK (platform IN ('ios', 'android', 'web')),
+    device_name TEXT,
+    is_active BOOLEAN NOT NULL DEFAULT true,  -- cleared when Expo reports DeviceNotRegistered
+    last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_tokens_user_active
+    ON public.push_tokens(user_id)
+    WHERE is_active = true;
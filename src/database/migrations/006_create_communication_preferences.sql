@@ -0,0 +1,80 @@
+-- Migration: Communication preferences, unsubscribe and consent log
+-- Purpose: per-contact, per-channel, per-topic opt-outs honoured by every
+--          send path, plus an append-only consent history for reporting
+
+-- ============================================================================
+-- PREFERENCES
+-- ============================================================================
+-- A row only exists once someone changes a preference; no row = subscribed.
+-- "contact" is the channel address: lower-cased email, E.164 phone number,
+-- or user id for push. topic 'all' opts out of every topic on the channel;
+-- a row for a specific topic overrides it.
+
+CREATE TABLE IF NOT EXISTS public.communication_preferences (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    contact TEXT NOT NULL,
+    user_id UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    channel TEXT NOT NULL CHECK (channel IN ('email', 'sms', 'whatsapp', 'push')),
+    topic TEXT NOT NULL DEFAULT 'all',
+    subscribed BOOLEAN NOT NULL DEFAULT true,
+    source TEXT NOT NULL DEFAULT 'preference_center'
+        CHECK (source IN ('unsubscribe_link', 'one_click', 'preference_center', 'admin', 'bounce', 'import')),
+    reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT communication_preferences_contact_key UNIQUE (contact, channel, topic)
+);
+
+CREATE INDEX IF NOT EXISTS idx_communication_preferences_user
+    ON public.communication_preferences(user_id);
+
+CREATE INDEX IF NOT EXISTS idx_communication_preferences_opted_out
+    ON public.communication_preferences(channel, topic)
+    WHERE subscribed = false;
+
+-- ============================================================================
+-- CONSENT HISTORY
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.communication_consent_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    contact TEXT NOT NULL,
+    user_id UUID,
+    channel TEXT NOT NULL,
+    topic TEXT NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('opt_in', 'opt_out')),
+    source TEXT NOT NULL,
+    reason TEXT,
+    ip_address TEXT,
+    user_agent TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_communication_consent_events_created
+    ON public.communication_consent_events(created_at);
+
+-- ============================================================================
+-- SEND LOG (for opt-out rate reporting)
+-- ============================================================================
+-- Daily per channel/topic counters of messages actually handed to a provider.
+
+CREATE TABLE IF NOT EXISTS public.communication_send_stats (
+    day DATE NOT NULL,
+    channel TEXT NOT NULL,
+    topic TEXT NOT NULL,
+    sent_count INTEGER NOT NULL DEFAULT 0,
+    suppressed_count INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (day, channel, topic)
+);
+
+CREATE OR REPLACE FUNCTION public.increment_communication_send_stats(
+    p_channel TEXT, p_topic TEXT, p_sent INTEGER, p_suppressed INTEGER
+) RETURNS VOID AS $$
+BEGIN
+    INSERT INTO public.communication_send_stats (day, channel, topic, sent_count, suppressed_count)
+    VALUES (CURRENT_DATE, p_channel, p_topic, p_sent, p_suppressed)
+    ON CONFLICT (day, channel, topic) DO UPDATE
+        SET sent_count = communication_send_stats.sent_count + EXCLUDED.sent_count,
+            suppressed_count = communication_send_stats.suppressed_count + EXCLUDED.suppressed_count;
+END;
+$$ LANGUAGE plpgsql;
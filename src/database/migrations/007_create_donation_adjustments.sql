@@ -0,0 +1,61 @@
+-- Migration: Donation refunds, reversals and disputes
+-- Purpose: track money returned or held after a donation was captured, keep
+--          the donation's net amount current and mark affected receipts
+
+-- ============================================================================
+-- DONATIONS
+-- ============================================================================
+-- refunded_amount / net_amount are recomputed from donation_adjustments on
+-- every refund, reversal or dispute event. 'cancelled' and 'suspended' are
+-- written by the subscription webhooks.
+
+ALTER TABLE public.donations
+    ADD COLUMN IF NOT EXISTS refunded_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS net_amount NUMERIC(12, 2);
+
+ALTER TABLE public.donations DROP CONSTRAINT IF EXISTS donations_payment_status_check;
+ALTER TABLE public.donations ADD CONSTRAINT donations_payment_status_check
+    CHECK (payment_status IN (
+        'pending', 'completed', 'failed', 'refunded', 'partially_refunded',
+        'reversed', 'disputed', 'cancelled', 'suspended'
+    ));
+
+-- ============================================================================
+-- ADJUSTMENTS
+-- ============================================================================
+-- One row per provider refund, reversal or dispute. provider_reference is the
+-- refund id or dispute id, so replayed webhooks update the same row.
+
+CREATE TABLE IF NOT EXISTS public.donation_adjustments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    donation_id UUID NOT NULL REFERENCES public.donations(id) ON DELETE CASCADE,
+    provider TEXT NOT NULL DEFAULT 'paypal',
+    provider_reference TEXT NOT NULL,
+    adjustment_type TEXT NOT NULL CHECK (adjustment_type IN ('refund', 'reversal', 'dispute')),
+    status TEXT NOT NULL,
+    amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    currency TEXT DEFAULT 'USD',
+    reason TEXT,
+    outcome TEXT,
+    raw_event JSONB DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT donation_adjustments_reference_key UNIQUE (provider, provider_reference)
+);
+
+CREATE INDEX IF NOT EXISTS idx_donation_adjustments_donation
+    ON public.donation_adjustments(donation_id);
+
+-- ============================================================================
+-- RECEIPTS
+-- ============================================================================
+-- A fully refunded or reversed donation voids its receipt; a partial refund
+-- amends it to the amount actually kept.
+
+ALTER TABLE public.donation_receipts
+    ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'issued'
+        CHECK (status IN ('issued', 'amended', 'void')),
+    ADD COLUMN IF NOT EXISTS amended_amount NUMERIC(12, 2),
+    ADD COLUMN IF NOT EXISTS voided_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS void_reason TEXT,
+    ADD COLUMN IF NOT EXISTS notes TEXT;
@@ -0,0 +1,36 @@
+-- Migration: PayPal webhook event store
+-- Purpose: persist every webhook delivery with its verification result and
+--          processing outcome, suppress duplicates by PayPal event id and let
+--          finance admins replay failed events
+
+CREATE TABLE IF NOT EXISTS public.paypal_webhook_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    event_id TEXT NOT NULL,
+    event_type TEXT NOT NULL,
+    resource_type TEXT,
+    resource_id TEXT,
+    summary TEXT,
+    -- 'skipped' when PAYPAL_WEBHOOK_ID is not configured
+    verification_status TEXT NOT NULL DEFAULT 'skipped'
+        CHECK (verification_status IN ('verified', 'failed', 'skipped')),
+    -- received -> processing -> processed | ignored (unhandled type) | failed;
+    -- rejected = signature verification failed, never processed
+    status TEXT NOT NULL DEFAULT 'received'
+        CHECK (status IN ('received', 'processing', 'processed', 'ignored', 'failed', 'rejected')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    result JSONB,
+    error_message TEXT,
+    payload JSONB NOT NULL,
+    reprocessed_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    received_at TIMESTAMPTZ DEFAULT NOW(),
+    last_attempt_at TIMESTAMPTZ,
+    processed_at TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT paypal_webhook_events_event_id_key UNIQUE (event_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_paypal_webhook_events_status
+    ON public.paypal_webhook_events(status, received_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_paypal_webhook_events_type
+    ON public.paypal_webhook_events(event_type);
@@ -0,0 +1,86 @@
+-- Migration: Priest availability and booking durations
+-- Purpose: working hours, days off and per-puja durations so bookings can be
+--          checked for real time-range conflicts (with travel time for home
+--          pujas) before a priest is assigned
+
+-- ============================================================================
+-- WORKING HOURS
+-- ============================================================================
+-- Weekly template; several windows per day are allowed (e.g. split shifts).
+-- A priest with no rows at all is treated as available at any time.
+
+CREATE TABLE IF NOT EXISTS public.priest_working_hours (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    priest_id UUID NOT NULL REFERENCES public.priests(id) ON DELETE CASCADE,
+    day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6), -- 0 = Sunday
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT priest_working_hours_range CHECK (end_time > start_time),
+    CONSTRAINT priest_working_hours_unique UNIQUE (priest_id, day_of_week, start_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_priest_working_hours_priest
+    ON public.priest_working_hours(priest_id, day_of_week);
+
+-- ============================================================================
+-- TIME OFF
+-- ============================================================================
+-- Whole days when start_time/end_time are null, otherwise the same time
+-- window on every day of the range.
+
+CREATE TABLE IF NOT EXISTS public.priest_time_off (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    priest_id UUID NOT NULL REFERENCES public.priests(id) ON DELETE CASCADE,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    start_time TIME,
+    end_time TIME,
+    reason TEXT,
+    created_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT priest_time_off_dates CHECK (end_date >= start_date),
+    CONSTRAINT priest_time_off_times CHECK (
+        (start_time IS NULL AND end_time IS NULL) OR
+        (start_time IS NOT NULL AND end_time IS NOT NULL AND end_time > start_time)
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_priest_time_off_priest
+    ON public.priest_time_off(priest_id, start_date, end_date);
+
+-- ============================================================================
+-- PUJA DURATIONS
+-- ============================================================================
+-- priest_id NULL is the default for the puja type; a row for a specific
+-- priest overrides it. puja_type is stored lower-case. travel_buffer_minutes
+-- applies before and after home pujas (NULL = PRIEST_TRAVEL_BUFFER_MINUTES).
+
+CREATE TABLE IF NOT EXISTS public.priest_puja_durations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    puja_type TEXT NOT NULL,
+    priest_id UUID REFERENCES public.priests(id) ON DELETE CASCADE,
+    duration_minutes INTEGER NOT NULL CHECK (duration_minutes > 0),
+    travel_buffer_minutes INTEGER CHECK (travel_buffer_minutes >= 0),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_priest_puja_durations_default
+    ON public.priest_puja_durations(puja_type) WHERE priest_id IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_priest_puja_durations_priest
+    ON public.priest_puja_durations(puja_type, priest_id) WHERE priest_id IS NOT NULL;
+
+-- ============================================================================
+-- BOOKINGS
+-- ============================================================================
+-- location_type NULL = infer from address (an address means a home puja).
+-- duration_minutes overrides the configured duration for one booking.
+
+ALTER TABLE public.priest_bookings
+    ADD COLUMN IF NOT EXISTS location_type TEXT CHECK (location_type IN ('temple', 'home')),
+    ADD COLUMN IF NOT EXISTS duration_minutes INTEGER CHECK (duration_minutes > 0);
+
+CREATE INDEX IF NOT EXISTS idx_priest_bookings_priest_date
+    ON public.priest_bookings(priest_id, preferred_date);
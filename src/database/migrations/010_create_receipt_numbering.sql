@@ -0,0 +1,91 @@
+-- Migration: Sequential donation receipt numbering
+-- Purpose: gap-free receipt numbers per fiscal year, allocated in the same
+--          transaction that records the receipt
+
+-- ============================================================================
+-- SEQUENCES
+-- ============================================================================
+-- One row per fiscal year. A Postgres SEQUENCE would leave gaps on rollback,
+-- so the counter is a locked row incremented by issue_donation_receipt().
+
+CREATE TABLE IF NOT EXISTS public.receipt_sequences (
+    fiscal_year TEXT PRIMARY KEY,
+    last_number INTEGER NOT NULL DEFAULT 0 CHECK (last_number >= 0),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================================================
+-- RECEIPTS
+-- ============================================================================
+-- amount/currency are the values receipted at issue time; amended_amount
+-- (migration 007) records later partial refunds.
+
+ALTER TABLE public.donation_receipts
+    ADD COLUMN IF NOT EXISTS fiscal_year TEXT,
+    ADD COLUMN IF NOT EXISTS sequence_number INTEGER,
+    ADD COLUMN IF NOT EXISTS amount NUMERIC(12, 2),
+    ADD COLUMN IF NOT EXISTS currency TEXT DEFAULT 'USD';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_donation_receipts_donation
+    ON public.donation_receipts(donation_id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_donation_receipts_fiscal_sequence
+    ON public.donation_receipts(fiscal_year, sequence_number);
+
+-- ============================================================================
+-- ISSUE FUNCTION
+-- ============================================================================
+-- Returns the donation's existing receipt, or allocates the next number for
+-- the fiscal year and inserts the receipt. The sequence row stays locked until
+-- the transaction commits, so concurrent calls queue rather than skip numbers.
+
+CREATE OR REPLACE FUNCTION public.issue_donation_receipt(
+    p_donation_id UUID,
+    p_fiscal_year TEXT,
+    p_prefix TEXT,
+    p_issued_to TEXT,
+    p_issued_by TEXT,
+    p_amount NUMERIC,
+    p_currency TEXT
+)
+RETURNS public.donation_receipts
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_receipt public.donation_receipts;
+    v_number INTEGER;
+BEGIN
+    SELECT * INTO v_receipt FROM public.donation_receipts WHERE donation_id = p_donation_id;
+    IF FOUND THEN
+        RETURN v_receipt;
+    END IF;
+
+    INSERT INTO public.receipt_sequences (fiscal_year, last_number)
+    VALUES (p_fiscal_year, 0)
+    ON CONFLICT (fiscal_year) DO NOTHING;
+
+    UPDATE public.receipt_sequences
+    SET last_number = last_number + 1, updated_at = NOW()
+    WHERE fiscal_year = p_fiscal_year
+    RETURNING last_number INTO v_number;
+
+    INSERT INTO public.donation_receipts (
+        donation_id, receipt_number, receipt_date, issued_to, issued_by,
+        fiscal_year, sequence_number, amount, currency
+    )
+    VALUES (
+        p_donation_id,
+        p_prefix || '-' || p_fiscal_year || '-' || LPAD(v_number::TEXT, 6, '0'),
+        CURRENT_DATE,
+        p_issued_to,
+        p_issued_by,
+        p_fiscal_year,
+        v_number,
+        p_amount,
+        p_currency
+    )
+    RETURNING * INTO v_receipt;
+
+    RETURN v_receipt;
+END;
+$$;
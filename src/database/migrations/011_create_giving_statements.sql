@@ -0,0 +1,79 @@
+-- Migration: Annual giving statements
+-- Purpose: one consolidated year-end statement per donor, generated in batch
+--          runs, with delivery tracking (sent, bounced, re-requested)
+
+-- ============================================================================
+-- RUNS
+-- ============================================================================
+-- A run generates (or refreshes) the statements for one period and then
+-- emails the ones that are still pending.
+
+CREATE TABLE IF NOT EXISTS public.giving_statement_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    period_type TEXT NOT NULL CHECK (period_type IN ('calendar', 'fiscal')),
+    period_label TEXT NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    status TEXT NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+    send_emails BOOLEAN NOT NULL DEFAULT true,
+    donor_count INTEGER NOT NULL DEFAULT 0,
+    sent_count INTEGER NOT NULL DEFAULT 0,
+    failed_count INTEGER NOT NULL DEFAULT 0,
+    skipped_count INTEGER NOT NULL DEFAULT 0,
+    unattributed_count INTEGER NOT NULL DEFAULT 0, -- donations without a donor email
+    error_message TEXT,
+    created_by TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_giving_statement_runs_period
+    ON public.giving_statement_runs(period_type, period_label, created_at DESC);
+
+-- ============================================================================
+-- STATEMENTS
+-- ============================================================================
+-- One row per donor (lower-cased email) and period. `lines` is the snapshot of
+-- donations the statement was built from, so a re-download shows exactly what
+-- was sent. `totals` is keyed by currency.
+
+CREATE TABLE IF NOT EXISTS public.giving_statements (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    run_id UUID REFERENCES public.giving_statement_runs(id) ON DELETE SET NULL,
+    donor_email TEXT NOT NULL,
+    donor_name TEXT,
+    period_type TEXT NOT NULL CHECK (period_type IN ('calendar', 'fiscal')),
+    period_label TEXT NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    donation_count INTEGER NOT NULL DEFAULT 0,
+    recurring_count INTEGER NOT NULL DEFAULT 0,
+    total_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    currency TEXT NOT NULL DEFAULT 'USD',
+    totals JSONB NOT NULL DEFAULT '{}'::jsonb,
+    lines JSONB NOT NULL DEFAULT '[]'::jsonb,
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'sent', 'suppressed', 'failed', 'bounced')),
+    email_message_id TEXT,
+    send_count INTEGER NOT NULL DEFAULT 0,
+    sent_at TIMESTAMPTZ,
+    bounced_at TIMESTAMPTZ,
+    bounce_reason TEXT,
+    request_count INTEGER NOT NULL DEFAULT 0, -- donor re-requests
+    last_requested_at TIMESTAMPTZ,
+    error_message TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT giving_statements_donor_period_key UNIQUE (donor_email, period_type, period_label)
+);
+
+CREATE INDEX IF NOT EXISTS idx_giving_statements_run
+    ON public.giving_statements(run_id, status);
+
+CREATE INDEX IF NOT EXISTS idx_giving_statements_period
+    ON public.giving_statements(period_type, period_label, status);
+
+CREATE INDEX IF NOT EXISTS idx_giving_statements_message
+    ON public.giving_statements(email_message_id);
@@ -0,0 +1,114 @@
+-- Migration: Bank and payment-gateway reconciliation
+-- Purpose: import bank statements (CSV/OFX) and PayPal reports, match their
+--          lines to donations and expenses, and lock reconciled periods
+
+-- ============================================================================
+-- RECONCILED FLAGS
+-- ============================================================================
+
+ALTER TABLE public.donations
+    ADD COLUMN IF NOT EXISTS reconciled BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN IF NOT EXISTS reconciled_at TIMESTAMPTZ;
+
+ALTER TABLE public.expenses
+    ADD COLUMN IF NOT EXISTS reconciled BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN IF NOT EXISTS reconciled_at TIMESTAMPTZ;
+
+-- ============================================================================
+-- IMPORTS
+-- ============================================================================
+-- account_key identifies the statement's account ('' when unknown), so the
+-- same bank account imported twice de-duplicates and locks together.
+
+CREATE TABLE IF NOT EXISTS public.reconciliation_imports (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    source TEXT NOT NULL CHECK (source IN ('bank', 'paypal')),
+    format TEXT NOT NULL CHECK (format IN ('csv', 'ofx', 'paypal_csv')),
+    account_key TEXT NOT NULL DEFAULT '',
+    file_name TEXT,
+    file_hash TEXT NOT NULL,
+    period_start DATE,
+    period_end DATE,
+    line_count INTEGER NOT NULL DEFAULT 0,
+    duplicate_count INTEGER NOT NULL DEFAULT 0,
+    matched_count INTEGER NOT NULL DEFAULT 0,
+    created_by TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT reconciliation_imports_file_key UNIQUE (source, account_key, file_hash)
+);
+
+-- ============================================================================
+-- LINES
+-- ============================================================================
+-- amount is signed (inflows positive). fingerprint is the provider reference
+-- or a hash of date/amount/description, so overlapping statements do not
+-- import the same transaction twice. suggestions holds the candidate matches
+-- shown in the manual matching queue.
+
+CREATE TABLE IF NOT EXISTS public.reconciliation_lines (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    import_id UUID NOT NULL REFERENCES public.reconciliation_imports(id) ON DELETE CASCADE,
+    source TEXT NOT NULL CHECK (source IN ('bank', 'paypal')),
+    account_key TEXT NOT NULL DEFAULT '',
+    line_number INTEGER NOT NULL,
+    fingerprint TEXT NOT NULL,
+    transaction_date DATE NOT NULL,
+    amount NUMERIC(12, 2) NOT NULL,
+    fee NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    currency TEXT NOT NULL DEFAULT 'USD',
+    description TEXT,
+    reference TEXT,
+    counterparty TEXT,
+    raw JSONB DEFAULT '{}'::jsonb,
+    status TEXT NOT NULL DEFAULT 'unmatched'
+        CHECK (status IN ('unmatched', 'matched', 'excluded')),
+    match_type TEXT CHECK (match_type IN ('auto', 'manual')),
+    match_score NUMERIC(4, 3),
+    donation_id UUID REFERENCES public.donations(id) ON DELETE SET NULL,
+    expense_id UUID REFERENCES public.expenses(id) ON DELETE SET NULL,
+    suggestions JSONB NOT NULL DEFAULT '[]'::jsonb,
+    matched_by TEXT,
+    matched_at TIMESTAMPTZ,
+    notes TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT reconciliation_lines_fingerprint_key UNIQUE (source, account_key, fingerprint),
+    CONSTRAINT reconciliation_lines_single_match CHECK (donation_id IS NULL OR expense_id IS NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_reconciliation_lines_queue
+    ON public.reconciliation_lines(status, transaction_date);
+
+CREATE INDEX IF NOT EXISTS idx_reconciliation_lines_import
+    ON public.reconciliation_lines(import_id, line_number);
+
+-- A donation (or expense) is paid in by at most one statement line per
+-- source; refund lines for the same donation run the other way
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reconciliation_lines_donation
+    ON public.reconciliation_lines(source, donation_id) WHERE donation_id IS NOT NULL AND amount > 0;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reconciliation_lines_expense
+    ON public.reconciliation_lines(source, expense_id) WHERE expense_id IS NOT NULL AND amount < 0;
+
+-- ============================================================================
+-- LOCKED PERIODS
+-- ============================================================================
+-- Once every line of an account's period is matched or excluded the period
+-- can be locked: its lines can no longer be re-matched, no further lines can
+-- be imported into it, and its reconciled donations and expenses are frozen.
+
+CREATE TABLE IF NOT EXISTS public.reconciliation_periods (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    source TEXT NOT NULL CHECK (source IN ('bank', 'paypal')),
+    account_key TEXT NOT NULL DEFAULT '',
+    period_start DATE NOT NULL,
+    period_end DATE NOT NULL,
+    summary JSONB DEFAULT '{}'::jsonb,
+    notes TEXT,
+    locked_by TEXT,
+    locked_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT reconciliation_periods_range CHECK (period_end >= period_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_reconciliation_periods_account
+    ON public.reconciliation_periods(source, account_key, period_start, period_end);
@@ -0,0 +1,279 @@
+-- Migration: Double-entry general ledger
+-- Purpose: chart of accounts and balanced journal entries posted from
+--          donations, PayPal refunds and fees, expenses, finance
+--          transactions and budget spend; closed periods for the books
+
+-- ============================================================================
+-- CHART OF ACCOUNTS
+-- ============================================================================
+-- normal_balance says which side increases the account. Contra accounts
+-- (e.g. donation refunds under income) carry the opposite side of their type.
+
+CREATE TABLE IF NOT EXISTS public.gl_accounts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    code TEXT NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    account_type TEXT NOT NULL
+        CHECK (account_type IN ('asset', 'liability', 'net_assets', 'income', 'expense')),
+    normal_balance TEXT NOT NULL CHECK (normal_balance IN ('debit', 'credit')),
+    description TEXT,
+    is_system BOOLEAN NOT NULL DEFAULT false,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Accounts the automatic postings rely on (see ledgerService)
+INSERT INTO public.gl_accounts (code, name, account_type, normal_balance, is_system) VALUES
+    ('1000', 'Cash on Hand', 'asset', 'debit', true),
+    ('1010', 'Bank - Operating', 'asset', 'debit', true),
+    ('1020', 'PayPal Clearing', 'asset', 'debit', true),
+    ('2000', 'Accounts Payable', 'liability', 'credit', true),
+    ('3000', 'Net Assets - Unrestricted', 'net_assets', 'credit', true),
+    ('3900', 'Opening Balances', 'net_assets', 'credit', true),
+    ('4000', 'Donations - General', 'income', 'credit', true),
+    ('4010', 'Donations - Puja & Services', 'income', 'credit', true),
+    ('4020', 'Donations - Annadaana', 'income', 'credit', true),
+    ('4030', 'Donations - Recurring', 'income', 'credit', true),
+    ('4040', 'Donations - Sai Aangan', 'income', 'credit', true),
+    ('4050', 'Donations - Service to Needy', 'income', 'credit', true),
+    ('4800', 'Donation Refunds & Reversals', 'income', 'debit', true),
+    ('4900', 'Other Income', 'income', 'credit', true),
+    ('5000', 'Operational Expenses', 'expense', 'debit', true),
+    ('5010', 'Maintenance', 'expense', 'debit', true),
+    ('5020', 'Utilities', 'expense', 'debit', true),
+    ('5030', 'Salaries', 'expense', 'debit', true),
+    ('5040', 'Materials & Supplies', 'expense', 'debit', true),
+    ('5050', 'Events', 'expense', 'debit', true),
+    ('5060', 'Charitable Grants', 'expense', 'debit', true),
+    ('5090', 'Other Expenses', 'expense', 'debit', true),
+    ('5100', 'Payment Processing Fees', 'expense', 'debit', true)
+ON CONFLICT (code) DO NOTHING;
+
+-- ============================================================================
+-- JOURNAL
+-- ============================================================================
+-- Entries are never edited. When a source record changes, its entry is
+-- reversed and a new one posted, so history stays auditable. source_type +
+-- source_id tie an entry to the record it was posted from; at most one
+-- original entry per record is live at a time.
+
+CREATE TABLE IF NOT EXISTS public.journal_entries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    entry_number BIGSERIAL UNIQUE,
+    entry_date DATE NOT NULL,
+    description TEXT NOT NULL,
+    source_type TEXT NOT NULL
+        CHECK (source_type IN ('donation', 'donation_adjustment', 'expense', 'transaction', 'budget_spend', 'manual')),
+    source_id TEXT,
+    status TEXT NOT NULL DEFAULT 'posted' CHECK (status IN ('posted', 'reversed')),
+    reversal_of UUID REFERENCES public.journal_entries(id),
+    reversed_at TIMESTAMPTZ,
+    total_amount NUMERIC(14, 2) NOT NULL DEFAULT 0,
+    currency TEXT NOT NULL DEFAULT 'USD',
+    created_by TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_journal_entries_live_source
+    ON public.journal_entries(source_type, source_id)
+    WHERE status = 'posted' AND reversal_of IS NULL AND source_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_journal_entries_date
+    ON public.journal_entries(entry_date);
+
+CREATE TABLE IF NOT EXISTS public.journal_lines (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    entry_id UUID NOT NULL REFERENCES public.journal_entries(id) ON DELETE CASCADE,
+    account_id UUID NOT NULL REFERENCES public.gl_accounts(id),
+    debit NUMERIC(14, 2) NOT NULL DEFAULT 0 CHECK (debit >= 0),
+    credit NUMERIC(14, 2) NOT NULL DEFAULT 0 CHECK (credit >= 0),
+    memo TEXT,
+    budget_id UUID REFERENCES public.budgets(id) ON DELETE SET NULL,
+    CONSTRAINT journal_lines_one_side CHECK ((debit > 0) <> (credit > 0))
+);
+
+CREATE INDEX IF NOT EXISTS idx_journal_lines_entry ON public.journal_lines(entry_id);
+CREATE INDEX IF NOT EXISTS idx_journal_lines_account ON public.journal_lines(account_id);
+
+-- ============================================================================
+-- CLOSED PERIODS
+-- ============================================================================
+-- Nothing can be posted on or before the latest closed_through date; changes
+-- to records in a closed period are posted on the current date instead.
+
+CREATE TABLE IF NOT EXISTS public.gl_period_closes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    closed_through DATE NOT NULL UNIQUE,
+    summary JSONB DEFAULT '{}'::jsonb,
+    notes TEXT,
+    closed_by TEXT,
+    closed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================================================
+-- POSTING
+-- ============================================================================
+-- Entry and lines are written in one transaction and must balance. Errors use
+-- their own SQLSTATEs so the API can report them:
+--   GL001 period closed, GL002 unbalanced, GL003 already reversed,
+--   GL004 unknown or inactive account
+
+CREATE OR REPLACE FUNCTION public.post_journal_entry(p_entry JSONB, p_lines JSONB)
+RETURNS public.journal_entries
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_entry public.journal_entries;
+    v_line JSONB;
+    v_account_id UUID;
+    v_debits NUMERIC := 0;
+    v_credits NUMERIC := 0;
+    v_closed DATE;
+BEGIN
+    SELECT MAX(closed_through) INTO v_closed FROM public.gl_period_closes;
+    IF v_closed IS NOT NULL AND (p_entry->>'entry_date')::DATE <= v_closed THEN
+        RAISE EXCEPTION 'Books are closed through %', v_closed USING ERRCODE = 'GL001';
+    END IF;
+
+    IF jsonb_array_length(p_lines) < 2 THEN
+        RAISE EXCEPTION 'A journal entry needs at least two lines' USING ERRCODE = 'GL002';
+    END IF;
+
+    SELECT COALESCE(SUM(ROUND((l->>'debit')::NUMERIC, 2)), 0),
+           COALESCE(SUM(ROUND((l->>'credit')::NUMERIC, 2)), 0)
+    INTO v_debits, v_credits
+    FROM jsonb_array_elements(p_lines) AS l;
+
+    IF v_debits <> v_credits OR v_debits = 0 THEN
+        RAISE EXCEPTION 'Journal entry does not balance (debits %, credits %)', v_debits, v_credits
+            USING ERRCODE = 'GL002';
+    END IF;
+
+    INSERT INTO public.journal_entries (
+        entry_date, description, source_type, source_id, reversal_of,
+        total_amount, currency, created_by
+    )
+    VALUES (
+        (p_entry->>'entry_date')::DATE,
+        p_entry->>'description',
+        p_entry->>'source_type',
+        p_entry->>'source_id',
+        (p_entry->>'reversal_of')::UUID,
+        v_debits,
+        COALESCE(p_entry->>'currency', 'USD'),
+        p_entry->>'created_by'
+    )
+    RETURNING * INTO v_entry;
+
+    FOR v_line IN SELECT * FROM jsonb_array_elements(p_lines) LOOP
+        SELECT id INTO v_account_id
+        FROM public.gl_accounts
+        WHERE code = v_line->>'account_code' AND is_active;
+
+        IF v_account_id IS NULL THEN
+            RAISE EXCEPTION 'Unknown or inactive account %', v_line->>'account_code' USING ERRCODE = 'GL004';
+        END IF;
+
+        INSERT INTO public.journal_lines (entry_id, account_id, debit, credit, memo, budget_id)
+        VALUES (
+            v_entry.id,
+            v_account_id,
+            ROUND(COALESCE((v_line->>'debit')::NUMERIC, 0), 2),
+            ROUND(COALESCE((v_line->>'credit')::NUMERIC, 0), 2),
+            v_line->>'memo',
+            (v_line->>'budget_id')::UUID
+        );
+    END LOOP;
+
+    RETURN v_entry;
+END;
+$$;
+
+-- Reverse an entry with a mirror-image entry dated p_entry_date
+CREATE OR REPLACE FUNCTION public.reverse_journal_entry(
+    p_entry_id UUID,
+    p_entry_date DATE,
+    p_description TEXT,
+    p_created_by TEXT
+)
+RETURNS public.journal_entries
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_original public.journal_entries;
+    v_reversal public.journal_entries;
+    v_closed DATE;
+BEGIN
+    SELECT * INTO v_original FROM public.journal_entries WHERE id = p_entry_id FOR UPDATE;
+    IF NOT FOUND OR v_original.status <> 'posted' OR v_original.reversal_of IS NOT NULL THEN
+        RAISE EXCEPTION 'Journal entry % cannot be reversed', p_entry_id USING ERRCODE = 'GL003';
+    END IF;
+
+    SELECT MAX(closed_through) INTO v_closed FROM public.gl_period_closes;
+    IF v_closed IS NOT NULL AND p_entry_date <= v_closed THEN
+        RAISE EXCEPTION 'Books are closed through %', v_closed USING ERRCODE = 'GL001';
+    END IF;
+
+    UPDATE public.journal_entries
+    SET status = 'reversed', reversed_at = NOW()
+    WHERE id = p_entry_id;
+
+    INSERT INTO public.journal_entries (
+        entry_date, description, source_type, source_id, reversal_of,
+        total_amount, currency, created_by
+    )
+    VALUES (
+        p_entry_date,
+        COALESCE(p_description, 'Reversal of ' || v_original.description),
+        v_original.source_type,
+        v_original.source_id,
+        v_original.id,
+        v_original.total_amount,
+        v_original.currency,
+        p_created_by
+    )
+    RETURNING * INTO v_reversal;
+
+    INSERT INTO public.journal_lines (entry_id, account_id, debit, credit, memo, budget_id)
+    SELECT v_reversal.id, account_id, credit, debit, memo, budget_id
+    FROM public.journal_lines
+    WHERE entry_id = p_entry_id;
+
+    RETURN v_reversal;
+END;
+$$;
+
+-- ============================================================================
+-- REPORTING
+-- ============================================================================
+-- Debit and credit totals per account for entries dated in [p_start, p_end]
+-- (either bound may be NULL). Accounts without activity are included.
+
+CREATE OR REPLACE FUNCTION public.gl_account_totals(p_start DATE, p_end DATE)
+RETURNS TABLE (
+    account_id UUID,
+    code TEXT,
+    name TEXT,
+    account_type TEXT,
+    normal_balance TEXT,
+    is_active BOOLEAN,
+    debit NUMERIC,
+    credit NUMERIC
+)
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT a.id, a.code, a.name, a.account_type, a.normal_balance, a.is_active,
+           COALESCE(SUM(l.debit), 0), COALESCE(SUM(l.credit), 0)
+    FROM public.gl_accounts a
+    LEFT JOIN public.journal_lines l ON l.account_id = a.id
+        AND EXISTS (
+            SELECT 1 FROM public.journal_entries e
+            WHERE e.id = l.entry_id
+              AND (p_start IS NULL OR e.entry_date >= p_start)
+              AND (p_end IS NULL OR e.entry_date <= p_end)
+        )
+    GROUP BY a.id
+    ORDER BY a.code;
+$$;
@@ -0,0 +1,287 @@
+-- Migration: Fund accounting
+-- Purpose: restricted, designated and unrestricted funds. Donations credit a
+--          fund, expenses and budget requests draw one down, and ledger lines
+--          carry the fund so balances can be reported over time
+
+-- ============================================================================
+-- FUNDS
+-- ============================================================================
+-- restriction_type follows the donor's terms:
+--   unrestricted            - free to spend (is_designated marks money the
+--                             board has set aside; spending past its balance
+--                             needs an explicit override)
+--   temporarily_restricted  - spend only on the fund's purpose, up to its balance
+--   permanently_restricted  - principal is never spent (endowment)
+-- donation_types lists the donation_type values that credit the fund when a
+-- donation names no fund. Exactly one fund is the default.
+
+CREATE TABLE IF NOT EXISTS public.funds (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    code TEXT NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    restriction_type TEXT NOT NULL DEFAULT 'unrestricted'
+        CHECK (restriction_type IN ('unrestricted', 'temporarily_restricted', 'permanently_restricted')),
+    is_designated BOOLEAN NOT NULL DEFAULT false,
+    purpose TEXT,
+    donation_types TEXT[] NOT NULL DEFAULT '{}',
+    is_default BOOLEAN NOT NULL DEFAULT false,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT funds_designated_unrestricted CHECK (NOT is_designated OR restriction_type = 'unrestricted')
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_funds_single_default ON public.funds(is_default) WHERE is_default;
+
+INSERT INTO public.funds (code, name, restriction_type, purpose, donation_types, is_default) VALUES
+    ('GENERAL', 'General Fund', 'unrestricted', 'Day-to-day temple operations', '{general,puja,service,recurring,sai_aangan,other}', true),
+    ('ANNADANAM', 'Annadanam Fund', 'temporarily_restricted', 'Free meals served at the temple', '{annadaana,annadanam}', false),
+    ('SERVICE_TO_NEEDY', 'Service to Needy Fund', 'temporarily_restricted', 'Charitable service to people in need', '{service_to_needy,medical}', false),
+    ('TEMPLE_CONSTRUCTION', 'Temple Construction Fund', 'temporarily_restricted', 'Construction and expansion of the temple', '{temple_construction}', false),
+    ('EDUCATION', 'Education Fund', 'temporarily_restricted', 'Classes, scholarships and educational programs', '{education}', false)
+ON CONFLICT (code) DO NOTHING;
+
+-- Fund for a donation_type, falling back to the default fund
+CREATE OR REPLACE FUNCTION public.fund_for_donation_type(p_donation_type TEXT)
+RETURNS UUID
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT id FROM public.funds
+    WHERE is_active AND (p_donation_type = ANY (donation_types) OR is_default)
+    ORDER BY (p_donation_type = ANY (donation_types)) DESC, is_default DESC
+    LIMIT 1;
+$$;
+
+-- ============================================================================
+-- FUND ON DONATIONS, EXPENSES AND BUDGET REQUESTS
+-- ============================================================================
+
+ALTER TABLE public.donations
+    ADD COLUMN IF NOT EXISTS fund_id UUID REFERENCES public.funds(id);
+
+ALTER TABLE public.expenses
+    ADD COLUMN IF NOT EXISTS fund_id UUID REFERENCES public.funds(id),
+    ADD COLUMN IF NOT EXISTS budget_request_id UUID REFERENCES public.budget_requests(id) ON DELETE SET NULL;
+
+ALTER TABLE public.budget_requests
+    ADD COLUMN IF NOT EXISTS fund_id UUID REFERENCES public.funds(id);
+
+CREATE INDEX IF NOT EXISTS idx_donations_fund ON public.donations(fund_id);
+CREATE INDEX IF NOT EXISTS idx_expenses_fund ON public.expenses(fund_id);
+CREATE INDEX IF NOT EXISTS idx_expenses_budget_request ON public.expenses(budget_request_id);
+CREATE INDEX IF NOT EXISTS idx_budget_requests_fund ON public.budget_requests(fund_id);
+
+-- Every insert path (manual, public form, PayPal) gets a fund
+CREATE OR REPLACE FUNCTION public.assign_donation_fund()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF NEW.fund_id IS NULL THEN
+        NEW.fund_id := public.fund_for_donation_type(NEW.donation_type);
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_donations_assign_fund ON public.donations;
+CREATE TRIGGER trg_donations_assign_fund
+    BEFORE INSERT OR UPDATE OF fund_id, donation_type ON public.donations
+    FOR EACH ROW EXECUTE FUNCTION public.assign_donation_fund();
+
+CREATE OR REPLACE FUNCTION public.assign_default_fund()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF NEW.fund_id IS NULL THEN
+        SELECT id INTO NEW.fund_id FROM public.funds WHERE is_default;
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_expenses_assign_fund ON public.expenses;
+CREATE TRIGGER trg_expenses_assign_fund
+    BEFORE INSERT OR UPDATE OF fund_id ON public.expenses
+    FOR EACH ROW EXECUTE FUNCTION public.assign_default_fund();
+
+DROP TRIGGER IF EXISTS trg_budget_requests_assign_fund ON public.budget_requests;
+CREATE TRIGGER trg_budget_requests_assign_fund
+    BEFORE INSERT OR UPDATE OF fund_id ON public.budget_requests
+    FOR EACH ROW EXECUTE FUNCTION public.assign_default_fund();
+
+-- Existing records
+UPDATE public.donations SET fund_id = public.fund_for_donation_type(donation_type) WHERE fund_id IS NULL;
+UPDATE public.expenses SET fund_id = (SELECT id FROM public.funds WHERE is_default) WHERE fund_id IS NULL;
+UPDATE public.budget_requests SET fund_id = (SELECT id FROM public.funds WHERE is_default) WHERE fund_id IS NULL;
+
+-- ============================================================================
+-- FUND ON LEDGER LINES
+-- ============================================================================
+-- Lines without a fund (posted before this migration, or not fund-specific)
+-- belong to the default fund. POST /api/ledger/sync re-posts existing
+-- donations and expenses with their fund.
+
+ALTER TABLE public.journal_lines
+    ADD COLUMN IF NOT EXISTS fund_id UUID REFERENCES public.funds(id);
+
+CREATE INDEX IF NOT EXISTS idx_journal_lines_fund ON public.journal_lines(fund_id);
+
+CREATE OR REPLACE FUNCTION public.post_journal_entry(p_entry JSONB, p_lines JSONB)
+RETURNS public.journal_entries
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_entry public.journal_entries;
+    v_line JSONB;
+    v_account_id UUID;
+    v_debits NUMERIC := 0;
+    v_credits NUMERIC := 0;
+    v_closed DATE;
+BEGIN
+    SELECT MAX(closed_through) INTO v_closed FROM public.gl_period_closes;
+    IF v_closed IS NOT NULL AND (p_entry->>'entry_date')::DATE <= v_closed THEN
+        RAISE EXCEPTION 'Books are closed through %', v_closed USING ERRCODE = 'GL001';
+    END IF;
+
+    IF jsonb_array_length(p_lines) < 2 THEN
+        RAISE EXCEPTION 'A journal entry needs at least two lines' USING ERRCODE = 'GL002';
+    END IF;
+
+    SELECT COALESCE(SUM(ROUND((l->>'debit')::NUMERIC, 2)), 0),
+           COALESCE(SUM(ROUND((l->>'credit')::NUMERIC, 2)), 0)
+    INTO v_debits, v_credits
+    FROM jsonb_array_elements(p_lines) AS l;
+
+    IF v_debits <> v_credits OR v_debits = 0 THEN
+        RAISE EXCEPTION 'Journal entry does not balance (debits %, credits %)', v_debits, v_credits
+            USING ERRCODE = 'GL002';
+    END IF;
+
+    INSERT INTO public.journal_entries (
+        entry_date, description, source_type, source_id, reversal_of,
+        total_amount, currency, created_by
+    )
+    VALUES (
+        (p_entry->>'entry_date')::DATE,
+        p_entry->>'description',
+        p_entry->>'source_type',
+        p_entry->>'source_id',
+        (p_entry->>'reversal_of')::UUID,
+        v_debits,
+        COALESCE(p_entry->>'currency', 'USD'),
+        p_entry->>'created_by'
+    )
+    RETURNING * INTO v_entry;
+
+    FOR v_line IN SELECT * FROM jsonb_array_elements(p_lines) LOOP
+        SELECT id INTO v_account_id
+        FROM public.gl_accounts
+        WHERE code = v_line->>'account_code' AND is_active;
+
+        IF v_account_id IS NULL THEN
+            RAISE EXCEPTION 'Unknown or inactive account %', v_line->>'account_code' USING ERRCODE = 'GL004';
+        END IF;
+
+        INSERT INTO public.journal_lines (entry_id, account_id, debit, credit, memo, budget_id, fund_id)
+        VALUES (
+            v_entry.id,
+            v_account_id,
+            ROUND(COALESCE((v_line->>'debit')::NUMERIC, 0), 2),
+            ROUND(COALESCE((v_line->>'credit')::NUMERIC, 0), 2),
+            v_line->>'memo',
+            (v_line->>'budget_id')::UUID,
+            (v_line->>'fund_id')::UUID
+        );
+    END LOOP;
+
+    RETURN v_entry;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.reverse_journal_entry(
+    p_entry_id UUID,
+    p_entry_date DATE,
+    p_description TEXT,
+    p_created_by TEXT
+)
+RETURNS public.journal_entries
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_original public.journal_entries;
+    v_reversal public.journal_entries;
+    v_closed DATE;
+BEGIN
+    SELECT * INTO v_original FROM public.journal_entries WHERE id = p_entry_id FOR UPDATE;
+    IF NOT FOUND OR v_original.status <> 'posted' OR v_original.reversal_of IS NOT NULL THEN
+        RAISE EXCEPTION 'Journal entry % cannot be reversed', p_entry_id USING ERRCODE = 'GL003';
+    END IF;
+
+    SELECT MAX(closed_through) INTO v_closed FROM public.gl_period_closes;
+    IF v_closed IS NOT NULL AND p_entry_date <= v_closed THEN
+        RAISE EXCEPTION 'Books are closed through %', v_closed USING ERRCODE = 'GL001';
+    END IF;
+
+    UPDATE public.journal_entries
+    SET status = 'reversed', reversed_at = NOW()
+    WHERE id = p_entry_id;
+
+    INSERT INTO public.journal_entries (
+        entry_date, description, source_type, source_id, reversal_of,
+        total_amount, currency, created_by
+    )
+    VALUES (
+        p_entry_date,
+        COALESCE(p_description, 'Reversal of ' || v_original.description),
+        v_original.source_type,
+        v_original.source_id,
+        v_original.id,
+        v_original.total_amount,
+        v_original.currency,
+        p_created_by
+    )
+    RETURNING * INTO v_reversal;
+
+    INSERT INTO public.journal_lines (entry_id, account_id, debit, credit, memo, budget_id, fund_id)
+    SELECT v_reversal.id, account_id, credit, debit, memo, budget_id, fund_id
+    FROM public.journal_lines
+    WHERE entry_id = p_entry_id;
+
+    RETURN v_reversal;
+END;
+$$;
+
+-- ============================================================================
+-- FUND REPORTING
+-- ============================================================================
+-- A fund's balance is its share of net assets: income and net-asset credits
+-- less expense debits on lines tagged with the fund.
+
+CREATE OR REPLACE FUNCTION public.fund_activity(p_start DATE, p_end DATE, p_interval TEXT)
+RETURNS TABLE (
+    fund_id UUID,
+    period_start DATE,
+    contributions NUMERIC,
+    spending NUMERIC,
+    transfers NUMERIC
+)
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT COALESCE(l.fund_id, (SELECT id FROM public.funds WHERE is_default)),
+           date_trunc(p_interval, e.entry_date)::DATE,
+           COALESCE(SUM(l.credit - l.debit) FILTER (WHERE a.account_type = 'income'), 0),
+           COALESCE(SUM(l.debit - l.credit) FILTER (WHERE a.account_type = 'expense'), 0),
+           COALESCE(SUM(l.credit - l.debit) FILTER (WHERE a.account_type = 'net_assets'), 0)
+    FROM public.journal_lines l
+    JOIN public.journal_entries e ON e.id = l.entry_id
+    JOIN public.gl_accounts a ON a.id = l.account_id
+    WHERE a.account_type IN ('income', 'expense', 'net_assets')
+      AND (p_start IS NULL OR e.entry_date >= p_start)
+      AND (p_end IS NULL OR e.entry_date <= p_end)
+    GROUP BY 1, 2
+    ORDER BY 2, 1;
+$$;
@@ -0,0 +1,95 @@
+-- Migration: Expense approval chains and volunteer reimbursements
+-- Purpose: route expenses through configurable, amount-based approval steps
+--          (community lead, finance, board), keep each step's decision and
+--          comments, and track out-of-pocket reimbursements to payment
+
+-- ============================================================================
+-- APPROVAL RULES
+-- ============================================================================
+-- A rule is one step of the chain. An expense needs every active rule whose
+-- amount range contains it (min_amount <= amount < max_amount, no
+-- max_amount = no upper bound), in step_order. applies_to limits a rule to
+-- ordinary expenses or to reimbursements. Anyone holding one of
+-- approver_roles (or an admin) can decide the step.
+
+CREATE TABLE IF NOT EXISTS public.expense_approval_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,
+    step_order INTEGER NOT NULL,
+    min_amount NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK (min_amount >= 0),
+    max_amount NUMERIC(12, 2),
+    approver_roles TEXT[] NOT NULL,
+    applies_to TEXT NOT NULL DEFAULT 'all' CHECK (applies_to IN ('all', 'expense', 'reimbursement')),
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT expense_approval_rules_range CHECK (max_amount IS NULL OR max_amount > min_amount),
+    CONSTRAINT expense_approval_rules_roles CHECK (cardinality(approver_roles) > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_expense_approval_rules_active
+    ON public.expense_approval_rules(step_order) WHERE is_active;
+
+-- Default chain: every expense needs its community lead, $500 and up also
+-- needs finance, $5,000 and up also needs the board
+INSERT INTO public.expense_approval_rules (name, step_order, min_amount, approver_roles)
+SELECT * FROM (VALUES
+    ('Community lead', 1, 0::numeric, '{community_lead,community_owner}'::text[]),
+    ('Finance team', 2, 500::numeric, '{finance_team}'::text[]),
+    ('Board', 3, 5000::numeric, '{board,chair_board,chairman}'::text[])
+) AS defaults(name, step_order, min_amount, approver_roles)
+WHERE NOT EXISTS (SELECT 1 FROM public.expense_approval_rules);
+
+-- ============================================================================
+-- EXPENSE WORKFLOW COLUMNS
+-- ============================================================================
+-- approval_status: draft (editable, not yet submitted) -> pending (in the
+-- chain) -> approved / rejected. Existing expenses keep 'approved'.
+-- approval_round counts submissions, so a rejected expense that is fixed and
+-- resubmitted keeps the earlier round's steps as history.
+
+ALTER TABLE public.expenses DROP CONSTRAINT IF EXISTS expenses_approval_status_check;
+ALTER TABLE public.expenses ADD CONSTRAINT expenses_approval_status_check
+    CHECK (approval_status IN ('draft', 'pending', 'approved', 'rejected'));
+
+ALTER TABLE public.expenses
+    ADD COLUMN IF NOT EXISTS approval_round INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS submitted_by TEXT,
+    ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS is_reimbursement BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN IF NOT EXISTS claimant_id UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS claimant_name TEXT,
+    ADD COLUMN IF NOT EXISTS claimant_email TEXT,
+    ADD COLUMN IF NOT EXISTS paid_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS paid_by TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_expenses_approval_status ON public.expenses(approval_status);
+CREATE INDEX IF NOT EXISTS idx_expenses_claimant ON public.expenses(claimant_id) WHERE is_reimbursement;
+
+-- ============================================================================
+-- APPROVAL STEPS
+-- ============================================================================
+-- One row per rule per submission, copied from the rules at submission time
+-- so later rule changes do not alter a chain in progress. The current step is
+-- the lowest pending step_order of the expense's current round.
+
+CREATE TABLE IF NOT EXISTS public.expense_approval_steps (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    expense_id UUID NOT NULL REFERENCES public.expenses(id) ON DELETE CASCADE,
+    round INTEGER NOT NULL,
+    step_order INTEGER NOT NULL,
+    rule_id UUID REFERENCES public.expense_approval_rules(id) ON DELETE SET NULL,
+    name TEXT NOT NULL,
+    approver_roles TEXT[] NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'approved', 'rejected', 'skipped')),
+    decided_by TEXT,
+    decided_by_id UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    decided_at TIMESTAMPTZ,
+    comments TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT expense_approval_steps_unique UNIQUE (expense_id, round, step_order)
+);
+
+CREATE INDEX IF NOT EXISTS idx_expense_approval_steps_pending
+    ON public.expense_approval_steps(expense_id, round) WHERE status = 'pending';
@@ -0,0 +1,67 @@
+-- Migration: Budget periods, variance tracking and overspend alerts
+-- Purpose: group budget lines into fiscal years and quarters, scope them to a
+--          community, link expenses to budget lines, and remember which
+--          utilisation alerts have been sent
+
+-- ============================================================================
+-- BUDGET PERIODS
+-- ============================================================================
+-- A fiscal year and its quarters (parent_id points a quarter at its year).
+-- Closed periods stay reportable but take no new budget lines.
+
+CREATE TABLE IF NOT EXISTS public.budget_periods (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,
+    period_type TEXT NOT NULL CHECK (period_type IN ('fiscal_year', 'quarter')),
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    parent_id UUID REFERENCES public.budget_periods(id) ON DELETE CASCADE,
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+    created_by TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT budget_periods_range CHECK (end_date >= start_date),
+    CONSTRAINT budget_periods_unique UNIQUE (period_type, start_date)
+);
+
+-- ============================================================================
+-- BUDGET LINES
+-- ============================================================================
+-- A budget line with a community only counts that community's expenses; one
+-- without counts the whole temple's. Lines in a period take its dates.
+
+ALTER TABLE public.budgets
+    ADD COLUMN IF NOT EXISTS community_id UUID REFERENCES public.communities(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS budget_period_id UUID REFERENCES public.budget_periods(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_budgets_community ON public.budgets(community_id);
+CREATE INDEX IF NOT EXISTS idx_budgets_period ON public.budgets(budget_period_id);
+
+-- An expense linked to a budget line counts only there; unlinked expenses
+-- count toward every active line with their category, community and date
+ALTER TABLE public.expenses
+    ADD COLUMN IF NOT EXISTS budget_id UUID REFERENCES public.budgets(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_expenses_budget ON public.expenses(budget_id);
+
+-- ============================================================================
+-- ALERTS
+-- ============================================================================
+-- One row per budget line and threshold (80, 100) reached, so each alert is
+-- emailed once. The row is removed when utilisation falls back below the
+-- threshold (budget raised, expense removed), re-arming the alert.
+
+CREATE TABLE IF NOT EXISTS public.budget_alerts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    budget_id UUID NOT NULL REFERENCES public.budgets(id) ON DELETE CASCADE,
+    threshold INTEGER NOT NULL CHECK (threshold > 0),
+    utilisation NUMERIC(7, 2) NOT NULL,
+    budgeted_amount NUMERIC(12, 2) NOT NULL,
+    actual_amount NUMERIC(12, 2) NOT NULL,
+    recipients TEXT[] NOT NULL DEFAULT '{}',
+    email_status TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT budget_alerts_unique UNIQUE (budget_id, threshold)
+);
+
+CREATE INDEX IF NOT EXISTS idx_budget_alerts_created ON public.budget_alerts(created_at DESC);
@@ -0,0 +1,6 @@
+-- Migration: Template data for email communications
+-- Purpose: keep the values a templated email was sent (or scheduled) with, so
+--          its placeholders can be rendered per recipient at send time
+
+ALTER TABLE public.email_communications
+    ADD COLUMN IF NOT EXISTS template_data JSONB NOT NULL DEFAULT '{}'::jsonb;
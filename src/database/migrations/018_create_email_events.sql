@@ -0,0 +1,58 @@
+-- Migration: Email delivery events
+-- Purpose: log delivery / open / click / bounce / spam-report events posted by
+--          the SendGrid Event Webhook (or the local simulator), once per event
+
+-- ============================================================================
+-- EVENTS
+-- ============================================================================
+-- sg_event_id is SendGrid's unique event id; SendGrid retries a batch that was
+-- not acknowledged, so duplicates are dropped on it. message_id is the
+-- X-Message-Id returned when the email was sent (sg_message_id up to the
+-- first "."), which links the event to giving statements and broadcast
+-- deliveries. broadcast_id / delivery_id come from the custom args attached
+-- to broadcast emails.
+
+CREATE TABLE IF NOT EXISTS public.email_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    sg_event_id TEXT NOT NULL,
+    sg_message_id TEXT,
+    message_id TEXT,
+    event TEXT NOT NULL,
+    email TEXT NOT NULL,
+    occurred_at TIMESTAMPTZ NOT NULL,
+    -- bounce: 'bounce' (hard) or 'blocked' (soft)
+    bounce_type TEXT,
+    reason TEXT,
+    url TEXT,
+    broadcast_id TEXT,
+    delivery_id TEXT,
+    source TEXT NOT NULL DEFAULT 'sendgrid' CHECK (source IN ('sendgrid', 'simulator')),
+    -- 'skipped' when SENDGRID_WEBHOOK_PUBLIC_KEY is not configured
+    verification_status TEXT NOT NULL DEFAULT 'skipped'
+        CHECK (verification_status IN ('verified', 'skipped')),
+    status TEXT NOT NULL DEFAULT 'received'
+        CHECK (status IN ('received', 'processed', 'failed')),
+    error_message TEXT,
+    payload JSONB NOT NULL,
+    received_at TIMESTAMPTZ DEFAULT NOW(),
+    processed_at TIMESTAMPTZ,
+    CONSTRAINT email_events_sg_event_id_key UNIQUE (sg_event_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_events_message ON public.email_events(message_id);
+CREATE INDEX IF NOT EXISTS idx_email_events_email ON public.email_events(lower(email), occurred_at DESC);
+CREATE INDEX IF NOT EXISTS idx_email_events_broadcast ON public.email_events(broadcast_id) WHERE broadcast_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_email_events_type ON public.email_events(event, occurred_at DESC);
+
+-- ============================================================================
+-- BOUNCE / COMPLAINT SUPPRESSION
+-- ============================================================================
+-- A hard bounce opts the address out of all optional email (source 'bounce'),
+-- a spam report likewise (source 'spam_report'); both are logged as consent
+-- events like any other opt-out.
+
+ALTER TABLE public.communication_preferences
+    DROP CONSTRAINT IF EXISTS communication_preferences_source_check;
+ALTER TABLE public.communication_preferences
+    ADD CONSTRAINT communication_preferences_source_check
+    CHECK (source IN ('unsubscribe_link', 'one_click', 'preference_center', 'admin', 'bounce', 'spam_report', 'import'));
@@ -0,0 +1,24 @@
+-- Migration: Scheduled email sending
+-- Purpose: let the email scheduler pick up due `scheduled` emails, remember the
+--          topic and timezone they were scheduled with, record each send
+--          attempt and allow scheduled emails to be cancelled
+
+ALTER TABLE public.email_communications
+    ADD COLUMN IF NOT EXISTS topic TEXT NOT NULL DEFAULT 'general',
+    ADD COLUMN IF NOT EXISTS timezone TEXT,
+    ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS last_error TEXT,
+    ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS cancelled_by TEXT;
+
+ALTER TABLE public.email_communications
+    DROP CONSTRAINT IF EXISTS email_communications_status_check;
+
+ALTER TABLE public.email_communications
+    ADD CONSTRAINT email_communications_status_check
+    CHECK (status IN ('draft', 'scheduled', 'sending', 'sent', 'failed', 'cancelled'));
+
+-- The scheduler polls for due emails on every tick
+CREATE INDEX IF NOT EXISTS idx_email_communications_due
+    ON public.email_communications(scheduled_at)
+    WHERE status = 'scheduled';
@@ -0,0 +1,56 @@
+-- Migration: Refresh-token sessions
+-- Purpose: replace single long-lived JWTs with short-lived access tokens and
+--          rotating refresh tokens stored server-side, so each login (device)
+--          can be listed and signed out individually
+
+-- ============================================================================
+-- SESSIONS
+-- ============================================================================
+-- One row per login. Access tokens carry the session id (`sid`) and stop
+-- working as soon as the session is revoked. A session expires when it has
+-- not been refreshed for REFRESH_TOKEN_TTL_DAYS.
+
+CREATE TABLE IF NOT EXISTS public.user_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    device_name TEXT,
+    user_agent TEXT,
+    ip_address TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    last_used_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    revoked_at TIMESTAMPTZ,
+    revoked_reason TEXT CHECK (revoked_reason IN (
+        'logout', 'logout_other', 'admin', 'password_changed', 'refresh_token_reuse'
+    )),
+    revoked_by TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON public.user_sessions(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_active ON public.user_sessions(user_id) WHERE revoked_at IS NULL;
+
+-- ============================================================================
+-- REFRESH TOKENS
+-- ============================================================================
+-- Every refresh token ever issued for a session (hashed). Refreshing marks the
+-- presented token used and issues the next one; presenting a used token again
+-- means it was copied, so the whole session is revoked.
+
+CREATE TABLE IF NOT EXISTS public.refresh_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id UUID NOT NULL REFERENCES public.user_sessions(id) ON DELETE CASCADE,
+    token_hash TEXT NOT NULL UNIQUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    used_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session ON public.refresh_tokens(session_id);
+
+-- ============================================================================
+-- FORCED LOGOUT
+-- ============================================================================
+-- Access tokens issued before this time are rejected, like password_changed_at.
+-- Covers tokens issued before sessions existed, which carry no session id.
+
+ALTER TABLE public.users
+    ADD COLUMN IF NOT EXISTS sessions_revoked_at TIMESTAMPTZ;
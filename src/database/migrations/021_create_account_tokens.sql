@@ -0,0 +1,40 @@
+-- Migration: Password reset and email verification
+-- Purpose: single-use, expiring tokens for the forgot-password and
+--          verify-email links, and a record of which accounts have proven
+--          they own their email address
+
+-- ============================================================================
+-- EMAIL VERIFICATION
+-- ============================================================================
+-- Unverified accounts can log in but are blocked from sensitive actions
+-- (finance, approvals, bulk communications, admin, password change).
+
+ALTER TABLE public.users
+    ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMPTZ;
+
+-- Accounts that existed before verification was introduced keep working
+UPDATE public.users
+SET email_verified_at = COALESCE(created_at, NOW())
+WHERE email_verified_at IS NULL;
+
+-- ============================================================================
+-- ACCOUNT TOKENS
+-- ============================================================================
+-- Only a SHA-256 hash of each emailed token is stored. A token is spent by
+-- setting used_at; requesting a new one spends the user's older ones.
+
+CREATE TABLE IF NOT EXISTS public.account_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    purpose TEXT NOT NULL CHECK (purpose IN ('password_reset', 'email_verification')),
+    token_hash TEXT NOT NULL UNIQUE,
+    email TEXT NOT NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ,
+    requested_ip TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Per-account throttling counts recent tokens for a purpose
+CREATE INDEX IF NOT EXISTS idx_account_tokens_user_purpose
+    ON public.account_tokens(user_id, purpose, created_at DESC);
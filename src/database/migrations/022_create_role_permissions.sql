@@ -0,0 +1,20 @@
+-- Migration: Role permission overrides
+-- Purpose: let admins change which permissions each role has. The permission
+--          registry and default mappings live in src/config/permissions.js;
+--          this table only stores where an admin has departed from them.
+
+-- ============================================================================
+-- ROLE PERMISSIONS
+-- ============================================================================
+-- granted = true adds a permission the role does not have by default,
+-- granted = false takes away one it does. Deleting a role's rows restores its
+-- defaults. The admin role is never overridden.
+
+CREATE TABLE IF NOT EXISTS public.role_permissions (
+    role TEXT NOT NULL CHECK (role <> 'admin'),
+    permission TEXT NOT NULL,
+    granted BOOLEAN NOT NULL,
+    updated_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (role, permission)
+);
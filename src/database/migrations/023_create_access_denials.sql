@@ -0,0 +1,39 @@
+-- Migration: Audit of denied access attempts
+-- Purpose: record every request turned away by requirePermission() - who
+--          asked, for what, and in which community - so admins can spot
+--          probing or misconfigured roles
+
+-- ============================================================================
+-- ACCESS DENIALS
+-- ============================================================================
+-- reason:
+--   missing_permission - none of the user's roles grant the permission
+--   not_a_member       - the request is about a community the user is not in
+--   community_role     - a member, but their role there lacks the permission
+--   unknown_community  - the community the request is about could not be found
+
+CREATE TABLE IF NOT EXISTS public.access_denials (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    user_email TEXT,
+    roles TEXT[] DEFAULT '{}',
+    permissions TEXT[] NOT NULL,
+    reason TEXT NOT NULL CHECK (reason IN ('missing_permission', 'not_a_member', 'community_role', 'unknown_community')),
+    community_id UUID,
+    community_role TEXT,
+    method TEXT NOT NULL,
+    path TEXT NOT NULL,
+    ip_address TEXT,
+    user_agent TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_access_denials_created
+    ON public.access_denials(created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_access_denials_user
+    ON public.access_denials(user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_access_denials_community
+    ON public.access_denials(community_id, created_at DESC)
+    WHERE community_id IS NOT NULL;
@@ -0,0 +1,13 @@
+-- Migration: Revocable personal calendar feed links
+-- Purpose: personal feed URLs (volunteer shifts, priest bookings) carry the
+--          feed version they were issued for. Resetting a feed bumps the
+--          version, so every earlier URL for that volunteer or priest stops
+--          working without touching LINK_SIGNING_SECRET.
+
+ALTER TABLE public.volunteers
+    ADD COLUMN IF NOT EXISTS calendar_feed_version INTEGER NOT NULL DEFAULT 1,
+    ADD COLUMN IF NOT EXISTS calendar_feed_reset_at TIMESTAMPTZ;
+
+ALTER TABLE public.priests
+    ADD COLUMN IF NOT EXISTS calendar_feed_version INTEGER NOT NULL DEFAULT 1,
+    ADD COLUMN IF NOT EXISTS calendar_feed_reset_at TIMESTAMPTZ;
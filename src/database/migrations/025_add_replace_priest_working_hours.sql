@@ -0,0 +1,27 @@
+-- Migration: Atomic replacement of a priest's working hours
+-- Purpose: deleting the old weekly template and inserting the new one in two
+--          requests left a priest with no hours at all (available any time)
+--          whenever the insert failed. The function does both in one
+--          transaction, so a failed insert keeps the previous hours.
+
+CREATE OR REPLACE FUNCTION public.replace_priest_working_hours(
+    p_priest_id UUID,
+    p_hours JSONB
+)
+RETURNS SETOF public.priest_working_hours
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    DELETE FROM public.priest_working_hours WHERE priest_id = p_priest_id;
+
+    RETURN QUERY
+    INSERT INTO public.priest_working_hours (priest_id, day_of_week, start_time, end_time)
+    SELECT
+        p_priest_id,
+        (hour->>'day_of_week')::SMALLINT,
+        (hour->>'start_time')::TIME,
+        (hour->>'end_time')::TIME
+    FROM jsonb_array_elements(COALESCE(p_hours, '[]'::JSONB)) AS hour
+    RETURNING *;
+END;
+$$;
@@ -1,5 +1,24 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const sessionService = require('../services/user/sessionService');
+const permissionService = require('../services/user/permissionService');
+const accessAuditService = require('../services/user/accessAuditService');
+
+// Access tokens stop working when their session is signed out, and tokens
+// issued before an admin forced a logout (sessions_revoked_at) are rejected
+// even if they predate sessions and carry no session id
+const isTokenRevoked = async (user, decoded) => {
+  if (user.sessions_revoked_at && decoded.iat) {
+    const revokedAtTimestamp = Math.floor(new Date(user.sessions_revoked_at).getTime() / 1000);
+    if (decoded.iat <= revokedAtTimestamp) return true;
+  }
+
+  if (decoded.sid) {
+    return !(await sessionService.isSessionActive(decoded.sid, user.id || user._id));
+  }
+
+  return false;
+};
 
 /**
  * Optional auth middleware - sets req.user if token is valid, but doesn't block
@@ -38,6 +57,12 @@ const authMiddleware = async (req, res, next) => {
       }
     }
 
+    if (await isTokenRevoked(user, decoded)) {
+      console.log('❌ Token invalidated (optional auth): session signed out');
+      req.user = null;
+      return next();
+    }
+
     // Use roles from user data if available, otherwise fallback to [role]
     const roles = user.roles || (user.role ? [user.role] : ['user']);
     req.user = {
@@ -45,7 +70,10 @@ const authMiddleware = async (req, res, next) => {
       email: user.email,
       full_name: user.full_name,
       role: user.role,
-      roles: roles
+      roles: roles,
+      session_id: decoded.sid || null,
+      email_verified: Boolean(user.email_verified_at),
+      permissions: await permissionService.permissionsForRoles(roles)
     };
 
     console.log('✅ Auth middleware: User authenticated:', req.user.email);
@@ -103,6 +131,14 @@ const requireAuth = async (req, res, next) => {
       }
     }
 
+    if (await isTokenRevoked(user, decoded)) {
+      console.log('❌ Token invalidated: session signed out');
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. Your session has been signed out. Please login again.'
+      });
+    }
+
     // Use roles from user data if available, otherwise fallback to [role]
     const roles = user.roles || (user.role ? [user.role] : ['user']);
     req.user = {
@@ -110,7 +146,10 @@ const requireAuth = async (req, res, next) => {
       email: user.email,
       full_name: user.full_name,
       role: user.role,
-      roles: roles
+      roles: roles,
+      session_id: decoded.sid || null,
+      email_verified: Boolean(user.email_verified_at),
+      permissions: await permissionService.permissionsForRoles(roles)
     };
 
     console.log('✅ Auth required: User authenticated:', req.user.email);
@@ -165,7 +204,91 @@ const requireRole = (allowedRoles) => {
   };
 };
 
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Permission-based auth middleware - requires a permission from the registry
+ * in config/permissions. Authenticates first if nothing before it did.
+ *
+ * Usage:
+ *   requirePermission(PERMISSIONS.LEDGER_REOPEN)
+ *   requirePermission([PERMISSIONS.EXPENSES_READ, PERMISSIONS.EXPENSES_PAY])  // any one
+ *   requirePermission({ read: PERMISSIONS.FUNDS_READ, write: PERMISSIONS.FUNDS_MANAGE })  // by HTTP method
+ *
+ * Community roles only count inside their own community. Pass `community` -
+ * a route param name, or a function (req) => communityId - on routes about a
+ * single community; the caller's role there comes from community_members.
+ * Every denial is written to the access audit (access_denials).
+ */
+const requirePermission = (permission, { community } = {}) => {
+  const requiredFor = (req) => {
+    if (typeof permission === 'string' || Array.isArray(permission)) return [].concat(permission);
+    return [].concat(READ_METHODS.includes(req.method) ? permission.read : permission.write);
+  };
+
+  const check = async (req, res, next) => {
+    const required = requiredFor(req);
+    const denial = { permissions: required, reason: 'missing_permission' };
+
+    try {
+      if (required.some(p => permissionService.can(req.user, p))) return next();
+
+      if (community) {
+        const communityId = typeof community === 'function' ? await community(req) : req.params[community];
+        const { granted, communityRole } = await permissionService.checkCommunityAccess(req.user, required, communityId);
+        if (granted) return next();
+
+        denial.communityId = communityId;
+        denial.communityRole = communityRole;
+        if (!permissionService.UUID_PATTERN.test(String(communityId))) denial.reason = 'unknown_community';
+        else if (!communityRole) denial.reason = 'not_a_member';
+        else denial.reason = 'community_role';
+      }
+    } catch (error) {
+      return next(error);
+    }
+
+    accessAuditService.recordDenial(req, denial);
+
+    return res.status(403).json({
+      success: false,
+      message: denial.reason === 'not_a_member'
+        ? 'Access denied. You are not a member of this community.'
+        : `Access denied. Required permission: ${required.join(' or ')}`
+    });
+  };
+
+  return async (req, res, next) => {
+    if (req.user) return check(req, res, next);
+    await requireAuth(req, res, () => check(req, res, next));
+  };
+};
+
+/**
+ * Blocks accounts that have not verified their email address.
+ * Use after requireAuth on sensitive routes (finance, approvals, admin, bulk mail)
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Access denied. No token provided.'
+    });
+  }
+
+  if (!req.user.email_verified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address to continue. Check your inbox or request a new verification email.'
+    });
+  }
+
+  next();
+};
+
 module.exports = authMiddleware;
 module.exports.requireAuth = requireAuth;
 module.exports.requireRole = requireRole;
 module.exports.checkRole = requireRole; // Alias for backward compatibility
+module.exports.requirePermission = requirePermission;
+module.exports.requireVerifiedEmail = requireVerifiedEmail;
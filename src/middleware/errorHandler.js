@@ -0,0 +1,91 @@
+// Global Error Handler and application error type
+
+// Error carrying an HTTP status - throw from services, surfaced by errorHandler
+class AppError extends Error {
+  constructor(message, statusCode = 500, details = null) {
+    super(message);
+    this.name = 'AppError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const errorHandler = (err, req, res, next) => {
+  console.error('❌ GLOBAL ERROR HANDLER:', err);
+  console.error('❌ Error Code:', err.code);
+  console.error('❌ Error Message:', err.message);
+  console.error('❌ Error Details:', err.details);
+  console.error('❌ Error Hint:', err.hint);
+
+  const isDev = process.env.NODE_ENV !== 'production';
+
+  // Application errors thrown with an explicit HTTP status
+  if (err instanceof AppError) {
+    return res.status(err.statusCode).json({
+      success: false,
+      message: err.message,
+      ...(err.details && { details: err.details })
+    });
+  }
+
+  // Supabase database errors - show details only in development
+  if (err.code && err.code.startsWith('23')) {
+    return res.status(400).json({
+      success: false,
+      message: 'Database operation failed',
+      ...(isDev && {
+        error: err.message,
+        details: err.details,
+        hint: err.hint,
+        code: err.code
+      })
+    });
+  }
+
+  // Supabase unique constraint error
+  if (err.code === '23505') {
+    return res.status(400).json({
+      success: false,
+      message: 'A record with this information already exists',
+      ...(isDev && { error: err.message, details: err.details })
+    });
+  }
+
+  // Supabase foreign key error
+  if (err.code === '23503') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid reference to related record',
+      ...(isDev && { error: err.message })
+    });
+  }
+
+  // JWT error
+  if (err.name === 'JsonWebTokenError') {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid token'
+    });
+  }
+
+  // JWT expired error
+  if (err.name === 'TokenExpiredError') {
+    return res.status(401).json({
+      success: false,
+      message: 'Token expired'
+    });
+  }
+
+  // Default error
+  res.status(500).json({
+    success: false,
+    message: 'Internal Server Error',
+    ...(process.env.NODE_ENV === 'development' && {
+      stack: err.stack,
+      error: err.message
+    })
+  });
+};
+
+module.exports = errorHandler;
+module.exports.AppError = AppError;
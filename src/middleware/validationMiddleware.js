@@ -0,0 +1,16 @@
+// Validation Middleware - runs after express-validator chains
+const { validationResult } = require('express-validator');
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+module.exports = { validate };
@@ -16,17 +16,38 @@ const broadcastSchema = new mongoose.Schema({
     enum: ['all_users', 'community_members', 'donors', 'volunteers', 'event_attendees', 'custom'],
     required: true
   },
+  // Communication topic - recipients who opted out of it are skipped
+  topic: {
+    type: String,
+    enum: ['general', 'festival_announcements', 'event_updates', 'donation_receipts', 'volunteer_shifts', 'community_updates', 'puja_bookings'],
+    default: 'general'
+  },
   audience_filters: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
   },
+  // Explicit recipient list: email addresses / phone numbers, or
+  // { user_id, name, email, phone } objects
+  recipients: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
   subject: {
     type: String,
     trim: true
   },
+  // Without content of its own the broadcast sends its template's variant
+  // for the channel (or the template content)
   content: {
     type: String,
-    required: true
+    required: function() {
+      return !this.template_id;
+    }
+  },
+  // Values for the template's declared variables
+  template_data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
   },
   scheduled_at: {
     type: Date
@@ -63,6 +84,13 @@ const broadcastSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  skipped_count: {
+    type: Number,
+    default: 0
+  },
+  error_message: {
+    type: String
+  },
   created_by: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -0,0 +1,94 @@
+// Broadcast Delivery Model - one document per recipient per broadcast
+const mongoose = require('mongoose');
+
+const broadcastDeliverySchema = new mongoose.Schema({
+  broadcast_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Broadcast',
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'sms', 'push', 'whatsapp'],
+    required: true
+  },
+  recipient: {
+    user_id: String,
+    name: String,
+    email: String,
+    phone: String
+  },
+  // Address the provider actually sent to (email, E.164 number, push token list)
+  address: {
+    type: String
+  },
+  provider: {
+    type: String
+  },
+  provider_message_id: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'delivered', 'opened', 'clicked', 'failed', 'bounced', 'skipped'],
+    default: 'pending'
+  },
+  error_message: {
+    type: String
+  },
+  retryable: {
+    type: Boolean,
+    default: false
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Earliest time a retryable failure may be re-sent (exponential backoff)
+  next_attempt_at: {
+    type: Date
+  },
+  sent_at: {
+    type: Date
+  },
+  // First delivery / open / click and the bounce reported by the provider's
+  // event webhook (email only)
+  delivered_at: {
+    type: Date
+  },
+  opened_at: {
+    type: Date
+  },
+  clicked_at: {
+    type: Date
+  },
+  bounced_at: {
+    type: Date
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updated_at field before saving
+broadcastDeliverySchema.pre('save', function(next) {
+  this.updated_at = new Date();
+  next();
+});
+
+// Indexes for better query performance
+broadcastDeliverySchema.index({ broadcast_id: 1, status: 1 });
+broadcastDeliverySchema.index({ broadcast_id: 1, retryable: 1, next_attempt_at: 1 });
+broadcastDeliverySchema.index({ provider_message_id: 1 });
+broadcastDeliverySchema.index({ 'recipient.email': 1 });
+
+module.exports = mongoose.model('BroadcastDelivery', broadcastDeliverySchema);
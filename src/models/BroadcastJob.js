@@ -0,0 +1,72 @@
+// Broadcast Job Model - persisted dispatcher state so sends survive restarts
+const mongoose = require('mongoose');
+
+const broadcastJobSchema = new mongoose.Schema({
+  broadcast_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Broadcast',
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'retrying', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  // When the dispatcher may next pick the job up (scheduled time or retry backoff)
+  run_at: {
+    type: Date,
+    default: Date.now
+  },
+  // Set while a dispatcher instance owns the job; a stale lock means it crashed
+  locked_by: {
+    type: String
+  },
+  locked_at: {
+    type: Date
+  },
+  // Recipients are resolved into delivery records once, on the first run
+  prepared_at: {
+    type: Date
+  },
+  runs: {
+    type: Number,
+    default: 0
+  },
+  progress: {
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    sent: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    awaiting_retry: { type: Number, default: 0 }
+  },
+  last_error: {
+    type: String
+  },
+  started_at: {
+    type: Date
+  },
+  completed_at: {
+    type: Date
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updated_at field before saving
+broadcastJobSchema.pre('save', function(next) {
+  this.updated_at = new Date();
+  next();
+});
+
+// Indexes for better query performance
+broadcastJobSchema.index({ status: 1, run_at: 1 });
+
+module.exports = mongoose.model('BroadcastJob', broadcastJobSchema);
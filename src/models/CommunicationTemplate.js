@@ -1,6 +1,19 @@
 // Communication Template Model
 const mongoose = require('mongoose');
 
+const variantSchema = new mongoose.Schema({
+  subject: {
+    type: String,
+    trim: true
+  },
+  content: {
+    type: String
+  },
+  text: {
+    type: String
+  }
+}, { _id: false });
+
 const communicationTemplateSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -31,8 +44,21 @@ const communicationTemplateSchema = new mongoose.Schema({
     },
     default_value: {
       type: String
+    },
+    // Sends fail when a required variable has neither a value nor a default
+    required: {
+      type: Boolean,
+      default: false
     }
   }],
+  // Per-channel overrides of subject / content; email may also carry a
+  // plain-text part (`text`). Channels without a variant use subject/content.
+  variants: {
+    email: variantSchema,
+    sms: variantSchema,
+    push: variantSchema,
+    whatsapp: variantSchema
+  },
   is_active: {
     type: Boolean,
     default: true
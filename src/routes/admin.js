@@ -2,7 +2,9 @@
 const express = require('express');
 const router = express.Router();
 const { createClient } = require('@supabase/supabase-js');
-const { checkRole } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/authMiddleware');
+const { ASSIGNABLE_ROLES } = require('../config/constants');
+const { PERMISSIONS } = require('../config/permissions');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -38,7 +40,7 @@ function generateRandomPassword(length = 12) {
 }
 
 // Create user from admin panel (with random password and email)
-router.post('/create-user', checkRole(['admin']), async (req, res) => {
+router.post('/create-user', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
   try {
     const { email, full_name, phone, role } = req.body;
 
@@ -52,23 +54,15 @@ router.post('/create-user', checkRole(['admin']), async (req, res) => {
       });
     }
 
-    // Valid roles
-    const validRoles = [
-      'admin',
-      'board',
-      'chair_board',
-      'chairman',
-      'community_owner',
-      'volunteer_head',
-      'priest',
-      'finance_team',
-      'community_lead',
-      'community_member',
-      'volunteer',
-      'user'
-    ];
-
-    const userRole = role && validRoles.includes(role) ? role : 'user';
+    const userRole = role && ASSIGNABLE_ROLES.includes(role) ? role : 'user';
+
+    // Only admins can make other admins, whoever else may manage users
+    if (userRole === 'admin' && !req.user.roles.includes('admin')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only an admin can create another admin'
+      });
+    }
 
     // Check if user already exists
     const { data: existingUsers, error: checkError } = await supabase
@@ -233,7 +227,8 @@ router.post('/create-user', checkRole(['admin']), async (req, res) => {
         from: `${process.env.EMAIL_FROM_NAME || 'Temple Admin'} <${process.env.EMAIL_FROM || 'noreply@temple.com'}>`,
         to: email,
         subject: '🙏 Your Temple Management Account Has Been Created',
-        html: emailHtml
+        html: emailHtml,
+        topic: 'account'
       });
 
       console.log('✅ Welcome email with credentials sent to:', email);
@@ -273,7 +268,7 @@ router.post('/create-user', checkRole(['admin']), async (req, res) => {
 
 // Assign role to user (admin only)
 router.post('/assign-role',
-  checkRole(['admin']),
+  requirePermission(PERMISSIONS.ROLES_ASSIGN),
   async (req, res) => {
     try {
       const { email, role } = req.body;
@@ -285,33 +280,24 @@ router.post('/assign-role',
         });
       }
 
-      // Valid roles
-      const validRoles = [
-        'admin',
-        'board',
-        'chair_board',
-        'chairman',
-        'community_owner',
-        'volunteer_head',
-        'priest',
-        'finance_team',
-        'community_lead',
-        'community_member',
-        'volunteer',
-        'user'
-      ];
-
-      if (!validRoles.includes(role)) {
+      if (!ASSIGNABLE_ROLES.includes(role)) {
         return res.status(400).json({
           success: false,
-          error: `Invalid role. Valid roles are: ${validRoles.join(', ')}`
+          error: `Invalid role. Valid roles are: ${ASSIGNABLE_ROLES.join(', ')}`
+        });
+      }
+
+      if (role === 'admin' && !req.user.roles.includes('admin')) {
+        return res.status(403).json({
+          success: false,
+          error: 'Only an admin can assign the admin role'
         });
       }
 
       // Find user by email from users table (FIX: was using Supabase Auth API)
       const { data: user, error: userError } = await supabase
         .from('users')
-        .select('id, email, role, full_name')
+        .select('id, email, role, full_name, metadata')
         .eq('email', email.toLowerCase())
         .single();
 
@@ -323,6 +309,15 @@ router.post('/assign-role',
         });
       }
 
+      // ROLES_ASSIGN can be granted to other roles, so it must not reach admins
+      const targetIsAdmin = user.role === 'admin' || (user.metadata?.roles || []).includes('admin');
+      if (targetIsAdmin && !req.user.roles.includes('admin')) {
+        return res.status(403).json({
+          success: false,
+          error: "Only an admin can change an admin's role"
+        });
+      }
+
       console.log('📝 Assigning role', role, 'to user:', user.email, '(current role:', user.role, ')');
 
       // Update role in users table (primary source of truth)
@@ -386,7 +381,7 @@ router.post('/assign-role',
 );
 
 // Get all users (admin only)
-router.get('/users', checkRole(['admin']), async (req, res) => {
+router.get('/users', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
   try {
     const { data, error } = await supabase
       .from('users')
@@ -410,7 +405,7 @@ router.get('/users', checkRole(['admin']), async (req, res) => {
 });
 
 // Resend welcome email with new password
-router.post('/resend-credentials', checkRole(['admin']), async (req, res) => {
+router.post('/resend-credentials', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
   try {
     const { email } = req.body;
 
@@ -509,7 +504,8 @@ router.post('/resend-credentials', checkRole(['admin']), async (req, res) => {
         from: `${process.env.EMAIL_FROM_NAME || 'Temple Admin'} <${process.env.EMAIL_FROM || 'noreply@temple.com'}>`,
         to: email,
         subject: '🔐 Your Password Has Been Reset - Temple Management',
-        html: emailHtml
+        html: emailHtml,
+        topic: 'account'
       });
 
       console.log('✅ Password reset email sent to:', email);
@@ -538,7 +534,7 @@ router.post('/resend-credentials', checkRole(['admin']), async (req, res) => {
 });
 
 // Debug route - check database connectivity and list all users
-router.get('/debug/db-status', checkRole(['admin']), async (req, res) => {
+router.get('/debug/db-status', requirePermission(PERMISSIONS.SYSTEM_DEBUG), async (req, res) => {
   try {
     console.log('🔍 Debug: Checking database status...');
     console.log('Supabase URL:', process.env.SUPABASE_URL);
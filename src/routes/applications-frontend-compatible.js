@@ -1,11 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const applicationService = require('../services/community/applicationService-fixed');
+const { requirePermission } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../config/permissions');
+
+// Reviewers are checked against the community the application belongs to
+const allowReviewers = requirePermission(PERMISSIONS.COMMUNITY_APPLICATIONS_REVIEW, {
+    community: req => applicationService.getCommunityId(req.params.applicationId)
+});
 
 // Frontend-compatible routes for applications
 
 // PUT approve application (frontend expects PUT method)
-router.put('/communities/:communityId/applications/:applicationId/approve', async (req, res) => {
+router.put('/communities/:communityId/applications/:applicationId/approve', allowReviewers, async (req, res) => {
     try {
         const { applicationId } = req.params;
         const { reviewed_by } = req.body;
@@ -36,7 +43,7 @@ router.put('/communities/:communityId/applications/:applicationId/approve', asyn
 });
 
 // PUT reject application (frontend expects PUT method)
-router.put('/communities/:communityId/applications/:applicationId/reject', async (req, res) => {
+router.put('/communities/:communityId/applications/:applicationId/reject', allowReviewers, async (req, res) => {
     try {
         const { applicationId } = req.params;
         const { reviewed_by } = req.body;
@@ -67,7 +74,7 @@ router.put('/communities/:communityId/applications/:applicationId/reject', async
 });
 
 // POST create event (frontend compatible)
-router.post('/communities/:communityId/events', async (req, res) => {
+router.post('/communities/:communityId/events', requirePermission(PERMISSIONS.COMMUNITY_EVENTS_MANAGE, { community: 'communityId' }), async (req, res) => {
     try {
         const communityId = req.params.communityId;
         const {
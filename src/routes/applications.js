@@ -1,6 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const applicationService = require('../services/community/applicationService-fixed');
+const { requirePermission } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../config/permissions');
+
+// Reviewers are checked against the community the application belongs to
+const allowReviewers = requirePermission(PERMISSIONS.COMMUNITY_APPLICATIONS_REVIEW, {
+    community: req => applicationService.getCommunityId(req.params.applicationId)
+});
 
 // Submit application to join community
 router.post('/communities/:communityId/apply', async (req, res) => {
@@ -56,7 +63,7 @@ router.post('/communities/:communityId/apply', async (req, res) => {
 });
 
 // Get applications for a community
-router.get('/communities/:communityId/applications', async (req, res) => {
+router.get('/communities/:communityId/applications', requirePermission(PERMISSIONS.COMMUNITY_APPLICATIONS_REVIEW, { community: 'communityId' }), async (req, res) => {
     try {
         const { communityId } = req.params;
         const { status } = req.query;
@@ -78,7 +85,7 @@ router.get('/communities/:communityId/applications', async (req, res) => {
 });
 
 // Get single application
-router.get('/applications/:applicationId', async (req, res) => {
+router.get('/applications/:applicationId', allowReviewers, async (req, res) => {
     try {
         const { applicationId } = req.params;
 
@@ -99,7 +106,7 @@ router.get('/applications/:applicationId', async (req, res) => {
 });
 
 // Approve application
-router.post('/applications/:applicationId/approve', async (req, res) => {
+router.post('/applications/:applicationId/approve', allowReviewers, async (req, res) => {
     try {
         const { applicationId } = req.params;
         const { reviewed_by } = req.body;
@@ -123,7 +130,7 @@ router.post('/applications/:applicationId/approve', async (req, res) => {
 });
 
 // Reject application
-router.post('/applications/:applicationId/reject', async (req, res) => {
+router.post('/applications/:applicationId/reject', allowReviewers, async (req, res) => {
     try {
         const { applicationId } = req.params;
         const { reviewed_by } = req.body;
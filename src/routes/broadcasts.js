@@ -7,11 +7,16 @@ const {
   createBroadcast,
   updateBroadcast,
   sendBroadcast,
+  previewAudience,
+  previewBroadcastAudience,
+  retryBroadcast,
+  getBroadcastDeliveries,
   cancelBroadcast,
   deleteBroadcast,
   getBroadcastStats
 } = require('../controllers/broadcasts');
 const { body } = require('express-validator');
+const { validate } = require('../middleware/validationMiddleware');
 
 // Validation rules
 const broadcastValidation = [
@@ -21,29 +26,73 @@ const broadcastValidation = [
   body('audience_type')
     .isIn(['all_users', 'community_members', 'donors', 'volunteers', 'event_attendees', 'custom'])
     .withMessage('Invalid audience type'),
+  body('audience_filters')
+    .optional()
+    .isObject()
+    .withMessage('Audience filters must be an object'),
+  body('topic')
+    .optional()
+    .isIn(['general', 'festival_announcements', 'event_updates', 'donation_receipts', 'volunteer_shifts', 'community_updates', 'puja_bookings'])
+    .withMessage('Invalid topic'),
   body('subject')
     .optional()
     .trim(),
+  // Optional when a template supplies the content
   body('content')
+    .if(body('template_id').not().exists({ checkFalsy: true }))
     .isLength({ min: 1, max: 10000 })
     .withMessage('Content must be between 1 and 10000 characters'),
+  body('template_data')
+    .optional()
+    .isObject()
+    .withMessage('Template data must be an object'),
   body('scheduled_at')
     .optional()
     .isISO8601()
     .withMessage('Valid scheduled date is required'),
+  body('recipients')
+    .optional()
+    .isArray({ max: 10000 })
+    .withMessage('Recipients must be an array'),
   body('template_id')
     .optional()
     .isMongoId()
     .withMessage('Valid template ID is required')
 ];
 
+const audiencePreviewValidation = [
+  body('channel')
+    .optional()
+    .isIn(['email', 'sms', 'push', 'whatsapp'])
+    .withMessage('Invalid channel'),
+  body('audience_type')
+    .isIn(['all_users', 'community_members', 'donors', 'volunteers', 'event_attendees', 'custom'])
+    .withMessage('Invalid audience type'),
+  body('audience_filters')
+    .optional()
+    .isObject()
+    .withMessage('Audience filters must be an object'),
+  body('recipients')
+    .optional()
+    .isArray()
+    .withMessage('Recipients must be an array'),
+  body('topic')
+    .optional()
+    .isIn(['general', 'festival_announcements', 'event_updates', 'donation_receipts', 'volunteer_shifts', 'community_updates', 'puja_bookings'])
+    .withMessage('Invalid topic')
+];
+
 // Routes
 router.get('/', getBroadcasts);
 router.get('/stats', getBroadcastStats);
+router.post('/audience/preview', audiencePreviewValidation, validate, previewAudience);
 router.get('/:id', getBroadcastById);
+router.get('/:id/audience', previewBroadcastAudience);
+router.get('/:id/deliveries', getBroadcastDeliveries);
 router.post('/', broadcastValidation, createBroadcast);
 router.put('/:id', broadcastValidation, updateBroadcast);
 router.post('/:id/send', sendBroadcast);
+router.post('/:id/retry', retryBroadcast);
 router.post('/:id/cancel', cancelBroadcast);
 router.delete('/:id', deleteBroadcast);
 
@@ -6,7 +6,9 @@ const { createClient } = require('@supabase/supabase-js');
 const { randomUUID } = require('crypto');
 const path = require('path');
 const supabaseService = require('../services/supabaseService');
-const { checkRole } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../config/permissions');
+const fundService = require('../services/financial/fundService');
 
 // Initialize Supabase client for storage
 const supabase = createClient(
@@ -125,13 +127,24 @@ async function uploadToSupabase(file, communityId) {
 
 // ===== BUDGET REQUESTS ROUTES =====
 
-// Role groups
-// Role groups
-const ALLOW_REQUESTERS = ['community_lead', 'community_owner', 'finance_team', 'admin', 'board', 'chair_board', 'chairman'];
-const ALLOW_APPROVERS = ['finance_team', 'admin', 'board', 'chair_board', 'chairman'];
+// Community leads and owners submit and view requests for their own
+// community only, so each route says where the community id comes from
+const requestCommunity = async (req) => {
+    const { data, error } = await supabaseService.client
+        .from('budget_requests')
+        .select('community_id')
+        .eq('id', req.params.requestId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data?.community_id;
+};
+
+const allowRequesters = (community) => requirePermission(PERMISSIONS.BUDGET_REQUESTS_SUBMIT, { community });
+const allowApprovers = requirePermission(PERMISSIONS.BUDGET_REQUESTS_APPROVE);
 
 // Get all budget requests (for finance team)
-router.get('/', checkRole(ALLOW_REQUESTERS), async (req, res) => {
+router.get('/', allowRequesters(req => req.query.community_id), async (req, res) => {
     try {
         const { status = 'all', community_id } = req.query;
         console.log('📋 Fetching budget requests');
@@ -190,7 +203,7 @@ router.get('/', checkRole(ALLOW_REQUESTERS), async (req, res) => {
 });
 
 // Get budget requests for a specific community
-router.get('/community/:communityId', checkRole(ALLOW_REQUESTERS), async (req, res) => {
+router.get('/community/:communityId', allowRequesters('communityId'), async (req, res) => {
     try {
         const { communityId } = req.params;
         const { status = 'all' } = req.query;
@@ -231,12 +244,12 @@ router.get('/community/:communityId', checkRole(ALLOW_REQUESTERS), async (req, r
 });
 
 // Create new budget request (JSON - no files)
-router.post('/', checkRole(ALLOW_REQUESTERS), async (req, res) => {
+router.post('/', allowRequesters(req => req.body.community_id), async (req, res) => {
     try {
         console.log('📥 Received budget request (JSON)');
         console.log('📥 Body:', req.body);
 
-        const { community_id, budget_amount, purpose, event_name, requested_by, documents } = req.body;
+        const { community_id, budget_amount, purpose, event_name, requested_by, documents, fund_id } = req.body;
 
         // Validate required fields
         if (!community_id || !budget_amount || !purpose) {
@@ -253,6 +266,7 @@ router.post('/', checkRole(ALLOW_REQUESTERS), async (req, res) => {
             event_name: event_name || null,
             documents: documents || [],
             requested_by: requested_by || null,
+            ...(fund_id && { fund_id }),
             status: 'pending',
             created_at: new Date().toISOString()
         };
@@ -287,13 +301,13 @@ router.post('/', checkRole(ALLOW_REQUESTERS), async (req, res) => {
 
 
 // Create new budget request with file upload (multipart/form-data)
-router.post('/with-files', checkRole(ALLOW_REQUESTERS), upload.array('documents', 5), async (req, res) => {
+router.post('/with-files', upload.array('documents', 5), allowRequesters(req => req.body.community_id), async (req, res) => {
     try {
         console.log('📥 Received budget request with files');
         console.log('📥 Body:', req.body);
         console.log('📎 Files received:', req.files?.length || 0);
 
-        const { community_id, budget_amount, purpose, event_name, requested_by } = req.body;
+        const { community_id, budget_amount, purpose, event_name, requested_by, fund_id } = req.body;
 
         // Validate required fields
         if (!community_id || !budget_amount || !purpose) {
@@ -325,6 +339,7 @@ router.post('/with-files', checkRole(ALLOW_REQUESTERS), upload.array('documents'
             event_name: event_name || null,
             documents: uploadedDocuments,
             requested_by: requested_by || null,
+            ...(fund_id && { fund_id }),
             status: 'pending',
             created_at: new Date().toISOString()
         };
@@ -358,7 +373,7 @@ router.post('/with-files', checkRole(ALLOW_REQUESTERS), upload.array('documents'
 });
 
 // Upload documents to existing budget request
-router.post('/:requestId/documents', checkRole(ALLOW_REQUESTERS), upload.array('documents', 5), async (req, res) => {
+router.post('/:requestId/documents', allowRequesters(requestCommunity), upload.array('documents', 5), async (req, res) => {
     try {
         const { requestId } = req.params;
         console.log('📎 Adding documents to budget request:', requestId);
@@ -415,16 +430,36 @@ router.post('/:requestId/documents', checkRole(ALLOW_REQUESTERS), upload.array('
 });
 
 // Approve budget request
-router.put('/:requestId/approve', checkRole(ALLOW_APPROVERS), async (req, res) => {
+router.put('/:requestId/approve', allowApprovers, async (req, res) => {
     try {
         const { requestId } = req.params;
-        const { approved_by, approval_notes, approved_amount } = req.body;
+        const { approved_by, approval_notes, approved_amount, fund_id, override_designation } = req.body;
+
+        const { data: existing, error: fetchError } = await supabaseService.client
+            .from('budget_requests')
+            .select('id, budget_amount, fund_id')
+            .eq('id', requestId)
+            .maybeSingle();
+
+        if (fetchError) throw fetchError;
+        if (!existing) {
+            return res.status(404).json({ success: false, message: 'Budget request not found' });
+        }
+
+        // Approval reserves the amount against the fund, so it must be available
+        const fundId = fund_id || existing.fund_id;
+        const amount = approved_amount ? parseFloat(approved_amount) : existing.budget_amount;
+        await fundService.assertCanSpend(fundId, amount, {
+            excludeRequestId: requestId,
+            override: override_designation === true
+        });
 
         const updateData = {
             status: 'approved',
             approved_by: approved_by || null,
             approval_notes: approval_notes || null,
             approved_amount: approved_amount ? parseFloat(approved_amount) : null,
+            ...(fund_id && { fund_id }),
             reviewed_at: new Date().toISOString(),
             updated_at: new Date().toISOString()
         };
@@ -444,12 +479,17 @@ router.put('/:requestId/approve', checkRole(ALLOW_APPROVERS), async (req, res) =
         res.json({ success: true, data: request, message: 'Budget request approved successfully' });
     } catch (error) {
         console.error('❌ Error approving budget request:', error);
-        res.status(500).json({ success: false, message: 'Failed to approve budget request', error: error.message });
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to approve budget request',
+            error: error.message,
+            details: error.details
+        });
     }
 });
 
 // Reject budget request
-router.put('/:requestId/reject', checkRole(ALLOW_APPROVERS), async (req, res) => {
+router.put('/:requestId/reject', allowApprovers, async (req, res) => {
     try {
         const { requestId } = req.params;
         const { rejected_by, rejection_reason } = req.body;
@@ -482,7 +522,7 @@ router.put('/:requestId/reject', checkRole(ALLOW_APPROVERS), async (req, res) =>
 });
 
 // Delete budget request
-router.delete('/:requestId', checkRole(ALLOW_APPROVERS), async (req, res) => {
+router.delete('/:requestId', allowApprovers, async (req, res) => {
     try {
         const { requestId } = req.params;
 
@@ -6,6 +6,25 @@ const { createClient } = require('@supabase/supabase-js');
 const { randomUUID } = require('crypto');
 const path = require('path');
 const supabaseService = require('../services/supabaseService');
+const ledgerService = require('../services/financial/ledgerService');
+const budgetService = require('../services/budget/budgetService');
+const { validate } = require('../middleware/validationMiddleware');
+const {
+    listPeriods,
+    createFiscalYear,
+    updatePeriod,
+    getVarianceReport,
+    getBudgetVariance,
+    listAlerts,
+    checkAlerts
+} = require('../controllers/budget/budgetController');
+const {
+    createFiscalYearValidator,
+    updatePeriodValidator,
+    varianceReportValidator,
+    budgetVarianceValidator,
+    listAlertsValidator
+} = require('../validators/budget/budgetValidator');
 
 // Initialize Supabase client for storage
 const supabase = createClient(
@@ -160,50 +179,35 @@ router.get('/', async (req, res) => {
 });
 
 // GET budget summary with expenses - MUST be before /:id route
+// Actuals come from budgetService (linked and categorized expenses plus
+// tagged ledger spend) so this matches the variance report
 router.get('/summary/all', async (req, res) => {
     try {
         console.log('📊 Fetching budget summary...');
 
-        // Get all active budgets
-        const { data: budgets, error: budgetError } = await supabaseService.client
-            .from('budgets')
-            .select('*')
-            .eq('is_active', true);
-
-        if (budgetError) throw budgetError;
-
-        // Get all expenses
-        const { data: expenses, error: expenseError } = await supabaseService.client
-            .from('expenses')
-            .select('expense_type, amount');
-
-        if (expenseError && !expenseError.message.includes('does not exist')) {
-            throw expenseError;
-        }
-
-        // Calculate actual spending by category
-        const actualSpending = (expenses || []).reduce((acc, expense) => {
-            const category = expense.expense_type || 'other';
-            acc[category] = (acc[category] || 0) + parseFloat(expense.amount || 0);
-            return acc;
-        }, {});
-
-        // Merge budgets with actual spending
-        const budgetSummary = (budgets || []).map(budget => ({
-            ...budget,
-            actual_spent: actualSpending[budget.category] || 0,
-            variance: (actualSpending[budget.category] || 0) - budget.budgeted_amount,
-            utilization_percent: budget.budgeted_amount > 0
-                ? ((actualSpending[budget.category] || 0) / budget.budgeted_amount) * 100
-                : 0
-        }));
+        const budgets = await budgetService.loadBudgets();
+        const spending = await budgetService.collectSpending(budgets);
+        const today = new Date().toISOString().split('T')[0];
+
+        const budgetSummary = budgets.map(budget => {
+            const line = budgetService.analyse(budget, spending.get(budget.id), today);
+            return {
+                ...budget,
+                actual_spent: line.actual,
+                variance: line.variance,
+                utilization_percent: line.utilisation_percent,
+                committed: line.committed,
+                forecast: line.forecast,
+                status: line.status
+            };
+        });
 
         res.json({
             success: true,
             data: budgetSummary,
             totals: {
-                total_budgeted: budgets?.reduce((sum, b) => sum + parseFloat(b.budgeted_amount), 0) || 0,
-                total_spent: Object.values(actualSpending).reduce((sum, amt) => sum + amt, 0),
+                total_budgeted: budgetSummary.reduce((sum, b) => sum + parseFloat(b.budgeted_amount), 0),
+                total_spent: budgetSummary.reduce((sum, b) => sum + b.actual_spent, 0),
             }
         });
     } catch (error) {
@@ -216,6 +220,15 @@ router.get('/summary/all', async (req, res) => {
     }
 });
 
+// Budget periods, variance and alerts - MUST be before /:id route
+router.get('/periods', listPeriods);
+router.post('/periods', createFiscalYearValidator, validate, createFiscalYear);
+router.put('/periods/:id', updatePeriodValidator, validate, updatePeriod);
+router.get('/variance', varianceReportValidator, validate, getVarianceReport);
+router.get('/alerts', listAlertsValidator, validate, listAlerts);
+router.post('/alerts/check', checkAlerts);
+router.get('/:id/variance', budgetVarianceValidator, validate, getBudgetVariance);
+
 // GET budget by ID
 router.get('/:id', async (req, res) => {
     try {
@@ -248,7 +261,7 @@ router.post('/', async (req, res) => {
     try {
         console.log('💰 Creating budget:', req.body);
 
-        const { category, budgeted_amount, period, description, start_date, end_date } = req.body;
+        const { category, budgeted_amount, period, description, start_date, end_date, community_id, budget_period_id } = req.body;
 
         if (!category || !budgeted_amount) {
             return res.status(400).json({
@@ -257,7 +270,8 @@ router.post('/', async (req, res) => {
             });
         }
 
-        const budgetData = {
+        // Lines in a budget period take the period's dates
+        const budgetData = await budgetService.applyPeriod({
             category,
             budgeted_amount: parseFloat(budgeted_amount),
             spent_amount: 0,
@@ -265,10 +279,12 @@ router.post('/', async (req, res) => {
             description: description || null,
             start_date: start_date || new Date().toISOString().split('T')[0],
             end_date: end_date || null,
+            community_id: community_id || null,
+            budget_period_id: budget_period_id || null,
             is_active: true,
             created_at: new Date().toISOString(),
             updated_at: new Date().toISOString()
-        };
+        });
 
         const { data, error } = await supabaseService.client
             .from('budgets')
@@ -290,9 +306,9 @@ router.post('/', async (req, res) => {
         });
     } catch (error) {
         console.error('Error creating budget:', error);
-        res.status(500).json({
+        res.status(error.statusCode || 500).json({
             success: false,
-            message: 'Failed to create budget',
+            message: error.statusCode ? error.message : 'Failed to create budget',
             error: error.message
         });
     }
@@ -305,7 +321,7 @@ router.post('/with-files', upload.array('documents', 5), async (req, res) => {
         console.log('📥 Body:', req.body);
         console.log('📎 Files received:', req.files?.length || 0);
 
-        const { category, budgeted_amount, period, description, start_date, end_date } = req.body;
+        const { category, budgeted_amount, period, description, start_date, end_date, community_id, budget_period_id } = req.body;
 
         if (!category || !budgeted_amount) {
             return res.status(400).json({
@@ -329,7 +345,8 @@ router.post('/with-files', upload.array('documents', 5), async (req, res) => {
             console.log(`✅ Uploaded ${uploadedDocuments.length} documents`);
         }
 
-        const budgetData = {
+        // Lines in a budget period take the period's dates
+        const budgetData = await budgetService.applyPeriod({
             category,
             budgeted_amount: parseFloat(budgeted_amount),
             spent_amount: 0,
@@ -337,10 +354,12 @@ router.post('/with-files', upload.array('documents', 5), async (req, res) => {
             description: description || null,
             start_date: start_date || new Date().toISOString().split('T')[0],
             end_date: end_date || null,
+            community_id: community_id || null,
+            budget_period_id: budget_period_id || null,
             is_active: true,
             created_at: new Date().toISOString(),
             updated_at: new Date().toISOString()
-        };
+        });
 
         const { data, error } = await supabaseService.client
             .from('budgets')
@@ -362,9 +381,9 @@ router.post('/with-files', upload.array('documents', 5), async (req, res) => {
         });
     } catch (error) {
         console.error('Error creating budget:', error);
-        res.status(500).json({
+        res.status(error.statusCode || 500).json({
             success: false,
-            message: 'Failed to create budget',
+            message: error.statusCode ? error.message : 'Failed to create budget',
             error: error.message
         });
     }
@@ -437,10 +456,10 @@ router.put('/:id', async (req, res) => {
         const { id } = req.params;
         console.log('💰 Updating budget:', id);
 
-        const updateData = {
+        const updateData = await budgetService.applyPeriod({
             ...req.body,
             updated_at: new Date().toISOString()
-        };
+        });
 
         const { data, error } = await supabaseService.client
             .from('budgets')
@@ -451,6 +470,9 @@ router.put('/:id', async (req, res) => {
 
         if (error) throw error;
 
+        // A new amount or range can cross (or drop back under) an alert threshold
+        await budgetService.checkAlertsForBudget(id);
+
         res.json({
             success: true,
             data: data,
@@ -458,26 +480,28 @@ router.put('/:id', async (req, res) => {
         });
     } catch (error) {
         console.error('Error updating budget:', error);
-        res.status(500).json({
+        res.status(error.statusCode || 500).json({
             success: false,
-            message: 'Failed to update budget',
+            message: error.statusCode ? error.message : 'Failed to update budget',
             error: error.message
         });
     }
 });
 
 // PUT update spent amount (called when expense is added)
+// Pass expense_id when the spend belongs to an expense: the expense already
+// posted it to the ledger. Other spend is posted here.
 router.put('/:id/spend', async (req, res) => {
     try {
         const { id } = req.params;
-        const { amount } = req.body;
+        const { amount, expense_id } = req.body;
 
         console.log('💰 Adding expense to budget:', id, 'Amount:', amount);
 
         // Get current budget
         const { data: budget, error: fetchError } = await supabaseService.client
             .from('budgets')
-            .select('spent_amount')
+            .select('id, category, spent_amount')
             .eq('id', id)
             .single();
 
@@ -497,6 +521,12 @@ router.put('/:id/spend', async (req, res) => {
 
         if (error) throw error;
 
+        await ledgerService.recordBudgetSpend(budget, amount, {
+            expenseId: expense_id,
+            createdBy: req.user?.email || req.user?.id || null
+        });
+        await budgetService.checkAlertsForBudget(id);
+
         res.json({
             success: true,
             data: data,
@@ -0,0 +1,50 @@
+// Calendar Feed Routes - subscribable iCalendar (.ics) feeds
+// - publicRouter: feeds calendar apps poll without a login, mounted at
+//   /api/public/calendar. Personal feeds carry a signed token in the URL.
+// - router: subscription links for personal feeds (and resetting them),
+//   mounted at /api/calendar-feeds
+const express = require('express');
+const { requirePermission } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validationMiddleware');
+const { PERMISSIONS } = require('../config/permissions');
+const {
+  getPublicEventsFeed,
+  getCommunityFeed,
+  getPersonalFeed,
+  getMyFeedLinks,
+  getVolunteerFeedLink,
+  getPriestFeedLink,
+  resetMyFeedLink,
+  resetVolunteerFeedLink,
+  resetPriestFeedLink
+} = require('../controllers/event/calendarFeedController');
+const {
+  publicEventsFeedValidator,
+  communityFeedValidator,
+  volunteerFeedValidator,
+  priestFeedValidator,
+  feedTypeValidator
+} = require('../validators/event/calendarFeedValidator');
+
+const checkFeedAdmin = requirePermission(PERMISSIONS.PRIEST_FEEDS_READ);
+const checkEventManager = requirePermission(PERMISSIONS.EVENTS_MANAGE);
+
+// Public
+const publicRouter = express.Router();
+
+publicRouter.get('/events.ics', publicEventsFeedValidator, validate, getPublicEventsFeed);
+publicRouter.get('/communities/:communityId.ics', communityFeedValidator, validate, getCommunityFeed);
+publicRouter.get('/feeds/:token.ics', getPersonalFeed);
+
+// Protected
+const router = express.Router();
+
+router.get('/me', getMyFeedLinks);
+router.get('/volunteers/:volunteerId', checkEventManager, volunteerFeedValidator, validate, getVolunteerFeedLink);
+router.get('/priests/:priestId', checkFeedAdmin, priestFeedValidator, validate, getPriestFeedLink);
+router.post('/me/:type/reset', feedTypeValidator, validate, resetMyFeedLink);
+router.post('/volunteers/:volunteerId/reset', checkEventManager, volunteerFeedValidator, validate, resetVolunteerFeedLink);
+router.post('/priests/:priestId/reset', checkFeedAdmin, priestFeedValidator, validate, resetPriestFeedLink);
+
+module.exports = router;
+module.exports.publicRouter = publicRouter;
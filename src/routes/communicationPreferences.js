@@ -0,0 +1,50 @@
+// Communication Preference Routes
+// - publicRouter: signed-link unsubscribe and preference center (no login),
+//   mounted at /api/public/preferences
+// - router: the logged-in user's preferences and admin tools,
+//   mounted at /api/communication-preferences
+const express = require('express');
+const { requirePermission } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validationMiddleware');
+const { PERMISSIONS } = require('../config/permissions');
+const {
+  unsubscribeFromLink,
+  confirmUnsubscribe,
+  unsubscribeOneClick,
+  getTokenPreferences,
+  updateTokenPreferences,
+  getMyPreferences,
+  updateMyPreferences,
+  setContactPreference,
+  getOptOutReport
+} = require('../controllers/communication/preferenceController');
+const {
+  unsubscribeValidator,
+  tokenPreferencesValidator,
+  updateTokenPreferencesValidator,
+  updateMyPreferencesValidator,
+  adminSetPreferenceValidator,
+  reportValidator
+} = require('../validators/communication/preferenceValidator');
+
+const checkCommunicationsAdmin = requirePermission(PERMISSIONS.PREFERENCES_MANAGE);
+
+// Public
+const publicRouter = express.Router();
+
+publicRouter.get('/unsubscribe', unsubscribeFromLink);
+publicRouter.post('/unsubscribe/confirm', confirmUnsubscribe);
+publicRouter.post('/unsubscribe', unsubscribeValidator, validate, unsubscribeOneClick);
+publicRouter.get('/', tokenPreferencesValidator, validate, getTokenPreferences);
+publicRouter.put('/', updateTokenPreferencesValidator, validate, updateTokenPreferences);
+
+// Protected
+const router = express.Router();
+
+router.get('/me', getMyPreferences);
+router.put('/me', updateMyPreferencesValidator, validate, updateMyPreferences);
+router.put('/contacts', checkCommunicationsAdmin, adminSetPreferenceValidator, validate, setContactPreference);
+router.get('/report', checkCommunicationsAdmin, reportValidator, validate, getOptOutReport);
+
+module.exports = router;
+module.exports.publicRouter = publicRouter;
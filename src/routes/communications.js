@@ -4,6 +4,18 @@ const router = express.Router();
 const supabaseService = require('../services/supabaseService');
 const emailService = require('../services/emailService'); // Using SendGrid
 const { body } = require('express-validator');
+const preferenceService = require('../services/messaging/preferenceService');
+const templateRenderer = require('../services/messaging/templateRenderer');
+const emailCommunicationService = require('../services/messaging/emailCommunicationService');
+
+// Manual sends may not use required topics - those bypass recipients' opt-outs
+const resolveSendTopic = (topic) => {
+    const resolved = topic || 'general';
+    if (!preferenceService.topics.includes(resolved) || preferenceService.isRequired(resolved)) {
+        return null;
+    }
+    return resolved;
+};
 
 // =============================================
 // EMAIL COMMUNICATIONS ROUTES
@@ -72,6 +84,13 @@ router.get('/emails', async (req, res) => {
 });
 
 // POST send email
+// Subject and content may use template placeholders ({{name}}, {{#if}},
+// {{#each}}, {{recipient.name}}); they are rendered per recipient with
+// template_data and, when template_id is given, that template's variable
+// defaults. Subject / content fall back to the template's own.
+// With scheduled_at the email is stored as `scheduled` and sent by the email
+// scheduler; a time without an offset is read in `timezone`, else the
+// community's timezone setting, else the temple's.
 router.post('/emails/send', async (req, res) => {
     try {
         const {
@@ -81,29 +100,54 @@ router.post('/emails/send', async (req, res) => {
             subject,
             content,
             template_id,
-            scheduled_at
+            template_data = {},
+            scheduled_at,
+            timezone,
+            topic
         } = req.body;
 
-        console.log('📧 Sending email:', { subject, recipient_count: recipient_emails?.length });
+        console.log('📧 Sending email:', { subject, template_id, recipient_count: recipient_emails?.length });
+
+        const template = await emailCommunicationService.loadTemplate({ template_id, subject, content });
 
         // Validate required fields
-        if (!sender_email || !recipient_emails || !subject || !content) {
+        if (!sender_email || !recipient_emails || !template.subject || !template.content) {
             return res.status(400).json({
                 success: false,
-                message: 'Missing required fields: sender_email, recipient_emails, subject, content'
+                message: 'Missing required fields: sender_email, recipient_emails, subject, content (or template_id)'
             });
         }
 
+        const sendTopic = resolveSendTopic(topic);
+        if (!sendTopic) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid topic'
+            });
+        }
+
+        // Reject broken placeholders and missing required variables up front
+        templateRenderer.render(template, { channel: 'email', data: template_data, sample: true, strict: true });
+
+        const schedule = scheduled_at
+            ? await emailCommunicationService.resolveSchedule({ scheduled_at, timezone, community_id })
+            : null;
+
+        const recipients = Array.isArray(recipient_emails) ? recipient_emails : [recipient_emails];
+
         // Store email record
         const emailData = {
             community_id,
             sender_email,
-            recipient_emails: Array.isArray(recipient_emails) ? recipient_emails : [recipient_emails],
-            subject,
-            content,
+            recipient_emails: recipients,
+            subject: template.subject,
+            content: template.content,
             template_id: template_id || null,
-            status: scheduled_at ? 'scheduled' : 'sending',
-            scheduled_at: scheduled_at || null,
+            template_data,
+            topic: sendTopic,
+            status: schedule ? 'scheduled' : 'sending',
+            scheduled_at: schedule ? schedule.scheduledAt : null,
+            timezone: schedule ? schedule.timezone : null,
             created_at: new Date().toISOString(),
             updated_at: new Date().toISOString()
         };
@@ -116,83 +160,51 @@ router.post('/emails/send', async (req, res) => {
 
         if (insertError) throw insertError;
 
-        // If not scheduled, simulate email sending for now
-        if (!scheduled_at) {
-            try {
-                // Send real email using SendGrid
-                console.log('📧 Sending real email via SendGrid to:', recipient_emails.length, 'recipients');
-                console.log('📧 Subject:', subject);
-                console.log('📧 From:', process.env.EMAIL_FROM || sender_email);
-
-                // Send email using SendGrid service
-                const emailResult = await emailService.sendEmail({
-                    from: process.env.EMAIL_FROM || sender_email,
-                    to: recipient_emails,
-                    subject: subject,
-                    html: content
-                });
-
-                if (!emailResult.success) {
-                    throw new Error(emailResult.error);
-                }
-
-                // Update status to sent
-                await supabaseService.client
-                    .from('email_communications')
-                    .update({
-                        status: 'sent',
-                        sent_at: new Date().toISOString(),
-                        delivery_status: emailResult,
-                        recipient_count: recipient_emails.length,
-                        updated_at: new Date().toISOString()
-                    })
-                    .eq('id', emailRecord.id);
-
-                console.log('✅ Email sent successfully:', emailRecord.id);
-                console.log('📧 Message ID:', emailResult.messageId);
-
-                res.status(201).json({
-                    success: true,
-                    data: {
-                        ...emailRecord,
-                        status: 'sent',
-                        sent_at: new Date().toISOString(),
-                        recipient_count: recipient_emails.length
-                    },
-                    message: `Email sent successfully to ${recipient_emails.length} recipients`
-                });
-
-            } catch (sendError) {
-                console.error('Error in email sending process:', sendError);
-
-                // Update status to failed
-                await supabaseService.client
-                    .from('email_communications')
-                    .update({
-                        status: 'failed',
-                        delivery_status: { error: sendError.message },
-                        updated_at: new Date().toISOString()
-                    })
-                    .eq('id', emailRecord.id);
-
-                res.status(500).json({
-                    success: false,
-                    message: 'Failed to send email',
-                    error: sendError.message
-                });
-            }
-        } else {
-            // Email is scheduled
-            console.log('📅 Email scheduled for:', scheduled_at);
+        if (schedule) {
+            console.log('📅 Email scheduled for:', schedule.scheduledAt, `(${schedule.timezone})`);
 
-            res.status(201).json({
+            return res.status(201).json({
                 success: true,
                 data: emailRecord,
                 message: 'Email scheduled successfully'
             });
         }
 
+        console.log('📧 Sending real email via SendGrid to:', recipients.length, 'recipients');
+        const { success, record, result, error: sendError } = await emailCommunicationService.deliver(emailRecord);
+
+        if (!success) {
+            console.error('Error in email sending process:', sendError);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to send email',
+                error: sendError
+            });
+        }
+
+        console.log('✅ Email sent successfully:', emailRecord.id);
+        console.log('📧 Message ID:', result.messageId);
+
+        res.status(201).json({
+            success: true,
+            data: {
+                ...record,
+                suppressed_count: result.suppressed || 0
+            },
+            message: result.suppressed
+                ? `Email sent successfully to ${result.recipients} recipients (${result.suppressed} opted out)`
+                : `Email sent successfully to ${recipients.length} recipients`
+        });
+
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                ...(error.details && { details: error.details })
+            });
+        }
+
         console.error('Error processing email:', error);
         res.status(500).json({
             success: false,
@@ -202,6 +214,62 @@ router.post('/emails/send', async (req, res) => {
     }
 });
 
+// POST cancel a scheduled email
+router.post('/emails/:id/cancel', async (req, res) => {
+    try {
+        const email = await emailCommunicationService.cancel(req.params.id, req.user?.id);
+
+        console.log('🛑 Scheduled email cancelled:', email.id);
+
+        res.json({
+            success: true,
+            data: email,
+            message: 'Scheduled email cancelled'
+        });
+
+    } catch (error) {
+        console.error('Error cancelling email:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to cancel email',
+            error: error.message
+        });
+    }
+});
+
+// POST reschedule a scheduled, failed or cancelled email
+// Body: { scheduled_at, timezone? } - same rules as /emails/send
+router.post('/emails/:id/reschedule', async (req, res) => {
+    try {
+        const { scheduled_at, timezone } = req.body;
+
+        if (!scheduled_at) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required field: scheduled_at'
+            });
+        }
+
+        const email = await emailCommunicationService.reschedule(req.params.id, { scheduled_at, timezone });
+
+        console.log('📅 Email rescheduled for:', email.scheduled_at, `(${email.timezone})`);
+
+        res.json({
+            success: true,
+            data: email,
+            message: 'Email rescheduled successfully'
+        });
+
+    } catch (error) {
+        console.error('Error rescheduling email:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to reschedule email',
+            error: error.message
+        });
+    }
+});
+
 // POST send bulk email to volunteers
 router.post('/emails/send-to-volunteers', async (req, res) => {
     try {
@@ -211,11 +279,20 @@ router.post('/emails/send-to-volunteers', async (req, res) => {
             volunteer_filter,
             subject,
             content,
-            template_id
+            template_id,
+            topic
         } = req.body;
 
         console.log('📧 Sending bulk email to volunteers:', { community_id, volunteer_filter });
 
+        const sendTopic = resolveSendTopic(topic);
+        if (!sendTopic) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid topic'
+            });
+        }
+
         // Get volunteers - only select email to avoid schema issues
         let volunteerQuery = supabaseService.client
             .from('volunteers')
@@ -286,7 +363,8 @@ router.post('/emails/send-to-volunteers', async (req, res) => {
                 from: process.env.EMAIL_FROM || sender_email,
                 recipients: recipient_emails,
                 subject: subject,
-                html: personalizedContent
+                html: personalizedContent,
+                topic: sendTopic
             });
 
             if (!bulkEmailResult.success) {
@@ -299,6 +377,7 @@ router.post('/emails/send-to-volunteers', async (req, res) => {
                 status: 'sent',
                 sent: bulkEmailResult.sent,
                 failed: bulkEmailResult.failed,
+                suppressed: bulkEmailResult.suppressed,
                 emails: recipient_emails
             };
 
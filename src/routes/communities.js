@@ -5,6 +5,20 @@ const Community = require('../models/Community');
 const HybridCommunityService = require('../services/hybridCommunityService');
 const supabaseService = require('../services/supabaseService');
 const mongoose = require('mongoose');
+const { requirePermission } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../config/permissions');
+const permissionService = require('../services/user/permissionService');
+
+// Every route about one community checks the caller's role in that
+// community (owner, lead or member); global roles such as board apply
+// everywhere
+const allow = (permission) => requirePermission(permission, { community: 'id' });
+
+// Changing owner_id is a transfer and needs more than editing the details
+const allowTransfer = (req, res, next) => {
+  if (!req.body.owner_id) return next();
+  return allow(PERMISSIONS.COMMUNITY_TRANSFER)(req, res, next);
+};
 
 // GET all communities
 router.get('/', async (req, res) => {
@@ -127,7 +141,7 @@ router.post('/', async (req, res) => {
 });
 
 // PUT update community
-router.put('/:id', async (req, res) => {
+router.put('/:id', allow(PERMISSIONS.COMMUNITY_MANAGE), allowTransfer, async (req, res) => {
   try {
     console.log('📝 Updating community:', req.params.id, req.body);
 
@@ -169,7 +183,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE community permanently
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', allow(PERMISSIONS.COMMUNITY_DELETE), async (req, res) => {
   try {
     console.log('🗑️ Permanently deleting community:', req.params.id);
 
@@ -198,8 +212,8 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-// GET community stats
-router.get('/:id/stats', async (req, res) => {
+// GET community stats - the donation total only for those who can see /finances
+router.get('/:id/stats', allow(PERMISSIONS.COMMUNITY_MEMBERS_READ), async (req, res) => {
   try {
     console.log('📊 Fetching community stats:', req.params.id);
 
@@ -212,6 +226,10 @@ router.get('/:id/stats', async (req, res) => {
       });
     }
 
+    const seesFinances = permissionService.can(req.user, PERMISSIONS.COMMUNITY_FINANCES_READ) ||
+      await permissionService.hasCommunityPermission(req.user, [PERMISSIONS.COMMUNITY_FINANCES_READ], req.params.id);
+    if (!seesFinances) delete stats.total_donations;
+
     res.json({
       success: true,
       data: stats
@@ -240,13 +258,13 @@ const {
 
 console.log('🔧 communities.js: Registering member routes');
 
-router.get('/:id/members', getCommunityMembers);
-router.post('/:id/members', addMember);
-router.put('/:id/members/:memberId', updateMember);
-router.delete('/:id/members/:memberId', removeMember);
+router.get('/:id/members', allow(PERMISSIONS.COMMUNITY_MEMBERS_READ), getCommunityMembers);
+router.post('/:id/members', allow(PERMISSIONS.COMMUNITY_MEMBERS_MANAGE), addMember);
+router.put('/:id/members/:memberId', allow(PERMISSIONS.COMMUNITY_MEMBERS_MANAGE), updateMember);
+router.delete('/:id/members/:memberId', allow(PERMISSIONS.COMMUNITY_MEMBERS_MANAGE), removeMember);
 
 // GET community finances
-router.get('/:id/finances', async (req, res) => {
+router.get('/:id/finances', allow(PERMISSIONS.COMMUNITY_FINANCES_READ), async (req, res) => {
   try {
     const communityId = req.params.id;
     console.log('💰 Fetching finances for community:', communityId);
@@ -306,7 +324,7 @@ router.get('/:id/finances', async (req, res) => {
 });
 
 // GET community leads
-router.get('/:id/leads', async (req, res) => {
+router.get('/:id/leads', allow(PERMISSIONS.COMMUNITY_MEMBERS_READ), async (req, res) => {
   try {
     const communityId = req.params.id;
     console.log('👥 Fetching leads for community:', communityId);
@@ -2,11 +2,23 @@
 const express = require('express');
 const router = express.Router();
 const supabaseService = require('../services/supabaseService');
+const applicationService = require('../services/community/applicationService-fixed');
+const { requirePermission } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../config/permissions');
+
+// The community comes from the application itself, not the URL, so a lead
+// cannot reach another community's applications through their own
+const allowReviewers = requirePermission(PERMISSIONS.COMMUNITY_APPLICATIONS_REVIEW, {
+  community: req => applicationService.getCommunityId(req.params.applicationId)
+});
+
+const allowTaskReaders = requirePermission(PERMISSIONS.COMMUNITY_TASKS_READ, { community: 'id' });
+const allowTaskAssigners = requirePermission(PERMISSIONS.COMMUNITY_TASKS_ASSIGN, { community: 'id' });
 
 // ===== APPLICATION ROUTES =====
 
 // PUT reject application
-router.put('/:communityId/applications/:applicationId/reject', async (req, res) => {
+router.put('/:communityId/applications/:applicationId/reject', allowReviewers, async (req, res) => {
   try {
     const { applicationId } = req.params;
     const { reviewed_by, review_notes } = req.body;
@@ -116,7 +128,7 @@ router.put('/:communityId/applications/:applicationId/reject', async (req, res)
 });
 
 // ===== TASKS ROUTES =====
-router.get('/:id/tasks', async (req, res) => {
+router.get('/:id/tasks', allowTaskReaders, async (req, res) => {
   try {
     const { id: communityId } = req.params;
     const { status, priority } = req.query;
@@ -161,7 +173,7 @@ router.get('/:id/tasks', async (req, res) => {
 });
 
 // ✅ FIXED: Task creation without created_by requirement
-router.post('/:id/tasks', async (req, res) => {
+router.post('/:id/tasks', allowTaskAssigners, async (req, res) => {
   try {
     const { id: communityId } = req.params;
     const { title, description, status, priority, assigned_to, due_date, tags } = req.body;
@@ -215,10 +227,11 @@ router.post('/:id/tasks', async (req, res) => {
   }
 });
 
-router.put('/:id/tasks/:taskId', async (req, res) => {
+router.put('/:id/tasks/:taskId', allowTaskAssigners, async (req, res) => {
   try {
-    const { taskId } = req.params;
-    const updates = req.body;
+    const { id: communityId, taskId } = req.params;
+    // A task stays in the community it was created in
+    const { community_id, ...updates } = req.body;
 
     console.log('📝 Updating task:', taskId);
 
@@ -226,14 +239,22 @@ router.put('/:id/tasks/:taskId', async (req, res) => {
       .from('community_tasks')
       .update(updates)
       .eq('id', taskId)
+      .eq('community_id', communityId)
       .select('*')
-      .single();
+      .maybeSingle();
 
     if (error) {
       console.error('❌ Supabase task update error:', error);
       throw error;
     }
 
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
     res.json({
       success: true,
       data: task,
@@ -249,16 +270,17 @@ router.put('/:id/tasks/:taskId', async (req, res) => {
   }
 });
 
-router.delete('/:id/tasks/:taskId', async (req, res) => {
+router.delete('/:id/tasks/:taskId', allowTaskAssigners, async (req, res) => {
   try {
-    const { taskId } = req.params;
+    const { id: communityId, taskId } = req.params;
 
     console.log('🗑️ Deleting task:', taskId);
 
     const { error } = await supabaseService.client
       .from('community_tasks')
       .delete()
-      .eq('id', taskId);
+      .eq('id', taskId)
+      .eq('community_id', communityId);
 
     if (error) {
       console.error('❌ Supabase task deletion error:', error);
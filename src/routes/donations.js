@@ -2,6 +2,10 @@
 const express = require('express');
 const router = express.Router();
 const supabaseService = require('../services/supabaseService');
+const receiptService = require('../services/financial/receiptService');
+const givingStatementService = require('../services/financial/givingStatementService');
+const reconciliationService = require('../services/financial/reconciliationService');
+const ledgerService = require('../services/financial/ledgerService');
 
 // =============================================
 // DONATIONS ROUTES
@@ -105,6 +109,8 @@ router.post('/', async (req, res) => {
       // Additional fields
       payment_status: req.body.status || 'completed',
       donation_type: req.body.donation_type || 'general',
+      // Fund defaults from donation_type (see fund_for_donation_type) unless chosen
+      ...(req.body.fund_id && { fund_id: req.body.fund_id }),
       // Map payment methods to allowed values: cash, upi, bank_transfer, card, cheque, online
       payment_method: (['cash', 'upi', 'bank_transfer', 'card', 'cheque', 'online'].includes(req.body.payment_method))
         ? req.body.payment_method
@@ -137,6 +143,10 @@ router.post('/', async (req, res) => {
 
     console.log('✅ Donation created successfully:', data.id);
 
+    const receipt = await receiptService.issueForCompletedDonation(data);
+    if (receipt) data.metadata = { ...data.metadata, receipt_number: receipt.receipt_number };
+    await ledgerService.record('donation', data);
+
     res.status(201).json({
       success: true,
       data: data,
@@ -158,11 +168,14 @@ router.put('/:id', async (req, res) => {
     const { id } = req.params;
     console.log('💰 Updating donation:', id);
 
+    // Records reconciled in a locked period are frozen
+    await reconciliationService.assertRecordUnlocked('donation', id);
+
     // Allowlist fields to prevent mass assignment
     const allowedFields = [
       'donor_name', 'donor_email', 'donor_phone', 'amount',
       'donation_type', 'payment_method', 'payment_status',
-      'purpose', 'notes', 'donation_date',
+      'purpose', 'notes', 'donation_date', 'fund_id',
       // Legacy columns (for backward compatibility)
       'name', 'email', 'phone', 'message'
     ];
@@ -187,6 +200,13 @@ router.put('/:id', async (req, res) => {
 
     if (error) throw error;
 
+    // Marking an offline donation as received issues its receipt
+    if (safeData.payment_status === 'completed') {
+      const receipt = await receiptService.issueForCompletedDonation(data);
+      if (receipt) data.metadata = { ...data.metadata, receipt_number: receipt.receipt_number };
+    }
+    await ledgerService.record('donation', data);
+
     res.json({
       success: true,
       data: data,
@@ -194,9 +214,97 @@ router.put('/:id', async (req, res) => {
     });
   } catch (error) {
     console.error('Error updating donation:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update donation',
+      error: error.message
+    });
+  }
+});
+
+// POST issue the donation's receipt (returns the existing one if already issued)
+router.post('/:id/receipt', async (req, res) => {
+  try {
+    const { id } = req.params;
+    console.log('🧾 Issuing receipt for donation:', id);
+
+    const { receipt, created } = await receiptService.issueReceipt(id, {
+      issuedBy: req.user?.email || req.user?.id || null
+    });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: receipt,
+      message: created ? 'Receipt issued successfully' : 'Receipt was already issued'
+    });
+  } catch (error) {
+    console.error('Error issuing donation receipt:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to issue donation receipt',
+      error: error.message
+    });
+  }
+});
+
+// GET donation receipt as PDF (404 until the receipt has been issued)
+router.get('/:id/receipt', async (req, res) => {
+  try {
+    const { id } = req.params;
+    console.log('🧾 Fetching receipt for donation:', id);
+
+    const { receipt, pdf, filename } = await receiptService.getReceiptPdf(id);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `${req.query.download === 'false' ? 'inline' : 'attachment'}; filename="${filename}"`,
+      'Content-Length': pdf.length,
+      'X-Receipt-Number': receipt.receipt_number
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Error fetching donation receipt:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch donation receipt',
+      error: error.message
+    });
+  }
+});
+
+// POST email the receipt to the donor again
+router.post('/:id/receipt/email', async (req, res) => {
+  try {
+    const { id } = req.params;
+    console.log('🧾 Emailing receipt for donation:', id);
+
+    const { receipt, email } = await receiptService.sendReceiptEmail(id, {
+      issuedBy: req.user?.email || req.user?.id || null
+    });
+
+    if (!email.success) {
+      return res.status(502).json({
+        success: false,
+        message: 'Failed to send receipt email',
+        error: email.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        receipt_number: receipt.receipt_number,
+        email_status: email.status
+      },
+      message: email.status === 'suppressed'
+        ? 'Donor has opted out of receipt emails'
+        : 'Receipt emailed successfully'
+    });
+  } catch (error) {
+    console.error('Error emailing donation receipt:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to update donation',
+      message: error.statusCode ? error.message : 'Failed to email donation receipt',
       error: error.message
     });
   }
@@ -208,6 +316,17 @@ router.delete('/:id', async (req, res) => {
     const { id } = req.params;
     console.log('💰 Deleting donation:', id);
 
+    // Records reconciled in a locked period are frozen
+    await reconciliationService.assertRecordUnlocked('donation', id);
+
+    // Receipt numbers must stay gap-free, so receipted donations are kept
+    if (await receiptService.findReceipt(id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This donation has an issued receipt and cannot be deleted; refund or void it instead'
+      });
+    }
+
     const { data, error } = await supabaseService.client
       .from('donations')
       .delete()
@@ -217,15 +336,17 @@ router.delete('/:id', async (req, res) => {
 
     if (error) throw error;
 
+    await ledgerService.recordDeleted('donation', id);
+
     res.json({
       success: true,
       message: 'Donation deleted successfully'
     });
   } catch (error) {
     console.error('Error deleting donation:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to delete donation',
+      message: error.statusCode ? error.message : 'Failed to delete donation',
       error: error.message
     });
   }
@@ -418,6 +539,25 @@ router.get('/reports/top-donors', async (req, res) => {
   try {
     console.log('🏆 Fetching top donors...');
 
+    // For a given year, rank donors from their completed donations (net of
+    // refunds), grouped by email the same way as the giving statements
+    if (req.query.year) {
+      const period = givingStatementService.periodFor(parseInt(req.query.year), req.query.period_type === 'fiscal' ? 'fiscal' : 'calendar');
+      const { donors } = await givingStatementService.collectDonors(period);
+      const ranked = donors
+        .map(donor => givingStatementService.buildStatement(donor, period))
+        .sort((a, b) => b.total_amount - a.total_amount)
+        .slice(0, parseInt(req.query.limit) || 10)
+        .map(({ donor_email, donor_name, donation_count, recurring_count, total_amount, currency }) => ({
+          donor_email, donor_name, donation_count, recurring_count, total_amount, currency
+        }));
+
+      return res.json({
+        success: true,
+        data: ranked
+      });
+    }
+
     const { data, error } = await supabaseService.client
       .from('top_donors')
       .select('*')
@@ -439,55 +579,4 @@ router.get('/reports/top-donors', async (req, res) => {
   }
 });
 
-// =============================================
-// HELPER FUNCTIONS
-// =============================================
-
-async function updateCategoryCollectedAmount(donationType) {
-  try {
-    // Map donation types to category names
-    const typeToCategory = {
-      'general': 'General Donations',
-      'temple_construction': 'Temple Construction',
-      'festival': 'Festival Celebrations',
-      'puja_sponsorship': 'Puja Sponsorship',
-      'annadanam': 'Annadanam',
-      'education': 'Education Fund',
-      'medical': 'Medical Aid',
-      'other': 'General Donations'
-    };
-
-    const categoryName = typeToCategory[donationType];
-    if (!categoryName) return;
-
-    // Calculate total collected for this type
-    // Note: payment_status might not exist in all tables, so we handle both cases
-    let query = supabaseService.client
-      .from('donations')
-      .select('amount')
-      .eq('donation_type', donationType);
-
-    // Try to filter by payment_status if column exists
-    try {
-      query = query.eq('payment_status', 'completed');
-    } catch (e) {
-      // If payment_status column doesn't exist, just get all donations
-      console.log('payment_status column not found, using all donations');
-    }
-
-    const { data: donations } = await query;
-
-    const totalCollected = donations?.reduce((sum, d) => sum + parseFloat(d.amount), 0) || 0;
-
-    // Update category
-    await supabaseService.client
-      .from('donation_categories')
-      .update({ collected_amount: totalCollected })
-      .eq('name', categoryName);
-
-  } catch (error) {
-    console.error('Error updating category collected amount:', error);
-  }
-}
-
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,56 @@
+// Donor Portal Routes - self-service for recurring PayPal donations
+// Mounted at /api/public/donor-portal. No login: the donor requests a magic
+// link by email and sends its token as X-Donor-Token (or ?token=).
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { validate } = require('../middleware/validationMiddleware');
+const {
+  requireDonorToken,
+  requestMagicLink,
+  getSession,
+  listSubscriptions,
+  listPayments,
+  changeAmount,
+  pauseSubscription,
+  resumeSubscription,
+  cancelSubscription,
+  downloadHistory
+} = require('../controllers/financial/donorPortalController');
+const {
+  magicLinkValidator,
+  paymentsValidator,
+  subscriptionValidator,
+  changeAmountValidator,
+  reasonValidator,
+  historyValidator
+} = require('../validators/financial/donorPortalValidator');
+const { requestStatement } = require('../controllers/financial/givingStatementController');
+const { requestStatementValidator } = require('../validators/financial/givingStatementValidator');
+
+const router = express.Router();
+
+const magicLinkLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: { success: false, message: 'Too many requests. Please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+router.post('/magic-link', magicLinkLimiter, magicLinkValidator, validate, requestMagicLink);
+// Year-end giving statement, emailed to the address it belongs to
+router.post('/statements/request', magicLinkLimiter, requestStatementValidator, validate, requestStatement);
+
+router.use(requireDonorToken);
+
+router.get('/session', getSession);
+router.get('/subscriptions', listSubscriptions);
+router.get('/subscriptions/:subscriptionId/payments', subscriptionValidator, validate, listPayments);
+router.put('/subscriptions/:subscriptionId/amount', changeAmountValidator, validate, changeAmount);
+router.post('/subscriptions/:subscriptionId/pause', reasonValidator, validate, pauseSubscription);
+router.post('/subscriptions/:subscriptionId/resume', subscriptionValidator, validate, resumeSubscription);
+router.post('/subscriptions/:subscriptionId/cancel', reasonValidator, validate, cancelSubscription);
+router.get('/payments', paymentsValidator, validate, listPayments);
+router.get('/history', historyValidator, validate, downloadHistory);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+// Email Event Routes
+// - publicRouter: SendGrid Event Webhook (signed, no login),
+//   mounted at /api/webhooks/email
+// - router: event log, bounce/complaint suppressions and the local
+//   simulator, mounted at /api/email-events
+const express = require('express');
+const { requirePermission } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validationMiddleware');
+const { PERMISSIONS } = require('../config/permissions');
+const {
+  receiveSendGridEvents,
+  getEvents,
+  reprocessEvent,
+  getSuppressed,
+  simulateEvents
+} = require('../controllers/communication/emailEventController');
+const {
+  webhookValidator,
+  listEventsValidator,
+  eventIdValidator,
+  simulateValidator
+} = require('../validators/communication/emailEventValidator');
+
+const checkCommunicationsAdmin = requirePermission(PERMISSIONS.EMAIL_EVENTS_MANAGE);
+
+// Public
+const publicRouter = express.Router();
+
+publicRouter.post('/sendgrid', webhookValidator, validate, receiveSendGridEvents);
+
+// Protected
+const router = express.Router();
+
+router.use(checkCommunicationsAdmin);
+
+router.get('/', listEventsValidator, validate, getEvents);
+router.get('/suppressed', listEventsValidator, validate, getSuppressed);
+router.post('/simulate', simulateValidator, validate, simulateEvents);
+router.post('/:id/reprocess', eventIdValidator, validate, reprocessEvent);
+
+module.exports = router;
+module.exports.publicRouter = publicRouter;
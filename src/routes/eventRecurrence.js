@@ -0,0 +1,29 @@
+// Event Recurrence Routes - mounted at /api/events/:id/recurrence
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const {
+  getRecurrence,
+  setRecurrence,
+  deleteRecurrence,
+  previewRecurrence,
+  materializeRecurrence,
+  getOccurrences,
+  updateOccurrence
+} = require('../controllers/event/recurringController');
+const {
+  setRecurrenceValidator,
+  previewRecurrenceValidator,
+  listOccurrencesValidator,
+  updateOccurrenceValidator
+} = require('../validators/event/recurringValidator');
+const { validate } = require('../middleware/validationMiddleware');
+
+router.get('/', getRecurrence);
+router.put('/', setRecurrenceValidator, validate, setRecurrence);
+router.delete('/', deleteRecurrence);
+router.post('/preview', previewRecurrenceValidator, validate, previewRecurrence);
+router.post('/materialize', materializeRecurrence);
+router.get('/occurrences', listOccurrencesValidator, validate, getOccurrences);
+router.patch('/occurrences/:occurrenceId', updateOccurrenceValidator, validate, updateOccurrence);
+
+module.exports = router;
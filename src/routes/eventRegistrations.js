@@ -0,0 +1,34 @@
+// Event Registration Routes (protected) - mounted at /api/events/:id
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { requirePermission } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validationMiddleware');
+const { PERMISSIONS } = require('../config/permissions');
+const registrationService = require('../services/event/registrationService');
+const {
+  registerMember,
+  getRegistrations,
+  getRegistrationSummary,
+  cancelRegistration,
+  checkIn,
+  exportAttendees
+} = require('../controllers/event/registrationController');
+const {
+  memberRegisterValidator,
+  listRegistrationsValidator,
+  checkInValidator
+} = require('../validators/event/registrationValidator');
+
+// Community roles apply to events of their own community
+const eventCommunity = (req) => registrationService.getCommunityId(req.params.id);
+const checkEventManager = requirePermission(PERMISSIONS.EVENTS_MANAGE, { community: eventCommunity });
+const checkDoorVolunteer = requirePermission(PERMISSIONS.EVENTS_CHECK_IN, { community: eventCommunity });
+
+router.post('/registrations', memberRegisterValidator, validate, registerMember);
+router.get('/registrations', checkEventManager, listRegistrationsValidator, validate, getRegistrations);
+router.get('/registrations/summary', getRegistrationSummary);
+router.get('/registrations/export', checkEventManager, listRegistrationsValidator, validate, exportAttendees);
+router.delete('/registrations/:registrationId', cancelRegistration);
+router.post('/check-in', checkDoorVolunteer, checkInValidator, validate, checkIn);
+
+module.exports = router;
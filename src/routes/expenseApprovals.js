@@ -0,0 +1,43 @@
+// Expense Approval Routes - approval chains, decisions and payment
+// Mounted at /api/expense-approvals (any signed-in user; each action checks
+// the user's roles against the expense's current step)
+const express = require('express');
+const { requirePermission } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validationMiddleware');
+const { PERMISSIONS } = require('../config/permissions');
+const {
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  getApprovalQueue,
+  getApproval,
+  submitExpense,
+  withdrawExpense,
+  decideExpense,
+  payExpense
+} = require('../controllers/financial/expenseController');
+const {
+  idValidator,
+  createRuleValidator,
+  updateRuleValidator,
+  decisionValidator,
+  payValidator
+} = require('../validators/financial/expenseValidator');
+
+const router = express.Router();
+
+router.get('/queue', getApprovalQueue);
+
+router.get('/rules', requirePermission(PERMISSIONS.EXPENSES_READ), listRules);
+router.post('/rules', requirePermission(PERMISSIONS.APPROVAL_RULES_MANAGE), createRuleValidator, validate, createRule);
+router.put('/rules/:id', requirePermission(PERMISSIONS.APPROVAL_RULES_MANAGE), updateRuleValidator, validate, updateRule);
+router.delete('/rules/:id', requirePermission(PERMISSIONS.APPROVAL_RULES_MANAGE), idValidator, validate, deleteRule);
+
+router.get('/expenses/:id', idValidator, validate, getApproval);
+router.post('/expenses/:id/submit', idValidator, validate, submitExpense);
+router.post('/expenses/:id/withdraw', idValidator, validate, withdrawExpense);
+router.post('/expenses/:id/decision', decisionValidator, validate, decideExpense);
+router.post('/expenses/:id/pay', requirePermission(PERMISSIONS.EXPENSES_PAY), payValidator, validate, payExpense);
+
+module.exports = router;
@@ -2,16 +2,12 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const { createClient } = require('@supabase/supabase-js');
-const { randomUUID } = require('crypto');
-const path = require('path');
 const supabaseService = require('../services/supabaseService');
-
-// Initialize Supabase client for storage
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_ANON_KEY
-);
+const reconciliationService = require('../services/financial/reconciliationService');
+const ledgerService = require('../services/financial/ledgerService');
+const fundService = require('../services/financial/fundService');
+const expenseService = require('../services/financial/expenseService');
+const budgetService = require('../services/budget/budgetService');
 
 // Configure multer for memory storage
 const upload = multer({
@@ -35,94 +31,6 @@ const upload = multer({
   }
 });
 
-// Helper function to ensure bucket exists
-async function ensureBucketExists(bucketName) {
-  try {
-    const { data: buckets } = await supabase.storage.listBuckets();
-    const bucketExists = buckets?.some(b => b.name === bucketName);
-
-    if (!bucketExists) {
-      console.log(`📦 Creating bucket: ${bucketName}`);
-      const { error } = await supabase.storage.createBucket(bucketName, {
-        public: true,
-        fileSizeLimit: 10485760 // 10MB
-      });
-      if (error && !error.message.includes('already exists')) {
-        console.error('❌ Failed to create bucket:', error);
-      }
-    }
-  } catch (err) {
-    console.error('❌ Error checking/creating bucket:', err.message);
-  }
-}
-
-// Helper function to upload file to Supabase Storage
-async function uploadToSupabase(file, expenseId) {
-  const fileExt = path.extname(file.originalname);
-  const fileName = `expenses/${expenseId}/${randomUUID()}${fileExt}`;
-  const bucketName = 'expense-documents';
-
-  console.log(`📤 Uploading file to Supabase: ${fileName}`);
-
-  // Ensure bucket exists
-  await ensureBucketExists(bucketName);
-
-  const { data, error } = await supabase.storage
-    .from(bucketName)
-    .upload(fileName, file.buffer, {
-      contentType: file.mimetype,
-      upsert: false
-    });
-
-  if (error) {
-    console.error('❌ Supabase storage upload error:', error);
-    // Try with gallery bucket as fallback
-    console.log('📤 Trying fallback bucket: gallery');
-    const fallbackFileName = `expense-docs/${expenseId}/${randomUUID()}${fileExt}`;
-    const { data: fallbackData, error: fallbackError } = await supabase.storage
-      .from('gallery')
-      .upload(fallbackFileName, file.buffer, {
-        contentType: file.mimetype,
-        upsert: false
-      });
-
-    if (fallbackError) {
-      console.error('❌ Fallback upload also failed:', fallbackError);
-      throw error; // Throw original error
-    }
-
-    const { data: fallbackUrlData } = supabase.storage
-      .from('gallery')
-      .getPublicUrl(fallbackFileName);
-
-    console.log(`✅ File uploaded to fallback bucket: ${fallbackUrlData.publicUrl}`);
-
-    return {
-      file_name: file.originalname,
-      file_path: fallbackUrlData.publicUrl,
-      file_type: file.mimetype,
-      file_size: file.size,
-      storage_path: fallbackFileName
-    };
-  }
-
-  // Get public URL
-  const { data: urlData } = supabase.storage
-    .from(bucketName)
-    .getPublicUrl(fileName);
-
-  console.log(`✅ File uploaded successfully: ${urlData.publicUrl}`);
-
-  return {
-    file_name: file.originalname,
-    file_path: urlData.publicUrl,
-    file_type: file.mimetype,
-    file_size: file.size,
-    storage_path: fileName
-  };
-}
-
-
 // =============================================
 // EXPENSES ROUTES
 // =============================================
@@ -228,9 +136,9 @@ router.post('/', async (req, res) => {
     // Allowlist fields to prevent mass assignment
     const allowedFields = [
       'description', 'amount', 'expense_type', 'expense_date',
-      'vendor_name', 'payment_method', 'payment_status', 'notes',
+      'vendor_name', 'payment_method', 'notes',
       'receipt_url', 'category_id', 'budget_category_id',
-      'community_id', 'created_by'
+      'community_id', 'created_by', 'fund_id', 'budget_request_id', 'budget_id'
     ];
     const safeData = {};
     for (const field of allowedFields) {
@@ -240,6 +148,9 @@ router.post('/', async (req, res) => {
     }
     // Ensure amount is properly parsed
     safeData.amount = parsedAmount;
+    // New expenses are drafts: upload receipts, then submit them for approval
+    safeData.approval_status = 'draft';
+    safeData.payment_status = 'pending';
     safeData.created_at = new Date().toISOString();
     safeData.updated_at = new Date().toISOString();
 
@@ -251,16 +162,18 @@ router.post('/', async (req, res) => {
 
     if (error) throw error;
 
+    await ledgerService.record('expense', data);
+
     res.status(201).json({
       success: true,
       data: data,
-      message: 'Expense created successfully'
+      message: 'Expense drafted; upload receipts and submit it for approval'
     });
   } catch (error) {
     console.error('Error creating expense:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to create expense',
+      message: error.statusCode ? error.message : 'Failed to create expense',
       error: error.message
     });
   }
@@ -272,11 +185,15 @@ router.put('/:id', async (req, res) => {
     const { id } = req.params;
     console.log('💸 Updating expense:', id);
 
+    // Records reconciled in a locked period are frozen
+    await reconciliationService.assertRecordUnlocked('expense', id);
+
     // Allowlist fields to prevent mass assignment
     const allowedFields = [
       'description', 'amount', 'expense_type', 'expense_date',
       'vendor_name', 'payment_method', 'payment_status', 'notes',
-      'receipt_url', 'category_id', 'budget_category_id'
+      'receipt_url', 'category_id', 'budget_category_id',
+      'fund_id', 'budget_request_id', 'budget_id'
     ];
     const safeData = {};
     for (const field of allowedFields) {
@@ -290,6 +207,22 @@ router.put('/:id', async (req, res) => {
     }
     safeData.updated_at = new Date().toISOString();
 
+    const { data: existing, error: fetchError } = await supabaseService.client
+      .from('expenses')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (fetchError) throw fetchError;
+
+    // Approved amounts are frozen and only approved expenses can be paid
+    expenseService.assertEditable(existing, safeData);
+
+    // Restricted and designated funds can only be spent down to their balance
+    await fundService.assertExpenseAllowed({ ...existing, ...safeData }, existing, {
+      override: req.body.override_designation === true
+    });
+
     const { data, error } = await supabaseService.client
       .from('expenses')
       .update(safeData)
@@ -299,6 +232,9 @@ router.put('/:id', async (req, res) => {
 
     if (error) throw error;
 
+    await ledgerService.record('expense', data);
+    await budgetService.checkAlertsForExpense(data);
+
     res.json({
       success: true,
       data: data,
@@ -306,10 +242,11 @@ router.put('/:id', async (req, res) => {
     });
   } catch (error) {
     console.error('Error updating expense:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to update expense',
-      error: error.message
+      message: error.statusCode ? error.message : 'Failed to update expense',
+      error: error.message,
+      details: error.details
     });
   }
 });
@@ -320,6 +257,9 @@ router.delete('/:id', async (req, res) => {
     const { id } = req.params;
     console.log('💸 Deleting expense:', id);
 
+    // Records reconciled in a locked period are frozen
+    await reconciliationService.assertRecordUnlocked('expense', id);
+
     const { data, error } = await supabaseService.client
       .from('expenses')
       .delete()
@@ -329,15 +269,17 @@ router.delete('/:id', async (req, res) => {
 
     if (error) throw error;
 
+    await ledgerService.recordDeleted('expense', id);
+
     res.json({
       success: true,
       message: 'Expense deleted successfully'
     });
   } catch (error) {
     console.error('Error deleting expense:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to delete expense',
+      message: error.statusCode ? error.message : 'Failed to delete expense',
       error: error.message
     });
   }
@@ -531,34 +473,8 @@ router.post('/:id/upload', upload.array('documents', 5), async (req, res) => {
       });
     }
 
-    // Upload files to Supabase Storage
-    const uploadedAttachments = [];
-    for (const file of req.files) {
-      try {
-        const uploadedFile = await uploadToSupabase(file, id);
-
-        // Insert record into expense_attachments table
-        const { data: attachment, error: attachError } = await supabaseService.client
-          .from('expense_attachments')
-          .insert({
-            expense_id: id,
-            file_name: uploadedFile.file_name,
-            file_path: uploadedFile.file_path,
-            file_type: uploadedFile.file_type,
-            file_size: uploadedFile.file_size
-          })
-          .select('*')
-          .single();
-
-        if (attachError) {
-          console.error('❌ Error inserting attachment record:', attachError);
-        } else {
-          uploadedAttachments.push(attachment);
-        }
-      } catch (uploadError) {
-        console.error('❌ File upload failed:', uploadError.message);
-      }
-    }
+    // Upload files to Supabase Storage and record them as attachments
+    const uploadedAttachments = await expenseService.uploadDocuments(id, req.files);
 
     console.log(`✅ Uploaded ${uploadedAttachments.length} documents for expense ${id}`);
 
@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const supabaseService = require('../services/supabaseService');
+const ledgerService = require('../services/financial/ledgerService');
 
 // =============================================
 // BUDGET CATEGORIES ROUTES
@@ -111,6 +112,8 @@ router.post('/transactions', async (req, res) => {
 
         if (error) throw error;
 
+        await ledgerService.record('transaction', data);
+
         res.status(201).json({
             success: true,
             data: data,
@@ -141,6 +144,8 @@ router.put('/transactions/:id', async (req, res) => {
 
         if (error) throw error;
 
+        await ledgerService.record('transaction', data);
+
         res.json({
             success: true,
             data: data,
@@ -171,6 +176,8 @@ router.delete('/transactions/:id', async (req, res) => {
 
         if (error) throw error;
 
+        await ledgerService.recordDeleted('transaction', id);
+
         res.json({
             success: true,
             message: 'Transaction deleted successfully'
@@ -189,42 +196,36 @@ router.delete('/transactions/:id', async (req, res) => {
 // REPORTS ROUTES
 // =============================================
 
-// GET financial summary
+// GET financial summary (from the general ledger)
+// Optional start_date / end_date (YYYY-MM-DD); all time by default
 router.get('/summary', async (req, res) => {
     try {
         console.log('📊 Fetching financial summary...');
 
-        // Get total income (from transactions)
-        const { data: transactions, error: transactionError } = await supabaseService.client
-            .from('transactions')
-            .select('type, amount')
-            .eq('type', 'income');
-
-        if (transactionError) throw transactionError;
-
-        // Get total expenses (from expenses table)
-        const { data: expenses, error: expenseError } = await supabaseService.client
-            .from('expenses')
-            .select('amount, payment_status');
-
-        if (expenseError) throw expenseError;
-
-        const totalIncome = transactions
-            .reduce((sum, t) => sum + parseFloat(t.amount), 0);
+        const { start_date, end_date } = req.query;
+        const statement = await ledgerService.incomeStatement({
+            startDate: start_date || null,
+            endDate: end_date || undefined
+        });
 
-        // Sum up all expenses
-        const totalExpenses = expenses
-            .reduce((sum, e) => sum + parseFloat(e.amount || 0), 0);
+        let entryQuery = supabaseService.client
+            .from('journal_entries')
+            .select('id', { count: 'exact', head: true });
+        if (start_date) entryQuery = entryQuery.gte('entry_date', start_date);
+        if (end_date) entryQuery = entryQuery.lte('entry_date', end_date);
+        const { count, error: countError } = await entryQuery;
 
-        const netAmount = totalIncome - totalExpenses;
+        if (countError) throw countError;
 
         res.json({
             success: true,
             data: {
-                totalIncome,
-                totalExpenses,
-                netAmount,
-                transactionCount: transactions.length + expenses.length
+                totalIncome: statement.income.total,
+                totalExpenses: statement.expenses.total,
+                netAmount: statement.net_surplus,
+                transactionCount: count || 0,
+                income: statement.income.accounts,
+                expenses: statement.expenses.accounts
             }
         });
     } catch (error) {
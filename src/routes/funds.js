@@ -0,0 +1,31 @@
+// Fund Routes - restricted, designated and unrestricted funds
+// Mounted at /api/funds (finance roles)
+const express = require('express');
+const { validate } = require('../middleware/validationMiddleware');
+const {
+  listFunds,
+  getFund,
+  createFund,
+  updateFund,
+  transferBetweenFunds,
+  getBalanceReport
+} = require('../controllers/financial/fundController');
+const {
+  idValidator,
+  createFundValidator,
+  updateFundValidator,
+  transferValidator,
+  balanceReportValidator
+} = require('../validators/financial/fundValidator');
+
+const router = express.Router();
+
+router.get('/reports/balances', balanceReportValidator, validate, getBalanceReport);
+router.post('/transfers', transferValidator, validate, transferBetweenFunds);
+
+router.get('/', listFunds);
+router.post('/', createFundValidator, validate, createFund);
+router.get('/:id', idValidator, validate, getFund);
+router.put('/:id', updateFundValidator, validate, updateFund);
+
+module.exports = router;
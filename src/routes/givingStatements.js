@@ -0,0 +1,42 @@
+// Giving Statements Routes - year-end donor statements (finance roles)
+// Mounted at /api/giving-statements. The donor-facing re-request lives in
+// the donor portal routes.
+const express = require('express');
+const { validate } = require('../middleware/validationMiddleware');
+const {
+  createRun,
+  listRuns,
+  getRun,
+  resumeRun,
+  getSummary,
+  listStatements,
+  getStatement,
+  downloadStatement,
+  resendStatement,
+  markBounced
+} = require('../controllers/financial/givingStatementController');
+const {
+  createRunValidator,
+  runIdValidator,
+  statementIdValidator,
+  summaryValidator,
+  listStatementsValidator,
+  bounceValidator,
+  paginationRules
+} = require('../validators/financial/givingStatementValidator');
+
+const router = express.Router();
+
+router.post('/runs', createRunValidator, validate, createRun);
+router.get('/runs', paginationRules, validate, listRuns);
+router.get('/runs/:runId', runIdValidator, validate, getRun);
+router.post('/runs/:runId/resume', runIdValidator, validate, resumeRun);
+
+router.get('/summary', summaryValidator, validate, getSummary);
+router.get('/', listStatementsValidator, validate, listStatements);
+router.get('/:id', statementIdValidator, validate, getStatement);
+router.get('/:id/pdf', statementIdValidator, validate, downloadStatement);
+router.post('/:id/resend', statementIdValidator, validate, resendStatement);
+router.post('/:id/bounced', bounceValidator, validate, markBounced);
+
+module.exports = router;
@@ -0,0 +1,59 @@
+// General Ledger Routes - chart of accounts, journal, statements, closes
+// Mounted at /api/ledger (finance.ledger.read / manage)
+const express = require('express');
+const { requirePermission } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validationMiddleware');
+const { PERMISSIONS } = require('../config/permissions');
+const {
+  listAccounts,
+  createAccount,
+  updateAccount,
+  getAccountLedger,
+  listEntries,
+  getEntry,
+  createEntry,
+  reverseEntry,
+  syncLedger,
+  getTrialBalance,
+  getIncomeStatement,
+  getBalanceSheet,
+  listCloses,
+  closePeriod,
+  reopenPeriod
+} = require('../controllers/financial/ledgerController');
+const {
+  idValidator,
+  createAccountValidator,
+  updateAccountValidator,
+  accountLedgerValidator,
+  listEntriesValidator,
+  createEntryValidator,
+  reverseEntryValidator,
+  syncValidator,
+  asOfValidator,
+  incomeStatementValidator,
+  closePeriodValidator
+} = require('../validators/financial/ledgerValidator');
+
+const router = express.Router();
+
+router.get('/accounts', listAccounts);
+router.post('/accounts', createAccountValidator, validate, createAccount);
+router.put('/accounts/:id', updateAccountValidator, validate, updateAccount);
+router.get('/accounts/:id/ledger', accountLedgerValidator, validate, getAccountLedger);
+
+router.get('/entries', listEntriesValidator, validate, listEntries);
+router.get('/entries/:id', idValidator, validate, getEntry);
+router.post('/entries', createEntryValidator, validate, createEntry);
+router.post('/entries/:id/reverse', reverseEntryValidator, validate, reverseEntry);
+router.post('/sync', syncValidator, validate, syncLedger);
+
+router.get('/reports/trial-balance', asOfValidator, validate, getTrialBalance);
+router.get('/reports/income-statement', incomeStatementValidator, validate, getIncomeStatement);
+router.get('/reports/balance-sheet', asOfValidator, validate, getBalanceSheet);
+
+router.get('/closes', listCloses);
+router.post('/closes', closePeriodValidator, validate, closePeriod);
+router.delete('/closes/latest', requirePermission(PERMISSIONS.LEDGER_REOPEN), reopenPeriod);
+
+module.exports = router;
@@ -1358,6 +1358,94 @@ router.delete('/me/account', async (req, res) => {
     }
 });
 
+// =============================================
+// POST /api/mobile/me/push-tokens
+// Register (or refresh) this device's Expo push token
+// =============================================
+router.post('/me/push-tokens', async (req, res) => {
+    try {
+        const { token, platform, device_name } = req.body;
+
+        if (!token || !/^Expo(nent)?PushToken\[.+\]$/.test(token)) {
+            return res.status(400).json({ success: false, message: 'A valid Expo push token is required' });
+        }
+
+        if (platform && !['ios', 'android', 'web'].includes(platform)) {
+            return res.status(400).json({ success: false, message: 'Platform must be ios, android or web' });
+        }
+
+        const now = new Date().toISOString();
+
+        // A token moves with the device, so re-registering reassigns it to the current user
+        const { data, error } = await supabaseService.client
+            .from('push_tokens')
+            .upsert({
+                user_id: req.user.id,
+                token,
+                platform: platform || null,
+                device_name: device_name || null,
+                is_active: true,
+                last_seen_at: now,
+                updated_at: now
+            }, { onConflict: 'token' })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        console.log(`📱 [Mobile] Registered push token for user: ${req.user.id}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Push token registered',
+            data
+        });
+
+    } catch (error) {
+        console.error('❌ Error registering push token:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to register push token',
+            error: error.message
+        });
+    }
+});
+
+// =============================================
+// DELETE /api/mobile/me/push-tokens
+// Unregister a device token (e.g. on logout)
+// =============================================
+router.delete('/me/push-tokens', async (req, res) => {
+    try {
+        const token = req.body?.token || req.query.token;
+
+        if (!token) {
+            return res.status(400).json({ success: false, message: 'Token is required' });
+        }
+
+        const { error } = await supabaseService.client
+            .from('push_tokens')
+            .delete()
+            .eq('user_id', req.user.id)
+            .eq('token', token);
+
+        if (error) throw error;
+
+        res.json({
+            success: true,
+            message: 'Push token removed'
+        });
+
+    } catch (error) {
+        console.error('❌ Error removing push token:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove push token',
+            error: error.message
+        });
+    }
+});
+
 // Helper function for default event images
 function getDefaultEventImage(eventId, title) {
     const DEFAULT_IMAGES = [
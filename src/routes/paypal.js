@@ -7,6 +7,11 @@
  * POST /capture - Captures payment and saves donation
  * GET /status/:id - Check donation status
  * 
+ * Webhook Event Endpoints (finance admins):
+ * GET /webhook-events - List stored webhook events (?status=failed)
+ * GET /webhook-events/:id - Stored event with payload and outcome
+ * POST /webhook-events/:id/reprocess - Re-run a failed event
+ * 
  * Legacy Endpoints (for backward compatibility):
  * POST /create-order - Creates PayPal order only
  * POST /capture-order - Captures payment (legacy)
@@ -22,11 +27,19 @@ const {
     getPendingByOrderId,
     getPendingById,
     validateConfig,
+    listWebhookEvents,
+    getWebhookEvent,
+    reprocessWebhookEvent,
     PayPalError
 } = require('../controllers/paypal');
 const supabaseService = require('../services/supabaseService');
+const { requireAuth, requirePermission } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../config/permissions');
 const rateLimit = require('express-rate-limit');
 
+const checkPaymentsRead = requirePermission(PERMISSIONS.PAYMENTS_READ);
+const checkPaymentsManage = requirePermission(PERMISSIONS.PAYMENTS_MANAGE);
+
 // Stricter rate limiting for payment endpoints
 const paymentLimiter = rateLimit({
     windowMs: 15 * 60 * 1000,
@@ -34,7 +47,8 @@ const paymentLimiter = rateLimit({
     message: { success: false, message: 'Too many payment requests. Please try again later.' },
     standardHeaders: true,
     legacyHeaders: false,
-    skip: (req) => req.method === 'OPTIONS'
+    // PayPal retries rate-limited webhooks, which only delays them
+    skip: (req) => req.method === 'OPTIONS' || req.path === '/webhook' || req.query.action === 'webhook'
 });
 
 router.use(paymentLimiter);
@@ -244,7 +258,7 @@ router.get('/status/:donationId', async (req, res) => {
         if (pending.status === 'completed' && pending.metadata?.completed_donation_id) {
             const { data } = await supabaseService.client
                 .from('donations')
-                .select('id, receipt_number, amount, donation_date, payment_status')
+                .select('id, amount, donation_date, payment_status, metadata')
                 .eq('id', pending.metadata.completed_donation_id)
                 .single();
             donation = data;
@@ -262,7 +276,7 @@ router.get('/status/:donationId', async (req, res) => {
             ...(donation && {
                 donation: {
                     id: donation.id,
-                    receiptNumber: donation.receipt_number,
+                    receiptNumber: donation.metadata?.receipt_number || null,
                     status: donation.payment_status
                 }
             })
@@ -277,6 +291,73 @@ router.get('/status/:donationId', async (req, res) => {
     }
 });
 
+// =============================================
+// WEBHOOK EVENTS (Finance admins)
+// =============================================
+
+const sendWebhookEventError = (res, error, fallback) => {
+    console.error(`❌ ${fallback}:`, error);
+    return res.status(error instanceof PayPalError ? error.statusCode : 500).json({
+        success: false,
+        message: error.message || fallback
+    });
+};
+
+/**
+ * GET /api/paypal/webhook-events
+ * 
+ * Lists stored webhook deliveries, newest first.
+ * Query: status (received|processing|processed|ignored|failed|rejected|all), event_type, page, limit
+ */
+router.get('/webhook-events', requireAuth, checkPaymentsRead, async (req, res) => {
+    try {
+        const result = await listWebhookEvents(supabaseService, {
+            status: req.query.status,
+            eventType: req.query.event_type,
+            page: req.query.page,
+            limit: req.query.limit
+        });
+
+        return res.json({ success: true, data: result.events, pagination: result.pagination });
+    } catch (error) {
+        return sendWebhookEventError(res, error, 'Failed to fetch webhook events');
+    }
+});
+
+/**
+ * GET /api/paypal/webhook-events/:id
+ */
+router.get('/webhook-events/:id', requireAuth, checkPaymentsRead, async (req, res) => {
+    try {
+        const event = await getWebhookEvent(supabaseService, req.params.id);
+        return res.json({ success: true, data: event });
+    } catch (error) {
+        return sendWebhookEventError(res, error, 'Failed to fetch webhook event');
+    }
+});
+
+/**
+ * POST /api/paypal/webhook-events/:id/reprocess
+ * 
+ * Re-runs a failed event from its stored payload. Events that failed
+ * signature verification cannot be re-processed.
+ */
+router.post('/webhook-events/:id/reprocess', requireAuth, checkPaymentsManage, async (req, res) => {
+    try {
+        const outcome = await reprocessWebhookEvent(supabaseService, req.params.id, req.user.id);
+
+        return res.status(outcome.status === 'failed' ? 422 : 200).json({
+            success: outcome.status !== 'failed',
+            message: outcome.status === 'failed'
+                ? `Re-processing failed: ${outcome.error}`
+                : `Webhook event ${outcome.status}`,
+            data: outcome.event
+        });
+    } catch (error) {
+        return sendWebhookEventError(res, error, 'Failed to re-process webhook event');
+    }
+});
+
 // =============================================
 // LEGACY ENDPOINTS (Backward compatibility)
 // =============================================
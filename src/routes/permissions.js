@@ -0,0 +1,30 @@
+// Permission Routes - the permission registry, role -> permission mappings
+// and the audit of denied access attempts
+// Mounted at /api/admin/permissions
+const express = require('express');
+const { requirePermission } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validationMiddleware');
+const { PERMISSIONS } = require('../config/permissions');
+const {
+  getPermissionMatrix,
+  updateRolePermissions,
+  resetRolePermissions,
+  getAccessDenials
+} = require('../controllers/user/permissionController');
+const {
+  roleValidator,
+  updateRolePermissionsValidator,
+  listDenialsValidator
+} = require('../validators/user/permissionValidator');
+
+const router = express.Router();
+
+const allowManagers = requirePermission(PERMISSIONS.PERMISSIONS_MANAGE);
+
+router.get('/', allowManagers, getPermissionMatrix);
+router.put('/roles/:role', allowManagers, updateRolePermissionsValidator, validate, updateRolePermissions);
+router.delete('/roles/:role', allowManagers, roleValidator, validate, resetRolePermissions);
+
+router.get('/denials', requirePermission(PERMISSIONS.AUDIT_READ), listDenialsValidator, validate, getAccessDenials);
+
+module.exports = router;
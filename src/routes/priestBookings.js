@@ -4,6 +4,7 @@ const router = express.Router();
 const { createClient } = require('@supabase/supabase-js');
 const { requireAuth } = require('../middleware/authMiddleware');
 const emailService = require('../services/emailService');
+const priestAvailabilityService = require('../services/priest/priestAvailabilityService');
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -37,6 +38,8 @@ router.get('/', requireAuth, async (req, res) => {
                 status,
                 priest_id,
                 admin_notes,
+                location_type,
+                duration_minutes,
                 created_at,
                 updated_at,
                 priests(id, name, phone, specialization)
@@ -102,6 +105,7 @@ router.get('/:id', requireAuth, async (req, res) => {
                 city, state, zip_code, family_members,
                 gotra, nakshatra, special_requests,
                 status, priest_id, admin_notes,
+                location_type, duration_minutes,
                 created_at, updated_at,
                 priests(id, name, phone, specialization)
             `)
@@ -142,15 +146,22 @@ router.get('/:id', requireAuth, async (req, res) => {
 router.put('/:id', requireAuth, async (req, res) => {
     try {
         const { id } = req.params;
-        const { status, priest_id, admin_notes } = req.body;
+        const { status, priest_id, admin_notes, location_type, duration_minutes, force } = req.body;
 
         // Get the current booking to check status change
         const { data: currentBooking } = await supabase
             .from('priest_bookings')
-            .select('status, email, name, puja_type, preferred_date, preferred_time')
+            .select('id, status, email, name, puja_type, preferred_date, preferred_time, address, location_type, duration_minutes, priest_id')
             .eq('id', id)
             .single();
 
+        if (!currentBooking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
         const updateData = {
             updated_at: new Date().toISOString()
         };
@@ -158,6 +169,18 @@ router.put('/:id', requireAuth, async (req, res) => {
         if (status) updateData.status = status;
         if (priest_id !== undefined) updateData.priest_id = priest_id || null;
         if (admin_notes !== undefined) updateData.admin_notes = admin_notes;
+        if (location_type !== undefined) updateData.location_type = location_type || null;
+        if (duration_minutes !== undefined) updateData.duration_minutes = parseInt(duration_minutes) || null;
+
+        // Re-check the priest's calendar whenever the assignment or the
+        // booking's time footprint changes
+        const target = { ...currentBooking, ...updateData };
+        const footprintChanged = ['priest_id', 'status', 'location_type', 'duration_minutes']
+            .some(field => field in updateData && updateData[field] !== currentBooking[field]);
+
+        if (target.priest_id && footprintChanged) {
+            await priestAvailabilityService.assertAssignable(target, target.priest_id, { force: force === true });
+        }
 
         const { data, error } = await supabase
             .from('priest_bookings')
@@ -169,6 +192,7 @@ router.put('/:id', requireAuth, async (req, res) => {
                 city, state, zip_code, family_members,
                 gotra, nakshatra, special_requests,
                 status, priest_id, admin_notes,
+                location_type, duration_minutes,
                 created_at, updated_at,
                 priests(id, name, phone, specialization)
             `)
@@ -176,6 +200,20 @@ router.put('/:id', requireAuth, async (req, res) => {
 
         if (error) throw error;
 
+        if (target.priest_id && footprintChanged) {
+            // Put back what this request changed, unless someone has updated it since
+            const previous = Object.fromEntries(Object.keys(updateData).map(field => [field, currentBooking[field] ?? null]));
+            delete previous.updated_at;
+            await priestAvailabilityService.confirmAssigned(data, data.priest_id, async () => {
+                const { error: rollbackError } = await supabase
+                    .from('priest_bookings')
+                    .update(previous)
+                    .eq('id', id)
+                    .eq('updated_at', updateData.updated_at);
+                if (rollbackError) console.error('❌ Failed to roll back booking update:', rollbackError);
+            });
+        }
+
         // Send confirmation email when status changes to 'confirmed'
         if (status === 'confirmed' && currentBooking?.status !== 'confirmed' && data.email) {
             try {
@@ -217,7 +255,8 @@ router.put('/:id', requireAuth, async (req, res) => {
                 await emailService.sendEmail({
                     to: data.email,
                     subject: `✅ Your ${data.puja_type} Booking is Confirmed!`,
-                    html: emailHtml
+                    html: emailHtml,
+                    topic: 'puja_bookings'
                 });
 
                 console.log('✅ Confirmation email sent to:', data.email);
@@ -241,6 +280,13 @@ router.put('/:id', requireAuth, async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error updating booking:', error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                ...(error.details || {})
+            });
+        }
         res.status(500).json({
             success: false,
             message: 'Failed to update booking',
@@ -294,7 +340,8 @@ router.post('/', async (req, res) => {
             family_members,
             gotra,
             nakshatra,
-            special_requests
+            special_requests,
+            location_type
         } = req.body;
 
         console.log('📝 [Public] Creating new priest booking:', { name, email, puja_type, preferred_date });
@@ -323,11 +370,17 @@ router.post('/', async (req, res) => {
             gotra: gotra || null,
             nakshatra: nakshatra || null,
             special_requests: special_requests || null,
+            location_type: ['temple', 'home'].includes(location_type) ? location_type : null,
             status: 'pending',
             created_at: new Date().toISOString(),
             updated_at: new Date().toISOString()
         };
 
+        // A requested priest must actually be free at that time
+        if (bookingData.priest_id) {
+            await priestAvailabilityService.assertAssignable(bookingData, bookingData.priest_id);
+        }
+
         const { data, error } = await supabase
             .from('priest_bookings')
             .insert(bookingData)
@@ -339,6 +392,13 @@ router.post('/', async (req, res) => {
             throw error;
         }
 
+        if (data.priest_id) {
+            await priestAvailabilityService.confirmAssigned(data, data.priest_id, async () => {
+                const { error: rollbackError } = await supabase.from('priest_bookings').delete().eq('id', data.id);
+                if (rollbackError) console.error('❌ Failed to roll back booking:', rollbackError);
+            });
+        }
+
         console.log('✅ Priest booking created:', data.id);
 
         res.status(201).json({
@@ -349,6 +409,13 @@ router.post('/', async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error creating priest booking:', error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                ...(error.details || {})
+            });
+        }
         res.status(500).json({
             success: false,
             message: 'Failed to create booking request',
@@ -357,38 +424,21 @@ router.post('/', async (req, res) => {
     }
 });
 
-// Get busy priests for a specific date and time
+// Get busy priests for a specific date, with the time ranges they are booked.
+// With ?time= (and optionally puja_type, address, location_type) only priests
+// who could not take a booking at that time are returned - overlapping
+// bookings, travel time for home pujas, working hours and days off all count.
 router.get('/busy-priests/:date', async (req, res) => {
     try {
         const { date } = req.params;
-        const { time, exclude_booking_id } = req.query;
+        const { time, puja_type, address, location_type, exclude_booking_id } = req.query;
 
-        // Find all confirmed/pending bookings for this date
-        let query = supabase
-            .from('priest_bookings')
-            .select('priest_id, preferred_time, id')
-            .eq('preferred_date', date)
-            .not('priest_id', 'is', null)
-            .in('status', ['pending', 'confirmed']);
-
-        // Exclude current booking when editing
-        if (exclude_booking_id) {
-            query = query.neq('id', exclude_booking_id);
-        }
-
-        const { data, error } = await query;
-
-        if (error) throw error;
-
-        // Create a map of busy priests with their booking times
-        const busyPriests = {};
-        (data || []).forEach(booking => {
-            if (booking.priest_id) {
-                if (!busyPriests[booking.priest_id]) {
-                    busyPriests[booking.priest_id] = [];
-                }
-                busyPriests[booking.priest_id].push(booking.preferred_time || 'All day');
-            }
+        const busyPriests = await priestAvailabilityService.getBusyPriests(date, {
+            time,
+            pujaType: puja_type,
+            address,
+            locationType: location_type,
+            excludeBookingId: exclude_booking_id
         });
 
         res.json({
@@ -406,6 +456,30 @@ router.get('/busy-priests/:date', async (req, res) => {
     }
 });
 
+// Suggest priests for a booking: available priests first (then specialists,
+// then whoever has the fewest bookings that day), with the conflicts or
+// availability issues that rule the others out
+router.get('/:id/suggest-priests', requireAuth, async (req, res) => {
+    try {
+        const result = await priestAvailabilityService.suggestPriests(req.params.id, {
+            includeUnavailable: req.query.available_only !== 'true'
+        });
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('❌ Error suggesting priests:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to suggest priests',
+            error: error.message
+        });
+    }
+});
+
 // PUBLIC: Get bookings for a specific priest by date range (for website calendar view)
 router.get('/priest/:priestId/bookings', async (req, res) => {
     try {
@@ -6,6 +6,7 @@ const { createClient } = require('@supabase/supabase-js');
 const { randomUUID } = require('crypto');
 const path = require('path');
 const { requireAuth } = require('../middleware/authMiddleware');
+const priestAvailabilityService = require('../services/priest/priestAvailabilityService');
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -73,6 +74,87 @@ router.get('/', async (req, res) => {
     }
 });
 
+const TIME_PATTERN = /^\d{2}:\d{2}(:\d{2})?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Availability errors carry their own status code (404 priest not found,
+// 400 invalid hours, ...); anything else is a 500
+const sendAvailabilityError = (res, error, message) => {
+    console.error(`❌ ${message}:`, error);
+    res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : message,
+        error: error.message
+    });
+};
+
+// Get configured puja durations (defaults and per-priest overrides)
+router.get('/puja-durations', requireAuth, async (req, res) => {
+    try {
+        const data = await priestAvailabilityService.listDurations({ priestId: req.query.priest_id });
+
+        res.json({
+            success: true,
+            data
+        });
+
+    } catch (error) {
+        sendAvailabilityError(res, error, 'Failed to fetch puja durations');
+    }
+});
+
+// Create or update a puja duration; omit priest_id to set the default
+router.put('/puja-durations', requireAuth, async (req, res) => {
+    try {
+        const { puja_type, priest_id, duration_minutes, travel_buffer_minutes } = req.body;
+
+        if (!puja_type || !(parseInt(duration_minutes) > 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'puja_type and a positive duration_minutes are required'
+            });
+        }
+
+        if (travel_buffer_minutes !== undefined && travel_buffer_minutes !== null && !(parseInt(travel_buffer_minutes) >= 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'travel_buffer_minutes must be zero or more'
+            });
+        }
+
+        const data = await priestAvailabilityService.setDuration({
+            puja_type,
+            priest_id,
+            duration_minutes,
+            travel_buffer_minutes
+        });
+
+        res.json({
+            success: true,
+            message: 'Puja duration saved successfully',
+            data
+        });
+
+    } catch (error) {
+        sendAvailabilityError(res, error, 'Failed to save puja duration');
+    }
+});
+
+// Delete a puja duration
+router.delete('/puja-durations/:durationId', requireAuth, async (req, res) => {
+    try {
+        await priestAvailabilityService.deleteDuration(req.params.durationId);
+
+        res.json({
+            success: true,
+            message: 'Puja duration deleted successfully'
+        });
+
+    } catch (error) {
+        sendAvailabilityError(res, error, 'Failed to delete puja duration');
+    }
+});
+
 // Get single priest by ID
 router.get('/:id', async (req, res) => {
     try {
@@ -370,4 +452,130 @@ router.delete('/:id', requireAuth, async (req, res) => {
     }
 });
 
+// Get a priest's working hours, upcoming time off and duration overrides
+router.get('/:id/availability', requireAuth, async (req, res) => {
+    try {
+        const data = await priestAvailabilityService.getAvailability(req.params.id);
+
+        res.json({
+            success: true,
+            data
+        });
+
+    } catch (error) {
+        sendAvailabilityError(res, error, 'Failed to fetch priest availability');
+    }
+});
+
+// Replace a priest's weekly working hours
+// Body: { hours: [{ day_of_week: 0-6 (0 = Sunday), start_time: 'HH:MM', end_time: 'HH:MM' }] }
+router.put('/:id/working-hours', requireAuth, async (req, res) => {
+    try {
+        const { hours } = req.body;
+
+        const invalid = !Array.isArray(hours) || hours.some(row =>
+            !row ||
+            !Number.isInteger(Number(row.day_of_week)) ||
+            Number(row.day_of_week) < 0 || Number(row.day_of_week) > 6 ||
+            !TIME_PATTERN.test(row.start_time || '') ||
+            !TIME_PATTERN.test(row.end_time || '')
+        );
+
+        if (invalid) {
+            return res.status(400).json({
+                success: false,
+                message: 'hours must be a list of { day_of_week (0-6), start_time, end_time (HH:MM) }'
+            });
+        }
+
+        const data = await priestAvailabilityService.setWorkingHours(req.params.id, hours);
+
+        res.json({
+            success: true,
+            message: 'Working hours updated successfully',
+            data
+        });
+
+    } catch (error) {
+        sendAvailabilityError(res, error, 'Failed to update working hours');
+    }
+});
+
+// Add a day off / leave period. Without start_time and end_time whole days
+// are blocked. Returns the bookings already assigned in that period.
+router.post('/:id/time-off', requireAuth, async (req, res) => {
+    try {
+        const { start_date, end_date, start_time, end_time } = req.body;
+
+        if (!DATE_PATTERN.test(start_date || '') || (end_date && !DATE_PATTERN.test(end_date))) {
+            return res.status(400).json({
+                success: false,
+                message: 'start_date (YYYY-MM-DD) is required'
+            });
+        }
+
+        if ((start_time && !TIME_PATTERN.test(start_time)) || (end_time && !TIME_PATTERN.test(end_time))) {
+            return res.status(400).json({
+                success: false,
+                message: 'start_time and end_time must be HH:MM'
+            });
+        }
+
+        const data = await priestAvailabilityService.addTimeOff(req.params.id, req.body, req.user?.id);
+
+        res.status(201).json({
+            success: true,
+            message: data.affected_bookings.length > 0
+                ? `Time off added; ${data.affected_bookings.length} assigned booking(s) need another priest`
+                : 'Time off added successfully',
+            data
+        });
+
+    } catch (error) {
+        sendAvailabilityError(res, error, 'Failed to add time off');
+    }
+});
+
+// Remove a time off entry
+router.delete('/:id/time-off/:timeOffId', requireAuth, async (req, res) => {
+    try {
+        await priestAvailabilityService.removeTimeOff(req.params.id, req.params.timeOffId);
+
+        res.json({
+            success: true,
+            message: 'Time off removed successfully'
+        });
+
+    } catch (error) {
+        sendAvailabilityError(res, error, 'Failed to remove time off');
+    }
+});
+
+// Get a priest's bookings (with computed time ranges) and time off for a period
+router.get('/:id/schedule', requireAuth, async (req, res) => {
+    try {
+        const { start_date, end_date } = req.query;
+
+        if (!DATE_PATTERN.test(start_date || '') || !DATE_PATTERN.test(end_date || '')) {
+            return res.status(400).json({
+                success: false,
+                message: 'start_date and end_date (YYYY-MM-DD) are required'
+            });
+        }
+
+        const data = await priestAvailabilityService.getSchedule(req.params.id, {
+            startDate: start_date,
+            endDate: end_date
+        });
+
+        res.json({
+            success: true,
+            data
+        });
+
+    } catch (error) {
+        sendAvailabilityError(res, error, 'Failed to fetch priest schedule');
+    }
+});
+
 module.exports = router;
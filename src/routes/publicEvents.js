@@ -2,6 +2,14 @@
 const express = require('express');
 const router = express.Router();
 const supabaseService = require('../services/supabaseService');
+const { validate } = require('../middleware/validationMiddleware');
+const {
+    registerPublic,
+    getRegistrationSummary,
+    getTicket,
+    cancelByTicket
+} = require('../controllers/event/registrationController');
+const { registerValidator } = require('../validators/event/registrationValidator');
 
 // Default religious images for events without custom images
 const DEFAULT_EVENT_IMAGES = [
@@ -207,4 +215,18 @@ router.get('/stats/upcoming', async (req, res) => {
     }
 });
 
+// ===== REGISTRATION / RSVP =====
+
+// POST register for an event (no authentication required)
+router.post('/:id/register', registerValidator, validate, registerPublic);
+
+// GET seats remaining / waitlist size
+router.get('/:id/availability', getRegistrationSummary);
+
+// GET ticket by its signed code (the code itself is the credential)
+router.get('/tickets/:code', getTicket);
+
+// POST cancel a registration using its ticket code
+router.post('/tickets/:code/cancel', cancelByTicket);
+
 module.exports = router;
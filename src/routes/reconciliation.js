@@ -0,0 +1,70 @@
+// Reconciliation Routes - statement imports, matching queue and period locks
+// Mounted at /api/reconciliation (finance.reconciliation.read / manage)
+const express = require('express');
+const multer = require('multer');
+const { requirePermission } = require('../middleware/authMiddleware');
+const { AppError } = require('../middleware/errorHandler');
+const { validate } = require('../middleware/validationMiddleware');
+const { PERMISSIONS } = require('../config/permissions');
+const {
+  importStatement,
+  listImports,
+  getImport,
+  deleteImport,
+  listLines,
+  getCandidates,
+  matchLine,
+  unmatchLine,
+  excludeLine,
+  listPeriods,
+  lockPeriod,
+  unlockPeriod
+} = require('../controllers/financial/reconciliationController');
+const {
+  idValidator,
+  importValidator,
+  listImportsValidator,
+  listLinesValidator,
+  matchValidator,
+  excludeValidator,
+  listPeriodsValidator,
+  lockPeriodValidator
+} = require('../validators/financial/reconciliationValidator');
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (!/\.(csv|ofx|qfx|txt)$/i.test(file.originalname)) {
+      return cb(new AppError('Statement must be a .csv, .ofx, .qfx or .txt file', 400));
+    }
+    cb(null, true);
+  }
+});
+
+// Surface multer limits as 400s rather than 500s
+const uploadStatement = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) return next(new AppError(error.message, 400));
+    next(error);
+  });
+};
+
+router.post('/imports', uploadStatement, importValidator, validate, importStatement);
+router.get('/imports', listImportsValidator, validate, listImports);
+router.get('/imports/:id', idValidator, validate, getImport);
+router.delete('/imports/:id', idValidator, validate, deleteImport);
+
+router.get('/lines', listLinesValidator, validate, listLines);
+router.get('/lines/:id/candidates', idValidator, validate, getCandidates);
+router.post('/lines/:id/match', matchValidator, validate, matchLine);
+router.post('/lines/:id/unmatch', idValidator, validate, unmatchLine);
+router.post('/lines/:id/exclude', excludeValidator, validate, excludeLine);
+
+router.get('/periods', listPeriodsValidator, validate, listPeriods);
+router.post('/periods', lockPeriodValidator, validate, lockPeriod);
+router.delete('/periods/:id', requirePermission(PERMISSIONS.RECONCILIATION_UNLOCK), idValidator, validate, unlockPeriod);
+
+module.exports = router;
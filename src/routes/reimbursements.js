@@ -0,0 +1,47 @@
+// Reimbursement Routes - volunteers claiming out-of-pocket expenses
+// Mounted at /api/reimbursements (any signed-in user; finance roles see all)
+const express = require('express');
+const multer = require('multer');
+const { validate } = require('../middleware/validationMiddleware');
+const {
+  listReimbursements,
+  getReimbursement,
+  createReimbursement,
+  updateReimbursement,
+  deleteReimbursement,
+  uploadReimbursementReceipts
+} = require('../controllers/financial/expenseController');
+const {
+  idValidator,
+  createReimbursementValidator,
+  updateReimbursementValidator,
+  listReimbursementsValidator
+} = require('../validators/financial/expenseValidator');
+
+const router = express.Router();
+
+// Receipts are kept in memory and pushed to Supabase Storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB per file
+    files: 5 // Max 5 files
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf'];
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Allowed: images and PDF'), false);
+    }
+  }
+});
+
+router.get('/', listReimbursementsValidator, validate, listReimbursements);
+router.post('/', createReimbursementValidator, validate, createReimbursement);
+router.get('/:id', idValidator, validate, getReimbursement);
+router.put('/:id', updateReimbursementValidator, validate, updateReimbursement);
+router.delete('/:id', idValidator, validate, deleteReimbursement);
+router.post('/:id/upload', idValidator, validate, upload.array('documents', 5), uploadReimbursementReceipts);
+
+module.exports = router;
@@ -1,13 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const supabaseService = require('../services/supabaseService');
-const { checkRole } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../config/permissions');
 
-// Role check middleware for reports - admin, board, chair_board, and chairman
-const checkReportsRole = checkRole(['admin', 'board', 'chair_board', 'chairman']);
+// Community reports - community roles can see their own community's
+const checkReportsAccess = requirePermission(PERMISSIONS.COMMUNITY_REPORTS_READ, { community: 'id' });
 
 // GET community reports
-router.get('/communities/:id/reports', checkReportsRole, async (req, res) => {
+router.get('/communities/:id/reports', checkReportsAccess, async (req, res) => {
     try {
         const communityId = req.params.id;
         const { startDate, endDate } = req.query;
@@ -116,7 +117,7 @@ router.get('/communities/:id/reports', checkReportsRole, async (req, res) => {
 });
 
 // GET calendar events
-router.get('/communities/:id/calendar', checkReportsRole, async (req, res) => {
+router.get('/communities/:id/calendar', checkReportsAccess, async (req, res) => {
     try {
         const communityId = req.params.id;
         const { month, year } = req.query;
@@ -1,9 +1,27 @@
 const express = require('express');
 const router = express.Router();
 const supabaseService = require('../services/supabaseService');
+const { requirePermission } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../config/permissions');
+
+// Community of an existing task - checked instead of anything the client
+// sends, so a lead can only change tasks in their own community
+const taskCommunity = async (req) => {
+    const { data, error } = await supabaseService.client
+        .from('community_tasks')
+        .select('community_id')
+        .eq('id', req.params.id)
+        .maybeSingle();
+
+    if (error && error.code !== '22P02') throw error;
+    return data?.community_id;
+};
+
+// Listing without a community_id (or with 'all') needs the permission globally
+const allowReaders = requirePermission(PERMISSIONS.COMMUNITY_TASKS_READ, { community: req => req.query.community_id });
 
 // GET all tasks (general endpoint)
-router.get('/tasks', async (req, res) => {
+router.get('/tasks', allowReaders, async (req, res) => {
     try {
         const { status, priority, community_id, assigned_to, limit = 50, page = 1 } = req.query;
 
@@ -69,7 +87,7 @@ router.get('/tasks', async (req, res) => {
 });
 
 // POST create new task (general endpoint)
-router.post('/tasks', async (req, res) => {
+router.post('/tasks', requirePermission(PERMISSIONS.COMMUNITY_TASKS_ASSIGN, { community: req => req.body.community_id }), async (req, res) => {
     try {
         const {
             community_id,
@@ -147,10 +165,11 @@ router.post('/tasks', async (req, res) => {
 });
 
 // PUT update task (general endpoint)
-router.put('/tasks/:id', async (req, res) => {
+router.put('/tasks/:id', requirePermission(PERMISSIONS.COMMUNITY_TASKS_ASSIGN, { community: taskCommunity }), async (req, res) => {
     try {
         const taskId = req.params.id;
         const updateData = { ...req.body };
+        delete updateData.community_id; // tasks do not move between communities
         updateData.updated_at = new Date().toISOString();
 
         // Handle completed_at field
@@ -229,7 +248,7 @@ router.put('/tasks/:id', async (req, res) => {
 });
 
 // DELETE task (general endpoint)
-router.delete('/tasks/:id', async (req, res) => {
+router.delete('/tasks/:id', requirePermission(PERMISSIONS.COMMUNITY_TASKS_ASSIGN, { community: taskCommunity }), async (req, res) => {
     try {
         const taskId = req.params.id;
 
@@ -270,7 +289,7 @@ router.delete('/tasks/:id', async (req, res) => {
 });
 
 // GET task statistics
-router.get('/tasks/stats', async (req, res) => {
+router.get('/tasks/stats', allowReaders, async (req, res) => {
     try {
         const { community_id } = req.query;
 
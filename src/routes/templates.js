@@ -7,10 +7,12 @@ const {
   createTemplate,
   updateTemplate,
   toggleTemplateStatus,
+  previewTemplate,
   deleteTemplate,
   incrementUsageCount
 } = require('../controllers/templates');
 const { body } = require('express-validator');
+const { validate } = require('../middleware/validationMiddleware');
 
 // Validation rules
 const templateValidation = [
@@ -34,7 +36,48 @@ const templateValidation = [
   body('is_active')
     .optional()
     .isBoolean()
-    .withMessage('is_active must be a boolean')
+    .withMessage('is_active must be a boolean'),
+  body('variables')
+    .optional()
+    .isArray()
+    .withMessage('Variables must be an array'),
+  body('variables.*.name')
+    .matches(/^[A-Za-z_]\w*$/)
+    .withMessage('Variable names must be letters, digits and underscores'),
+  body('variables.*.required')
+    .optional()
+    .isBoolean()
+    .withMessage('Variable required flag must be a boolean'),
+  body('variants')
+    .optional()
+    .isObject()
+    .withMessage('Variants must be an object')
+    .bail()
+    .custom(variants => Object.keys(variants).every(channel => ['email', 'sms', 'push', 'whatsapp'].includes(channel)))
+    .withMessage('Variants may only be defined for email, sms, push and whatsapp')
+];
+
+const previewValidation = [
+  body('channel')
+    .optional()
+    .isIn(['email', 'sms', 'push', 'whatsapp'])
+    .withMessage('Invalid channel'),
+  body('data')
+    .optional()
+    .isObject()
+    .withMessage('Data must be an object'),
+  body('recipient')
+    .optional()
+    .isObject()
+    .withMessage('Recipient must be an object'),
+  body('recipient_id')
+    .optional()
+    .isUUID()
+    .withMessage('Valid recipient ID is required'),
+  body('recipient_email')
+    .optional()
+    .isEmail()
+    .withMessage('Valid recipient email is required')
 ];
 
 // Routes
@@ -43,6 +86,7 @@ router.get('/:id', getTemplateById);
 router.post('/', templateValidation, createTemplate);
 router.put('/:id', templateValidation, updateTemplate);
 router.post('/:id/toggle', toggleTemplateStatus);
+router.post('/:id/preview', previewValidation, validate, previewTemplate);
 router.post('/:id/usage', incrementUsageCount);
 router.delete('/:id', deleteTemplate);
 
@@ -1,5 +1,6 @@
 // Users Routes
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const router = express.Router();
 const {
   registerUser,
@@ -11,8 +12,27 @@ const {
   deleteUser,
   changePassword
 } = require('../controllers/users');
-const { body } = require('express-validator');
+const {
+  refreshSession,
+  logout,
+  getMySessions,
+  revokeMySession,
+  revokeOtherSessions,
+  getUserSessions,
+  forceLogoutUser
+} = require('../controllers/user/sessionController');
+const {
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification
+} = require('../controllers/user/accountController');
+const { body, param } = require('express-validator');
 const authMiddleware = require('../middleware/authMiddleware');
+const { requireAuth, requirePermission, requireVerifiedEmail } = authMiddleware;
+const { validate } = require('../middleware/validationMiddleware');
+const { ASSIGNABLE_ROLES } = require('../config/constants');
+const { PERMISSIONS } = require('../config/permissions');
 
 // Validation rules
 const authValidation = [
@@ -61,7 +81,7 @@ const adminRegistrationValidation = [
     .withMessage('Full name must be between 1 and 100 characters'),
   body('role')
     .optional()
-    .isIn(['admin', 'board', 'chair_board', 'chairman', 'community_owner', 'community_lead', 'community_member', 'volunteer_head', 'priest', 'finance_team'])
+    .isIn(ASSIGNABLE_ROLES)
     .withMessage('Invalid role selected'),
   body('roles')
     .optional()
@@ -69,23 +89,97 @@ const adminRegistrationValidation = [
     .withMessage('Roles must be an array')
     // Custom validator to check if all roles in the array are valid
     .custom((roles) => {
-      const validRoles = ['admin', 'board', 'chair_board', 'chairman', 'community_owner', 'community_lead', 'community_member', 'volunteer_head', 'priest', 'finance_team'];
-      if (!roles.every(role => validRoles.includes(role))) {
+      if (!roles.every(role => ASSIGNABLE_ROLES.includes(role))) {
         throw new Error('One or more invalid roles selected');
       }
       return true;
     })
 ];
 
+const refreshValidation = [
+  body('refresh_token')
+    .isString()
+    .withMessage('refresh_token is required')
+    .bail()
+    .notEmpty()
+    .withMessage('refresh_token is required')
+];
+
+const sessionIdValidation = [
+  param('sessionId')
+    .isUUID()
+    .withMessage('Invalid session ID')
+];
+
+const userIdValidation = [
+  param('id')
+    .isUUID()
+    .withMessage('Invalid user ID')
+];
+
+const emailLinkValidation = [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+];
+
+const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .withMessage('Reset token is required')
+    .bail()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+];
+
+const verifyEmailValidation = [
+  body('token')
+    .isString()
+    .withMessage('Verification token is required')
+    .bail()
+    .notEmpty()
+    .withMessage('Verification token is required')
+];
+
+// Emailed links (reset / verification) and their use, per IP
+const accountLinkLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: { success: false, message: 'Too many requests. Please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 // Routes
 router.post('/register', authValidation, registerUser);
 router.post('/admin-register', adminRegistrationValidation, registerUser); // Admin registration
 router.post('/login', authValidation, loginUser);
 router.get('/me', authMiddleware, getCurrentUser);
+
+// Sessions - access tokens are short-lived; clients renew them with the
+// refresh token (each refresh token works once)
+router.post('/refresh', refreshValidation, validate, refreshSession);
+router.post('/logout', authMiddleware, logout);
+router.get('/me/sessions', requireAuth, getMySessions);
+router.delete('/me/sessions', requireAuth, revokeOtherSessions);
+router.delete('/me/sessions/:sessionId', requireAuth, sessionIdValidation, validate, revokeMySession);
+
+// Password reset & email verification (single-use, expiring emailed links)
+router.post('/forgot-password', accountLinkLimiter, emailLinkValidation, validate, forgotPassword);
+router.post('/reset-password', accountLinkLimiter, resetPasswordValidation, validate, resetPassword);
+router.post('/verify-email', accountLinkLimiter, verifyEmailValidation, validate, verifyEmail);
+router.post('/me/resend-verification', accountLinkLimiter, requireAuth, resendVerification);
+
+router.get('/:id/sessions', requirePermission(PERMISSIONS.SESSIONS_MANAGE), userIdValidation, validate, getUserSessions);
+router.post('/:id/force-logout', requirePermission(PERMISSIONS.SESSIONS_MANAGE), requireVerifiedEmail, userIdValidation, validate, forceLogoutUser);
+
 router.get('/', authMiddleware, getUsers);
 router.get('/:id', authMiddleware, getUserById);
 router.put('/:id', authMiddleware, updateUser);
 router.delete('/:id', authMiddleware, deleteUser);
-router.post('/change-password', authMiddleware, passwordChangeValidation, changePassword);
+router.post('/change-password', authMiddleware, requireVerifiedEmail, passwordChangeValidation, changePassword);
 
 module.exports = router;
@@ -337,7 +337,8 @@ router.post('/', async (req, res) => {
                     from: `${process.env.EMAIL_FROM_NAME || 'Temple Admin'} <${process.env.EMAIL_FROM || 'noreply@temple.com'}>`,
                     to: email.toLowerCase(),
                     subject: '🎉 Welcome to the Volunteer Team - Your Login Credentials',
-                    html: emailHtml
+                    html: emailHtml,
+                    topic: 'account'
                 });
 
                 emailSent = true;
@@ -1502,7 +1503,8 @@ router.put('/applications/:id/approve', async (req, res) => {
                 from: process.env.EMAIL_FROM || 'noreply@saisamsthan.org',
                 to: application.email,
                 subject: '🎉 Your Volunteer Application Has Been Approved!',
-                html: emailHtml
+                html: emailHtml,
+                topic: 'account'
             });
 
             console.log('✅ Approval email sent to:', application.email);
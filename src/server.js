@@ -17,6 +17,8 @@ const frontendCompatibleRoutes = require('./routes/applications-frontend-compati
 const reportsRoutes = require('./routes/reports');
 const debugRoutes = require('./routes/debug');
 const eventsWithUploadRoutes = require('./routes/eventsWithUpload');
+const eventRecurrenceRoutes = require('./routes/eventRecurrence');
+const eventRegistrationRoutes = require('./routes/eventRegistrations');
 const publicEventsRoutes = require('./routes/publicEvents');
 const taskRoutes = require('./routes/tasks');
 const volunteerRoutes = require('./routes/volunteers-simple');
@@ -36,15 +38,29 @@ const priestsRoutes = require('./routes/priests');
 const priestBookingsRoutes = require('./routes/priestBookings');
 const mobileRoutes = require('./routes/mobileRoutes');
 const paypalRoutes = require('./routes/paypal');
+const communicationPreferenceRoutes = require('./routes/communicationPreferences');
+const emailEventRoutes = require('./routes/emailEvents');
+const donorPortalRoutes = require('./routes/donorPortal');
+const calendarFeedRoutes = require('./routes/calendarFeeds');
+const givingStatementRoutes = require('./routes/givingStatements');
+const reconciliationRoutes = require('./routes/reconciliation');
+const ledgerRoutes = require('./routes/ledger');
+const fundRoutes = require('./routes/funds');
+const expenseApprovalRoutes = require('./routes/expenseApprovals');
+const reimbursementRoutes = require('./routes/reimbursements');
+const permissionRoutes = require('./routes/permissions');
 
 // Import auth middleware
-const { requireAuth } = require('./middleware/authMiddleware');
-const { checkRole } = require('./middleware/authMiddleware');
+const { requireAuth, requireVerifiedEmail, requirePermission } = require('./middleware/authMiddleware');
+const { PERMISSIONS } = require('./config/permissions');
+const errorHandler = require('./middleware/errorHandler');
 
-// Role-check middlewares for specific route groups
-const checkFinanceRole = checkRole(['admin', 'board', 'chair_board', 'chairman', 'finance_team']);
-const checkAdminRole = checkRole(['admin']);
-const checkReportsRole = checkRole(['admin', 'board', 'chair_board', 'chairman']);
+// Background workers
+const broadcastDispatcher = require('./services/messaging/broadcastDispatcher');
+const emailScheduler = require('./services/messaging/emailScheduler');
+
+// Finance areas: GET needs the read permission, anything else the manage one
+const financeAccess = (read, write) => requirePermission({ read, write });
 
 // Import Supabase-backed models
 require('./models/User');
@@ -118,7 +134,13 @@ app.use(cors({
 // Handle preflight requests explicitly
 app.options('*', cors());
 
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json({
+  limit: '50mb',
+  // Signed webhooks (SendGrid events) are verified against the exact bytes sent
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks/')) req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // Rate limiting - prevent abuse (after CORS)
@@ -179,6 +201,10 @@ app.set('supabaseService', supabaseService);
 
 app.use('/api/users', userRoutes); // Has its own auth for protected routes
 app.use('/api/public/events', publicEventsRoutes); // Public events for website
+app.use('/api/public/preferences', communicationPreferenceRoutes.publicRouter); // Unsubscribe links & preference center
+app.use('/api/public/donor-portal', donorPortalRoutes); // Magic-link portal for recurring donors
+app.use('/api/webhooks/email', emailEventRoutes.publicRouter); // SendGrid delivery/open/click/bounce events
+app.use('/api/public/calendar', calendarFeedRoutes.publicRouter); // .ics feeds (public events, communities, tokenized personal)
 
 // PUBLIC: Community events for website (fetches from community_events table)
 app.get('/api/public/community-events', async (req, res) => {
@@ -455,6 +481,9 @@ app.post('/api/cms/contact', cmsRoutes); // Contact form submission
 app.use('/api/paypal', paypalRoutes);
 
 // PUBLIC: Create donation from PayPal (no auth required for payment gateway callbacks)
+// Anyone can call this, so the row is only a pending record: the receipt and
+// ledger posting come from the verified PayPal capture/webhook, or from staff
+// marking the donation completed
 app.post('/api/public/donations', async (req, res) => {
   try {
     console.log('💰 [Public] Creating donation from PayPal:', JSON.stringify(req.body, null, 2));
@@ -483,7 +512,7 @@ app.post('/api/public/donations', async (req, res) => {
       donor_email: donorEmail !== 'not-provided@example.com' ? donorEmail : null,
       donor_phone: donorPhone,
       purpose: purpose,
-      payment_status: req.body.status || 'completed',
+      payment_status: 'pending',
       donation_type: req.body.donation_type || 'general',
       payment_method: paymentMethod,
       currency: metadata.currency || req.body.currency || 'USD',
@@ -503,7 +532,8 @@ app.post('/api/public/donations', async (req, res) => {
       throw error;
     }
 
-    console.log('✅ Donation created successfully:', data.id);
+    console.log('✅ Donation created successfully (pending verification):', data.id);
+
     res.status(201).json({ success: true, data, message: 'Donation created successfully' });
   } catch (error) {
     console.error('❌ Error creating donation:', error);
@@ -564,7 +594,8 @@ app.use('/api/priest-bookings', priestBookingsRoutes);
 // =============================================
 // PROTECTED ROUTES (Authentication required)
 // =============================================
-app.use('/api/admin', requireAuth, checkAdminRole, adminRoutes);
+app.use('/api/admin/permissions', requireAuth, requireVerifiedEmail, permissionRoutes); // Role -> permission mappings
+app.use('/api/admin', requireAuth, requireVerifiedEmail, adminRoutes); // Each route checks its own permission
 app.use('/api/communities', requireAuth, communityRoutes); // Basic community CRUD
 app.use('/api/communities', requireAuth, communityFeaturesRoutes); // Members, Applications, Tasks
 app.use('/api', requireAuth, applicationRoutes); // Standalone application routes
@@ -576,22 +607,34 @@ app.use('/api/mobile', requireAuth, mobileRoutes);
 // Reports routes - admin/board only (role check is applied inside the route handlers)
 app.use('/api', requireAuth, reportsRoutes); // Reports and calendar routes
 
+app.use('/api/calendar-feeds', requireAuth, calendarFeedRoutes); // Personal calendar feed links
+app.use('/api/events/:id/recurrence', requireAuth, eventRecurrenceRoutes); // Recurrence rules & occurrences
+app.use('/api/events/:id', requireAuth, eventRegistrationRoutes); // Registrations, waitlist & check-in
 app.use('/api/events', requireAuth, eventsWithUploadRoutes); // Events with image upload
 app.use('/api', requireAuth, taskRoutes); // Tasks management routes
 app.use('/api/volunteers', requireAuth, volunteerRoutes);
-app.use('/api/broadcasts', requireAuth, broadcastRoutes);
+app.use('/api/broadcasts', requireAuth, requireVerifiedEmail, broadcastRoutes);
 app.use('/api/templates', requireAuth, templateRoutes);
 app.use('/api/pujas', requireAuth, pujaRoutes);
 
-// Finance routes - restricted to admin, board, finance roles
-app.use('/api/finance', requireAuth, checkFinanceRole, financeRoutes);
+// Finance routes - each area has read and manage permissions
+app.use('/api/finance', requireAuth, requireVerifiedEmail, financeAccess(PERMISSIONS.TRANSACTIONS_READ, PERMISSIONS.TRANSACTIONS_MANAGE), financeRoutes);
 // Budget requests - allow any authenticated user to submit (approval restricted in route handlers)
-app.use('/api/budget-requests', requireAuth, budgetRequestRoutes);
-app.use('/api/budgets', requireAuth, checkFinanceRole, budgetsRoutes);
-app.use('/api/donations', requireAuth, checkFinanceRole, donationsRoutes);
-app.use('/api/expenses', requireAuth, checkFinanceRole, expensesRoutes);
-
-app.use('/api/communications', requireAuth, communicationRoutes);
+app.use('/api/budget-requests', requireAuth, requireVerifiedEmail, budgetRequestRoutes);
+app.use('/api/budgets', requireAuth, requireVerifiedEmail, financeAccess(PERMISSIONS.BUDGETS_READ, PERMISSIONS.BUDGETS_MANAGE), budgetsRoutes);
+app.use('/api/donations', requireAuth, requireVerifiedEmail, financeAccess(PERMISSIONS.DONATIONS_READ, PERMISSIONS.DONATIONS_MANAGE), donationsRoutes);
+app.use('/api/giving-statements', requireAuth, requireVerifiedEmail, financeAccess(PERMISSIONS.STATEMENTS_READ, PERMISSIONS.STATEMENTS_MANAGE), givingStatementRoutes); // Year-end donor statements
+app.use('/api/expenses', requireAuth, requireVerifiedEmail, financeAccess(PERMISSIONS.EXPENSES_READ, PERMISSIONS.EXPENSES_MANAGE), expensesRoutes);
+app.use('/api/reconciliation', requireAuth, requireVerifiedEmail, financeAccess(PERMISSIONS.RECONCILIATION_READ, PERMISSIONS.RECONCILIATION_MANAGE), reconciliationRoutes); // Bank/PayPal statement matching
+app.use('/api/ledger', requireAuth, requireVerifiedEmail, financeAccess(PERMISSIONS.LEDGER_READ, PERMISSIONS.LEDGER_MANAGE), ledgerRoutes); // Double-entry general ledger
+app.use('/api/funds', requireAuth, requireVerifiedEmail, financeAccess(PERMISSIONS.FUNDS_READ, PERMISSIONS.FUNDS_MANAGE), fundRoutes); // Restricted and designated funds
+// Approval chains and reimbursements - approvers and volunteers are checked in the service
+app.use('/api/expense-approvals', requireAuth, requireVerifiedEmail, expenseApprovalRoutes);
+app.use('/api/reimbursements', requireAuth, requireVerifiedEmail, reimbursementRoutes);
+
+app.use('/api/communications', requireAuth, requireVerifiedEmail, communicationRoutes);
+app.use('/api/communication-preferences', requireAuth, communicationPreferenceRoutes);
+app.use('/api/email-events', requireAuth, requireVerifiedEmail, emailEventRoutes); // Delivery event log, bounce suppressions, simulator
 app.use('/api/cms/gallery', requireAuth, galleryRoutes);
 app.use('/api/brochures', requireAuth, brochuresRoutes);
 
@@ -628,73 +671,7 @@ app.get('/api/test/community-routes', (req, res) => {
 });
 
 // Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('❌ GLOBAL ERROR HANDLER:', err);
-  console.error('❌ Error Code:', err.code);
-  console.error('❌ Error Message:', err.message);
-  console.error('❌ Error Details:', err.details);
-  console.error('❌ Error Hint:', err.hint);
-
-  const isDev = process.env.NODE_ENV !== 'production';
-
-  // Supabase database errors - show details only in development
-  if (err.code && err.code.startsWith('23')) {
-    return res.status(400).json({
-      success: false,
-      message: 'Database operation failed',
-      ...(isDev && {
-        error: err.message,
-        details: err.details,
-        hint: err.hint,
-        code: err.code
-      })
-    });
-  }
-
-  // Supabase unique constraint error
-  if (err.code === '23505') {
-    return res.status(400).json({
-      success: false,
-      message: 'A record with this information already exists',
-      ...(isDev && { error: err.message, details: err.details })
-    });
-  }
-
-  // Supabase foreign key error
-  if (err.code === '23503') {
-    return res.status(400).json({
-      success: false,
-      message: 'Invalid reference to related record',
-      ...(isDev && { error: err.message })
-    });
-  }
-
-  // JWT error
-  if (err.name === 'JsonWebTokenError') {
-    return res.status(401).json({
-      success: false,
-      message: 'Invalid token'
-    });
-  }
-
-  // JWT expired error
-  if (err.name === 'TokenExpiredError') {
-    return res.status(401).json({
-      success: false,
-      message: 'Token expired'
-    });
-  }
-
-  // Default error
-  res.status(500).json({
-    success: false,
-    message: 'Internal Server Error',
-    ...(process.env.NODE_ENV === 'development' && {
-      stack: err.stack,
-      error: err.message
-    })
-  });
-});
+app.use(errorHandler);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -729,11 +706,19 @@ const server = app.listen(PORT, async () => {
 
   // Default communities initialization removed
 
+  // Fires scheduled broadcasts and works through queued sends
+  broadcastDispatcher.start();
+
+  // Sends one-off emails scheduled through /api/communications/emails/send
+  emailScheduler.start();
+
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('\n⚠️  SIGTERM received, shutting down gracefully...');
+  broadcastDispatcher.stop();
+  emailScheduler.stop();
   server.close(() => {
     console.log('✅ Server closed');
     process.exit(0);
@@ -742,6 +727,8 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('\n⚠️  SIGINT received, shutting down gracefully...');
+  broadcastDispatcher.stop();
+  emailScheduler.stop();
   server.close(() => {
     console.log('✅ Server closed');
     process.exit(0);
@@ -0,0 +1,560 @@
+const { supabase } = require('../../config/supabase');
+const { AppError } = require('../../middleware/errorHandler');
+const { COMMUNICATION_TOPICS } = require('../../config/constants');
+const emailService = require('../emailService');
+const receiptService = require('../financial/receiptService');
+const { escapeHtml } = require('../../utils/html');
+
+const PAGE_SIZE = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Utilisation percentages that email the community owner and finance team
+const ALERT_THRESHOLDS = [80, 100];
+
+// How long a budget line without an end date runs, by its `period`
+const PERIOD_MONTHS = { monthly: 1, quarterly: 3, yearly: 12 };
+
+const roundAmount = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const toDate = (iso) => new Date(`${String(iso).slice(0, 10)}T00:00:00Z`);
+
+const addDays = (iso, days) => new Date(toDate(iso).getTime() + days * DAY_MS).toISOString().split('T')[0];
+
+const addMonths = (iso, months) => {
+  const date = toDate(iso);
+  const day = date.getUTCDate();
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  // Jan 31 + 1 month is the last day of February, not March 3
+  const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  date.setUTCDate(Math.min(day, lastDay));
+  return date.toISOString().split('T')[0];
+};
+
+// Inclusive number of days from `start` to `end`
+const daysBetween = (start, end) => Math.round((toDate(end) - toDate(start)) / DAY_MS) + 1;
+
+const categoryKey = (value) => String(value || '').trim().toLowerCase();
+
+// Expense states that count as spent (mirrors ledgerService.expenseEntry)
+const isSpendingExpense = (expense) => expense.approval_status !== 'rejected' &&
+  (expense.payment_status === 'completed' ||
+    (expense.payment_status === 'pending' && expense.approval_status === 'approved'));
+
+/**
+ * Budget periods, budget vs. actual variance and overspend alerts.
+ *
+ * A budget line's actuals are computed, not typed in:
+ *  - expenses linked to it (expenses.budget_id), plus
+ *  - unlinked expenses whose expense_type or category equals the line's
+ *    category, dated inside the line's range and, for a community's line,
+ *    belonging to that community, plus
+ *  - ledger lines tagged with the budget (PUT /budgets/:id/spend without an
+ *    expense, manual journals).
+ * Only approved or paid expenses count as actual; expenses still in the
+ * approval chain are reported as committed.
+ *
+ * Burn rate is actual spend per elapsed day; the forecast extends it to the
+ * end of the range. Reaching 80% and 100% of the budget emails the
+ * community owner and the finance team once per threshold.
+ */
+class BudgetService {
+  // ------------------------------------------------------------------
+  // Periods
+  // ------------------------------------------------------------------
+
+  async listPeriods({ status } = {}) {
+    let query = supabase.from('budget_periods').select('*').order('start_date', { ascending: false }).order('period_type');
+    if (status) query = query.eq('status', status);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  async getPeriod(periodId) {
+    const { data, error } = await supabase.from('budget_periods').select('*').eq('id', periodId).maybeSingle();
+    if (error) throw error;
+    if (!data) throw new AppError('Budget period not found', 404);
+    return data;
+  }
+
+  /**
+   * Create the fiscal year containing `date` (FISCAL_YEAR_START_MONTH sets
+   * where years begin), optionally with its four quarters.
+   */
+  async createFiscalYear({ date = today(), includeQuarters = true } = {}, createdBy = null) {
+    const { start, end } = receiptService.fiscalYearRange(date);
+    const label = `FY ${receiptService.fiscalYearFor(date)}`;
+
+    const { data: year, error } = await supabase
+      .from('budget_periods')
+      .insert({ name: label, period_type: 'fiscal_year', start_date: start, end_date: end, created_by: createdBy })
+      .select('*')
+      .single();
+    if (error?.code === '23505') throw new AppError(`${label} already exists`, 409);
+    if (error) throw error;
+
+    let quarters = [];
+    if (includeQuarters) {
+      const { data, error: quarterError } = await supabase
+        .from('budget_periods')
+        .insert([0, 1, 2, 3].map(index => ({
+          name: `Q${index + 1} ${label}`,
+          period_type: 'quarter',
+          start_date: addMonths(start, index * 3),
+          end_date: addDays(addMonths(start, (index + 1) * 3), -1),
+          parent_id: year.id,
+          created_by: createdBy
+        })))
+        .select('*');
+      if (quarterError) throw quarterError;
+      quarters = data || [];
+    }
+
+    return { ...year, quarters };
+  }
+
+  async updatePeriod(periodId, { name, status }) {
+    const updates = { updated_at: new Date().toISOString() };
+    if (name !== undefined) updates.name = name;
+    if (status !== undefined) updates.status = status;
+
+    const { data, error } = await supabase
+      .from('budget_periods')
+      .update(updates)
+      .eq('id', periodId)
+      .select('*')
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) throw new AppError('Budget period not found', 404);
+    return data;
+  }
+
+  /**
+   * Give a budget line being saved its period's dates. Closed periods take
+   * no new lines.
+   */
+  async applyPeriod(budgetData) {
+    if (!budgetData.budget_period_id) return budgetData;
+    const period = await this.getPeriod(budgetData.budget_period_id);
+    if (period.status === 'closed') throw new AppError(`${period.name} is closed`, 409);
+    return { ...budgetData, start_date: period.start_date, end_date: period.end_date };
+  }
+
+  // ------------------------------------------------------------------
+  // Actuals
+  // ------------------------------------------------------------------
+
+  /**
+   * First and last day a budget line covers
+   */
+  rangeOf(budget) {
+    const start = String(budget.start_date || budget.created_at || today()).slice(0, 10);
+    if (budget.end_date) return { start, end: String(budget.end_date).slice(0, 10) };
+    if (budget.period === 'weekly') return { start, end: addDays(start, 6) };
+    return { start, end: addDays(addMonths(start, PERIOD_MONTHS[budget.period] || 1), -1) };
+  }
+
+  matchesExpense(budget, range, expense) {
+    if (expense.budget_id) return expense.budget_id === budget.id;
+
+    const category = categoryKey(budget.category);
+    if (category !== categoryKey(expense.expense_type) && category !== categoryKey(expense.category)) return false;
+    if (budget.community_id && expense.community_id !== budget.community_id) return false;
+
+    const date = String(expense.expense_date || expense.created_at || '').slice(0, 10);
+    return date >= range.start && date <= range.end;
+  }
+
+  async loadBudgets({ budgetIds, periodId, communityId, includeInactive = false } = {}) {
+    let query = supabase.from('budgets').select('*').order('category');
+    if (budgetIds) query = query.in('id', budgetIds);
+    if (periodId) query = query.eq('budget_period_id', periodId);
+    if (communityId) query = query.eq('community_id', communityId);
+    if (!includeInactive) query = query.eq('is_active', true);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  async loadExpenses(start, end) {
+    const expenses = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from('expenses')
+        .select('id, amount, expense_type, category, community_id, budget_id, expense_date, created_at, approval_status, payment_status')
+        .or(`budget_id.not.is.null,and(expense_date.gte.${start},expense_date.lte.${end})`)
+        .neq('approval_status', 'rejected')
+        .order('id')
+        .range(from, from + PAGE_SIZE - 1);
+      if (error) throw error;
+      expenses.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+    return expenses;
+  }
+
+  async loadLedgerSpend(budgetIds) {
+    if (budgetIds.length === 0) return [];
+    const { data, error } = await supabase
+      .from('journal_lines')
+      .select('budget_id, debit, credit, journal_entries!inner(entry_date)')
+      .in('budget_id', budgetIds);
+    if (error) throw error;
+    return (data || []).map(line => ({
+      budget_id: line.budget_id,
+      date: line.journal_entries.entry_date,
+      amount: Number(line.debit) - Number(line.credit)
+    }));
+  }
+
+  /**
+   * Dated spending items (actual and committed) for each budget line
+   */
+  async collectSpending(budgets) {
+    if (budgets.length === 0) return new Map();
+    const ranges = new Map(budgets.map(budget => [budget.id, this.rangeOf(budget)]));
+    const starts = [...ranges.values()].map(range => range.start).sort();
+    const ends = [...ranges.values()].map(range => range.end).sort();
+
+    const [expenses, ledgerSpend] = await Promise.all([
+      this.loadExpenses(starts[0], ends[ends.length - 1]),
+      this.loadLedgerSpend(budgets.map(budget => budget.id))
+    ]);
+
+    const spending = new Map(budgets.map(budget => [budget.id, []]));
+    budgets.forEach(budget => {
+      const items = spending.get(budget.id);
+      expenses
+        .filter(expense => this.matchesExpense(budget, ranges.get(budget.id), expense))
+        .forEach(expense => {
+          const committed = !isSpendingExpense(expense);
+          // Drafts are not commitments yet
+          if (committed && expense.approval_status !== 'pending') return;
+          items.push({
+            date: String(expense.expense_date || expense.created_at).slice(0, 10),
+            amount: Number(expense.amount),
+            committed
+          });
+        });
+      ledgerSpend
+        .filter(line => line.budget_id === budget.id)
+        .forEach(line => items.push({ date: line.date, amount: line.amount, committed: false }));
+    });
+    return spending;
+  }
+
+  /**
+   * Variance, burn rate and forecast for one line as of a date
+   */
+  analyse(budget, items, asOf) {
+    const { start, end } = this.rangeOf(budget);
+    const budgeted = roundAmount(budget.budgeted_amount);
+    const actual = roundAmount(items.filter(item => !item.committed && item.date <= asOf).reduce((sum, item) => sum + item.amount, 0));
+    const committed = roundAmount(items.filter(item => item.committed).reduce((sum, item) => sum + item.amount, 0));
+
+    const totalDays = Math.max(daysBetween(start, end), 1);
+    const elapsedDays = asOf < start ? 0 : Math.min(daysBetween(start, asOf), totalDays);
+    const remainingDays = totalDays - elapsedDays;
+    const burnRate = elapsedDays > 0 ? actual / elapsedDays : 0;
+    const forecast = roundAmount(actual + burnRate * remainingDays);
+    const utilisation = budgeted > 0 ? roundAmount((actual / budgeted) * 100) : 0;
+
+    let exhaustionDate = null;
+    if (burnRate > 0 && actual < budgeted) {
+      const daysLeft = Math.ceil((budgeted - actual) / burnRate);
+      const date = addDays(asOf < end ? asOf : end, daysLeft);
+      if (date <= end) exhaustionDate = date;
+    }
+
+    let status = 'on_track';
+    if (utilisation >= 100) status = 'over_budget';
+    else if (utilisation >= ALERT_THRESHOLDS[0] || forecast > budgeted) status = 'at_risk';
+
+    return {
+      budget_id: budget.id,
+      category: budget.category,
+      community_id: budget.community_id || null,
+      budget_period_id: budget.budget_period_id || null,
+      start_date: start,
+      end_date: end,
+      budgeted,
+      actual,
+      committed,
+      remaining: roundAmount(budgeted - actual),
+      variance: roundAmount(actual - budgeted),
+      variance_percent: budgeted > 0 ? roundAmount(((actual - budgeted) / budgeted) * 100) : null,
+      utilisation_percent: utilisation,
+      expected_to_date: roundAmount(budgeted * (elapsedDays / totalDays)),
+      elapsed_days: elapsedDays,
+      total_days: totalDays,
+      burn_rate_per_day: roundAmount(burnRate),
+      burn_rate_per_month: roundAmount(burnRate * 30),
+      forecast,
+      forecast_variance: roundAmount(forecast - budgeted),
+      projected_exhaustion_date: exhaustionDate,
+      status
+    };
+  }
+
+  /**
+   * Budget vs. actual for every active line (optionally one period or
+   * community), with totals per community and overall
+   */
+  async varianceReport({ periodId, communityId, asOf = today() } = {}) {
+    const budgets = await this.loadBudgets({ periodId, communityId });
+    const spending = await this.collectSpending(budgets);
+    const lines = budgets.map(budget => this.analyse(budget, spending.get(budget.id), asOf));
+
+    const total = (rows) => {
+      const budgeted = roundAmount(rows.reduce((sum, row) => sum + row.budgeted, 0));
+      const actual = roundAmount(rows.reduce((sum, row) => sum + row.actual, 0));
+      return {
+        budgeted,
+        actual,
+        committed: roundAmount(rows.reduce((sum, row) => sum + row.committed, 0)),
+        variance: roundAmount(actual - budgeted),
+        forecast: roundAmount(rows.reduce((sum, row) => sum + row.forecast, 0)),
+        utilisation_percent: budgeted > 0 ? roundAmount((actual / budgeted) * 100) : 0
+      };
+    };
+
+    const communities = new Map();
+    lines.forEach(line => {
+      const key = line.community_id || null;
+      if (!communities.has(key)) communities.set(key, []);
+      communities.get(key).push(line);
+    });
+
+    return {
+      as_of: asOf,
+      budgets: lines,
+      by_community: [...communities.entries()].map(([id, rows]) => ({ community_id: id, ...total(rows) })),
+      totals: total(lines)
+    };
+  }
+
+  /**
+   * One line's variance plus month-by-month actuals against an even spread
+   * of the budget
+   */
+  async budgetVariance(budgetId, { asOf = today() } = {}) {
+    const [budget] = await this.loadBudgets({ budgetIds: [budgetId], includeInactive: true });
+    if (!budget) throw new AppError('Budget not found', 404);
+
+    const items = (await this.collectSpending([budget])).get(budget.id);
+    const analysis = this.analyse(budget, items, asOf);
+
+    const months = [];
+    let cumulative = 0;
+    for (let monthStart = `${analysis.start_date.slice(0, 7)}-01`; monthStart <= analysis.end_date; monthStart = addMonths(monthStart, 1)) {
+      const month = monthStart.slice(0, 7);
+      const monthEnd = addDays(addMonths(monthStart, 1), -1);
+      const actual = roundAmount(items
+        .filter(item => !item.committed && item.date.slice(0, 7) === month && item.date <= asOf)
+        .reduce((sum, item) => sum + item.amount, 0));
+      cumulative = roundAmount(cumulative + actual);
+      const covered = Math.min(daysBetween(analysis.start_date, monthEnd < analysis.end_date ? monthEnd : analysis.end_date), analysis.total_days);
+      months.push({
+        month,
+        actual,
+        cumulative_actual: cumulative,
+        cumulative_budget: roundAmount(analysis.budgeted * (covered / analysis.total_days))
+      });
+    }
+
+    return { ...analysis, budget, months };
+  }
+
+  // ------------------------------------------------------------------
+  // Alerts
+  // ------------------------------------------------------------------
+
+  async listAlerts({ budgetId, limit = 50 } = {}) {
+    let query = supabase
+      .from('budget_alerts')
+      .select('*, budgets(category, community_id, budgeted_amount)')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    if (budgetId) query = query.eq('budget_id', budgetId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Send any 80% / 100% alerts now due (all active lines, or the given ones)
+   * and re-arm alerts whose line dropped back below the threshold. Returns
+   * the alerts sent.
+   */
+  async checkAlerts(budgetIds = null) {
+    const budgets = await this.loadBudgets({ budgetIds });
+    if (budgets.length === 0) return [];
+
+    const spending = await this.collectSpending(budgets);
+    const { data: existing, error } = await supabase
+      .from('budget_alerts')
+      .select('id, budget_id, threshold')
+      .in('budget_id', budgets.map(budget => budget.id));
+    if (error) throw error;
+
+    const sent = [];
+    for (const budget of budgets) {
+      const analysis = this.analyse(budget, spending.get(budget.id), today());
+      const alerted = (existing || []).filter(alert => alert.budget_id === budget.id);
+
+      const rearm = alerted.filter(alert => analysis.utilisation_percent < alert.threshold).map(alert => alert.id);
+      if (rearm.length > 0) {
+        await supabase.from('budget_alerts').delete().in('id', rearm);
+      }
+
+      const due = ALERT_THRESHOLDS.filter(threshold =>
+        analysis.budgeted > 0 &&
+        analysis.utilisation_percent >= threshold &&
+        !alerted.some(alert => alert.threshold === threshold)
+      );
+      if (due.length === 0) continue;
+
+      // Only the highest threshold crossed is emailed; lower ones are recorded
+      const threshold = Math.max(...due);
+      const alert = await this.sendAlert(budget, analysis, threshold, due);
+      if (alert) sent.push(alert);
+    }
+    return sent;
+  }
+
+  async sendAlert(budget, analysis, threshold, thresholds) {
+    const { data: rows, error } = await supabase
+      .from('budget_alerts')
+      .upsert(thresholds.map(value => ({
+        budget_id: budget.id,
+        threshold: value,
+        utilisation: analysis.utilisation_percent,
+        budgeted_amount: analysis.budgeted,
+        actual_amount: analysis.actual
+      })), { onConflict: 'budget_id,threshold', ignoreDuplicates: true })
+      .select('*');
+    if (error) throw error;
+
+    // Another check recorded this threshold first
+    const alert = (rows || []).find(row => row.threshold === threshold);
+    if (!alert) return null;
+
+    const { recipients, communityName } = await this.alertRecipients(budget);
+    let emailStatus = 'no_recipients';
+    if (recipients.length > 0) {
+      const result = await emailService.sendEmail({
+        to: recipients,
+        topic: COMMUNICATION_TOPICS.ACCOUNT,
+        subject: `${threshold >= 100 ? '🚨 Over budget' : '⚠️ Budget alert'}: ${budget.category}${communityName ? ` (${communityName})` : ''} at ${analysis.utilisation_percent}%`,
+        html: this.alertHtml(budget, analysis, threshold, communityName)
+      });
+      emailStatus = result.status || (result.success ? 'sent' : 'failed');
+    }
+
+    const { data: updated } = await supabase
+      .from('budget_alerts')
+      .update({ recipients, email_status: emailStatus })
+      .eq('id', alert.id)
+      .select('*')
+      .single();
+    console.log(`📊 Budget alert ${threshold}% for ${budget.category} (${emailStatus})`);
+    return updated || alert;
+  }
+
+  /**
+   * The community owner (for a community's line) and the finance team
+   * (FINANCE_NOTIFICATION_EMAILS, falling back to every finance_team user)
+   */
+  async alertRecipients(budget) {
+    let recipients = (process.env.FINANCE_NOTIFICATION_EMAILS || '')
+      .split(',')
+      .map(email => email.trim())
+      .filter(Boolean);
+
+    if (recipients.length === 0) {
+      const { data } = await supabase
+        .from('users')
+        .select('email')
+        .eq('role', 'finance_team')
+        .is('deleted_at', null);
+      recipients = (data || []).map(user => user.email).filter(Boolean);
+    }
+
+    let communityName = null;
+    if (budget.community_id) {
+      const { data: community } = await supabase
+        .from('communities')
+        .select('name, owner_id')
+        .eq('id', budget.community_id)
+        .maybeSingle();
+      communityName = community?.name || null;
+      if (community?.owner_id) {
+        const { data: owner } = await supabase.from('users').select('email').eq('id', community.owner_id).maybeSingle();
+        if (owner?.email) recipients.push(owner.email);
+      }
+    }
+
+    return { recipients: [...new Set(recipients.map(email => email.toLowerCase()))], communityName };
+  }
+
+  alertHtml(budget, analysis, threshold, communityName) {
+    const row = (label, value) => `<tr><td style="padding: 4px 12px 4px 0;"><strong>${label}</strong></td><td>${escapeHtml(value)}</td></tr>`;
+    const money = (value) => `$${roundAmount(value).toFixed(2)}`;
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <p>The <strong>${escapeHtml(budget.category)}</strong> budget${communityName ? ` for ${escapeHtml(communityName)}` : ''}
+        has reached <strong>${analysis.utilisation_percent}%</strong>${threshold >= 100 ? ' and is over budget' : ''}.</p>
+        <table style="border-collapse: collapse;">
+          ${row('Period', `${analysis.start_date} to ${analysis.end_date}`)}
+          ${row('Budgeted', money(analysis.budgeted))}
+          ${row('Spent', money(analysis.actual))}
+          ${row('Awaiting approval', money(analysis.committed))}
+          ${row('Remaining', money(analysis.remaining))}
+          ${row('Burn rate', `${money(analysis.burn_rate_per_month)} / month`)}
+          ${row('Forecast at period end', money(analysis.forecast))}
+          ${analysis.projected_exhaustion_date ? row('Runs out around', analysis.projected_exhaustion_date) : ''}
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * Check the alerts of every budget line an expense counts toward. Called
+   * after expenses change; never throws.
+   */
+  async checkAlertsForExpense(expense) {
+    try {
+      if (!expense || !isSpendingExpense(expense)) return [];
+      if (expense.budget_id) return await this.checkAlerts([expense.budget_id]);
+
+      const budgets = await this.loadBudgets();
+      const ids = budgets
+        .filter(budget => this.matchesExpense(budget, this.rangeOf(budget), expense))
+        .map(budget => budget.id);
+      return ids.length > 0 ? await this.checkAlerts(ids) : [];
+    } catch (error) {
+      console.error(`❌ Budget alert check failed for expense ${expense?.id}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Same as checkAlerts for one line; never throws
+   */
+  async checkAlertsForBudget(budgetId) {
+    try {
+      return await this.checkAlerts([budgetId]);
+    } catch (error) {
+      console.error(`❌ Budget alert check failed for budget ${budgetId}:`, error.message);
+      return [];
+    }
+  }
+}
+
+module.exports = new BudgetService();
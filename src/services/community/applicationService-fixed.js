@@ -58,6 +58,19 @@ class ApplicationService {
         }
     }
 
+    // Community an application belongs to, for permission checks.
+    // A malformed id (22P02) is treated like a missing application.
+    async getCommunityId(applicationId) {
+        const { data, error } = await supabaseService.client
+            .from('community_applications')
+            .select('community_id')
+            .eq('id', applicationId)
+            .maybeSingle();
+
+        if (error && error.code !== '22P02') throw error;
+        return data?.community_id || null;
+    }
+
     // Approve application (with user creation and email)
     async approveApplication(applicationId, reviewedBy) {
         try {
@@ -269,7 +282,8 @@ class ApplicationService {
                 await emailService.sendEmail({
                     to: data.email,
                     subject: `🎉 Welcome to ${communityName} - Your Application is Approved!`,
-                    html: emailHtml
+                    html: emailHtml,
+                    topic: 'account'
                 });
 
                 console.log('✅ Approval email sent to:', data.email);
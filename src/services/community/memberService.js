@@ -101,7 +101,8 @@ class MemberService {
         from: `${process.env.EMAIL_FROM_NAME || 'Temple Admin'} <${process.env.EMAIL_FROM || 'noreply@temple.com'}>`,
         to: memberEmail,
         subject: `🎉 Your Temple Management Account - Welcome to ${communityName}!`,
-        html: emailHtml
+        html: emailHtml,
+        topic: 'account'
       });
 
       console.log('✅ New user welcome email with credentials sent to:', memberEmail);
@@ -198,7 +199,8 @@ class MemberService {
         from: `${process.env.EMAIL_FROM_NAME || 'Temple Admin'} <${process.env.EMAIL_FROM || 'noreply@temple.com'}>`,
         to: memberEmail,
         subject: `🎉 Welcome to ${communityName}!`,
-        html: emailHtml
+        html: emailHtml,
+        topic: 'community_updates'
       });
 
       console.log('✅ Welcome email sent to new member:', memberEmail);
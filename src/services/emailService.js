@@ -1,5 +1,8 @@
 // Email Service using SendGrid
 const sgMail = require('@sendgrid/mail');
+const preferenceService = require('./messaging/preferenceService');
+const { COMMUNICATION_TOPICS } = require('../config/constants');
+const { normalizeEmail } = require('../utils/contactHelpers');
 
 class EmailService {
     constructor() {
@@ -21,65 +24,164 @@ class EmailService {
         console.log('📧 From email:', process.env.EMAIL_FROM || 'Not set');
     }
 
-    async sendEmail({ from, to, subject, html, text }) {
+    /**
+     * Send an email. Each recipient gets an individual copy carrying their own
+     * signed unsubscribe link and List-Unsubscribe headers; recipients who
+     * opted out of the topic are skipped. `topic` is one of
+     * COMMUNICATION_TOPICS - 'account' mail is always delivered.
+     * `attachments` are `{ filename, content (Buffer), type }`. `customArgs`
+     * (string values) are echoed back in SendGrid event webhook posts.
+     */
+    async sendEmail({ from, to, subject, html, text, topic = COMMUNICATION_TOPICS.GENERAL, attachments = [], customArgs }) {
         const fromEmail = from || process.env.EMAIL_FROM || 'noreply@temple.com';
         const fromName = process.env.EMAIL_FROM_NAME || 'Temple Admin';
-        const recipients = Array.isArray(to) ? to : [to];
+        const recipients = (Array.isArray(to) ? to : [to]).filter(Boolean);
 
         console.log('📧 Sending email via SendGrid...');
         console.log('📧 From:', `${fromName} <${fromEmail}>`);
         console.log('📧 To:', recipients.join(', '));
         console.log('📧 Subject:', subject);
 
-        if (!this.initialized) {
-            console.log('⚠️ SendGrid not initialized - simulating email');
+        let deliverable = recipients;
+        let suppressed = [];
+
+        try {
+            ({ allowed: deliverable, suppressed } = await preferenceService.filterEmails(recipients, topic));
+        } catch (error) {
+            // Never risk mailing someone who opted out
+            console.error('❌ Could not check communication preferences:', error.message);
             return {
-                success: true,
-                messageId: 'simulated-' + Date.now(),
-                recipients: recipients.length,
-                status: 'simulated'
+                success: false,
+                error: `Could not check communication preferences: ${error.message}`,
+                status: 'failed'
             };
         }
 
-        try {
-            const msg = {
-                to: recipients,
-                from: {
-                    email: fromEmail,
-                    name: fromName
-                },
-                subject: subject,
-                html: html,
-                text: text || this.htmlToText(html)
-            };
+        if (suppressed.length > 0) {
+            console.log(`🚫 Skipping ${suppressed.length} recipient(s) who opted out of ${topic}`);
+        }
 
-            const response = await sgMail.send(msg);
+        if (deliverable.length === 0) {
+            await preferenceService.recordSendStats('email', topic, 0, suppressed.length);
+            return {
+                success: true,
+                messageId: null,
+                recipients: 0,
+                suppressed: suppressed.length,
+                status: 'suppressed'
+            };
+        }
 
-            console.log('✅ Email sent successfully via SendGrid!');
-            console.log('📧 Status code:', response[0].statusCode);
+        const messages = deliverable.map(recipient => this.buildMessage({
+            fromEmail, fromName, to: recipient, subject, html, text, topic, attachments, customArgs
+        }));
 
+        if (!this.initialized) {
+            console.log('⚠️ SendGrid not initialized - simulating email');
+            await preferenceService.recordSendStats('email', topic, deliverable.length, suppressed.length);
             return {
                 success: true,
-                messageId: response[0].headers['x-message-id'],
-                recipients: recipients.length,
-                status: 'sent'
+                messageId: 'simulated-' + Date.now(),
+                recipients: deliverable.length,
+                suppressed: suppressed.length,
+                status: 'simulated'
             };
+        }
 
-        } catch (error) {
-            console.error('❌ SendGrid email failed:', error.message);
-            if (error.response) {
-                console.error('❌ SendGrid error body:', error.response.body);
+        const results = await Promise.allSettled(messages.map(msg => sgMail.send(msg)));
+        const sent = results.filter(r => r.status === 'fulfilled');
+        const failures = results.filter(r => r.status === 'rejected');
+
+        failures.forEach(({ reason }) => {
+            console.error('❌ SendGrid email failed:', reason.message);
+            if (reason.response) {
+                console.error('❌ SendGrid error body:', reason.response.body);
             }
+        });
 
+        await preferenceService.recordSendStats('email', topic, sent.length, suppressed.length);
+
+        if (sent.length === 0) {
             return {
                 success: false,
-                error: error.message,
+                error: failures[0].reason.message,
                 status: 'failed'
             };
         }
+
+        const [response] = sent[0].value;
+        console.log('✅ Email sent successfully via SendGrid!');
+        console.log('📧 Status code:', response.statusCode);
+
+        return {
+            success: true,
+            messageId: response.headers['x-message-id'],
+            recipients: sent.length,
+            failed: failures.length,
+            suppressed: suppressed.length,
+            status: 'sent'
+        };
+    }
+
+    buildMessage({ fromEmail, fromName, to, subject, html, text, topic, attachments = [], customArgs }) {
+        const msg = {
+            to,
+            from: {
+                email: fromEmail,
+                name: fromName
+            },
+            subject: subject,
+            html: html,
+            text: text || this.htmlToText(html || '')
+        };
+
+        if (customArgs) {
+            msg.customArgs = Object.fromEntries(
+                Object.entries(customArgs).filter(([, value]) => value !== undefined && value !== null).map(([key, value]) => [key, String(value)])
+            );
+        }
+
+        if (attachments.length > 0) {
+            msg.attachments = attachments.map(attachment => ({
+                filename: attachment.filename,
+                type: attachment.type || 'application/octet-stream',
+                disposition: 'attachment',
+                content: Buffer.isBuffer(attachment.content)
+                    ? attachment.content.toString('base64')
+                    : attachment.content
+            }));
+        }
+
+        if (preferenceService.isRequired(topic)) return msg;
+
+        const token = preferenceService.buildToken({ channel: 'email', contact: normalizeEmail(to) });
+        const unsubscribeUrl = preferenceService.unsubscribeUrl(token, topic);
+        const unsubscribeAllUrl = preferenceService.unsubscribeUrl(token, 'all');
+        const preferencesUrl = preferenceService.preferenceCenterUrl(token);
+        const topicLabel = preferenceService.topicLabel(topic);
+
+        const footerHtml = `
+            <div style="margin-top: 24px; padding-top: 12px; border-top: 1px solid #eee; font-size: 12px; color: #888; text-align: center;">
+                You are receiving this email about <strong>${topicLabel}</strong> from Sai Samsthan USA.<br>
+                <a href="${unsubscribeUrl}" style="color: #888;">Unsubscribe from ${topicLabel}</a> &middot;
+                <a href="${unsubscribeAllUrl}" style="color: #888;">Unsubscribe from all emails</a> &middot;
+                <a href="${preferencesUrl}" style="color: #888;">Manage email preferences</a>
+            </div>`;
+        const footerText = `\n\n--\nUnsubscribe from ${topicLabel}: ${unsubscribeUrl}\nUnsubscribe from all emails: ${unsubscribeAllUrl}\nManage email preferences: ${preferencesUrl}`;
+
+        const body = html || '';
+        msg.html = /<\/body>/i.test(body) ? body.replace(/<\/body>/i, `${footerHtml}</body>`) : body + footerHtml;
+        msg.text += footerText;
+        // RFC 8058 one-click unsubscribe (Gmail / Yahoo bulk sender requirement)
+        msg.headers = {
+            'List-Unsubscribe': `<${unsubscribeUrl}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        };
+
+        return msg;
     }
 
-    async sendBulkEmail({ from, recipients, subject, html, text }) {
+    async sendBulkEmail({ from, recipients, subject, html, text, topic }) {
         console.log('📧 Sending bulk email via SendGrid...');
         console.log('📧 Recipients:', recipients.length);
 
@@ -96,7 +198,8 @@ class EmailService {
                     to: recipient,
                     subject,
                     html,
-                    text
+                    text,
+                    topic
                 })
             );
 
@@ -109,16 +212,18 @@ class EmailService {
             }
         }
 
-        const successful = results.filter(r => r.status === 'fulfilled' && r.value?.success).length;
-        const failed = results.length - successful;
+        const suppressed = results.filter(r => r.status === 'fulfilled' && r.value?.status === 'suppressed').length;
+        const successful = results.filter(r => r.status === 'fulfilled' && r.value?.success).length - suppressed;
+        const failed = results.length - successful - suppressed;
 
-        console.log(`✅ Bulk email completed: ${successful} sent, ${failed} failed`);
+        console.log(`✅ Bulk email completed: ${successful} sent, ${failed} failed, ${suppressed} opted out`);
 
         return {
             success: true,
             total: recipients.length,
             sent: successful,
             failed: failed,
+            suppressed: suppressed,
             results: results,
             status: 'sent'
         };
@@ -0,0 +1,473 @@
+const { supabase } = require('../../config/supabase');
+const { AppError } = require('../../middleware/errorHandler');
+const { DEFAULT_TIMEZONE } = require('../../config/constants');
+const { isValidTimezone, zonedTimeToUtc, parseDateKey, toDateKey, addDays } = require('../../utils/dateHelpers');
+const { buildCalendar } = require('../../utils/icalendar');
+const signedToken = require('../../utils/signedToken');
+const recurringService = require('./recurringService');
+const priestAvailabilityService = require('../priest/priestAvailabilityService');
+
+const TOKEN_PURPOSE = 'calendar-feed';
+const FEED_TYPES = ['volunteer', 'priest'];
+const FEED_TABLES = { volunteer: 'volunteers', priest: 'priests' };
+
+// Feeds cover recent history (so past items don't vanish from calendars
+// straight away) and the coming year
+const FEED_PAST_DAYS = 90;
+const FEED_FUTURE_DAYS = 365;
+const MAX_FEED_ITEMS = 1000;
+
+const apiBaseUrl = () => (process.env.API_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+
+// UIDs must be globally unique and stable across refreshes
+const uidFor = (kind, id) => `${kind}-${id}@${new URL(apiBaseUrl()).hostname}`;
+
+// events.location is jsonb ({ name, address, city, ... }); other tables use text
+const formatLocation = (location) => {
+  if (!location) return null;
+  if (typeof location === 'string') return location;
+  return [location.name, location.venue, location.address, location.city, location.state]
+    .filter(Boolean)
+    .join(', ') || null;
+};
+
+// 'HH:MM[:SS]' on a date in a timezone -> UTC Date
+const localToUtc = (dateKey, time, timeZone) => {
+  const [hour, minute, second] = String(time).split(':').map(n => parseInt(n, 10) || 0);
+  return zonedTimeToUtc({ ...parseDateKey(dateKey), hour, minute, second }, timeZone);
+};
+
+const escapeLike = (value) => String(value).replace(/[\\%_]/g, match => `\\${match}`);
+
+/**
+ * Subscribable iCalendar feeds:
+ * - public temple events (events table) and a community's calendar
+ *   (community_events, with recurring events expanded into occurrences)
+ * - personal feeds for a volunteer's shifts and a priest's confirmed bookings,
+ *   reached through signed-token URLs so calendar apps can poll them without
+ *   a login. The token carries the volunteer's or priest's
+ *   calendar_feed_version; resetting the feed bumps it and kills old URLs.
+ */
+class CalendarFeedService {
+  window() {
+    const today = toDateKey(parseDateKey(new Date().toISOString()));
+    const from = toDateKey(addDays(parseDateKey(today), -FEED_PAST_DAYS));
+    const to = toDateKey(addDays(parseDateKey(today), FEED_FUTURE_DAYS));
+    return { from, to };
+  }
+
+  // ------------------------------------------------------------------
+  // Feed tokens
+  // ------------------------------------------------------------------
+
+  feedToken(type, id, version) {
+    return signedToken.sign(TOKEN_PURPOSE, { t: type, id, v: version });
+  }
+
+  // Links issued before feed versions existed carry none and count as version 1
+  verifyToken(token) {
+    const claims = signedToken.verify(TOKEN_PURPOSE, token);
+    if (!claims || !FEED_TYPES.includes(claims.t) || !claims.id) {
+      throw new AppError('Calendar feed not found', 404);
+    }
+    return { type: claims.t, id: claims.id, version: claims.v || 1 };
+  }
+
+  // https:// for Google / Outlook "subscribe from URL", webcal:// opens Apple Calendar
+  feedLinks(type, owner) {
+    const token = this.feedToken(type, owner.id, owner.calendar_feed_version || 1);
+    const url = `${apiBaseUrl()}/api/public/calendar/feeds/${token}.ics`;
+    return { type, id: owner.id, url, webcal_url: url.replace(/^https?:\/\//, 'webcal://') };
+  }
+
+  /**
+   * Invalidate every existing link to a personal feed and return a new one.
+   * The version only moves forward if nobody reset it in the meantime.
+   */
+  async resetFeed(type, id) {
+    const owner = type === 'volunteer' ? await this.getVolunteer(id) : await this.getPriest(id);
+    const version = (owner.calendar_feed_version || 1) + 1;
+
+    const { data, error } = await supabase
+      .from(FEED_TABLES[type])
+      .update({ calendar_feed_version: version, calendar_feed_reset_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('calendar_feed_version', owner.calendar_feed_version || 1)
+      .select('id, calendar_feed_version')
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new AppError('This calendar feed was reset in the meantime', 409);
+
+    console.log(`📅 ${type} calendar feed ${id} reset to version ${version}`);
+    return this.feedLinks(type, data);
+  }
+
+  // ------------------------------------------------------------------
+  // Lookups
+  // ------------------------------------------------------------------
+
+  // Feeds are public, so inactive and hidden communities look like missing ones
+  async getCommunity(communityId) {
+    const { data, error } = await supabase
+      .from('communities')
+      .select('id, name, status, settings')
+      .eq('id', communityId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data || data.status === 'inactive' || data.settings?.public_visible === false) {
+      throw new AppError('Community not found', 404);
+    }
+    return data;
+  }
+
+  timezoneOf(community) {
+    const timezone = community?.settings?.timezone;
+    return isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+  }
+
+  async getVolunteer(volunteerId) {
+    const { data, error } = await supabase
+      .from('volunteers')
+      .select('id, first_name, last_name, email, status, calendar_feed_version')
+      .eq('id', volunteerId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data || data.status !== 'active') throw new AppError('Volunteer not found', 404);
+    return data;
+  }
+
+  async getPriest(priestId) {
+    const { data, error } = await supabase
+      .from('priests')
+      .select('id, name, email, status, calendar_feed_version')
+      .eq('id', priestId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data || data.status !== 'active') throw new AppError('Priest not found', 404);
+    return data;
+  }
+
+  // ------------------------------------------------------------------
+  // Public feeds
+  // ------------------------------------------------------------------
+
+  // Published temple events (cancelled ones stay in the feed so subscribers drop them)
+  async publicEventsCalendar({ communityId } = {}) {
+    const { from, to } = this.window();
+
+    let query = supabase
+      .from('events')
+      .select('id, title, description, location, starts_at, ends_at, status, updated_at')
+      .in('status', ['published', 'cancelled'])
+      .gte('starts_at', from)
+      .lte('starts_at', `${to}T23:59:59Z`)
+      .order('starts_at', { ascending: true })
+      .limit(MAX_FEED_ITEMS);
+    if (communityId) query = query.eq('community_id', communityId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    const community = communityId ? await this.getCommunity(communityId) : null;
+
+    return buildCalendar({
+      name: community ? `${community.name} - Temple Events` : 'Temple Events',
+      timezone: community ? this.timezoneOf(community) : DEFAULT_TIMEZONE,
+      events: (data || []).map(event => ({
+        uid: uidFor('event', event.id),
+        start: event.starts_at,
+        end: event.ends_at,
+        summary: event.title,
+        description: event.description,
+        location: formatLocation(event.location),
+        status: event.status === 'cancelled' ? 'cancelled' : 'confirmed',
+        updatedAt: event.updated_at
+      }))
+    });
+  }
+
+  // A community's calendar; recurring events contribute one entry per occurrence
+  async communityCalendar(communityId) {
+    const community = await this.getCommunity(communityId);
+    const { from, to } = this.window();
+
+    const { data: events, error } = await supabase
+      .from('community_events')
+      .select('id, title, description, location, start_date, end_date, status, updated_at')
+      .eq('community_id', communityId)
+      .in('status', ['published', 'cancelled'])
+      .order('start_date', { ascending: true })
+      .limit(MAX_FEED_ITEMS);
+
+    if (error) throw error;
+
+    const eventIds = (events || []).map(event => event.id);
+    const { data: rules, error: rulesError } = eventIds.length
+      ? await supabase.from('event_recurrence_rules').select('event_id').in('event_id', eventIds)
+      : { data: [] };
+
+    if (rulesError) throw rulesError;
+    const recurring = new Set((rules || []).map(rule => rule.event_id));
+
+    const items = [];
+    for (const event of events || []) {
+      if (!recurring.has(event.id)) {
+        const endsAt = event.end_date || event.start_date;
+        if (endsAt < from || event.start_date > `${to}T23:59:59Z`) continue;
+
+        items.push({
+          uid: uidFor('community-event', event.id),
+          start: event.start_date,
+          end: event.end_date,
+          summary: event.title,
+          description: event.description,
+          location: formatLocation(event.location),
+          status: event.status === 'cancelled' ? 'cancelled' : 'confirmed',
+          updatedAt: event.updated_at
+        });
+        continue;
+      }
+
+      const occurrences = await recurringService.getOccurrences(event.id, { from, to, include_cancelled: true });
+      for (const occurrence of occurrences) {
+        items.push({
+          uid: uidFor('occurrence', occurrence.id),
+          start: occurrence.starts_at,
+          end: occurrence.ends_at,
+          summary: occurrence.title,
+          description: occurrence.description,
+          location: formatLocation(occurrence.location),
+          status: event.status === 'cancelled' || occurrence.status === 'cancelled' ? 'cancelled' : 'confirmed',
+          updatedAt: occurrence.updated_at
+        });
+      }
+    }
+
+    items.sort((a, b) => new Date(a.start) - new Date(b.start));
+
+    return buildCalendar({
+      name: `${community.name} Calendar`,
+      timezone: this.timezoneOf(community),
+      events: items.slice(0, MAX_FEED_ITEMS)
+    });
+  }
+
+  // ------------------------------------------------------------------
+  // Personal feeds
+  // ------------------------------------------------------------------
+
+  async personalCalendar(token) {
+    const { type, id, version } = this.verifyToken(token);
+    const owner = type === 'volunteer' ? await this.getVolunteer(id) : await this.getPriest(id);
+    if ((owner.calendar_feed_version || 1) !== version) throw new AppError('Calendar feed not found', 404);
+
+    return type === 'volunteer' ? this.volunteerCalendar(owner) : this.priestCalendar(owner);
+  }
+
+  // Shifts the volunteer signed up for (the same records as /api/mobile/me/shifts).
+  // Shift times are wall-clock times in the shift community's timezone.
+  async volunteerCalendar(volunteer) {
+    const volunteerId = volunteer.id;
+    const { from, to } = this.window();
+
+    const { data: signups, error } = await supabase
+      .from('volunteer_attendance')
+      .select(`
+        id,
+        status,
+        updated_at,
+        volunteer_shifts:shift_id (
+          id, community_id, title, description, shift_date, start_time, end_time, location, status, updated_at
+        )
+      `)
+      .eq('volunteer_id', volunteerId)
+      .order('created_at', { ascending: false })
+      .limit(MAX_FEED_ITEMS);
+
+    if (error) throw error;
+
+    // One entry per shift, even if it was signed up for twice
+    const shifts = new Map();
+    for (const signup of signups || []) {
+      const shift = signup.volunteer_shifts;
+      if (!shift || shifts.has(shift.id)) continue;
+      if (shift.shift_date < from || shift.shift_date > to) continue;
+      shifts.set(shift.id, { shift, signup });
+    }
+
+    const communityIds = [...new Set([...shifts.values()].map(({ shift }) => shift.community_id).filter(Boolean))];
+    const timezones = new Map();
+    if (communityIds.length) {
+      const { data: communities, error: communityError } = await supabase
+        .from('communities')
+        .select('id, settings')
+        .in('id', communityIds);
+
+      if (communityError) throw communityError;
+      for (const community of communities || []) timezones.set(community.id, this.timezoneOf(community));
+    }
+
+    const items = [...shifts.values()].map(({ shift, signup }) => {
+      const timezone = timezones.get(shift.community_id) || DEFAULT_TIMEZONE;
+      const start = localToUtc(shift.shift_date, shift.start_time, timezone);
+      let end = localToUtc(shift.shift_date, shift.end_time, timezone);
+      // Overnight shift
+      if (end <= start) end = localToUtc(toDateKey(addDays(parseDateKey(shift.shift_date), 1)), shift.end_time, timezone);
+
+      return {
+        uid: uidFor('shift', `${shift.id}-${volunteerId}`),
+        start,
+        end,
+        summary: `Volunteer shift: ${shift.title}`,
+        description: shift.description,
+        location: shift.location,
+        status: shift.status === 'cancelled' || signup.status === 'excused' ? 'cancelled' : 'confirmed',
+        updatedAt: [shift.updated_at, signup.updated_at].filter(Boolean).sort().pop()
+      };
+    });
+
+    items.sort((a, b) => a.start - b.start);
+
+    return buildCalendar({
+      name: `Volunteer Shifts - ${[volunteer.first_name, volunteer.last_name].filter(Boolean).join(' ')}`,
+      timezone: DEFAULT_TIMEZONE,
+      events: items
+    });
+  }
+
+  // Confirmed bookings assigned to the priest, timed with the same durations
+  // the availability checks use. Bookings without a usable time are all-day.
+  async priestCalendar(priest) {
+    const priestId = priest.id;
+    const { from, to } = this.window();
+
+    const { data: bookings, error } = await supabase
+      .from('priest_bookings')
+      .select('id, name, phone, puja_type, preferred_date, preferred_time, address, city, state, location_type, duration_minutes, special_requests, status, priest_id, updated_at')
+      .eq('priest_id', priestId)
+      .eq('status', 'confirmed')
+      .gte('preferred_date', from)
+      .lte('preferred_date', to)
+      .order('preferred_date', { ascending: true })
+      .limit(MAX_FEED_ITEMS);
+
+    if (error) throw error;
+
+    const durations = await priestAvailabilityService.loadDurations();
+
+    const items = (bookings || []).map(booking => {
+      const window = priestAvailabilityService.windowFor(booking, priestId, durations);
+      const details = [
+        `Booked by: ${booking.name}`,
+        booking.phone && `Phone: ${booking.phone}`,
+        booking.special_requests && `Special requests: ${booking.special_requests}`
+      ].filter(Boolean).join('\n');
+
+      return {
+        uid: uidFor('priest-booking', booking.id),
+        ...this.bookingTiming(booking, window),
+        summary: `${booking.puja_type} - ${booking.name}`,
+        description: details,
+        location: window.home
+          ? [booking.address, booking.city, booking.state].filter(Boolean).join(', ')
+          : process.env.TEMPLE_ADDRESS || 'Temple',
+        status: 'confirmed',
+        updatedAt: booking.updated_at
+      };
+    });
+
+    return buildCalendar({
+      name: `Puja Bookings - ${priest.name}`,
+      timezone: DEFAULT_TIMEZONE,
+      events: items
+    });
+  }
+
+  bookingTiming(booking, window) {
+    if (window.untimed) return { allDay: true, start: booking.preferred_date };
+
+    const start = zonedTimeToUtc({
+      ...parseDateKey(booking.preferred_date),
+      hour: Math.floor(window.start / 60),
+      minute: window.start % 60
+    }, DEFAULT_TIMEZONE);
+    return { start, end: new Date(start.getTime() + window.duration * 60000) };
+  }
+
+  // ------------------------------------------------------------------
+  // Feed links
+  // ------------------------------------------------------------------
+
+  async volunteerFeedLinks(volunteerId) {
+    return this.feedLinks('volunteer', await this.getVolunteer(volunteerId));
+  }
+
+  async priestFeedLinks(priestId) {
+    return this.feedLinks('priest', await this.getPriest(priestId));
+  }
+
+  // The signed-in user's feed owners: their volunteer record (by user_id,
+  // then email, as /api/mobile/me/shifts does) and a priest with their email
+  async feedOwnersFor(user) {
+    let volunteer = null;
+    if (user.id) {
+      const { data, error } = await supabase
+        .from('volunteers')
+        .select('id, calendar_feed_version')
+        .eq('user_id', user.id)
+        .eq('status', 'active')
+        .limit(1)
+        .maybeSingle();
+      if (error) throw error;
+      volunteer = data;
+    }
+
+    if (!volunteer && user.email) {
+      const { data, error } = await supabase
+        .from('volunteers')
+        .select('id, calendar_feed_version')
+        .ilike('email', escapeLike(user.email))
+        .eq('status', 'active')
+        .limit(1)
+        .maybeSingle();
+      if (error) throw error;
+      volunteer = data;
+    }
+
+    let priest = null;
+    if (user.email) {
+      const { data, error } = await supabase
+        .from('priests')
+        .select('id, calendar_feed_version')
+        .ilike('email', escapeLike(user.email))
+        .eq('status', 'active')
+        .limit(1)
+        .maybeSingle();
+      if (error) throw error;
+      priest = data;
+    }
+
+    return { volunteer, priest };
+  }
+
+  async linksForUser(user) {
+    const { volunteer, priest } = await this.feedOwnersFor(user);
+    return {
+      volunteer: volunteer ? this.feedLinks('volunteer', volunteer) : null,
+      priest: priest ? this.feedLinks('priest', priest) : null
+    };
+  }
+
+  // Reset one of the signed-in user's own feeds (e.g. after sharing the link)
+  async resetFeedForUser(user, type) {
+    const owners = await this.feedOwnersFor(user);
+    if (!owners[type]) throw new AppError(`You have no ${type} calendar feed`, 404);
+    return this.resetFeed(type, owners[type].id);
+  }
+}
+
+module.exports = new CalendarFeedService();
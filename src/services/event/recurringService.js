@@ -0,0 +1,663 @@
+const { supabase } = require('../../config/supabase');
+const { DEFAULT_TIMEZONE } = require('../../config/constants');
+const { AppError } = require('../../middleware/errorHandler');
+const { findTithiDates, resolveTithis } = require('../../utils/lunarCalendar');
+const {
+  WEEKDAY_CODES,
+  isValidTimezone,
+  getZonedParts,
+  zonedTimeToUtc,
+  toDateKey,
+  parseDateKey,
+  addDays,
+  addMonths,
+  daysInMonth,
+  getWeekday,
+  compareDates,
+  diffInDays
+} = require('../../utils/dateHelpers');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly', 'tithi'];
+const MATERIALIZE_HORIZON_DAYS = 180;
+const MAX_OCCURRENCES = 1000;
+const MAX_PERIODS = 5000;
+const TITHI_SCAN_DAYS = 60;
+
+// Weekday index with Monday first (RRULE default WKST=MO)
+const mondayIndex = (date) => (getWeekday(date) + 6) % 7;
+const weekdayIndex = (code) => WEEKDAY_CODES.indexOf(code);
+
+// Dates in a month matching the rule's BYDAY / BYMONTHDAY / BYSETPOS parts
+const monthDates = (year, month, rule, fallbackDay) => {
+  const total = daysInMonth(year, month);
+  let dates = [];
+
+  if (rule.by_weekday && rule.by_weekday.length) {
+    const wanted = rule.by_weekday.map(weekdayIndex);
+    for (let day = 1; day <= total; day++) {
+      if (wanted.includes(getWeekday({ year, month, day }))) dates.push({ year, month, day });
+    }
+  } else if (rule.by_month_day && rule.by_month_day.length) {
+    for (const n of rule.by_month_day) {
+      const day = n < 0 ? total + n + 1 : n;
+      if (day >= 1 && day <= total) dates.push({ year, month, day });
+    }
+    dates.sort(compareDates);
+  } else if (fallbackDay <= total) {
+    dates.push({ year, month, day: fallbackDay });
+  }
+
+  if (rule.by_set_pos) {
+    const pick = rule.by_set_pos > 0 ? dates[rule.by_set_pos - 1] : dates[dates.length + rule.by_set_pos];
+    dates = pick ? [pick] : [];
+  }
+
+  return dates;
+};
+
+// Yields the rule's base dates in order, starting at dtstart (no end condition applied)
+function* iterateDates(rule) {
+  const start = parseDateKey(rule.dtstart);
+  const interval = rule.interval || 1;
+
+  if (rule.freq === 'daily') {
+    for (let cursor = start; ; cursor = addDays(cursor, interval)) yield cursor;
+  }
+
+  if (rule.freq === 'weekly') {
+    const weekdays = (rule.by_weekday && rule.by_weekday.length
+      ? rule.by_weekday.map(code => (weekdayIndex(code) + 6) % 7)
+      : [mondayIndex(start)]).sort((a, b) => a - b);
+    const weekStart = addDays(start, -mondayIndex(start));
+
+    for (let period = 0; period < MAX_PERIODS; period++) {
+      const base = addDays(weekStart, period * 7 * interval);
+      for (const offset of weekdays) {
+        const date = addDays(base, offset);
+        if (compareDates(date, start) >= 0) yield date;
+      }
+    }
+    return;
+  }
+
+  if (rule.freq === 'monthly' || rule.freq === 'yearly') {
+    const months = rule.freq === 'yearly'
+      ? (rule.by_month && rule.by_month.length ? [...rule.by_month].sort((a, b) => a - b) : [start.month])
+      : null;
+
+    for (let period = 0; period < MAX_PERIODS; period++) {
+      const candidates = rule.freq === 'monthly'
+        ? (() => {
+          const { year, month } = addMonths(start, period * interval);
+          return monthDates(year, month, rule, start.day);
+        })()
+        : months.flatMap(month => monthDates(start.year + period * interval, month, rule, start.day));
+
+      for (const date of candidates) {
+        if (compareDates(date, start) >= 0) yield date;
+      }
+    }
+    return;
+  }
+
+  if (rule.freq === 'tithi') {
+    // Every Nth matching lunar day
+    let matched = 0;
+    for (let windowStart = start, period = 0; period < MAX_PERIODS; period++) {
+      const windowEnd = addDays(windowStart, TITHI_SCAN_DAYS - 1);
+      for (const { date } of findTithiDates(rule.tithis, windowStart, windowEnd, rule.timezone)) {
+        if (matched++ % interval === 0) yield date;
+      }
+      windowStart = addDays(windowEnd, 1);
+    }
+  }
+}
+
+class RecurringService {
+  // Parse an RFC 5545 RRULE string into rule fields
+  parseRRule(rrule) {
+    const fields = {};
+    const body = String(rrule).trim().replace(/^RRULE:/i, '');
+
+    for (const part of body.split(';').filter(Boolean)) {
+      const [rawKey, rawValue = ''] = part.split('=');
+      const key = rawKey.trim().toUpperCase();
+      const value = rawValue.trim().toUpperCase();
+
+      switch (key) {
+        case 'FREQ':
+          fields.freq = value.toLowerCase();
+          break;
+        case 'INTERVAL':
+          fields.interval = parseInt(value, 10);
+          break;
+        case 'COUNT':
+          fields.count = parseInt(value, 10);
+          break;
+        case 'UNTIL':
+          fields.until = `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`;
+          break;
+        case 'BYDAY':
+          fields.by_weekday = value.split(',').map(day => {
+            const match = day.match(/^([+-]?\d+)?([A-Z]{2})$/);
+            if (!match) throw new AppError(`Invalid BYDAY value: ${day}`, 400);
+            if (match[1]) fields.by_set_pos = parseInt(match[1], 10);
+            return match[2];
+          });
+          // An ordinal maps onto the single by_set_pos, so 1MO,3MO (or 1MO,TU) can't be represented
+          if (fields.by_set_pos && fields.by_weekday.length > 1) {
+            throw new AppError('BYDAY with an ordinal (e.g. 2SU) must name a single day', 400);
+          }
+          break;
+        case 'BYMONTHDAY':
+          fields.by_month_day = value.split(',').map(n => parseInt(n, 10));
+          break;
+        case 'BYMONTH':
+          fields.by_month = value.split(',').map(n => parseInt(n, 10));
+          break;
+        case 'BYSETPOS':
+          fields.by_set_pos = parseInt(value, 10);
+          break;
+        case 'WKST':
+          break;
+        default:
+          throw new AppError(`Unsupported RRULE part: ${key}`, 400);
+      }
+    }
+
+    return fields;
+  }
+
+  // Serialize rule fields back to an RRULE string (tithi rules have no RRULE form)
+  buildRRule(rule) {
+    if (rule.freq === 'tithi') return null;
+
+    const parts = [`FREQ=${rule.freq.toUpperCase()}`];
+    if (rule.interval && rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.by_weekday && rule.by_weekday.length) parts.push(`BYDAY=${rule.by_weekday.join(',')}`);
+    if (rule.by_month_day && rule.by_month_day.length) parts.push(`BYMONTHDAY=${rule.by_month_day.join(',')}`);
+    if (rule.by_month && rule.by_month.length) parts.push(`BYMONTH=${rule.by_month.join(',')}`);
+    if (rule.by_set_pos) parts.push(`BYSETPOS=${rule.by_set_pos}`);
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+    if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+    return parts.join(';');
+  }
+
+  // Merge request input with the master event into a complete rule row
+  normalizeRule(input, event) {
+    const fields = input.rrule ? { ...this.parseRRule(input.rrule), ...input } : { ...input };
+    delete fields.rrule;
+
+    const timezone = fields.timezone || event.timezone || DEFAULT_TIMEZONE;
+    if (!isValidTimezone(timezone)) throw new AppError(`Invalid timezone: ${timezone}`, 400);
+
+    if (!FREQUENCIES.includes(fields.freq)) {
+      throw new AppError(`freq must be one of: ${FREQUENCIES.join(', ')}`, 400);
+    }
+
+    const eventStart = new Date(event.start_date);
+    const local = getZonedParts(eventStart, timezone);
+    const eventDuration = event.end_date
+      ? Math.round((new Date(event.end_date) - eventStart) / 60000)
+      : 60;
+
+    const rule = {
+      freq: fields.freq,
+      interval: parseInt(fields.interval, 10) || 1,
+      by_weekday: fields.by_weekday && fields.by_weekday.length
+        ? fields.by_weekday.map(code => String(code).toUpperCase())
+        : null,
+      by_month_day: fields.by_month_day && fields.by_month_day.length ? fields.by_month_day.map(Number) : null,
+      by_set_pos: fields.by_set_pos ? parseInt(fields.by_set_pos, 10) : null,
+      by_month: fields.by_month && fields.by_month.length ? fields.by_month.map(Number) : null,
+      tithis: fields.freq === 'tithi' ? resolveTithis(fields.tithis || []) : null,
+      offset_days: parseInt(fields.offset_days, 10) || 0,
+      dtstart: fields.dtstart || toDateKey(local),
+      until: fields.until ? String(fields.until).slice(0, 10) : null,
+      count: fields.count ? parseInt(fields.count, 10) : null,
+      start_time: fields.start_time || `${String(local.hour).padStart(2, '0')}:${String(local.minute).padStart(2, '0')}`,
+      duration_minutes: parseInt(fields.duration_minutes, 10) || Math.max(eventDuration, 1),
+      timezone,
+      overrides: fields.overrides || {}
+    };
+
+    if (rule.by_weekday && rule.by_weekday.some(code => weekdayIndex(code) === -1)) {
+      throw new AppError('by_weekday values must be two-letter day codes (MO, TU, ...)', 400);
+    }
+    if (rule.freq === 'tithi' && !rule.tithis.length) {
+      throw new AppError('tithis is required for tithi recurrences', 400);
+    }
+    if (rule.until && rule.count) {
+      throw new AppError('Specify either until or count, not both', 400);
+    }
+    if (rule.until && rule.until < rule.dtstart) {
+      throw new AppError('until must not be before the series start', 400);
+    }
+
+    rule.rrule = this.buildRRule(rule);
+    return rule;
+  }
+
+  /**
+   * Expand a rule into concrete occurrences.
+   * Iterates from dtstart so COUNT is honoured, but only returns occurrences
+   * whose date falls within [from, to] (YYYY-MM-DD, inclusive).
+   */
+  expandRule(rule, { from, to }) {
+    const fromDate = parseDateKey(from || rule.dtstart);
+    const toDate = parseDateKey(to);
+    const untilDate = rule.until ? parseDateKey(rule.until) : null;
+    const [hour, minute] = String(rule.start_time).split(':').map(n => parseInt(n, 10));
+
+    const occurrences = [];
+    let generated = 0;
+
+    for (const baseDate of iterateDates(rule)) {
+      const date = rule.offset_days ? addDays(baseDate, rule.offset_days) : baseDate;
+      if (untilDate && compareDates(baseDate, untilDate) > 0) break;
+      if (compareDates(date, toDate) > 0) break;
+      if (rule.count && generated >= rule.count) break;
+      generated++;
+
+      if (compareDates(date, fromDate) < 0) continue;
+
+      const startsAt = zonedTimeToUtc({ ...date, hour, minute }, rule.timezone);
+      occurrences.push({
+        original_date: toDateKey(date),
+        starts_at: startsAt.toISOString(),
+        ends_at: new Date(startsAt.getTime() + rule.duration_minutes * 60000).toISOString()
+      });
+
+      if (occurrences.length >= MAX_OCCURRENCES) break;
+    }
+
+    return occurrences;
+  }
+
+  async getEvent(eventId) {
+    const { data, error } = await supabase
+      .from('community_events')
+      .select('*')
+      .eq('id', eventId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new AppError('Event not found', 404);
+    return data;
+  }
+
+  async getRules(eventId) {
+    const { data, error } = await supabase
+      .from('event_recurrence_rules')
+      .select('*')
+      .eq('event_id', eventId)
+      .order('dtstart', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Get the recurrence (all rules, including split segments) for an event
+  async getRecurrence(eventId) {
+    await this.getEvent(eventId);
+    const rules = await this.getRules(eventId);
+    if (!rules.length) throw new AppError('Event is not recurring', 404);
+    return { event_id: eventId, rules };
+  }
+
+  // Expand a rule definition without saving it
+  async previewRecurrence(eventId, input, { from, to } = {}) {
+    const event = await this.getEvent(eventId);
+    const rule = this.normalizeRule(input, event);
+    const rangeEnd = to || toDateKey(addDays(parseDateKey(rule.dtstart), MATERIALIZE_HORIZON_DAYS));
+
+    return {
+      rule,
+      occurrences: this.expandRule(rule, { from: from || rule.dtstart, to: rangeEnd })
+    };
+  }
+
+  // Create or replace the recurrence for an event and materialize upcoming occurrences
+  async setRecurrence(eventId, input, userId) {
+    const event = await this.getEvent(eventId);
+    const rule = this.normalizeRule(input, event);
+    const [existing] = (await this.getRules(eventId)).filter(r => !r.parent_rule_id);
+    const today = toDateKey(getZonedParts(new Date(), rule.timezone));
+
+    let saved;
+    if (existing) {
+      // Replacing the series drops split segments and regenerates future occurrences;
+      // past occurrences and explicit exceptions are kept
+      const { error: splitError } = await supabase
+        .from('event_recurrence_rules')
+        .delete()
+        .eq('event_id', eventId)
+        .not('parent_rule_id', 'is', null);
+      if (splitError) throw splitError;
+
+      const { error: clearError } = await supabase
+        .from('event_occurrences')
+        .delete()
+        .eq('rule_id', existing.id)
+        .eq('is_exception', false)
+        .gte('original_date', today);
+      if (clearError) throw clearError;
+
+      const { data, error } = await supabase
+        .from('event_recurrence_rules')
+        .update({ ...rule, materialized_until: null, updated_at: new Date().toISOString() })
+        .eq('id', existing.id)
+        .select('*')
+        .single();
+      if (error) throw error;
+      saved = data;
+    } else {
+      const { data, error } = await supabase
+        .from('event_recurrence_rules')
+        .insert([{ ...rule, event_id: eventId, created_by: userId || null }])
+        .select('*')
+        .single();
+      if (error) throw error;
+      saved = data;
+    }
+
+    await this.materializeRule(saved, { from: existing ? today : rule.dtstart });
+    console.log('✅ Recurrence saved for event:', eventId, saved.rrule || saved.freq);
+    return this.getRecurrence(eventId);
+  }
+
+  // Remove the recurrence; past occurrences go with it, the master event stays
+  async deleteRecurrence(eventId) {
+    await this.getEvent(eventId);
+    const { error } = await supabase
+      .from('event_recurrence_rules')
+      .delete()
+      .eq('event_id', eventId);
+
+    if (error) throw error;
+  }
+
+  /**
+   * Write occurrences for a rule up to the horizon. Existing rows (including
+   * exceptions) are left untouched thanks to the (rule_id, original_date) key.
+   */
+  async materializeRule(rule, { from, until } = {}) {
+    const horizon = until || toDateKey(addDays(getZonedParts(new Date(), rule.timezone), MATERIALIZE_HORIZON_DAYS));
+    const to = rule.until && rule.until < horizon ? rule.until : horizon;
+    const occurrences = this.expandRule(rule, { from: from || rule.dtstart, to });
+
+    if (occurrences.length) {
+      const rows = occurrences.map(o => ({
+        ...o,
+        rule_id: rule.id,
+        event_id: rule.event_id,
+        status: 'scheduled',
+        is_exception: false
+      }));
+
+      const { error } = await supabase
+        .from('event_occurrences')
+        .upsert(rows, { onConflict: 'rule_id,original_date', ignoreDuplicates: true });
+      if (error) throw error;
+    }
+
+    const { error: updateError } = await supabase
+      .from('event_recurrence_rules')
+      .update({ materialized_until: to, updated_at: new Date().toISOString() })
+      .eq('id', rule.id);
+    if (updateError) throw updateError;
+
+    return occurrences.length;
+  }
+
+  // Extend materialization for every rule of an event
+  async materializeEvent(eventId, until) {
+    await this.getEvent(eventId);
+    const rules = await this.getRules(eventId);
+    if (!rules.length) throw new AppError('Event is not recurring', 404);
+
+    let created = 0;
+    for (const rule of rules) {
+      created += await this.materializeRule(rule, {
+        from: rule.materialized_until ? toDateKey(addDays(parseDateKey(rule.materialized_until), 1)) : rule.dtstart,
+        until
+      });
+    }
+    return { event_id: eventId, generated: created };
+  }
+
+  // List occurrences in a range, materializing lazily if the range runs past the horizon
+  async getOccurrences(eventId, { from, to, include_cancelled } = {}) {
+    const event = await this.getEvent(eventId);
+    const rules = await this.getRules(eventId);
+    if (!rules.length) throw new AppError('Event is not recurring', 404);
+
+    const rangeFrom = from || toDateKey(getZonedParts(new Date(), rules[0].timezone));
+    const rangeTo = to || toDateKey(addDays(parseDateKey(rangeFrom), 90));
+
+    for (const rule of rules) {
+      const limit = rule.until && rule.until < rangeTo ? rule.until : rangeTo;
+      if (!rule.materialized_until || rule.materialized_until < limit) {
+        await this.materializeRule(rule, {
+          from: rule.materialized_until ? toDateKey(addDays(parseDateKey(rule.materialized_until), 1)) : rule.dtstart,
+          until: rangeTo
+        });
+      }
+    }
+
+    let query = supabase
+      .from('event_occurrences')
+      .select('*')
+      .eq('event_id', eventId)
+      .gte('original_date', rangeFrom)
+      .lte('original_date', rangeTo)
+      .order('starts_at', { ascending: true });
+
+    if (include_cancelled !== 'true' && include_cancelled !== true) {
+      query = query.neq('status', 'cancelled');
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    const rulesById = new Map(rules.map(r => [r.id, r]));
+    return (data || []).map(o => this.formatOccurrence(o, event, rulesById.get(o.rule_id)));
+  }
+
+  formatOccurrence(occurrence, event, rule) {
+    const overrides = { ...(rule?.overrides || {}), ...(occurrence.overrides || {}) };
+    return {
+      ...occurrence,
+      title: overrides.title || event.title,
+      description: overrides.description ?? event.description,
+      location: overrides.location ?? event.location,
+      image_url: event.image_url,
+      community_id: event.community_id
+    };
+  }
+
+  /**
+   * Apply an exception to one occurrence.
+   * scope 'this'      - only this occurrence is moved / cancelled / edited
+   * scope 'following' - the series is split here; this and later occurrences change
+   */
+  async updateOccurrence(eventId, occurrenceId, changes, userId) {
+    const event = await this.getEvent(eventId);
+    const { data: occurrence, error } = await supabase
+      .from('event_occurrences')
+      .select('*, rule:event_recurrence_rules(*)')
+      .eq('id', occurrenceId)
+      .eq('event_id', eventId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!occurrence) throw new AppError('Occurrence not found', 404);
+
+    const { rule, ...row } = occurrence;
+    const scope = changes.scope || 'this';
+
+    if (scope === 'this') {
+      const updated = await this.applyOccurrenceChange(row, rule, changes);
+      return this.formatOccurrence(updated, event, rule);
+    }
+
+    return this.splitSeries(event, rule, row, changes, userId);
+  }
+
+  async applyOccurrenceChange(occurrence, rule, { action, starts_at, ends_at, note, ...overrides }) {
+    const update = { updated_at: new Date().toISOString() };
+    const fieldOverrides = pickOverrides(overrides);
+
+    if (action === 'cancel') {
+      Object.assign(update, { status: 'cancelled', is_exception: true });
+    } else if (action === 'restore') {
+      const [original] = this.expandRule(rule, { from: occurrence.original_date, to: occurrence.original_date });
+      if (!original) throw new AppError('Occurrence is no longer part of the series', 409);
+      Object.assign(update, {
+        starts_at: original.starts_at,
+        ends_at: original.ends_at,
+        status: 'scheduled',
+        is_exception: false,
+        overrides: {},
+        note: null
+      });
+    } else if (action === 'move') {
+      if (!starts_at) throw new AppError('starts_at is required to move an occurrence', 400);
+      const duration = new Date(occurrence.ends_at) - new Date(occurrence.starts_at);
+      Object.assign(update, {
+        starts_at: new Date(starts_at).toISOString(),
+        ends_at: ends_at ? new Date(ends_at).toISOString() : new Date(new Date(starts_at).getTime() + duration).toISOString(),
+        status: 'moved',
+        is_exception: true
+      });
+    } else if (action !== 'update') {
+      throw new AppError('action must be one of: move, cancel, update, restore', 400);
+    }
+
+    if (action !== 'restore' && Object.keys(fieldOverrides).length) {
+      update.overrides = { ...(occurrence.overrides || {}), ...fieldOverrides };
+      update.is_exception = true;
+    }
+    if (note !== undefined && action !== 'restore') update.note = note;
+
+    const { data, error } = await supabase
+      .from('event_occurrences')
+      .update(update)
+      .eq('id', occurrence.id)
+      .select('*')
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  // "This and following": close the current rule before the occurrence and start a new one
+  async splitSeries(event, rule, occurrence, { action, starts_at, ends_at, ...overrides }, userId) {
+    const splitDate = parseDateKey(occurrence.original_date);
+    const dayBefore = toDateKey(addDays(splitDate, -1));
+
+    // Occurrences already generated before the split count against COUNT
+    const before = rule.count
+      ? this.expandRule(rule, { from: rule.dtstart, to: dayBefore }).length
+      : 0;
+
+    let newRule = null;
+    if (action !== 'cancel') {
+      if (!['move', 'update'].includes(action)) {
+        throw new AppError('action must be one of: move, cancel, update for scope "following"', 400);
+      }
+
+      const base = { ...rule };
+      let newStart = splitDate;
+
+      if (action === 'move') {
+        if (!starts_at) throw new AppError('starts_at is required to move occurrences', 400);
+        const local = getZonedParts(new Date(starts_at), rule.timezone);
+        newStart = { year: local.year, month: local.month, day: local.day };
+        base.start_time = `${String(local.hour).padStart(2, '0')}:${String(local.minute).padStart(2, '0')}`;
+        if (ends_at) base.duration_minutes = Math.round((new Date(ends_at) - new Date(starts_at)) / 60000);
+
+        // Shift day-based parts so the pattern moves with the occurrence
+        const shift = diffInDays(newStart, splitDate);
+        if (shift && base.by_weekday) {
+          base.by_weekday = base.by_weekday.map(code => WEEKDAY_CODES[(weekdayIndex(code) + shift % 7 + 7) % 7]);
+        }
+        if (shift && base.by_month_day) {
+          base.by_month_day = base.by_month_day.map(n => (n > 0 ? Math.min(Math.max(n + shift, 1), 31) : n));
+        }
+        if (shift && base.freq === 'tithi') base.offset_days = (base.offset_days || 0) + shift;
+      }
+
+      newRule = {
+        event_id: event.id,
+        parent_rule_id: rule.id,
+        freq: base.freq,
+        interval: base.interval,
+        by_weekday: base.by_weekday,
+        by_month_day: base.by_month_day,
+        by_set_pos: base.by_set_pos,
+        by_month: base.by_month,
+        tithis: base.tithis,
+        offset_days: base.offset_days,
+        dtstart: toDateKey(base.freq === 'tithi' ? splitDate : newStart),
+        until: rule.until,
+        count: rule.count ? Math.max(rule.count - before, 1) : null,
+        start_time: base.start_time,
+        duration_minutes: base.duration_minutes,
+        timezone: rule.timezone,
+        overrides: { ...(rule.overrides || {}), ...pickOverrides(overrides) },
+        created_by: userId || null
+      };
+      newRule.rrule = this.buildRRule(newRule);
+    }
+
+    // Close the old segment and drop its occurrences from the split point on
+    const { error: deleteError } = await supabase
+      .from('event_occurrences')
+      .delete()
+      .eq('rule_id', rule.id)
+      .gte('original_date', occurrence.original_date);
+    if (deleteError) throw deleteError;
+
+    if (dayBefore < rule.dtstart) {
+      const { error } = await supabase.from('event_recurrence_rules').delete().eq('id', rule.id);
+      if (error) throw error;
+    } else {
+      const closed = { ...rule, until: dayBefore, count: null };
+      const { error } = await supabase
+        .from('event_recurrence_rules')
+        .update({
+          until: dayBefore,
+          count: null,
+          rrule: this.buildRRule(closed),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', rule.id);
+      if (error) throw error;
+    }
+
+    if (newRule) {
+      const { data, error } = await supabase
+        .from('event_recurrence_rules')
+        .insert([newRule])
+        .select('*')
+        .single();
+      if (error) throw error;
+      await this.materializeRule(data);
+    }
+
+    console.log(`✅ Split recurrence for event ${event.id} at ${occurrence.original_date} (${action})`);
+    return this.getRecurrence(event.id).catch(() => ({ event_id: event.id, rules: [] }));
+  }
+}
+
+// Only these event fields can be overridden per occurrence or per split segment
+const pickOverrides = (fields = {}) => {
+  const overrides = {};
+  for (const key of ['title', 'description', 'location']) {
+    if (fields[key] !== undefined) overrides[key] = fields[key];
+  }
+  return overrides;
+};
+
+module.exports = new RecurringService();
@@ -0,0 +1,453 @@
+const { randomUUID } = require('crypto');
+const QRCode = require('qrcode');
+const { supabase } = require('../../config/supabase');
+const { AppError } = require('../../middleware/errorHandler');
+const emailService = require('../emailService');
+const CSVExporter = require('../../utils/csvExporter');
+const signedToken = require('../../utils/signedToken');
+const { escapeHtml } = require('../../utils/html');
+
+const TICKET_PURPOSE = 'event-ticket';
+const ACTIVE_STATUSES = ['confirmed', 'waitlisted', 'checked_in'];
+const SEATED_STATUSES = ['confirmed', 'checked_in'];
+const MAX_GUESTS = 10;
+
+// Scope a registrations query to the whole event or to one occurrence
+const scopeToOccurrence = (query, occurrenceId) =>
+  occurrenceId ? query.eq('occurrence_id', occurrenceId) : query.is('occurrence_id', null);
+
+class RegistrationService {
+  async getEvent(eventId) {
+    const { data, error } = await supabase
+      .from('community_events')
+      .select('*')
+      .eq('id', eventId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new AppError('Event not found', 404);
+    return data;
+  }
+
+  // Community leads manage registrations only for their own community's events
+  async getCommunityId(eventId) {
+    const event = await this.getEvent(eventId);
+    return event.community_id;
+  }
+
+  async getOccurrence(eventId, occurrenceId) {
+    const { data, error } = await supabase
+      .from('event_occurrences')
+      .select('*')
+      .eq('id', occurrenceId)
+      .eq('event_id', eventId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new AppError('Occurrence not found', 404);
+    return data;
+  }
+
+  issueTicketCode(registration) {
+    return signedToken.sign(TICKET_PURPOSE, {
+      r: registration.id,
+      e: registration.event_id
+    });
+  }
+
+  async withQr(registration) {
+    if (!registration.ticket_code || !SEATED_STATUSES.includes(registration.status)) return registration;
+    return {
+      ...registration,
+      ticket_qr: await QRCode.toDataURL(registration.ticket_code, { margin: 1, width: 320 })
+    };
+  }
+
+  async getActiveRegistrations(eventId, occurrenceId) {
+    const { data, error } = await scopeToOccurrence(
+      supabase
+        .from('event_registrations')
+        .select('*')
+        .eq('event_id', eventId)
+        .in('status', ACTIVE_STATUSES)
+        .order('created_at', { ascending: true }),
+      occurrenceId
+    );
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Capacity summary for an event (or one occurrence of it)
+  async getSummary(eventId, occurrenceId = null) {
+    const event = await this.getEvent(eventId);
+    const registrations = await this.getActiveRegistrations(eventId, occurrenceId);
+    const capacity = event.max_participants || null;
+
+    const seated = registrations.filter(r => SEATED_STATUSES.includes(r.status));
+    const waitlisted = registrations.filter(r => r.status === 'waitlisted');
+    const seatsTaken = seated.reduce((sum, r) => sum + r.party_size, 0);
+
+    return {
+      event_id: eventId,
+      occurrence_id: occurrenceId,
+      capacity,
+      seats_taken: seatsTaken,
+      seats_available: capacity ? Math.max(capacity - seatsTaken, 0) : null,
+      registrations: seated.length,
+      checked_in: registrations.filter(r => r.status === 'checked_in').reduce((sum, r) => sum + r.party_size, 0),
+      waitlist: waitlisted.length,
+      waitlist_seats: waitlisted.reduce((sum, r) => sum + r.party_size, 0)
+    };
+  }
+
+  /**
+   * Register for an event. Registrations beyond capacity go on the waitlist.
+   * Capacity is re-checked after the insert (rebalance) so concurrent sign-ups
+   * cannot overbook: the later registration is moved to the waitlist.
+   */
+  async register(eventId, input, { userId = null, source = 'public' } = {}) {
+    const event = await this.getEvent(eventId);
+    const occurrenceId = input.occurrence_id || null;
+    const startsAt = occurrenceId
+      ? (await this.getOccurrence(eventId, occurrenceId)).starts_at
+      : event.start_date;
+
+    if (event.status !== 'published') {
+      throw new AppError('Registration is not open for this event', 400);
+    }
+    if (new Date(startsAt) < new Date()) {
+      throw new AppError('This event has already started', 400);
+    }
+
+    const email = String(input.email).trim().toLowerCase();
+    const guestCount = Math.min(parseInt(input.guest_count, 10) || 0, MAX_GUESTS);
+
+    const { data: existing, error: existingError } = await scopeToOccurrence(
+      supabase
+        .from('event_registrations')
+        .select('id, status')
+        .eq('event_id', eventId)
+        .eq('email', email)
+        .in('status', ACTIVE_STATUSES),
+      occurrenceId
+    ).maybeSingle();
+
+    if (existingError) throw existingError;
+    if (existing) {
+      throw new AppError('This email is already registered for this event', 409, { registration_id: existing.id });
+    }
+
+    const summary = await this.getSummary(eventId, occurrenceId);
+    const fits = !summary.capacity || summary.seats_taken + guestCount + 1 <= summary.capacity;
+
+    const registration = {
+      id: randomUUID(),
+      event_id: eventId,
+      occurrence_id: occurrenceId,
+      user_id: userId,
+      name: input.name,
+      email,
+      phone: input.phone || null,
+      guest_count: guestCount,
+      notes: input.notes || null,
+      source,
+      status: fits ? 'confirmed' : 'waitlisted'
+    };
+    registration.ticket_code = this.issueTicketCode(registration);
+
+    const { error } = await supabase
+      .from('event_registrations')
+      .insert([registration]);
+
+    if (error) {
+      if (error.code === '23505') throw new AppError('This email is already registered for this event', 409);
+      throw error;
+    }
+
+    await this.rebalance(event, occurrenceId);
+
+    const saved = await this.getRegistration(registration.id);
+    console.log(`✅ Registration ${saved.status} for event ${eventId}:`, email);
+
+    await this.sendRegistrationEmail(event, saved, startsAt);
+    return this.withQr(saved);
+  }
+
+  async getRegistration(registrationId) {
+    const { data, error } = await supabase
+      .from('event_registrations')
+      .select('*')
+      .eq('id', registrationId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new AppError('Registration not found', 404);
+    return data;
+  }
+
+  async listRegistrations(eventId, { status, occurrence_id } = {}) {
+    await this.getEvent(eventId);
+
+    let query = supabase
+      .from('event_registrations')
+      .select('*')
+      .eq('event_id', eventId)
+      .order('created_at', { ascending: true });
+
+    if (status && status !== 'all') query = query.eq('status', status);
+    if (occurrence_id) query = query.eq('occurrence_id', occurrence_id);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    // Waitlist position is by sign-up order
+    let position = 0;
+    return (data || []).map(r => (r.status === 'waitlisted' ? { ...r, waitlist_position: ++position } : r));
+  }
+
+  // Resolve a scanned/entered ticket code to its registration
+  async getTicket(ticketCode) {
+    const claims = signedToken.verify(TICKET_PURPOSE, ticketCode);
+    if (!claims) throw new AppError('Invalid ticket', 400);
+
+    const registration = await this.getRegistration(claims.r);
+    if (registration.ticket_code !== ticketCode) throw new AppError('Invalid ticket', 400);
+
+    const event = await this.getEvent(registration.event_id);
+    return {
+      registration: await this.withQr(registration),
+      event: {
+        id: event.id,
+        title: event.title,
+        start_date: event.start_date,
+        end_date: event.end_date,
+        location: event.location
+      }
+    };
+  }
+
+  async cancelRegistration(eventId, registrationId, { userId = null, canManage = false } = {}) {
+    const registration = await this.getRegistration(registrationId);
+    if (registration.event_id !== eventId) throw new AppError('Registration not found', 404);
+
+    if (!canManage && (!userId || registration.user_id !== userId)) {
+      throw new AppError('You can only cancel your own registration', 403);
+    }
+
+    return this.cancel(registration);
+  }
+
+  async cancelByTicket(ticketCode) {
+    const { registration } = await this.getTicket(ticketCode);
+    return this.cancel(registration);
+  }
+
+  async cancel(registration) {
+    if (registration.status === 'cancelled') return registration;
+    if (registration.status === 'checked_in') {
+      throw new AppError('Cannot cancel a registration that has already checked in', 409);
+    }
+
+    const { data, error } = await supabase
+      .from('event_registrations')
+      .update({
+        status: 'cancelled',
+        cancelled_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', registration.id)
+      .select('*')
+      .single();
+
+    if (error) throw error;
+
+    const event = await this.getEvent(registration.event_id);
+    const promoted = await this.rebalance(event, registration.occurrence_id);
+    console.log(`✅ Registration cancelled (${registration.id}); promoted ${promoted.length} from waitlist`);
+
+    return { ...data, promoted_from_waitlist: promoted.map(r => r.id) };
+  }
+
+  /**
+   * Recompute who holds a seat, in sign-up order. Waitlisted parties that now fit
+   * are promoted (and emailed); confirmed parties that no longer fit (a race or a
+   * capacity reduction) go back on the waitlist. Checked-in parties always keep
+   * their seats. Returns the promoted registrations.
+   */
+  async rebalance(event, occurrenceId) {
+    const registrations = await this.getActiveRegistrations(event.id, occurrenceId);
+    const capacity = event.max_participants || null;
+
+    let seats = registrations
+      .filter(r => r.status === 'checked_in')
+      .reduce((sum, r) => sum + r.party_size, 0);
+
+    const promote = [];
+    const demote = [];
+
+    for (const registration of registrations) {
+      if (registration.status === 'checked_in') continue;
+
+      const fits = !capacity || seats + registration.party_size <= capacity;
+      if (fits) {
+        seats += registration.party_size;
+        if (registration.status === 'waitlisted') promote.push(registration);
+      } else if (registration.status === 'confirmed') {
+        demote.push(registration);
+      }
+    }
+
+    const now = new Date().toISOString();
+    if (promote.length) {
+      const { error } = await supabase
+        .from('event_registrations')
+        .update({ status: 'confirmed', promoted_at: now, updated_at: now })
+        .in('id', promote.map(r => r.id));
+      if (error) throw error;
+    }
+    if (demote.length) {
+      const { error } = await supabase
+        .from('event_registrations')
+        .update({ status: 'waitlisted', updated_at: now })
+        .in('id', demote.map(r => r.id));
+      if (error) throw error;
+    }
+
+    if (!occurrenceId) {
+      const { error } = await supabase
+        .from('community_events')
+        .update({ current_participants: seats, updated_at: now })
+        .eq('id', event.id);
+      if (error) console.error('⚠️ Failed to update participant count:', error.message);
+    }
+
+    for (const registration of promote) {
+      await this.sendPromotionEmail(event, { ...registration, status: 'confirmed' });
+    }
+
+    return promote;
+  }
+
+  // Door check-in by scanned ticket code
+  async checkIn(eventId, ticketCode, userId) {
+    const { registration } = await this.getTicket(ticketCode);
+
+    if (registration.event_id !== eventId) {
+      throw new AppError('This ticket is for a different event', 409);
+    }
+    if (registration.status === 'checked_in') {
+      throw new AppError('Ticket already checked in', 409, { checked_in_at: registration.checked_in_at });
+    }
+    if (registration.status !== 'confirmed') {
+      throw new AppError(`Ticket is ${registration.status}, not confirmed`, 409);
+    }
+
+    const { data, error } = await supabase
+      .from('event_registrations')
+      .update({
+        status: 'checked_in',
+        checked_in_at: new Date().toISOString(),
+        checked_in_by: userId || null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', registration.id)
+      .eq('status', 'confirmed')
+      .select('*')
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new AppError('Ticket already checked in', 409);
+
+    console.log(`✅ Checked in ${data.name} (+${data.guest_count}) for event ${eventId}`);
+    return data;
+  }
+
+  async exportAttendees(eventId, { status, occurrence_id } = {}) {
+    const event = await this.getEvent(eventId);
+    const registrations = await this.listRegistrations(eventId, { status, occurrence_id });
+
+    const headers = [
+      { id: 'name', title: 'Name' },
+      { id: 'email', title: 'Email' },
+      { id: 'phone', title: 'Phone' },
+      { id: 'party_size', title: 'Party Size' },
+      { id: 'status', title: 'Status' },
+      { id: 'waitlist_position', title: 'Waitlist Position' },
+      { id: 'source', title: 'Source' },
+      { id: 'registered_at', title: 'Registered At' },
+      { id: 'checked_in_at', title: 'Checked In At' },
+      { id: 'notes', title: 'Notes' }
+    ];
+
+    const rows = registrations.map(r => ({
+      ...r,
+      waitlist_position: r.waitlist_position || '',
+      registered_at: r.created_at,
+      checked_in_at: r.checked_in_at || ''
+    }));
+
+    const slug = (event.title || 'event').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return {
+      filename: `${slug}-attendees.csv`,
+      csv: CSVExporter.toCSVString(rows, headers)
+    };
+  }
+
+  async sendRegistrationEmail(event, registration, startsAt) {
+    const confirmed = registration.status === 'confirmed';
+    const when = new Date(startsAt).toLocaleString('en-US', {
+      weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit'
+    });
+
+    try {
+      const qr = confirmed ? await QRCode.toDataURL(registration.ticket_code, { margin: 1, width: 240 }) : null;
+      await emailService.sendEmail({
+        to: registration.email,
+        topic: 'event_updates',
+        subject: confirmed
+          ? `🎟️ You're registered: ${event.title}`
+          : `⏳ You're on the waitlist: ${event.title}`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <p>Dear <strong>${escapeHtml(registration.name)}</strong>,</p>
+            <p>${confirmed
+              ? `Your registration for <strong>${escapeHtml(event.title)}</strong> is confirmed`
+              : `<strong>${escapeHtml(event.title)}</strong> is currently full, so you have been added to the waitlist. We will email you if a spot opens up`}
+              ${registration.guest_count ? ` (party of ${registration.party_size})` : ''}.</p>
+            <p><strong>When:</strong> ${when}<br/>
+            ${event.location ? `<strong>Where:</strong> ${escapeHtml(event.location)}` : ''}</p>
+            ${qr ? `<p>Please show this code at the door:</p><p><img src="${qr}" alt="Ticket QR code" width="240" height="240"/></p>` : ''}
+            <p style="font-size: 14px; color: #666;">🙏 Om Sai Ram!</p>
+          </div>
+        `
+      });
+    } catch (emailError) {
+      console.error('⚠️ Failed to send registration email:', emailError.message);
+    }
+  }
+
+  async sendPromotionEmail(event, registration) {
+    try {
+      const qr = await QRCode.toDataURL(registration.ticket_code, { margin: 1, width: 240 });
+      await emailService.sendEmail({
+        to: registration.email,
+        topic: 'event_updates',
+        subject: `🎉 A spot opened up: ${event.title}`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <p>Dear <strong>${escapeHtml(registration.name)}</strong>,</p>
+            <p>Good news - a spot opened up and your registration for <strong>${escapeHtml(event.title)}</strong> is now confirmed.</p>
+            <p>Please show this code at the door:</p>
+            <p><img src="${qr}" alt="Ticket QR code" width="240" height="240"/></p>
+            <p style="font-size: 14px; color: #666;">🙏 Om Sai Ram!</p>
+          </div>
+        `
+      });
+    } catch (emailError) {
+      console.error('⚠️ Failed to send waitlist promotion email:', emailError.message);
+    }
+  }
+}
+
+module.exports = new RegistrationService();
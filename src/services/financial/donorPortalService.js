@@ -0,0 +1,323 @@
+const { supabase } = require('../../config/supabase');
+const supabaseService = require('../supabaseService');
+const emailService = require('../emailService');
+const paypal = require('../../controllers/paypal');
+const { AppError } = require('../../middleware/errorHandler');
+const { normalizeEmail } = require('../../utils/contactHelpers');
+const signedToken = require('../../utils/signedToken');
+const CSVExporter = require('../../utils/csvExporter');
+const { escapeHtml } = require('../../utils/html');
+
+const TOKEN_PURPOSE = 'donor-portal';
+const TOKEN_TTL_SECONDS = (parseInt(process.env.DONOR_PORTAL_TOKEN_TTL_HOURS) || 24) * 60 * 60;
+const MAX_ACTION_LOG = 50;
+
+const frontendUrl = () => process.env.VITE_FRONTEND_URL || process.env.FRONTEND_URL || 'http://localhost:8080';
+
+// Surface PayPal API failures through the app's error handler; PayPal's own
+// auth and server errors are a gateway problem, not the donor's
+const callPayPal = async (request) => {
+  try {
+    return await request();
+  } catch (error) {
+    if (!(error instanceof paypal.PayPalError)) throw error;
+    const status = error.statusCode >= 500 || [401, 403].includes(error.statusCode) ? 502 : error.statusCode;
+    throw new AppError(error.message, status);
+  }
+};
+
+const donorEmailOf = (row) => normalizeEmail(row.donor_email || row.email);
+
+const toSubscription = (record, live = null) => ({
+  subscription_id: record.metadata?.subscription_id,
+  donation_id: record.id,
+  purpose: record.purpose || record.message,
+  amount: Number(record.amount),
+  currency: record.currency || 'USD',
+  frequency: record.metadata?.frequency || 'monthly',
+  status: live?.status || record.metadata?.subscription_status || 'ACTIVE',
+  started_at: record.metadata?.start_time || record.created_at,
+  next_billing_time: live?.billing_info?.next_billing_time || null,
+  last_payment: live?.billing_info?.last_payment
+    ? {
+      amount: Number(live.billing_info.last_payment.amount?.value),
+      currency: live.billing_info.last_payment.amount?.currency_code,
+      time: live.billing_info.last_payment.time
+    }
+    : null,
+  pending_change: record.metadata?.pending_revision || null
+});
+
+const toPayment = (row) => ({
+  donation_id: row.id,
+  subscription_id: row.metadata?.subscription_id,
+  transaction_id: row.metadata?.transaction_id,
+  receipt_number: row.metadata?.receipt_number || null,
+  date: row.donation_date || row.created_at,
+  amount: Number(row.amount),
+  refunded_amount: Number(row.refunded_amount || 0),
+  currency: row.currency || 'USD',
+  status: row.payment_status
+});
+
+/**
+ * Donor self-service for recurring PayPal donations. Donors do not need an
+ * account: they request a magic link by email and every portal call carries
+ * the signed token from that link. A donor can only see and change
+ * subscriptions recorded under the email address the link was sent to.
+ */
+class DonorPortalService {
+  buildToken(email) {
+    return signedToken.sign(TOKEN_PURPOSE, { e: normalizeEmail(email) }, { expiresInSeconds: TOKEN_TTL_SECONDS });
+  }
+
+  verifyToken(token) {
+    const claims = signedToken.verify(TOKEN_PURPOSE, token);
+    if (!claims || !claims.e) throw new AppError('Invalid or expired link', 401);
+    return claims.e;
+  }
+
+  portalUrl(token) {
+    return `${frontendUrl()}/donor-portal?token=${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * Email a portal link if the address has any recurring donations. Callers
+   * always answer the same way so the endpoint cannot be used to find donors.
+   */
+  async requestMagicLink(rawEmail) {
+    const email = normalizeEmail(rawEmail);
+    const subscriptions = await this.getSubscriptionRecords(email);
+
+    if (subscriptions.length === 0) {
+      console.log(`ℹ️ Donor portal link requested for ${email} - no recurring donations`);
+      return { sent: false };
+    }
+
+    const url = this.portalUrl(this.buildToken(email));
+    const hours = Math.round(TOKEN_TTL_SECONDS / 3600);
+
+    await emailService.sendEmail({
+      to: email,
+      topic: 'account',
+      subject: '🙏 Manage your recurring donations - Sai Samsthan USA',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <p>Namaste,</p>
+          <p>Use the link below to view and manage your recurring donations to Sai Samsthan USA.
+          You can see past payments, change your monthly amount, pause or cancel at any time.</p>
+          <p style="text-align: center; margin: 24px 0;">
+            <a href="${escapeHtml(url)}" style="background: #8b4513; color: #fff; padding: 12px 24px; border-radius: 4px; text-decoration: none;">Manage my donations</a>
+          </p>
+          <p style="font-size: 13px; color: #666;">This link works for ${hours} hours. If you did not ask for it, you can ignore this email.</p>
+          <p style="font-size: 14px; color: #666;">🙏 Om Sai Ram!</p>
+        </div>
+      `
+    });
+
+    return { sent: true };
+  }
+
+  // Subscription rows (not individual payments) recorded for an email
+  async getSubscriptionRecords(email) {
+    const quoted = `"${email}"`;
+    const { data, error } = await supabase
+      .from('donations')
+      .select('*')
+      .filter('metadata->>is_recurring', 'eq', 'true')
+      .or(`email.ilike.${quoted},donor_email.ilike.${quoted}`)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    // ilike treats _ and % as wildcards, so confirm the exact address
+    return (data || []).filter(row => donorEmailOf(row) === email);
+  }
+
+  async getOwnedSubscription(email, subscriptionId) {
+    const records = await this.getSubscriptionRecords(email);
+    const record = records.find(row => row.metadata?.subscription_id === subscriptionId);
+    if (!record) throw new AppError('Subscription not found', 404);
+    return record;
+  }
+
+  /**
+   * The donor's subscriptions, refreshed from PayPal where possible so that
+   * status and next billing date are current.
+   */
+  async listSubscriptions(email) {
+    const records = await this.getSubscriptionRecords(email);
+    const live = paypal.validateConfig()
+      ? await Promise.allSettled(records.map(record => paypal.getSubscription(record.metadata.subscription_id)))
+      : [];
+
+    return Promise.all(records.map(async (record, index) => {
+      const subscription = live[index]?.status === 'fulfilled' ? live[index].value : null;
+
+      // Catch up on status changes whose webhook was missed
+      if (subscription?.status && subscription.status !== record.metadata?.subscription_status) {
+        await paypal.updateSubscriptionStatus(record.metadata.subscription_id, subscription.status, supabaseService);
+      }
+      return toSubscription(record, subscription);
+    }));
+  }
+
+  async getPayments(email, { subscriptionId } = {}) {
+    const records = await this.getSubscriptionRecords(email);
+    const ids = records
+      .map(record => record.metadata?.subscription_id)
+      .filter(id => id && (!subscriptionId || id === subscriptionId));
+
+    if (subscriptionId && ids.length === 0) throw new AppError('Subscription not found', 404);
+    if (ids.length === 0) return [];
+
+    const { data, error } = await supabase
+      .from('donations')
+      .select('*')
+      .filter('metadata->>is_recurring_payment', 'eq', 'true')
+      .filter('metadata->>subscription_id', 'in', `(${ids.map(id => `"${id}"`).join(',')})`)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return (data || []).map(toPayment);
+  }
+
+  // Append to the subscription's portal audit trail
+  async logAction(record, action, details = {}) {
+    const { data: current } = await supabase.from('donations').select('metadata').eq('id', record.id).single();
+    const metadata = current?.metadata || record.metadata || {};
+    const actions = [...(metadata.portal_actions || []), { action, at: new Date().toISOString(), ...details }];
+
+    await supabase
+      .from('donations')
+      .update({ metadata: { ...metadata, portal_actions: actions.slice(-MAX_ACTION_LOG) } })
+      .eq('id', record.id);
+  }
+
+  assertStatus(record, allowed, verb) {
+    const status = record.metadata?.subscription_status || 'ACTIVE';
+    if (!allowed.includes(status)) {
+      throw new AppError(`Cannot ${verb} a subscription that is ${status.toLowerCase()}`, 409);
+    }
+  }
+
+  /**
+   * Change the recurring amount. PayPal moves the subscription to a new plan
+   * and usually asks the donor to approve it first, in which case the approval
+   * URL is returned and the amount changes when PayPal confirms.
+   */
+  async changeAmount(email, subscriptionId, amount) {
+    const record = await this.getOwnedSubscription(email, subscriptionId);
+    this.assertStatus(record, ['ACTIVE', 'SUSPENDED'], 'change');
+
+    const portalUrl = `${frontendUrl()}/donor-portal`;
+    const revision = await callPayPal(() => paypal.reviseSubscription(subscriptionId, {
+      amount,
+      currency: record.currency || 'USD',
+      frequency: record.metadata?.frequency || 'monthly',
+      campaignName: record.purpose || 'Recurring Donation'
+    }, `${portalUrl}?revised=${encodeURIComponent(subscriptionId)}`, portalUrl));
+
+    const metadata = { ...(record.metadata || {}) };
+    const update = { updated_at: new Date().toISOString() };
+
+    if (revision.approvalUrl) {
+      metadata.pending_revision = {
+        plan_id: revision.planId,
+        amount: revision.amount,
+        requested_at: new Date().toISOString()
+      };
+    } else {
+      delete metadata.pending_revision;
+      Object.assign(metadata, { plan_id: revision.planId, previous_amount: record.amount, revised_at: new Date().toISOString() });
+      update.amount = revision.amount;
+    }
+
+    const { error } = await supabase.from('donations').update({ ...update, metadata }).eq('id', record.id);
+    if (error) throw error;
+
+    await this.logAction({ ...record, metadata }, 'change_amount', { from: Number(record.amount), to: revision.amount });
+
+    return {
+      subscription_id: subscriptionId,
+      amount: revision.amount,
+      requires_approval: Boolean(revision.approvalUrl),
+      approval_url: revision.approvalUrl
+    };
+  }
+
+  async pause(email, subscriptionId, reason) {
+    const record = await this.getOwnedSubscription(email, subscriptionId);
+    this.assertStatus(record, ['ACTIVE'], 'pause');
+
+    await callPayPal(() => paypal.suspendSubscription(subscriptionId, reason || 'Paused by donor'));
+    const updated = await paypal.updateSubscriptionStatus(subscriptionId, 'SUSPENDED', supabaseService, {
+      paused_at: new Date().toISOString()
+    });
+    await this.logAction(updated || record, 'pause', { reason: reason || null });
+    return toSubscription(updated || record, { status: 'SUSPENDED' });
+  }
+
+  async resume(email, subscriptionId) {
+    const record = await this.getOwnedSubscription(email, subscriptionId);
+    this.assertStatus(record, ['SUSPENDED'], 'resume');
+
+    await callPayPal(() => paypal.resumeSubscription(subscriptionId));
+    const updated = await paypal.updateSubscriptionStatus(subscriptionId, 'ACTIVE', supabaseService, {
+      resumed_at: new Date().toISOString()
+    });
+    await this.logAction(updated || record, 'resume');
+    return toSubscription(updated || record, { status: 'ACTIVE' });
+  }
+
+  async cancel(email, subscriptionId, reason) {
+    const record = await this.getOwnedSubscription(email, subscriptionId);
+    this.assertStatus(record, ['ACTIVE', 'SUSPENDED', 'APPROVAL_PENDING', 'APPROVED'], 'cancel');
+
+    await callPayPal(() => paypal.cancelSubscription(subscriptionId, reason || 'Cancelled by donor'));
+    const updated = await paypal.updateSubscriptionStatus(subscriptionId, 'CANCELLED', supabaseService, {
+      cancelled_at: new Date().toISOString(),
+      cancellation_reason: reason || null
+    });
+    await this.logAction(updated || record, 'cancel', { reason: reason || null });
+    return toSubscription(updated || record, { status: 'CANCELLED' });
+  }
+
+  /**
+   * Full giving history for download: every recurring payment, oldest first.
+   */
+  async exportHistory(email, { format = 'csv' } = {}) {
+    const [subscriptions, payments] = await Promise.all([
+      this.getSubscriptionRecords(email),
+      this.getPayments(email)
+    ]);
+
+    const purposes = new Map(subscriptions.map(record => [record.metadata?.subscription_id, record.purpose || record.message]));
+    const rows = payments
+      .map(payment => ({ ...payment, purpose: purposes.get(payment.subscription_id) || 'Recurring Donation' }))
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    if (format === 'json') {
+      return { subscriptions: subscriptions.map(record => toSubscription(record)), payments: rows };
+    }
+
+    const headers = [
+      { id: 'date', title: 'Date' },
+      { id: 'purpose', title: 'Purpose' },
+      { id: 'amount', title: 'Amount' },
+      { id: 'refunded_amount', title: 'Refunded' },
+      { id: 'currency', title: 'Currency' },
+      { id: 'status', title: 'Status' },
+      { id: 'transaction_id', title: 'PayPal Transaction' },
+      { id: 'receipt_number', title: 'Receipt Number' },
+      { id: 'subscription_id', title: 'Subscription' }
+    ];
+
+    return {
+      filename: `donation-history-${new Date().toISOString().split('T')[0]}.csv`,
+      csv: CSVExporter.toCSVString(rows, headers)
+    };
+  }
+}
+
+module.exports = new DonorPortalService();
@@ -0,0 +1,720 @@
+const path = require('path');
+const { randomUUID } = require('crypto');
+const { supabase } = require('../../config/supabase');
+const { AppError } = require('../../middleware/errorHandler');
+const { ROLES, COMMUNICATION_TOPICS } = require('../../config/constants');
+const { PERMISSIONS, COMMUNITY_ROLES } = require('../../config/permissions');
+const permissionService = require('../user/permissionService');
+const emailService = require('../emailService');
+const ledgerService = require('./ledgerService');
+const fundService = require('./fundService');
+const budgetService = require('../budget/budgetService');
+const { escapeHtml } = require('../../utils/html');
+
+const DOCUMENT_BUCKET = 'expense-documents';
+const FALLBACK_BUCKET = 'gallery';
+
+// Expenses that can still be edited and (re)submitted
+const EDITABLE_STATUSES = ['draft', 'rejected'];
+
+// Fields that the approval covers; changing them needs a new approval
+const APPROVED_FIELDS = ['amount', 'fund_id', 'budget_request_id', 'expense_type'];
+
+const roundAmount = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const hasAnyRole = (user, roles) => (user?.roles || []).some(role => roles.includes(role));
+
+/**
+ * Whether the user holds one of a step's approver roles for this expense.
+ * Global roles count anywhere; community roles (the default "Community lead"
+ * step) only in the expense's own community, going by the user's membership
+ * there. An expense without a community needs a global role.
+ * `communityRole` resolves the user's role in a community; queueFor passes a
+ * cached one.
+ */
+const canDecideStep = async (user, step, expense, communityRole = (id) => permissionService.communityRoleFor(user.id, id)) => {
+  if (hasAnyRole(user, [ROLES.ADMIN])) return true;
+
+  const globalRoles = (user?.roles || []).filter(role => !COMMUNITY_ROLES.includes(role));
+  if (globalRoles.some(role => step.approver_roles.includes(role))) return true;
+
+  if (!expense.community_id || !step.approver_roles.some(role => COMMUNITY_ROLES.includes(role))) return false;
+  return step.approver_roles.includes(await communityRole(expense.community_id));
+};
+
+// Finance users see every expense; managers can act on anyone's claim
+const canViewAllExpenses = (user) => permissionService.can(user, PERMISSIONS.EXPENSES_READ);
+
+const canManageAllExpenses = (user) => permissionService.can(user, PERMISSIONS.EXPENSES_MANAGE);
+
+const actorName = (user) => user?.email || user?.id || null;
+
+/**
+ * Expense approval workflow and volunteer reimbursements.
+ *
+ * New expenses start as drafts. Submitting one (receipts required) copies the
+ * matching expense_approval_rules into an approval chain; each step is
+ * decided in order by someone holding one of its roles - a community role
+ * only counts in the expense's own community (admins can decide any step,
+ * nobody can decide their own expense). The last approval makes the
+ * expense an approved, unpaid bill (Accounts Payable in the ledger) and
+ * checks the fund can cover it; marking it paid moves it to cash.
+ *
+ * Reimbursements are expenses with is_reimbursement set, claimed by the
+ * volunteer who paid out of pocket. The claimant is emailed when the claim is
+ * approved, rejected or paid.
+ */
+class ExpenseService {
+  // ------------------------------------------------------------------
+  // Approval rules
+  // ------------------------------------------------------------------
+
+  async listRules({ includeInactive = false } = {}) {
+    let query = supabase
+      .from('expense_approval_rules')
+      .select('*')
+      .order('step_order')
+      .order('min_amount');
+    if (!includeInactive) query = query.eq('is_active', true);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  async createRule({ name, step_order, min_amount = 0, max_amount = null, approver_roles, applies_to = 'all' }) {
+    const { data, error } = await supabase
+      .from('expense_approval_rules')
+      .insert({ name, step_order, min_amount, max_amount, approver_roles, applies_to })
+      .select('*')
+      .single();
+    if (error) throw this.ruleError(error);
+    return data;
+  }
+
+  async updateRule(ruleId, updates) {
+    const allowed = ['name', 'step_order', 'min_amount', 'max_amount', 'approver_roles', 'applies_to', 'is_active'];
+    const safeUpdates = Object.fromEntries(
+      Object.entries(updates).filter(([key, value]) => allowed.includes(key) && value !== undefined)
+    );
+
+    const { data, error } = await supabase
+      .from('expense_approval_rules')
+      .update({ ...safeUpdates, updated_at: new Date().toISOString() })
+      .eq('id', ruleId)
+      .select('*')
+      .maybeSingle();
+    if (error) throw this.ruleError(error);
+    if (!data) throw new AppError('Approval rule not found', 404);
+    return data;
+  }
+
+  /**
+   * Chains already in progress keep their copied steps, so deleting a rule
+   * only affects later submissions.
+   */
+  async deleteRule(ruleId) {
+    const { data, error } = await supabase
+      .from('expense_approval_rules')
+      .delete()
+      .eq('id', ruleId)
+      .select('id')
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) throw new AppError('Approval rule not found', 404);
+  }
+
+  ruleError(error) {
+    if (error.code === '23514') {
+      return new AppError('max_amount must be above min_amount and at least one approver role is required', 400);
+    }
+    return error;
+  }
+
+  /**
+   * Active rules an expense of this amount and kind has to pass, in order
+   */
+  async chainFor(expense) {
+    const amount = roundAmount(expense.amount);
+    const kind = expense.is_reimbursement ? 'reimbursement' : 'expense';
+    const rules = await this.listRules();
+    return rules.filter(rule =>
+      (rule.applies_to === 'all' || rule.applies_to === kind) &&
+      amount >= Number(rule.min_amount) &&
+      (rule.max_amount === null || amount < Number(rule.max_amount))
+    );
+  }
+
+  // ------------------------------------------------------------------
+  // Expenses and receipts
+  // ------------------------------------------------------------------
+
+  async getExpense(expenseId) {
+    const { data, error } = await supabase.from('expenses').select('*').eq('id', expenseId).maybeSingle();
+    if (error) throw error;
+    if (!data) throw new AppError('Expense not found', 404);
+    return data;
+  }
+
+  async countReceipts(expenseId) {
+    const { count, error } = await supabase
+      .from('expense_attachments')
+      .select('id', { count: 'exact', head: true })
+      .eq('expense_id', expenseId);
+    if (error) throw error;
+    return count || 0;
+  }
+
+  /**
+   * Store uploaded files (multer memory storage) and record them as the
+   * expense's attachments. Files that fail to upload are skipped.
+   */
+  async uploadDocuments(expenseId, files) {
+    const attachments = [];
+    for (const file of files) {
+      try {
+        const stored = await this.storeDocument(file, expenseId);
+        const { data, error } = await supabase
+          .from('expense_attachments')
+          .insert({
+            expense_id: expenseId,
+            file_name: file.originalname,
+            file_path: stored.publicUrl,
+            file_type: file.mimetype,
+            file_size: file.size
+          })
+          .select('*')
+          .single();
+
+        if (error) {
+          console.error('❌ Error inserting attachment record:', error);
+        } else {
+          attachments.push(data);
+        }
+      } catch (uploadError) {
+        console.error('❌ File upload failed:', uploadError.message);
+      }
+    }
+
+    if (attachments.length > 0) {
+      await supabase.from('expenses').update({ receipt_attached: true }).eq('id', expenseId);
+    }
+    return attachments;
+  }
+
+  async storeDocument(file, expenseId) {
+    const fileExt = path.extname(file.originalname);
+    const fileName = `expenses/${expenseId}/${randomUUID()}${fileExt}`;
+    await this.ensureBucketExists(DOCUMENT_BUCKET);
+
+    const { error } = await supabase.storage
+      .from(DOCUMENT_BUCKET)
+      .upload(fileName, file.buffer, { contentType: file.mimetype, upsert: false });
+
+    if (!error) {
+      return supabase.storage.from(DOCUMENT_BUCKET).getPublicUrl(fileName).data;
+    }
+
+    console.error('❌ Supabase storage upload error:', error);
+    const fallbackFileName = `expense-docs/${expenseId}/${randomUUID()}${fileExt}`;
+    const { error: fallbackError } = await supabase.storage
+      .from(FALLBACK_BUCKET)
+      .upload(fallbackFileName, file.buffer, { contentType: file.mimetype, upsert: false });
+
+    if (fallbackError) {
+      console.error('❌ Fallback upload also failed:', fallbackError);
+      throw error;
+    }
+    return supabase.storage.from(FALLBACK_BUCKET).getPublicUrl(fallbackFileName).data;
+  }
+
+  async ensureBucketExists(bucketName) {
+    try {
+      const { data: buckets } = await supabase.storage.listBuckets();
+      if (buckets?.some(bucket => bucket.name === bucketName)) return;
+
+      console.log(`📦 Creating bucket: ${bucketName}`);
+      const { error } = await supabase.storage.createBucket(bucketName, {
+        public: true,
+        fileSizeLimit: 10485760 // 10MB
+      });
+      if (error && !error.message.includes('already exists')) {
+        console.error('❌ Failed to create bucket:', error);
+      }
+    } catch (err) {
+      console.error('❌ Error checking/creating bucket:', err.message);
+    }
+  }
+
+  /**
+   * Reject edits the workflow does not allow: nothing the approval covers can
+   * change while the expense is in review or once it is approved, and only
+   * approved expenses can be marked paid.
+   */
+  assertEditable(existing, updates) {
+    const changed = APPROVED_FIELDS.filter(field =>
+      updates[field] !== undefined && String(updates[field] ?? '') !== String(existing[field] ?? '')
+    );
+    if (changed.length > 0 && existing.approval_status === 'pending') {
+      throw new AppError('This expense is awaiting approval; withdraw it before changing ' + changed.join(', '), 409);
+    }
+    if (changed.length > 0 && existing.approval_status === 'approved' && existing.approval_round > 0) {
+      throw new AppError('This expense is approved; create a new expense instead of changing ' + changed.join(', '), 409);
+    }
+    if (updates.payment_status === 'completed' && existing.payment_status !== 'completed' && existing.approval_status !== 'approved') {
+      throw new AppError('Only approved expenses can be marked paid', 409);
+    }
+  }
+
+  // ------------------------------------------------------------------
+  // Reimbursements
+  // ------------------------------------------------------------------
+
+  async listReimbursements({ claimantId, approvalStatus, paymentStatus, page = 1, limit = 20 } = {}) {
+    const from = (page - 1) * limit;
+    let query = supabase
+      .from('expenses')
+      .select('*', { count: 'exact' })
+      .eq('is_reimbursement', true)
+      .order('created_at', { ascending: false })
+      .range(from, from + limit - 1);
+    if (claimantId) query = query.eq('claimant_id', claimantId);
+    if (approvalStatus) query = query.eq('approval_status', approvalStatus);
+    if (paymentStatus) query = query.eq('payment_status', paymentStatus);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+    return {
+      reimbursements: data || [],
+      pagination: { page, limit, total: count || 0, pages: Math.ceil((count || 0) / limit) }
+    };
+  }
+
+  /**
+   * A reimbursement the user may see: their own claim, or any claim for
+   * finance roles
+   */
+  async getReimbursement(expenseId, user) {
+    const expense = await this.getExpense(expenseId);
+    if (!expense.is_reimbursement) throw new AppError('Reimbursement not found', 404);
+    if (!canViewAllExpenses(user) && expense.claimant_id !== user.id) {
+      throw new AppError('You can only view your own reimbursements', 403);
+    }
+    return expense;
+  }
+
+  async createReimbursement(claim, user) {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('expenses')
+      .insert({
+        description: claim.description,
+        amount: roundAmount(claim.amount),
+        expense_type: claim.expense_type || 'other',
+        expense_date: claim.expense_date,
+        vendor_name: claim.vendor_name || null,
+        notes: claim.notes || null,
+        community_id: claim.community_id || null,
+        fund_id: claim.fund_id || null,
+        budget_request_id: claim.budget_request_id || null,
+        payment_method: claim.payment_method || 'bank_transfer',
+        payment_status: 'pending',
+        approval_status: 'draft',
+        is_reimbursement: true,
+        claimant_id: user.id,
+        claimant_name: user.full_name || null,
+        claimant_email: user.email || null,
+        created_by: actorName(user),
+        created_at: now,
+        updated_at: now
+      })
+      .select('*')
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  async updateReimbursement(expenseId, updates, user) {
+    const expense = await this.getOwnDraft(expenseId, user);
+    const allowed = ['description', 'amount', 'expense_type', 'expense_date', 'vendor_name', 'notes',
+      'community_id', 'fund_id', 'budget_request_id', 'payment_method'];
+    const safeUpdates = Object.fromEntries(
+      Object.entries(updates).filter(([key, value]) => allowed.includes(key) && value !== undefined)
+    );
+    if (safeUpdates.amount !== undefined) safeUpdates.amount = roundAmount(safeUpdates.amount);
+
+    const { data, error } = await supabase
+      .from('expenses')
+      .update({ ...safeUpdates, updated_at: new Date().toISOString() })
+      .eq('id', expense.id)
+      .in('approval_status', EDITABLE_STATUSES)
+      .select('*')
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) throw new AppError('This reimbursement was submitted in the meantime', 409);
+    return data;
+  }
+
+  async deleteReimbursement(expenseId, user) {
+    const expense = await this.getOwnDraft(expenseId, user);
+    if (expense.approval_status !== 'draft') {
+      throw new AppError('Only draft reimbursements can be deleted', 409);
+    }
+    const { error } = await supabase.from('expenses').delete().eq('id', expense.id).eq('approval_status', 'draft');
+    if (error) throw error;
+  }
+
+  async getOwnDraft(expenseId, user) {
+    const expense = await this.getReimbursement(expenseId, user);
+    if (expense.claimant_id !== user.id && !canManageAllExpenses(user)) {
+      throw new AppError('You can only change your own reimbursements', 403);
+    }
+    if (!EDITABLE_STATUSES.includes(expense.approval_status)) {
+      throw new AppError(`A ${expense.approval_status} reimbursement cannot be changed`, 409);
+    }
+    return expense;
+  }
+
+  // ------------------------------------------------------------------
+  // Approval workflow
+  // ------------------------------------------------------------------
+
+  /**
+   * Expense managers act on any expense; claimants on their own reimbursements
+   */
+  assertCanManage(expense, user) {
+    if (canManageAllExpenses(user)) return;
+    if (expense.is_reimbursement && expense.claimant_id === user.id) return;
+    throw new AppError('You cannot submit or withdraw this expense', 403);
+  }
+
+  async getSteps(expenseId, round = null) {
+    let query = supabase
+      .from('expense_approval_steps')
+      .select('*')
+      .eq('expense_id', expenseId)
+      .order('round')
+      .order('step_order');
+    if (round !== null) query = query.eq('round', round);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Expense with its full approval history and the step now waiting
+   */
+  async getApproval(expenseId, user) {
+    const expense = await this.getExpense(expenseId);
+    const steps = await this.getSteps(expenseId);
+    let canView = canViewAllExpenses(user) || (expense.is_reimbursement && expense.claimant_id === user.id);
+    for (const step of steps) {
+      if (canView) break;
+      canView = await canDecideStep(user, step, expense);
+    }
+    if (!canView) throw new AppError('You cannot view this expense', 403);
+
+    const current = expense.approval_status === 'pending'
+      ? steps.find(step => step.round === expense.approval_round && step.status === 'pending') || null
+      : null;
+    return { expense, current_step: current, steps };
+  }
+
+  /**
+   * Start the approval chain. At least one receipt must be uploaded first.
+   * An amount no rule covers is approved straight away.
+   */
+  async submit(expenseId, user) {
+    const expense = await this.getExpense(expenseId);
+    this.assertCanManage(expense, user);
+    if (!EDITABLE_STATUSES.includes(expense.approval_status)) {
+      throw new AppError(`A ${expense.approval_status} expense cannot be submitted`, 409);
+    }
+    if (await this.countReceipts(expense.id) === 0) {
+      throw new AppError('Upload at least one receipt before submitting this expense', 400);
+    }
+
+    const chain = await this.chainFor(expense);
+    if (chain.length === 0) {
+      await fundService.assertExpenseAllowed({ ...expense, approval_status: 'approved' });
+    }
+
+    const round = (expense.approval_round || 0) + 1;
+    const { data: submitted, error } = await supabase
+      .from('expenses')
+      .update({
+        approval_status: 'pending',
+        approval_round: round,
+        submitted_by: actorName(user),
+        submitted_at: new Date().toISOString(),
+        approved_by: null,
+        approved_at: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', expense.id)
+      .in('approval_status', EDITABLE_STATUSES)
+      .select('*')
+      .maybeSingle();
+    if (error) throw error;
+    if (!submitted) throw new AppError('This expense was submitted in the meantime', 409);
+
+    if (chain.length === 0) {
+      await this.finishApproval(submitted, 'No approval required');
+      return this.getApproval(expense.id, user);
+    }
+
+    const { error: stepError } = await supabase.from('expense_approval_steps').insert(
+      chain.map((rule, index) => ({
+        expense_id: expense.id,
+        round,
+        step_order: index + 1,
+        rule_id: rule.id,
+        name: rule.name,
+        approver_roles: rule.approver_roles
+      }))
+    );
+    if (stepError) {
+      await supabase
+        .from('expenses')
+        .update({ approval_status: expense.approval_status, approval_round: expense.approval_round })
+        .eq('id', expense.id);
+      throw stepError;
+    }
+
+    console.log(`🧾 Expense ${expense.id} submitted for ${chain.length} approval step(s)`);
+    return this.getApproval(expense.id, user);
+  }
+
+  /**
+   * Pull a pending expense back to draft; its open steps are skipped
+   */
+  async withdraw(expenseId, user) {
+    const expense = await this.getExpense(expenseId);
+    this.assertCanManage(expense, user);
+    if (expense.approval_status !== 'pending') {
+      throw new AppError('Only expenses awaiting approval can be withdrawn', 409);
+    }
+
+    const { data, error } = await supabase
+      .from('expenses')
+      .update({ approval_status: 'draft', updated_at: new Date().toISOString() })
+      .eq('id', expense.id)
+      .eq('approval_status', 'pending')
+      .select('id')
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) throw new AppError('This expense was decided in the meantime', 409);
+
+    await this.skipOpenSteps(expense, `Withdrawn by ${actorName(user)}`);
+    return this.getApproval(expense.id, user);
+  }
+
+  /**
+   * Approve or reject the current step. Approving the last step approves the
+   * expense, provided its fund can cover it (`override` spends past a
+   * designated fund's balance).
+   */
+  async decide(expenseId, { decision, comments = null, override = false }, user) {
+    const expense = await this.getExpense(expenseId);
+    if (expense.approval_status !== 'pending') {
+      throw new AppError(`This expense is ${expense.approval_status}, not awaiting approval`, 409);
+    }
+
+    const steps = await this.getSteps(expense.id, expense.approval_round);
+    const current = steps.find(step => step.status === 'pending');
+    if (!current) throw new AppError('This expense has no open approval step', 409);
+    if (!await canDecideStep(user, current, expense)) {
+      const where = expense.community_id && current.approver_roles.some(role => COMMUNITY_ROLES.includes(role))
+        ? ' in this expense\'s community'
+        : '';
+      throw new AppError(`The ${current.name} step needs one of: ${current.approver_roles.join(', ')}${where}`, 403);
+    }
+    if (expense.claimant_id === user.id || expense.submitted_by === actorName(user)) {
+      throw new AppError('You cannot approve an expense you submitted', 403);
+    }
+
+    const isLast = steps.filter(step => step.status === 'pending').length === 1;
+    if (decision === 'approve' && isLast) {
+      await fundService.assertExpenseAllowed({ ...expense, approval_status: 'approved' }, null, { override });
+    }
+
+    const { data: decided, error } = await supabase
+      .from('expense_approval_steps')
+      .update({
+        status: decision === 'approve' ? 'approved' : 'rejected',
+        decided_by: actorName(user),
+        decided_by_id: user.id || null,
+        decided_at: new Date().toISOString(),
+        comments
+      })
+      .eq('id', current.id)
+      .eq('status', 'pending')
+      .select('*')
+      .maybeSingle();
+    if (error) throw error;
+    if (!decided) throw new AppError('This step was decided in the meantime', 409);
+
+    if (decision === 'reject') {
+      await this.skipOpenSteps(expense, `Rejected at ${current.name}`);
+      const { data: rejected, error: rejectError } = await supabase
+        .from('expenses')
+        .update({ approval_status: 'rejected', updated_at: new Date().toISOString() })
+        .eq('id', expense.id)
+        .select('*')
+        .single();
+      if (rejectError) throw rejectError;
+      await ledgerService.record('expense', rejected);
+      this.notifyClaimant(rejected, 'rejected', comments);
+    } else if (isLast) {
+      await this.finishApproval(expense, comments);
+    }
+
+    return this.getApproval(expense.id, user);
+  }
+
+  async finishApproval(expense, comments) {
+    const { data: approved, error } = await supabase
+      .from('expenses')
+      .update({
+        approval_status: 'approved',
+        approved_by: expense.approval_round > 0 ? await this.lastApprover(expense) : null,
+        approved_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', expense.id)
+      .select('*')
+      .single();
+    if (error) throw error;
+
+    await ledgerService.record('expense', approved);
+    await budgetService.checkAlertsForExpense(approved);
+    this.notifyClaimant(approved, 'approved', comments);
+    console.log(`✅ Expense ${expense.id} approved`);
+    return approved;
+  }
+
+  async lastApprover(expense) {
+    const steps = await this.getSteps(expense.id, expense.approval_round);
+    const approvals = steps.filter(step => step.status === 'approved');
+    return approvals.length > 0 ? approvals[approvals.length - 1].decided_by : null;
+  }
+
+  async skipOpenSteps(expense, comments) {
+    const { error } = await supabase
+      .from('expense_approval_steps')
+      .update({ status: 'skipped', comments, decided_at: new Date().toISOString() })
+      .eq('expense_id', expense.id)
+      .eq('round', expense.approval_round)
+      .eq('status', 'pending');
+    if (error) throw error;
+  }
+
+  /**
+   * Expenses whose current step the user can decide, oldest first
+   */
+  async queueFor(user) {
+    const { data: expenses, error } = await supabase
+      .from('expenses')
+      .select('*')
+      .eq('approval_status', 'pending')
+      .order('submitted_at', { ascending: true });
+    if (error) throw error;
+    if (!expenses?.length) return [];
+
+    const { data: steps, error: stepError } = await supabase
+      .from('expense_approval_steps')
+      .select('*')
+      .in('expense_id', expenses.map(expense => expense.id))
+      .eq('status', 'pending')
+      .order('step_order');
+    if (stepError) throw stepError;
+
+    // One membership lookup per community, however many expenses it has
+    const communityRoles = new Map();
+    const communityRole = (communityId) => {
+      if (!communityRoles.has(communityId)) {
+        communityRoles.set(communityId, permissionService.communityRoleFor(user.id, communityId));
+      }
+      return communityRoles.get(communityId);
+    };
+
+    const queue = [];
+    for (const expense of expenses) {
+      const step = (steps || []).find(open => open.expense_id === expense.id && open.round === expense.approval_round);
+      if (!step || expense.claimant_id === user.id || expense.submitted_by === actorName(user)) continue;
+      if (await canDecideStep(user, step, expense, communityRole)) queue.push({ expense, current_step: step });
+    }
+    return queue;
+  }
+
+  /**
+   * Record payment of an approved expense or reimbursement
+   */
+  async markPaid(expenseId, { payment_method, payment_reference, paid_at }, user) {
+    const expense = await this.getExpense(expenseId);
+    if (expense.approval_status !== 'approved') {
+      throw new AppError('Only approved expenses can be paid', 409);
+    }
+    if (expense.payment_status === 'completed') {
+      throw new AppError('This expense is already paid', 409);
+    }
+
+    const { data: paid, error } = await supabase
+      .from('expenses')
+      .update({
+        payment_status: 'completed',
+        payment_method: payment_method || expense.payment_method,
+        payment_reference: payment_reference || expense.payment_reference,
+        paid_at: paid_at || new Date().toISOString(),
+        paid_by: actorName(user),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', expense.id)
+      .neq('payment_status', 'completed')
+      .select('*')
+      .maybeSingle();
+    if (error) throw error;
+    if (!paid) throw new AppError('This expense is already paid', 409);
+
+    await ledgerService.record('expense', paid);
+    await budgetService.checkAlertsForExpense(paid);
+    this.notifyClaimant(paid, 'paid');
+    return paid;
+  }
+
+  /**
+   * Tell a reimbursement's claimant about a decision or payment. Never throws.
+   */
+  async notifyClaimant(expense, event, comments = null) {
+    if (!expense.is_reimbursement || !expense.claimant_email) return;
+
+    const amount = `$${roundAmount(expense.amount).toFixed(2)}`;
+    const headline = {
+      approved: `Your reimbursement of ${amount} was approved and will be paid soon.`,
+      rejected: `Your reimbursement of ${amount} was not approved.`,
+      paid: `Your reimbursement of ${amount} has been paid${expense.payment_reference ? ` (reference ${expense.payment_reference})` : ''}.`
+    }[event];
+
+    try {
+      await emailService.sendEmail({
+        to: expense.claimant_email,
+        topic: COMMUNICATION_TOPICS.ACCOUNT,
+        subject: `Reimbursement ${event} - ${expense.description}`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <p>Namaste ${escapeHtml(expense.claimant_name || '')},</p>
+            <p>${escapeHtml(headline)}</p>
+            <p><strong>${escapeHtml(expense.description)}</strong></p>
+            ${comments ? `<p>Comments: ${escapeHtml(comments)}</p>` : ''}
+            <p style="font-size: 14px; color: #666;">🙏 Om Sai Ram!</p>
+          </div>
+        `
+      });
+    } catch (error) {
+      console.error(`❌ Could not email reimbursement ${event} notice:`, error.message);
+    }
+  }
+}
+
+module.exports = new ExpenseService();
@@ -0,0 +1,340 @@
+const { supabase } = require('../../config/supabase');
+const { AppError } = require('../../middleware/errorHandler');
+const ledgerService = require('./ledgerService');
+
+const NET_ASSETS_ACCOUNT = '3000';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Expense states that spend fund money (mirrors ledgerService.expenseEntry)
+const isSpendingExpense = (expense) => expense.approval_status !== 'rejected' &&
+  (expense.payment_status === 'completed' ||
+    (expense.payment_status === 'pending' && expense.approval_status === 'approved'));
+
+const roundAmount = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const dayBefore = (date) => new Date(new Date(date).getTime() - DAY_MS).toISOString().split('T')[0];
+
+/**
+ * Fund accounting.
+ *
+ * Every donation credits a fund (its own fund_id, else the fund listing its
+ * donation_type, else the default General Fund - assigned by a database
+ * trigger so PayPal and public donations are covered too). Expenses and
+ * budget requests draw a fund down. Balances come from the general ledger,
+ * whose income and expense lines carry the fund.
+ *
+ * Approved budget requests reserve (encumber) their amount until expenses
+ * linked to them use it up. Spending is guarded:
+ *  - permanently restricted funds: principal is never spent
+ *  - temporarily restricted funds: never past the available balance
+ *  - designated funds: past the available balance only with an override
+ */
+class FundService {
+  // ------------------------------------------------------------------
+  // Funds
+  // ------------------------------------------------------------------
+
+  async getFund(fundId) {
+    const { data, error } = await supabase.from('funds').select('*').eq('id', fundId).maybeSingle();
+    if (error) throw error;
+    if (!data) throw new AppError('Fund not found', 404);
+    return data;
+  }
+
+  async getDefaultFund() {
+    const { data, error } = await supabase.from('funds').select('*').eq('is_default', true).maybeSingle();
+    if (error) throw error;
+    if (!data) throw new AppError('No default fund is configured', 500);
+    return data;
+  }
+
+  async listFunds({ includeInactive = false } = {}) {
+    let query = supabase.from('funds').select('*').order('is_default', { ascending: false }).order('name');
+    if (!includeInactive) query = query.eq('is_active', true);
+    const { data, error } = await query;
+    if (error) throw error;
+
+    const positions = await this.positions();
+    return (data || []).map(fund => ({ ...fund, ...this.positionOf(positions, fund.id) }));
+  }
+
+  async getFundWithPosition(fundId) {
+    const fund = await this.getFund(fundId);
+    const positions = await this.positions();
+    return { ...fund, ...this.positionOf(positions, fund.id) };
+  }
+
+  async createFund({ code, name, restriction_type, is_designated, purpose, donation_types }) {
+    await this.assertDonationTypesFree(donation_types);
+    const { data, error } = await supabase
+      .from('funds')
+      .insert([{
+        code,
+        name,
+        restriction_type: restriction_type || 'unrestricted',
+        is_designated: Boolean(is_designated),
+        purpose: purpose || null,
+        donation_types: donation_types || []
+      }])
+      .select()
+      .single();
+    if (error) {
+      if (error.code === '23505') throw new AppError(`Fund code ${code} already exists`, 409);
+      if (error.code === '23514') throw new AppError('Only unrestricted funds can be designated', 400);
+      throw error;
+    }
+    return data;
+  }
+
+  async updateFund(fundId, updates) {
+    const fund = await this.getFund(fundId);
+    if (fund.is_default && (updates.is_active === false || (updates.restriction_type && updates.restriction_type !== 'unrestricted'))) {
+      throw new AppError('The default fund must stay active and unrestricted', 409);
+    }
+    if (updates.donation_types) await this.assertDonationTypesFree(updates.donation_types, fundId);
+
+    const update = { updated_at: new Date().toISOString() };
+    for (const field of ['name', 'restriction_type', 'is_designated', 'purpose', 'donation_types', 'is_active']) {
+      if (updates[field] !== undefined) update[field] = updates[field];
+    }
+
+    const { data, error } = await supabase.from('funds').update(update).eq('id', fundId).select().single();
+    if (error) {
+      if (error.code === '23514') throw new AppError('Only unrestricted funds can be designated', 400);
+      throw error;
+    }
+    return data;
+  }
+
+  // A donation_type may route to one fund only
+  async assertDonationTypesFree(donationTypes = [], exceptFundId = null) {
+    if (!donationTypes.length) return;
+    let query = supabase.from('funds').select('id, name, donation_types').overlaps('donation_types', donationTypes);
+    if (exceptFundId) query = query.neq('id', exceptFundId);
+    const { data, error } = await query;
+    if (error) throw error;
+    if (data?.length) {
+      const taken = donationTypes.filter(type => data.some(fund => fund.donation_types.includes(type)));
+      throw new AppError(`Donation types already routed to ${data[0].name}: ${taken.join(', ')}`, 409);
+    }
+  }
+
+  // ------------------------------------------------------------------
+  // Balances and guards
+  // ------------------------------------------------------------------
+
+  /**
+   * Balance, encumbrances and available amount for every fund, as of today
+   */
+  async positions() {
+    const [activity, encumbrances] = await Promise.all([
+      this.activity({ interval: 'year' }),
+      this.encumbrances()
+    ]);
+
+    const positions = new Map();
+    const position = (fundId) => {
+      if (!positions.has(fundId)) positions.set(fundId, { balance: 0, encumbered: 0 });
+      return positions.get(fundId);
+    };
+
+    for (const row of activity) {
+      position(row.fund_id).balance += Number(row.contributions) - Number(row.spending) + Number(row.transfers);
+    }
+    for (const request of encumbrances) {
+      position(request.fund_id).encumbered += request.remaining;
+    }
+    return positions;
+  }
+
+  positionOf(positions, fundId) {
+    const { balance = 0, encumbered = 0 } = positions.get(fundId) || {};
+    return {
+      balance: roundAmount(balance),
+      encumbered: roundAmount(encumbered),
+      available: roundAmount(balance - encumbered)
+    };
+  }
+
+  async activity({ startDate = null, endDate = null, interval = 'month' } = {}) {
+    const { data, error } = await supabase.rpc('fund_activity', {
+      p_start: startDate,
+      p_end: endDate,
+      p_interval: interval
+    });
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Approved budget requests with money still reserved: approved amount less
+   * what linked expenses have spent
+   */
+  async encumbrances() {
+    const { data: requests, error } = await supabase
+      .from('budget_requests')
+      .select('id, fund_id, budget_amount, approved_amount')
+      .eq('status', 'approved');
+    if (error) throw error;
+    if (!requests?.length) return [];
+
+    const { data: expenses, error: expenseError } = await supabase
+      .from('expenses')
+      .select('budget_request_id, amount, payment_status, approval_status')
+      .in('budget_request_id', requests.map(request => request.id));
+    if (expenseError) throw expenseError;
+
+    const spent = {};
+    (expenses || []).filter(isSpendingExpense).forEach(expense => {
+      spent[expense.budget_request_id] = (spent[expense.budget_request_id] || 0) + Number(expense.amount);
+    });
+
+    return requests
+      .map(request => ({
+        id: request.id,
+        fund_id: request.fund_id,
+        remaining: Math.max(0, roundAmount(Number(request.approved_amount ?? request.budget_amount) - (spent[request.id] || 0)))
+      }))
+      .filter(request => request.remaining > 0);
+  }
+
+  /**
+   * Throw unless `amount` can be drawn from the fund.
+   *  - currentAmount: what the record being edited already draws from this
+   *    fund (it is in the balance already, so it is added back)
+   *  - budgetRequestId: the approved request the spend belongs to; its own
+   *    reservation is usable
+   *  - excludeRequestId: a request being (re-)approved, not yet reserving
+   *  - override: allow overspending a designated fund
+   */
+  async assertCanSpend(fundId, amount, { currentAmount = 0, budgetRequestId, excludeRequestId, override = false } = {}) {
+    const fund = fundId ? await this.getFund(fundId) : await this.getDefaultFund();
+    const requested = roundAmount(amount);
+    if (requested <= 0) return fund;
+
+    if (!fund.is_active) throw new AppError(`${fund.name} is closed`, 409);
+    if (fund.restriction_type === 'permanently_restricted') {
+      throw new AppError(`${fund.name} is permanently restricted; its principal cannot be spent`, 409);
+    }
+    const guarded = fund.restriction_type === 'temporarily_restricted' || fund.is_designated;
+    if (!guarded) return fund;
+
+    const [activity, encumbrances] = await Promise.all([this.activity({ interval: 'year' }), this.encumbrances()]);
+    const balance = activity
+      .filter(row => row.fund_id === fund.id)
+      .reduce((sum, row) => sum + Number(row.contributions) - Number(row.spending) + Number(row.transfers), 0);
+    const encumbered = encumbrances
+      .filter(request => request.fund_id === fund.id && request.id !== budgetRequestId && request.id !== excludeRequestId)
+      .reduce((sum, request) => sum + request.remaining, 0);
+    const ownReservation = encumbrances.find(request => request.id === budgetRequestId && request.fund_id === fund.id)?.remaining || 0;
+
+    const available = roundAmount(balance - encumbered + Number(currentAmount || 0));
+    if (requested > available) {
+      if (fund.is_designated && override) return fund;
+      throw new AppError(
+        fund.is_designated
+          ? `${fund.name} has ${available.toFixed(2)} available; set override_designation to spend more`
+          : `${fund.name} is restricted and has only ${available.toFixed(2)} available`,
+        409,
+        { fund_id: fund.id, available, requested, reserved_for_request: roundAmount(ownReservation) }
+      );
+    }
+    return fund;
+  }
+
+  /**
+   * Guard an expense about to be created or changed. `existing` is the
+   * stored expense when updating.
+   */
+  async assertExpenseAllowed(expense, existing = null, { override = false } = {}) {
+    if (!isSpendingExpense(expense)) return;
+    const fundId = expense.fund_id || existing?.fund_id || null;
+    const sameFund = existing && isSpendingExpense(existing) && (existing.fund_id || null) === (fundId || null);
+    await this.assertCanSpend(fundId, expense.amount, {
+      currentAmount: sameFund ? existing.amount : 0,
+      budgetRequestId: expense.budget_request_id || existing?.budget_request_id || null,
+      override
+    });
+  }
+
+  // ------------------------------------------------------------------
+  // Transfers
+  // ------------------------------------------------------------------
+
+  /**
+   * Move net assets between funds (e.g. release a restriction, or the board
+   * designating unrestricted money). Posted as a manual journal on the
+   * net-assets account, one line per fund.
+   */
+  async transfer({ fromFundId, toFundId, amount, entryDate, description, override }, createdBy) {
+    if (fromFundId === toFundId) throw new AppError('Choose two different funds', 400);
+    const [from, to] = await Promise.all([this.getFund(fromFundId), this.getFund(toFundId)]);
+    if (!to.is_active) throw new AppError(`${to.name} is closed`, 409);
+    await this.assertCanSpend(from.id, amount, { override });
+
+    const value = roundAmount(amount);
+    return ledgerService.createManualEntry({
+      entry_date: entryDate || today(),
+      description: description || `Transfer from ${from.name} to ${to.name}`,
+      lines: [
+        { account_code: NET_ASSETS_ACCOUNT, debit: value, credit: 0, fund_id: from.id, memo: `To ${to.name}` },
+        { account_code: NET_ASSETS_ACCOUNT, debit: 0, credit: value, fund_id: to.id, memo: `From ${from.name}` }
+      ]
+    }, createdBy);
+  }
+
+  // ------------------------------------------------------------------
+  // Reports
+  // ------------------------------------------------------------------
+
+  /**
+   * Fund balances over time: opening balance, then contributions, spending,
+   * transfers and closing balance per month, quarter or year.
+   */
+  async balanceReport({ startDate, endDate = today(), interval = 'month', fundId } = {}) {
+    const [{ data: funds, error }, opening, activity] = await Promise.all([
+      supabase.from('funds').select('*').order('is_default', { ascending: false }).order('name'),
+      startDate ? this.activity({ endDate: dayBefore(startDate), interval: 'year' }) : Promise.resolve([]),
+      this.activity({ startDate, endDate, interval })
+    ]);
+
+    if (error) throw error;
+
+    const periods = [...new Set(activity.map(row => row.period_start))].sort();
+
+    const report = (funds || [])
+      .filter(fund => !fundId || fund.id === fundId)
+      .map(fund => {
+        let balance = roundAmount(opening
+          .filter(row => row.fund_id === fund.id)
+          .reduce((sum, row) => sum + Number(row.contributions) - Number(row.spending) + Number(row.transfers), 0));
+        const openingBalance = balance;
+
+        const rows = periods.map(period => {
+          const row = activity.find(item => item.fund_id === fund.id && item.period_start === period) || {};
+          const contributions = roundAmount(row.contributions);
+          const spending = roundAmount(row.spending);
+          const transfers = roundAmount(row.transfers);
+          balance = roundAmount(balance + contributions - spending + transfers);
+          return { period_start: period, contributions, spending, transfers, closing_balance: balance };
+        });
+
+        return {
+          fund_id: fund.id,
+          code: fund.code,
+          name: fund.name,
+          restriction_type: fund.restriction_type,
+          is_designated: fund.is_designated,
+          opening_balance: openingBalance,
+          periods: rows,
+          closing_balance: balance
+        };
+      });
+
+    return { start_date: startDate || null, end_date: endDate, interval, funds: report };
+  }
+}
+
+module.exports = new FundService();
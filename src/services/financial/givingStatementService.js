@@ -0,0 +1,612 @@
+const PDFDocument = require('pdfkit');
+const { supabase } = require('../../config/supabase');
+const emailService = require('../emailService');
+const receiptService = require('./receiptService');
+const { AppError } = require('../../middleware/errorHandler');
+const { COMMUNICATION_TOPICS } = require('../../config/constants');
+const { normalizeEmail } = require('../../utils/contactHelpers');
+const { escapeHtml } = require('../../utils/html');
+const {
+  templeDetails,
+  formatMoney,
+  formatDate,
+  donorNameOf,
+  donorEmailOf,
+  pdfToBuffer
+} = require('../../utils/donationDocuments');
+
+const SEND_RATE_PER_SECOND = parseInt(process.env.GIVING_STATEMENT_RATE_PER_SECOND) || 5;
+const PAGE_SIZE = 1000;
+
+// Money the temple kept; refunds are subtracted line by line
+const STATEMENT_PAYMENT_STATUSES = ['completed', 'partially_refunded'];
+
+const roundAmount = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const toLine = (donation) => {
+  const amount = roundAmount(donation.amount);
+  const refunded = roundAmount(donation.refunded_amount);
+  return {
+    donation_id: donation.id,
+    date: String(donation.donation_date || donation.created_at).slice(0, 10),
+    purpose: donation.purpose || donation.message || 'General Donation',
+    recurring: donation.donation_type === 'recurring' || donation.metadata?.is_recurring_payment === true,
+    receipt_number: donation.metadata?.receipt_number || null,
+    currency: donation.currency || 'USD',
+    amount,
+    refunded_amount: refunded,
+    deductible_amount: roundAmount(amount - refunded)
+  };
+};
+
+/**
+ * Year-end giving statements: one consolidated statement per donor (matched
+ * by email) covering every completed donation in a calendar or fiscal year,
+ * PayPal recurring payments included.
+ *
+ * A run builds or refreshes the statements for a period, then emails the
+ * pending ones in the background at GIVING_STATEMENT_RATE_PER_SECOND. Runs can
+ * be repeated: statements that were already sent and have not changed are
+ * left alone, changed ones go back to pending.
+ */
+class GivingStatementService {
+  constructor() {
+    this.activeRuns = new Set();
+  }
+
+  // ------------------------------------------------------------------
+  // Periods and data
+  // ------------------------------------------------------------------
+
+  periodFor(year, periodType = 'calendar') {
+    const numericYear = Number(year);
+    if (periodType === 'fiscal') {
+      const { start, end } = receiptService.fiscalYearRange(`${numericYear}-12-31`);
+      return {
+        period_type: 'fiscal',
+        period_label: receiptService.fiscalYearFor(start),
+        start_date: start,
+        end_date: end
+      };
+    }
+    return {
+      period_type: 'calendar',
+      period_label: String(numericYear),
+      start_date: `${numericYear}-01-01`,
+      end_date: `${numericYear}-12-31`
+    };
+  }
+
+  /**
+   * Completed donations in a period grouped by donor email. Donations without
+   * an email cannot be attributed to a donor and are only counted. PayPal
+   * subscription setup rows are left out so recurring donors are not
+   * credited with an extra installment.
+   */
+  async collectDonors(period, { email } = {}) {
+    const donors = new Map();
+    let unattributed = 0;
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+      let query = supabase
+        .from('donations')
+        .select('id, name, email, donor_name, donor_email, amount, refunded_amount, currency, donation_date, created_at, purpose, message, donation_type, payment_status, metadata')
+        .in('payment_status', STATEMENT_PAYMENT_STATUSES)
+        .gte('donation_date', period.start_date)
+        .lte('donation_date', period.end_date)
+        .order('donation_date', { ascending: true })
+        .range(from, from + PAGE_SIZE - 1);
+      if (email) query = query.or(`donor_email.ilike.${email},email.ilike.${email}`);
+
+      const { data, error } = await query;
+      if (error) throw error;
+
+      for (const donation of data || []) {
+        // Subscription rows stand for the agreement; each payment is its own row
+        if (donation.metadata?.is_recurring === true) continue;
+
+        const donorEmail = donorEmailOf(donation);
+        if (!donorEmail) {
+          unattributed += 1;
+          continue;
+        }
+        // ilike treats _ and % as wildcards; keep exact matches only
+        if (email && donorEmail !== email) continue;
+
+        if (!donors.has(donorEmail)) donors.set(donorEmail, { email: donorEmail, names: [], donations: [] });
+        const donor = donors.get(donorEmail);
+        donor.donations.push(donation);
+        donor.names.push(donorNameOf(donation));
+      }
+
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+
+    return { donors: [...donors.values()], unattributed };
+  }
+
+  buildStatement(donor, period) {
+    const lines = donor.donations.map(toLine).filter(line => line.deductible_amount > 0);
+
+    const totals = {};
+    for (const line of lines) {
+      totals[line.currency] = roundAmount((totals[line.currency] || 0) + line.deductible_amount);
+    }
+    const currency = Object.keys(totals).sort((a, b) => totals[b] - totals[a])[0] || 'USD';
+
+    // Recurring payments are saved as 'Recurring Donor'; prefer a real name
+    const donorName = donor.names.find(name => name && !['Anonymous', 'Recurring Donor'].includes(name)) ||
+      donor.names[0] || 'Donor';
+
+    return {
+      donor_email: donor.email,
+      donor_name: donorName,
+      ...period,
+      donation_count: lines.length,
+      recurring_count: lines.filter(line => line.recurring).length,
+      total_amount: totals[currency] || 0,
+      currency,
+      totals,
+      lines
+    };
+  }
+
+  /**
+   * Insert or refresh a statement. A statement whose donations changed since
+   * it was sent goes back to pending.
+   */
+  async saveStatement(statement, runId = null) {
+    const { data: existing, error: lookupError } = await supabase
+      .from('giving_statements')
+      .select('*')
+      .eq('donor_email', statement.donor_email)
+      .eq('period_type', statement.period_type)
+      .eq('period_label', statement.period_label)
+      .maybeSingle();
+    if (lookupError) throw lookupError;
+
+    const now = new Date().toISOString();
+
+    if (!existing) {
+      const { data, error } = await supabase
+        .from('giving_statements')
+        .insert({ ...statement, run_id: runId, status: 'pending', updated_at: now })
+        .select('*')
+        .single();
+      if (error) throw error;
+      return { statement: data, changed: true };
+    }
+
+    const changed = JSON.stringify(existing.lines) !== JSON.stringify(statement.lines);
+    const updates = {
+      ...statement,
+      run_id: runId || existing.run_id,
+      updated_at: now,
+      ...(changed && { status: 'pending', error_message: null })
+    };
+
+    const { data, error } = await supabase
+      .from('giving_statements')
+      .update(updates)
+      .eq('id', existing.id)
+      .select('*')
+      .single();
+    if (error) throw error;
+    return { statement: data, changed };
+  }
+
+  // ------------------------------------------------------------------
+  // Runs
+  // ------------------------------------------------------------------
+
+  /**
+   * Build the statements for a period and, unless `send` is false, start
+   * emailing the pending ones in the background.
+   */
+  async createRun({ year, periodType = 'calendar', send = true, createdBy = null }) {
+    const period = this.periodFor(year, periodType);
+
+    const { data: run, error } = await supabase
+      .from('giving_statement_runs')
+      .insert({ ...period, send_emails: send, status: 'running', created_by: createdBy, started_at: new Date().toISOString() })
+      .select('*')
+      .single();
+    if (error) throw error;
+
+    try {
+      const { donors, unattributed } = await this.collectDonors(period);
+      let skipped = 0;
+
+      for (const donor of donors) {
+        const statement = this.buildStatement(donor, period);
+        if (statement.donation_count === 0) continue;
+        const { changed, statement: saved } = await this.saveStatement(statement, run.id);
+        if (!changed && saved.status !== 'pending') skipped += 1;
+      }
+
+      const { data: updated, error: updateError } = await supabase
+        .from('giving_statement_runs')
+        .update({
+          donor_count: donors.length,
+          skipped_count: skipped,
+          unattributed_count: unattributed,
+          ...(!send && { status: 'completed', completed_at: new Date().toISOString() })
+        })
+        .eq('id', run.id)
+        .select('*')
+        .single();
+      if (updateError) throw updateError;
+
+      if (send) this.kick(run.id);
+      return updated;
+    } catch (buildError) {
+      await this.finishRun(run.id, 'failed', buildError.message);
+      throw buildError;
+    }
+  }
+
+  // Email a run's pending statements without holding up the request
+  kick(runId) {
+    setImmediate(() => this.processRun(runId).catch(error => {
+      console.error(`❌ Giving statement run ${runId} failed:`, error.message);
+    }));
+  }
+
+  /**
+   * Email every pending statement of the run's period, throttled. Safe to
+   * call again after a restart: sent statements are not pending any more.
+   */
+  async processRun(runId) {
+    if (this.activeRuns.has(runId)) return;
+    this.activeRuns.add(runId);
+
+    try {
+      const run = await this.getRun(runId);
+      await supabase.from('giving_statement_runs')
+        .update({ status: 'running', error_message: null, completed_at: null })
+        .eq('id', runId);
+
+      const { data: pending, error } = await supabase
+        .from('giving_statements')
+        .select('id')
+        .eq('period_type', run.period_type)
+        .eq('period_label', run.period_label)
+        .eq('status', 'pending');
+      if (error) throw error;
+
+      let sent = run.sent_count;
+      let failed = 0;
+      for (const { id } of pending || []) {
+        const result = await this.sendStatement(id);
+        if (result.status === 'failed') failed += 1;
+        else sent += 1;
+
+        await supabase.from('giving_statement_runs').update({ sent_count: sent, failed_count: failed }).eq('id', runId);
+        await sleep(1000 / SEND_RATE_PER_SECOND);
+      }
+
+      await this.finishRun(runId, 'completed');
+      console.log(`📬 Giving statement run ${runId}: ${sent} sent, ${failed} failed`);
+    } catch (error) {
+      await this.finishRun(runId, 'failed', error.message);
+      throw error;
+    } finally {
+      this.activeRuns.delete(runId);
+    }
+  }
+
+  async finishRun(runId, status, errorMessage = null) {
+    const { error } = await supabase
+      .from('giving_statement_runs')
+      .update({ status, error_message: errorMessage, completed_at: new Date().toISOString() })
+      .eq('id', runId);
+    if (error) console.error('❌ Failed to update giving statement run:', error.message);
+  }
+
+  async getRun(runId) {
+    const { data, error } = await supabase.from('giving_statement_runs').select('*').eq('id', runId).maybeSingle();
+    if (error) throw error;
+    if (!data) throw new AppError('Statement run not found', 404);
+    return data;
+  }
+
+  async listRuns({ page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+    const { data, error, count } = await supabase
+      .from('giving_statement_runs')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (error) throw error;
+    return { runs: data || [], pagination: { page, limit, total: count || 0 } };
+  }
+
+  // ------------------------------------------------------------------
+  // Statements
+  // ------------------------------------------------------------------
+
+  async getStatement(statementId) {
+    const { data, error } = await supabase.from('giving_statements').select('*').eq('id', statementId).maybeSingle();
+    if (error) throw error;
+    if (!data) throw new AppError('Statement not found', 404);
+    return data;
+  }
+
+  async listStatements({ year, periodType, status, email, page = 1, limit = 50 } = {}) {
+    const offset = (page - 1) * limit;
+    let query = supabase
+      .from('giving_statements')
+      .select('id, run_id, donor_email, donor_name, period_type, period_label, donation_count, recurring_count, total_amount, currency, totals, status, send_count, sent_at, bounced_at, bounce_reason, request_count, last_requested_at, error_message, updated_at', { count: 'exact' })
+      .order('donor_email', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (year) query = query.eq('period_label', periodType === 'fiscal' ? this.periodFor(year, 'fiscal').period_label : String(year));
+    if (periodType) query = query.eq('period_type', periodType);
+    if (status) query = query.eq('status', status);
+    if (email) query = query.ilike('donor_email', `%${email}%`);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+    return { statements: data || [], pagination: { page, limit, total: count || 0 } };
+  }
+
+  filenameFor(statement) {
+    return `giving-statement-${statement.period_label}-${statement.donor_email.replace(/[^a-z0-9]+/gi, '-')}.pdf`;
+  }
+
+  renderPdf(statement) {
+    const temple = templeDetails();
+    const doc = new PDFDocument({
+      size: 'LETTER',
+      margin: 56,
+      info: {
+        Title: `Giving Statement ${statement.period_label} - ${statement.donor_name}`,
+        Author: temple.name
+      }
+    });
+    const rendered = pdfToBuffer(doc);
+    const periodName = statement.period_type === 'fiscal' ? `Fiscal Year ${statement.period_label}` : statement.period_label;
+
+    doc.font('Helvetica-Bold').fontSize(20).fillColor('#7a2e0e').text(temple.name, { align: 'center' });
+    doc.fillColor('black').font('Helvetica').fontSize(10);
+    if (temple.address) doc.text(temple.address, { align: 'center' });
+    if (temple.taxId) doc.text(`Tax ID (EIN): ${temple.taxId}`, { align: 'center' });
+
+    doc.moveDown(1.5);
+    doc.font('Helvetica-Bold').fontSize(15).text(`Annual Giving Statement - ${periodName}`, { align: 'center' });
+    doc.moveDown(1.2);
+
+    doc.font('Helvetica').fontSize(10)
+      .text(`Donor: ${statement.donor_name}`)
+      .text(`Email: ${statement.donor_email}`)
+      .text(`Period: ${formatDate(statement.start_date)} - ${formatDate(statement.end_date)}`)
+      .text(`Statement date: ${formatDate(new Date().toISOString())}`);
+    doc.moveDown(1);
+
+    // Donation table
+    const columns = [
+      { label: 'Date', x: 56, width: 80 },
+      { label: 'Purpose', x: 140, width: 170 },
+      { label: 'Receipt', x: 314, width: 110 },
+      { label: 'Amount', x: 428, width: 128, align: 'right' }
+    ];
+    const drawRow = (values, font) => {
+      if (doc.y > 690) doc.addPage();
+      const y = doc.y;
+      doc.font(font).fontSize(9);
+      const heights = columns.map((column, index) => doc.heightOfString(values[index], { width: column.width }));
+      columns.forEach((column, index) => {
+        doc.text(values[index], column.x, y, { width: column.width, align: column.align || 'left' });
+      });
+      doc.y = y + Math.max(...heights) + 4;
+    };
+
+    drawRow(columns.map(column => column.label), 'Helvetica-Bold');
+    doc.moveTo(56, doc.y).lineTo(556, doc.y).stroke();
+    doc.y += 4;
+
+    for (const line of statement.lines) {
+      const amount = line.refunded_amount > 0
+        ? `${formatMoney(line.deductible_amount, line.currency)} (${formatMoney(line.refunded_amount, line.currency)} refunded)`
+        : formatMoney(line.deductible_amount, line.currency);
+      drawRow([
+        formatDate(line.date),
+        `${line.purpose}${line.recurring ? ' (recurring)' : ''}`,
+        line.receipt_number || '-',
+        amount
+      ], 'Helvetica');
+    }
+
+    doc.moveTo(56, doc.y).lineTo(556, doc.y).stroke();
+    doc.y += 6;
+    for (const [currency, total] of Object.entries(statement.totals || {})) {
+      drawRow(['', 'Total contributions', '', formatMoney(total, currency)], 'Helvetica-Bold');
+    }
+
+    doc.moveDown(1.5);
+    doc.font('Helvetica').fontSize(10).text(temple.statement, 56, doc.y, { width: 500, align: 'justify' });
+    doc.moveDown(2);
+    doc.font('Helvetica-Oblique').fontSize(10)
+      .text('Thank you for your generous support throughout the year. Om Sai Ram!', 56, doc.y, { width: 500, align: 'center' });
+
+    doc.end();
+    return rendered;
+  }
+
+  renderHtml(statement) {
+    const temple = templeDetails();
+    const periodName = statement.period_type === 'fiscal' ? `fiscal year ${statement.period_label}` : statement.period_label;
+    const rows = statement.lines.map(line => `
+          <tr>
+            <td style="padding: 6px; border-bottom: 1px solid #eee;">${escapeHtml(formatDate(line.date))}</td>
+            <td style="padding: 6px; border-bottom: 1px solid #eee;">${escapeHtml(line.purpose)}${line.recurring ? ' (recurring)' : ''}</td>
+            <td style="padding: 6px; border-bottom: 1px solid #eee;">${escapeHtml(line.receipt_number || '-')}</td>
+            <td style="padding: 6px; border-bottom: 1px solid #eee; text-align: right;">${formatMoney(line.deductible_amount, line.currency)}</td>
+          </tr>`).join('');
+    const totals = Object.entries(statement.totals || {})
+      .map(([currency, total]) => formatMoney(total, currency))
+      .join(' + ');
+
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 640px; margin: 0 auto;">
+        <h2 style="color: #7a2e0e;">Your ${escapeHtml(periodName)} giving statement</h2>
+        <p>Dear ${escapeHtml(statement.donor_name)},</p>
+        <p>Thank you for supporting ${escapeHtml(temple.name)}. Here is a summary of your
+           ${statement.donation_count} contribution(s) in ${escapeHtml(periodName)}, totalling
+           <strong>${totals}</strong>. A PDF copy for your tax records is attached.</p>
+        <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+          <thead>
+            <tr style="background: #f6f0e8; text-align: left;">
+              <th style="padding: 6px;">Date</th>
+              <th style="padding: 6px;">Purpose</th>
+              <th style="padding: 6px;">Receipt</th>
+              <th style="padding: 6px; text-align: right;">Amount</th>
+            </tr>
+          </thead>
+          <tbody>${rows}
+          </tbody>
+        </table>
+        <p style="font-size: 12px; color: #666;">${escapeHtml(temple.statement)}${temple.taxId ? ` Tax ID (EIN): ${escapeHtml(temple.taxId)}.` : ''}</p>
+        <p>🙏 Om Sai Ram!</p>
+      </div>`;
+  }
+
+  async getStatementPdf(statementId) {
+    const statement = await this.getStatement(statementId);
+    return { statement, pdf: await this.renderPdf(statement), filename: this.filenameFor(statement) };
+  }
+
+  /**
+   * Email one statement (PDF attached) and record the outcome.
+   */
+  async sendStatement(statementId) {
+    const statement = await this.getStatement(statementId);
+
+    let result;
+    try {
+      const pdf = await this.renderPdf(statement);
+      result = await emailService.sendEmail({
+        to: statement.donor_email,
+        subject: `Your ${statement.period_label} giving statement - ${templeDetails().name}`,
+        html: this.renderHtml(statement),
+        topic: COMMUNICATION_TOPICS.DONATION_RECEIPTS,
+        attachments: [{ filename: this.filenameFor(statement), content: pdf, type: 'application/pdf' }]
+      });
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    const now = new Date().toISOString();
+    const status = !result.success ? 'failed' : result.status === 'suppressed' ? 'suppressed' : 'sent';
+    const { data, error } = await supabase
+      .from('giving_statements')
+      .update({
+        status,
+        send_count: statement.send_count + (status === 'sent' ? 1 : 0),
+        ...(status === 'sent' && {
+          sent_at: now,
+          email_message_id: result.messageId || null,
+          bounced_at: null,
+          bounce_reason: null
+        }),
+        error_message: status === 'failed' ? result.error : null,
+        updated_at: now
+      })
+      .eq('id', statement.id)
+      .select('*')
+      .single();
+    if (error) throw error;
+
+    return data;
+  }
+
+  /**
+   * Re-send a statement on an admin's request, refreshing it first so late
+   * donations or refunds are included.
+   */
+  async resendStatement(statementId) {
+    const statement = await this.getStatement(statementId);
+    await this.refreshFor(statement.donor_email, statement);
+    return this.sendStatement(statementId);
+  }
+
+  async refreshFor(email, period) {
+    const { donors } = await this.collectDonors(period, { email });
+    if (donors.length === 0) return null;
+    const statement = this.buildStatement(donors[0], {
+      period_type: period.period_type,
+      period_label: period.period_label,
+      start_date: period.start_date,
+      end_date: period.end_date
+    });
+    if (statement.donation_count === 0) return null;
+    return (await this.saveStatement(statement)).statement;
+  }
+
+  /**
+   * A donor asks for their statement again. The answer is always the same so
+   * the endpoint cannot be used to probe for donors; the statement only ever
+   * goes to the address it belongs to.
+   */
+  async requestStatement(email, { year, periodType = 'calendar' }) {
+    const donorEmail = normalizeEmail(email);
+    const period = this.periodFor(year, periodType);
+
+    const statement = await this.refreshFor(donorEmail, period);
+    if (!statement) return;
+
+    const { error } = await supabase
+      .from('giving_statements')
+      .update({
+        request_count: statement.request_count + 1,
+        last_requested_at: new Date().toISOString()
+      })
+      .eq('id', statement.id);
+    if (error) throw error;
+
+    await this.sendStatement(statement.id);
+  }
+
+  /**
+   * Record a bounce reported for a statement email, by statement id or by the
+   * provider message id.
+   */
+  async markBounced({ statementId, messageId }, reason = null) {
+    let query = supabase
+      .from('giving_statements')
+      .update({
+        status: 'bounced',
+        bounced_at: new Date().toISOString(),
+        bounce_reason: reason,
+        updated_at: new Date().toISOString()
+      });
+    query = statementId ? query.eq('id', statementId) : query.eq('email_message_id', messageId);
+
+    const { data, error } = await query.select('*');
+    if (error) throw error;
+    if (statementId && (!data || data.length === 0)) throw new AppError('Statement not found', 404);
+    return data || [];
+  }
+
+  async summary({ year, periodType = 'calendar' }) {
+    const { period_label: periodLabel } = this.periodFor(year, periodType);
+    const { data, error } = await supabase
+      .from('giving_statements')
+      .select('status, request_count')
+      .eq('period_type', periodType)
+      .eq('period_label', periodLabel);
+    if (error) throw error;
+
+    const counts = { pending: 0, sent: 0, suppressed: 0, failed: 0, bounced: 0 };
+    let requests = 0;
+    for (const row of data || []) {
+      counts[row.status] = (counts[row.status] || 0) + 1;
+      requests += row.request_count || 0;
+    }
+    return { period_type: periodType, period_label: periodLabel, total: (data || []).length, by_status: counts, donor_requests: requests };
+  }
+}
+
+module.exports = new GivingStatementService();
@@ -0,0 +1,780 @@
+const { supabase } = require('../../config/supabase');
+const { AppError } = require('../../middleware/errorHandler');
+const { donorNameOf } = require('../../utils/donationDocuments');
+
+const PAGE_SIZE = 1000;
+
+// System account codes (seeded by migration 013)
+const ACCOUNTS = {
+  cash: '1000',
+  bank: '1010',
+  paypal: '1020',
+  payable: '2000',
+  donationRefunds: '4800',
+  otherIncome: '4900',
+  operationalExpense: '5000',
+  otherExpense: '5090',
+  processingFees: '5100'
+};
+
+const DONATION_INCOME_ACCOUNTS = {
+  general: '4000',
+  puja: '4010',
+  service: '4010',
+  annadaana: '4020',
+  recurring: '4030',
+  sai_aangan: '4040',
+  service_to_needy: '4050'
+};
+
+const EXPENSE_ACCOUNTS = {
+  operational: '5000',
+  maintenance: '5010',
+  utilities: '5020',
+  salaries: '5030',
+  materials: '5040',
+  events: '5050',
+  donations: '5060',
+  other: '5090'
+};
+
+// Donation statuses where the money was received. Refunds of PayPal
+// donations are posted from their adjustments; a manual donation marked
+// refunded simply drops out of the ledger.
+const PAYPAL_POSTED_STATUSES = ['completed', 'partially_refunded', 'refunded', 'reversed', 'disputed'];
+const MANUAL_POSTED_STATUSES = ['completed', 'partially_refunded'];
+
+const LOST_DISPUTE_OUTCOMES = ['RESOLVED_BUYER_FAVOUR', 'ACCEPTED'];
+
+const LEDGER_ERRORS = {
+  GL001: 409,
+  GL002: 400,
+  GL003: 409,
+  GL004: 400
+};
+
+const roundAmount = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const dateOf = (value) => (value ? String(value).slice(0, 10) : today());
+
+const isPayPalDonation = (donation) => donation.metadata?.payment_provider === 'paypal' ||
+  Boolean(donation.metadata?.paypal_order_id);
+
+const cashAccountFor = (paymentMethod) => (paymentMethod === 'cash' ? ACCOUNTS.cash : ACCOUNTS.bank);
+
+// Order-insensitive fingerprint of an entry's lines
+const linesSignature = (lines) => lines
+  .map(line => [
+    line.account_code,
+    roundAmount(line.debit).toFixed(2),
+    roundAmount(line.credit).toFixed(2),
+    line.budget_id || '',
+    line.fund_id || ''
+  ].join(':'))
+  .sort()
+  .join('|');
+
+// Balance of an account in its natural direction
+const naturalBalance = (account) => roundAmount(account.normal_balance === 'debit'
+  ? Number(account.debit) - Number(account.credit)
+  : Number(account.credit) - Number(account.debit));
+
+const toLedgerError = (error) => {
+  if (LEDGER_ERRORS[error?.code]) return new AppError(error.message, LEDGER_ERRORS[error.code]);
+  return error;
+};
+
+/**
+ * Double-entry general ledger.
+ *
+ * Donations, PayPal refunds and fees, expenses, finance transactions and
+ * budget spend post balanced journal entries automatically. Each source
+ * record owns at most one live entry: when the record changes, sync() works
+ * out the entry it should have now and, if that differs, reverses the old
+ * one and posts the new one. Entries are never edited or deleted.
+ *
+ * Closing the books through a date blocks postings on or before it; later
+ * changes to records in a closed period are posted on the current date.
+ */
+class LedgerService {
+  // ------------------------------------------------------------------
+  // Entry builders - what a source record should have posted
+  // ------------------------------------------------------------------
+
+  donationEntry(donation) {
+    // Subscription rows stand for the agreement; each payment is its own row
+    if (!donation || donation.metadata?.is_recurring === true) return null;
+
+    const paypal = isPayPalDonation(donation);
+    const statuses = paypal ? PAYPAL_POSTED_STATUSES : MANUAL_POSTED_STATUSES;
+    const gross = roundAmount(donation.amount);
+    if (!statuses.includes(donation.payment_status) || gross <= 0) return null;
+
+    const incomeAccount = DONATION_INCOME_ACCOUNTS[donation.donation_type] || DONATION_INCOME_ACCOUNTS.general;
+    const reference = donation.metadata?.receipt_number || donation.metadata?.transaction_id;
+    // Income and the fee that came out of it belong to the donation's fund
+    const fundId = donation.fund_id || null;
+    const lines = [];
+
+    if (paypal) {
+      const fee = Math.min(roundAmount(donation.metadata?.paypal_fee), gross);
+      lines.push({ account_code: ACCOUNTS.paypal, debit: roundAmount(gross - fee), credit: 0 });
+      if (fee > 0) {
+        lines.push({ account_code: ACCOUNTS.processingFees, debit: fee, credit: 0, memo: 'PayPal fee', fund_id: fundId });
+      }
+    } else {
+      lines.push({ account_code: cashAccountFor(donation.payment_method), debit: gross, credit: 0 });
+    }
+    lines.push({ account_code: incomeAccount, debit: 0, credit: gross, fund_id: fundId });
+
+    return {
+      entry_date: dateOf(donation.donation_date || donation.created_at),
+      description: `Donation from ${donorNameOf(donation)}${reference ? ` (${reference})` : ''}`,
+      currency: donation.currency || 'USD',
+      lines: lines.filter(line => line.debit > 0 || line.credit > 0)
+    };
+  }
+
+  /**
+   * Refunds, reversals and lost disputes for one donation, keyed by
+   * adjustment id. Mirrors the PayPal controller: a lost dispute only counts
+   * when no completed refund/reversal was recorded for the same money.
+   */
+  adjustmentEntries(donation, adjustments) {
+    const settled = adjustments.filter(a => a.adjustment_type !== 'dispute' && a.status === 'completed');
+    const lostDisputes = adjustments.filter(a => a.adjustment_type === 'dispute' && LOST_DISPUTE_OUTCOMES.includes(a.outcome));
+    const counted = new Set((settled.length ? settled : lostDisputes).map(a => a.id));
+
+    const entries = {};
+    for (const adjustment of adjustments) {
+      const amount = roundAmount(adjustment.amount);
+      entries[adjustment.id] = counted.has(adjustment.id) && amount > 0 && donation.metadata?.is_recurring !== true
+        ? {
+          entry_date: dateOf(adjustment.updated_at || adjustment.created_at),
+          description: `PayPal ${adjustment.adjustment_type} ${adjustment.provider_reference} for ${donorNameOf(donation)}`,
+          currency: adjustment.currency || donation.currency || 'USD',
+          lines: [
+            { account_code: ACCOUNTS.donationRefunds, debit: amount, credit: 0, fund_id: donation.fund_id || null },
+            { account_code: ACCOUNTS.paypal, debit: 0, credit: amount }
+          ]
+        }
+        : null;
+    }
+    return entries;
+  }
+
+  expenseEntry(expense) {
+    if (!expense || expense.approval_status === 'rejected') return null;
+    const amount = roundAmount(expense.amount);
+    if (amount <= 0) return null;
+
+    let creditAccount;
+    if (expense.payment_status === 'completed') creditAccount = cashAccountFor(expense.payment_method);
+    else if (expense.payment_status === 'pending' && expense.approval_status === 'approved') creditAccount = ACCOUNTS.payable;
+    else return null;
+
+    return {
+      entry_date: dateOf(expense.expense_date || expense.created_at),
+      description: `Expense: ${expense.vendor_name ? `${expense.vendor_name} - ` : ''}${expense.description}`,
+      currency: expense.currency || 'USD',
+      lines: [
+        {
+          account_code: EXPENSE_ACCOUNTS[expense.expense_type] || ACCOUNTS.operationalExpense,
+          debit: amount,
+          credit: 0,
+          fund_id: expense.fund_id || null
+        },
+        { account_code: creditAccount, debit: 0, credit: amount }
+      ]
+    };
+  }
+
+  transactionEntry(transaction) {
+    if (!transaction || transaction.status !== 'completed') return null;
+    const amount = roundAmount(transaction.amount);
+    if (amount <= 0) return null;
+
+    const cash = cashAccountFor(transaction.payment_method);
+    const lines = transaction.type === 'income'
+      ? [
+        { account_code: cash, debit: amount, credit: 0 },
+        { account_code: ACCOUNTS.otherIncome, debit: 0, credit: amount }
+      ]
+      : [
+        { account_code: ACCOUNTS.otherExpense, debit: amount, credit: 0 },
+        { account_code: cash, debit: 0, credit: amount }
+      ];
+
+    return {
+      entry_date: dateOf(transaction.date || transaction.created_at),
+      description: `${transaction.type === 'income' ? 'Income' : 'Payment'}: ${transaction.description}`,
+      currency: 'USD',
+      lines
+    };
+  }
+
+  // ------------------------------------------------------------------
+  // Posting
+  // ------------------------------------------------------------------
+
+  async closedThrough() {
+    const { data, error } = await supabase
+      .from('gl_period_closes')
+      .select('closed_through')
+      .order('closed_through', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    if (error) throw error;
+    return data?.closed_through || null;
+  }
+
+  async postEntry(entry, { sourceType, sourceId = null, reversalOf = null, createdBy = null } = {}) {
+    const { data, error } = await supabase.rpc('post_journal_entry', {
+      p_entry: {
+        entry_date: entry.entry_date,
+        description: entry.description,
+        source_type: sourceType,
+        source_id: sourceId,
+        reversal_of: reversalOf,
+        currency: entry.currency || 'USD',
+        created_by: createdBy
+      },
+      p_lines: entry.lines
+    });
+    if (error) throw toLedgerError(error);
+    return data;
+  }
+
+  async reverse(entry, { entryDate, description, createdBy } = {}) {
+    const { data, error } = await supabase.rpc('reverse_journal_entry', {
+      p_entry_id: entry.id,
+      p_entry_date: entryDate,
+      p_description: description || null,
+      p_created_by: createdBy || null
+    });
+    if (error) throw toLedgerError(error);
+    return data;
+  }
+
+  async liveEntry(sourceType, sourceId) {
+    const { data, error } = await supabase
+      .from('journal_entries')
+      .select('*, journal_lines(debit, credit, budget_id, fund_id, account:gl_accounts(code))')
+      .eq('source_type', sourceType)
+      .eq('source_id', String(sourceId))
+      .eq('status', 'posted')
+      .is('reversal_of', null)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Bring a source record's live entry in line with `desired` (null when the
+   * record should have no entry). Returns 'unchanged', 'posted', 'reposted'
+   * or 'reversed'.
+   */
+  async sync(sourceType, sourceId, desired, { createdBy = 'system' } = {}) {
+    const closed = await this.closedThrough();
+    const openDate = (date) => (closed && date <= closed ? today() : date);
+    const current = await this.liveEntry(sourceType, sourceId);
+
+    if (current && desired) {
+      const currentLines = (current.journal_lines || []).map(line => ({ ...line, account_code: line.account?.code }));
+      const sameLines = linesSignature(currentLines) === linesSignature(desired.lines);
+      const sameDate = current.entry_date === desired.entry_date || (closed && desired.entry_date <= closed);
+      if (sameLines && sameDate) return 'unchanged';
+    }
+
+    if (current) {
+      await this.reverse(current, {
+        entryDate: openDate(current.entry_date),
+        description: desired ? `Correction of #${current.entry_number}` : `Reversal of #${current.entry_number}`,
+        createdBy
+      });
+    }
+    if (!desired) return current ? 'reversed' : 'unchanged';
+
+    try {
+      await this.postEntry(
+        { ...desired, entry_date: openDate(desired.entry_date) },
+        { sourceType, sourceId: String(sourceId), createdBy }
+      );
+    } catch (error) {
+      // Another sync of the same record got there first
+      if (error.code === '23505') return 'unchanged';
+      throw error;
+    }
+    return current ? 'reposted' : 'posted';
+  }
+
+  async syncDonation(donation, options) {
+    return this.sync('donation', donation.id, this.donationEntry(donation), options);
+  }
+
+  async syncDonationAdjustments(donation, options) {
+    const { data: adjustments, error } = await supabase
+      .from('donation_adjustments')
+      .select('*')
+      .eq('donation_id', donation.id);
+    if (error) throw error;
+
+    const entries = this.adjustmentEntries(donation, adjustments || []);
+    for (const [adjustmentId, entry] of Object.entries(entries)) {
+      await this.sync('donation_adjustment', adjustmentId, entry, options);
+    }
+  }
+
+  async syncExpense(expense, options) {
+    return this.sync('expense', expense.id, this.expenseEntry(expense), options);
+  }
+
+  async syncTransaction(transaction, options) {
+    return this.sync('transaction', transaction.id, this.transactionEntry(transaction), options);
+  }
+
+  // A deleted record's entry is reversed
+  async syncDeleted(sourceType, sourceId, options) {
+    return this.sync(sourceType, sourceId, null, options);
+  }
+
+  /**
+   * Post from a business flow. Never throws - a ledger problem must not fail
+   * the payment or expense; POST /api/ledger/sync catches up later.
+   */
+  async record(sourceType, record, options) {
+    if (!record?.id) return null;
+    try {
+      switch (sourceType) {
+        case 'donation':
+          await this.syncDonation(record, options);
+          if (isPayPalDonation(record)) await this.syncDonationAdjustments(record, options);
+          return true;
+        case 'donation_adjustment':
+          // record is the donation whose adjustments changed
+          await this.syncDonationAdjustments(record, options);
+          return true;
+        case 'expense':
+          await this.syncExpense(record, options);
+          return true;
+        case 'transaction':
+          await this.syncTransaction(record, options);
+          return true;
+        default:
+          throw new Error(`Unknown ledger source ${sourceType}`);
+      }
+    } catch (error) {
+      console.error(`❌ Ledger posting failed for ${sourceType} ${record.id}:`, error.message);
+      return null;
+    }
+  }
+
+  async recordDeleted(sourceType, sourceId, options) {
+    try {
+      await this.syncDeleted(sourceType, sourceId, options);
+      return true;
+    } catch (error) {
+      console.error(`❌ Ledger reversal failed for ${sourceType} ${sourceId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Budget spend recorded directly against a budget (PUT /budgets/:id/spend).
+   * Spend that belongs to an expense is already posted with the expense.
+   * Negative amounts correct earlier spend.
+   */
+  async recordBudgetSpend(budget, amount, { expenseId, createdBy } = {}) {
+    const value = roundAmount(amount);
+    if (expenseId || !value) return null;
+
+    const expenseAccount = EXPENSE_ACCOUNTS[String(budget.category || '').toLowerCase()] || ACCOUNTS.operationalExpense;
+    const absolute = Math.abs(value);
+    const expenseLine = { account_code: expenseAccount, debit: value > 0 ? absolute : 0, credit: value < 0 ? absolute : 0, budget_id: budget.id };
+    const bankLine = { account_code: ACCOUNTS.bank, debit: value < 0 ? absolute : 0, credit: value > 0 ? absolute : 0 };
+
+    try {
+      return await this.postEntry({
+        entry_date: today(),
+        description: `Budget spend: ${budget.category}${value < 0 ? ' (correction)' : ''}`,
+        lines: [expenseLine, bankLine]
+      }, { sourceType: 'budget_spend', sourceId: null, createdBy });
+    } catch (error) {
+      console.error(`❌ Ledger posting failed for budget ${budget.id} spend:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Re-sync every donation, PayPal adjustment, expense and finance
+   * transaction (optionally only those dated from `since`). Safe to repeat.
+   */
+  async syncAll({ since, createdBy } = {}) {
+    const counts = { posted: 0, reposted: 0, reversed: 0, unchanged: 0, failed: 0 };
+    const tally = async (fn) => {
+      try {
+        const result = await fn();
+        if (result) counts[result]++;
+      } catch (error) {
+        counts.failed++;
+        console.error('❌ Ledger sync failed:', error.message);
+      }
+    };
+
+    const sources = [
+      { table: 'donations', dateColumn: 'donation_date', sync: row => this.syncDonation(row, { createdBy }) },
+      { table: 'expenses', dateColumn: 'expense_date', sync: row => this.syncExpense(row, { createdBy }) },
+      { table: 'transactions', dateColumn: 'date', sync: row => this.syncTransaction(row, { createdBy }) }
+    ];
+
+    for (const source of sources) {
+      for (let from = 0; ; from += PAGE_SIZE) {
+        let query = supabase.from(source.table).select('*').order('id').range(from, from + PAGE_SIZE - 1);
+        if (since) query = query.gte(source.dateColumn, since);
+        const { data, error } = await query;
+        if (error) throw error;
+
+        for (const row of data || []) {
+          await tally(() => source.sync(row));
+          if (source.table === 'donations' && isPayPalDonation(row)) {
+            await tally(async () => {
+              await this.syncDonationAdjustments(row, { createdBy });
+              return null;
+            });
+          }
+        }
+        if (!data || data.length < PAGE_SIZE) break;
+      }
+    }
+
+    return counts;
+  }
+
+  // ------------------------------------------------------------------
+  // Accounts
+  // ------------------------------------------------------------------
+
+  async listAccounts({ includeInactive = false } = {}) {
+    let query = supabase.from('gl_accounts').select('*').order('code');
+    if (!includeInactive) query = query.eq('is_active', true);
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  async getAccount(accountId) {
+    const { data, error } = await supabase.from('gl_accounts').select('*').eq('id', accountId).maybeSingle();
+    if (error) throw error;
+    if (!data) throw new AppError('Account not found', 404);
+    return data;
+  }
+
+  async createAccount({ code, name, account_type, normal_balance, description }) {
+    const { data, error } = await supabase
+      .from('gl_accounts')
+      .insert([{
+        code,
+        name,
+        account_type,
+        normal_balance: normal_balance || (['asset', 'expense'].includes(account_type) ? 'debit' : 'credit'),
+        description: description || null
+      }])
+      .select()
+      .single();
+    if (error) {
+      if (error.code === '23505') throw new AppError(`Account code ${code} already exists`, 409);
+      throw error;
+    }
+    return data;
+  }
+
+  async updateAccount(accountId, { name, description, is_active }) {
+    const account = await this.getAccount(accountId);
+    if (account.is_system && is_active === false) {
+      throw new AppError('System accounts are used by automatic postings and cannot be deactivated', 409);
+    }
+
+    const update = { updated_at: new Date().toISOString() };
+    if (name !== undefined) update.name = name;
+    if (description !== undefined) update.description = description;
+    if (is_active !== undefined) update.is_active = is_active;
+
+    const { data, error } = await supabase.from('gl_accounts').update(update).eq('id', accountId).select().single();
+    if (error) throw error;
+    return data;
+  }
+
+  // ------------------------------------------------------------------
+  // Journal
+  // ------------------------------------------------------------------
+
+  async getEntry(entryId) {
+    const { data, error } = await supabase
+      .from('journal_entries')
+      .select('*, journal_lines(id, debit, credit, memo, budget_id, fund_id, account:gl_accounts(id, code, name))')
+      .eq('id', entryId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) throw new AppError('Journal entry not found', 404);
+    return data;
+  }
+
+  async listEntries({ startDate, endDate, sourceType, sourceId, page = 1, limit = 50 } = {}) {
+    const offset = (page - 1) * limit;
+    let query = supabase
+      .from('journal_entries')
+      .select('*, journal_lines(id, debit, credit, memo, budget_id, fund_id, account:gl_accounts(id, code, name))', { count: 'exact' })
+      .order('entry_date', { ascending: false })
+      .order('entry_number', { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (startDate) query = query.gte('entry_date', startDate);
+    if (endDate) query = query.lte('entry_date', endDate);
+    if (sourceType) query = query.eq('source_type', sourceType);
+    if (sourceId) query = query.eq('source_id', sourceId);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+    return { entries: data || [], pagination: { page, limit, total: count || 0 } };
+  }
+
+  // Treasurer adjustments, opening balances and other manual journals
+  async createManualEntry({ entry_date, description, lines }, createdBy) {
+    return this.postEntry(
+      {
+        entry_date,
+        description,
+        lines: lines.map(line => ({
+          account_code: line.account_code,
+          debit: roundAmount(line.debit),
+          credit: roundAmount(line.credit),
+          memo: line.memo || null,
+          budget_id: line.budget_id || null,
+          fund_id: line.fund_id || null
+        }))
+      },
+      { sourceType: 'manual', createdBy }
+    );
+  }
+
+  // Only manual and budget spend entries; automatic ones follow their record
+  async reverseEntry(entryId, { entryDate, reason } = {}, createdBy) {
+    const entry = await this.getEntry(entryId);
+    if (!['manual', 'budget_spend'].includes(entry.source_type)) {
+      throw new AppError(`This entry follows its ${entry.source_type.replace('_', ' ')}; change that record instead`, 409);
+    }
+    return this.reverse(entry, {
+      entryDate: entryDate || today(),
+      description: `Reversal of #${entry.entry_number}${reason ? `: ${reason}` : ''}`,
+      createdBy
+    });
+  }
+
+  // Every line on an account in a date range, with a running balance
+  async accountLedger(accountId, { startDate, endDate } = {}) {
+    const account = await this.getAccount(accountId);
+
+    // Opening balance: everything before the start date
+    let opening = 0;
+    if (startDate) {
+      const before = new Date(new Date(startDate).getTime() - 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+      const totals = await this.accountTotals({ endDate: before });
+      const row = totals.find(total => total.account_id === accountId);
+      opening = row ? naturalBalance(row) : 0;
+    }
+
+    const lines = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+      let query = supabase
+        .from('journal_lines')
+        .select('id, debit, credit, memo, budget_id, fund_id, entry:journal_entries!inner(id, entry_number, entry_date, description, source_type, source_id)')
+        .eq('account_id', accountId)
+        .order('id')
+        .range(from, from + PAGE_SIZE - 1);
+      if (startDate) query = query.gte('entry.entry_date', startDate);
+      if (endDate) query = query.lte('entry.entry_date', endDate);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      lines.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+
+    lines.sort((a, b) => a.entry.entry_date.localeCompare(b.entry.entry_date) || a.entry.entry_number - b.entry.entry_number);
+    let balance = opening;
+    const rows = lines.map(line => {
+      const change = account.normal_balance === 'debit'
+        ? Number(line.debit) - Number(line.credit)
+        : Number(line.credit) - Number(line.debit);
+      balance = roundAmount(balance + change);
+      return { ...line, balance };
+    });
+
+    return { account, opening_balance: opening, closing_balance: balance, lines: rows };
+  }
+
+  // ------------------------------------------------------------------
+  // Reports
+  // ------------------------------------------------------------------
+
+  async accountTotals({ startDate = null, endDate = null } = {}) {
+    const { data, error } = await supabase.rpc('gl_account_totals', { p_start: startDate, p_end: endDate });
+    if (error) throw error;
+    return data || [];
+  }
+
+  async trialBalance({ asOf = today() } = {}) {
+    const totals = await this.accountTotals({ endDate: asOf });
+    const accounts = totals
+      .map(account => {
+        const net = roundAmount(Number(account.debit) - Number(account.credit));
+        return {
+          account_id: account.account_id,
+          code: account.code,
+          name: account.name,
+          account_type: account.account_type,
+          debit: net > 0 ? net : 0,
+          credit: net < 0 ? -net : 0
+        };
+      })
+      .filter(account => account.debit || account.credit);
+
+    const totalDebit = roundAmount(accounts.reduce((sum, account) => sum + account.debit, 0));
+    const totalCredit = roundAmount(accounts.reduce((sum, account) => sum + account.credit, 0));
+    return {
+      as_of: asOf,
+      accounts,
+      total_debit: totalDebit,
+      total_credit: totalCredit,
+      balanced: totalDebit === totalCredit
+    };
+  }
+
+  async incomeStatement({ startDate, endDate = today() } = {}) {
+    const totals = await this.accountTotals({ startDate, endDate });
+    // Income is shown credit-positive and expenses debit-positive, so contra
+    // accounts (donation refunds) come out negative in their section
+    const section = (type) => {
+      const accounts = totals
+        .filter(account => account.account_type === type)
+        .map(account => ({
+          account_id: account.account_id,
+          code: account.code,
+          name: account.name,
+          amount: roundAmount(type === 'income'
+            ? Number(account.credit) - Number(account.debit)
+            : Number(account.debit) - Number(account.credit))
+        }))
+        .filter(account => account.amount);
+      return { accounts, total: roundAmount(accounts.reduce((sum, account) => sum + account.amount, 0)) };
+    };
+
+    const income = section('income');
+    const expenses = section('expense');
+    return {
+      start_date: startDate || null,
+      end_date: endDate,
+      income,
+      expenses,
+      net_surplus: roundAmount(income.total - expenses.total)
+    };
+  }
+
+  async balanceSheet({ asOf = today() } = {}) {
+    const totals = await this.accountTotals({ endDate: asOf });
+    const section = (type) => {
+      const accounts = totals
+        .filter(account => account.account_type === type)
+        .map(account => ({ account_id: account.account_id, code: account.code, name: account.name, amount: naturalBalance(account) }))
+        .filter(account => account.amount);
+      return { accounts, total: roundAmount(accounts.reduce((sum, account) => sum + account.amount, 0)) };
+    };
+
+    // Income and expense accounts are never closed out by journal; their
+    // cumulative result is shown as its own net-assets line
+    const surplus = roundAmount(totals
+      .filter(account => ['income', 'expense'].includes(account.account_type))
+      .reduce((sum, account) => sum + Number(account.credit) - Number(account.debit), 0));
+
+    const assets = section('asset');
+    const liabilities = section('liability');
+    const netAssets = section('net_assets');
+    netAssets.accounts.push({ account_id: null, code: null, name: 'Accumulated surplus', amount: surplus });
+    netAssets.total = roundAmount(netAssets.total + surplus);
+
+    return {
+      as_of: asOf,
+      assets,
+      liabilities,
+      net_assets: netAssets,
+      total_liabilities_and_net_assets: roundAmount(liabilities.total + netAssets.total),
+      balanced: assets.total === roundAmount(liabilities.total + netAssets.total)
+    };
+  }
+
+  // ------------------------------------------------------------------
+  // Closing the books
+  // ------------------------------------------------------------------
+
+  async listCloses() {
+    const { data, error } = await supabase
+      .from('gl_period_closes')
+      .select('*')
+      .order('closed_through', { ascending: false });
+    if (error) throw error;
+    return data || [];
+  }
+
+  async closePeriod({ closedThrough, notes }, closedBy) {
+    const previous = await this.closedThrough();
+    if (previous && closedThrough <= previous) {
+      throw new AppError(`Books are already closed through ${previous}`, 409);
+    }
+    if (closedThrough >= today()) throw new AppError('Only past dates can be closed', 400);
+
+    const trial = await this.trialBalance({ asOf: closedThrough });
+    if (!trial.balanced) {
+      throw new AppError('Trial balance does not balance; investigate before closing', 409, {
+        total_debit: trial.total_debit,
+        total_credit: trial.total_credit
+      });
+    }
+
+    const startDate = previous
+      ? new Date(new Date(previous).getTime() + 24 * 60 * 60 * 1000).toISOString().split('T')[0]
+      : null;
+    const statement = await this.incomeStatement({ startDate, endDate: closedThrough });
+
+    const { data, error } = await supabase
+      .from('gl_period_closes')
+      .insert([{
+        closed_through: closedThrough,
+        summary: {
+          period_start: startDate,
+          income: statement.income.total,
+          expenses: statement.expenses.total,
+          net_surplus: statement.net_surplus,
+          total_debit: trial.total_debit,
+          total_credit: trial.total_credit
+        },
+        notes: notes || null,
+        closed_by: closedBy || null
+      }])
+      .select()
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  // Reopen the most recent close (admin)
+  async reopenLatest() {
+    const [latest] = await this.listCloses();
+    if (!latest) throw new AppError('No closed period to reopen', 404);
+    const { error } = await supabase.from('gl_period_closes').delete().eq('id', latest.id);
+    if (error) throw error;
+    return latest;
+  }
+}
+
+module.exports = new LedgerService();
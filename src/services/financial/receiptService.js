@@ -0,0 +1,282 @@
+const PDFDocument = require('pdfkit');
+const { supabase } = require('../../config/supabase');
+const emailService = require('../emailService');
+const { AppError } = require('../../middleware/errorHandler');
+const { COMMUNICATION_TOPICS } = require('../../config/constants');
+const { escapeHtml } = require('../../utils/html');
+const {
+  templeDetails,
+  formatMoney,
+  formatDate,
+  donorNameOf,
+  donorEmailOf,
+  pdfToBuffer
+} = require('../../utils/donationDocuments');
+
+// 1 = calendar-year receipts (US); 4 = April-March (India 80G)
+const FISCAL_YEAR_START_MONTH = parseInt(process.env.FISCAL_YEAR_START_MONTH) || 1;
+const RECEIPT_PREFIX = process.env.RECEIPT_NUMBER_PREFIX || 'SSUSA';
+
+// Only money the temple actually holds is receipted
+const ISSUABLE_STATUSES = ['completed', 'partially_refunded'];
+
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Tax-deductible donation receipts. Numbers are allocated per fiscal year by
+ * the issue_donation_receipt() database function, which hands out the next
+ * number and records the receipt in one transaction so the sequence has no
+ * gaps. PDFs are rendered on demand from the stored receipt, so a re-download
+ * always reflects later amendments or voids.
+ */
+class ReceiptService {
+  /**
+   * Fiscal year label for a YYYY-MM-DD date: '2025' for calendar years,
+   * '2025-26' when the year starts in another month.
+   */
+  fiscalYearFor(date) {
+    const [year, month] = String(date).slice(0, 10).split('-').map(Number);
+    const startYear = month >= FISCAL_YEAR_START_MONTH ? year : year - 1;
+    return FISCAL_YEAR_START_MONTH === 1
+      ? String(startYear)
+      : `${startYear}-${String(startYear + 1).slice(-2)}`;
+  }
+
+  /**
+   * First and last day of the fiscal year a date falls in.
+   */
+  fiscalYearRange(date) {
+    const [year, month] = String(date).slice(0, 10).split('-').map(Number);
+    const startYear = month >= FISCAL_YEAR_START_MONTH ? year : year - 1;
+    const start = new Date(Date.UTC(startYear, FISCAL_YEAR_START_MONTH - 1, 1));
+    const end = new Date(Date.UTC(startYear + 1, FISCAL_YEAR_START_MONTH - 1, 0));
+    return {
+      start: start.toISOString().split('T')[0],
+      end: end.toISOString().split('T')[0]
+    };
+  }
+
+  async getDonation(donationId) {
+    const { data, error } = await supabase.from('donations').select('*').eq('id', donationId).maybeSingle();
+    if (error) throw error;
+    if (!data) throw new AppError('Donation not found', 404);
+    return data;
+  }
+
+  async findReceipt(donationId) {
+    const { data, error } = await supabase
+      .from('donation_receipts')
+      .select('*')
+      .eq('donation_id', donationId)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Return the donation's receipt, issuing it with the next number for the
+   * donation's fiscal year if it has none yet.
+   */
+  async issueReceipt(donationId, { issuedBy = null } = {}) {
+    const donation = await this.getDonation(donationId);
+
+    const existing = await this.findReceipt(donationId);
+    if (existing) return { receipt: existing, donation, created: false };
+
+    if (!ISSUABLE_STATUSES.includes(donation.payment_status)) {
+      throw new AppError(`A receipt cannot be issued for a ${donation.payment_status} donation`, 409);
+    }
+
+    const donationDate = donation.donation_date || donation.created_at;
+    const { data, error } = await supabase.rpc('issue_donation_receipt', {
+      p_donation_id: donation.id,
+      p_fiscal_year: this.fiscalYearFor(donationDate),
+      p_prefix: RECEIPT_PREFIX,
+      p_issued_to: donorNameOf(donation),
+      p_issued_by: issuedBy,
+      p_amount: Number(donation.amount),
+      p_currency: donation.currency || 'USD'
+    });
+
+    // Issued concurrently by another request (e.g. webhook and capture)
+    if (error?.code === UNIQUE_VIOLATION) {
+      return { receipt: await this.findReceipt(donationId), donation, created: false };
+    }
+    if (error) throw error;
+
+    const receipt = Array.isArray(data) ? data[0] : data;
+
+    const metadata = { ...(donation.metadata || {}), receipt_number: receipt.receipt_number };
+    const { error: updateError } = await supabase
+      .from('donations')
+      .update({ metadata, updated_at: new Date().toISOString() })
+      .eq('id', donation.id);
+    if (updateError) console.error('❌ Failed to store receipt number on donation:', updateError.message);
+
+    console.log(`🧾 Receipt ${receipt.receipt_number} issued for donation ${donation.id}`);
+    return { receipt, donation: { ...donation, metadata }, created: true };
+  }
+
+  /**
+   * Render a receipt as a PDF buffer.
+   */
+  renderPdf(receipt, donation) {
+    const temple = templeDetails();
+    const currency = receipt.currency || donation.currency || 'USD';
+    const isVoid = receipt.status === 'void';
+    const isAmended = receipt.status === 'amended' && receipt.amended_amount !== null && receipt.amended_amount !== undefined;
+
+    const doc = new PDFDocument({
+      size: 'LETTER',
+      margin: 56,
+      info: {
+        Title: `Donation Receipt ${receipt.receipt_number}`,
+        Author: temple.name
+      }
+    });
+    const rendered = pdfToBuffer(doc);
+
+    const row = (label, value) => {
+      const y = doc.y;
+      doc.font('Helvetica-Bold').fontSize(10).text(label, 56, y, { width: 150 });
+      doc.font('Helvetica').fontSize(10).text(value || '-', 210, y, { width: 345 });
+      doc.moveDown(0.4);
+    };
+
+    // Header
+    doc.font('Helvetica-Bold').fontSize(20).fillColor('#7a2e0e').text(temple.name, { align: 'center' });
+    doc.fillColor('black').font('Helvetica').fontSize(10);
+    if (temple.address) doc.text(temple.address, { align: 'center' });
+    if (temple.taxId) doc.text(`Tax ID (EIN): ${temple.taxId}`, { align: 'center' });
+    if (temple.contactEmail) doc.text(temple.contactEmail, { align: 'center' });
+
+    doc.moveDown(1.5);
+    doc.font('Helvetica-Bold').fontSize(15).text('Official Donation Receipt', { align: 'center' });
+    doc.moveDown(1.5);
+
+    row('Receipt Number', receipt.receipt_number);
+    row('Receipt Date', formatDate(receipt.receipt_date || receipt.created_at));
+    row('Fiscal Year', receipt.fiscal_year);
+
+    doc.moveDown(0.8);
+    row('Received From', receipt.issued_to || donorNameOf(donation));
+    row('Email', donorEmailOf(donation));
+    if (donation.donor_phone || donation.phone) row('Phone', donation.donor_phone || donation.phone);
+
+    doc.moveDown(0.8);
+    row('Donation Date', formatDate(donation.donation_date || donation.created_at));
+    row('Purpose', donation.purpose || donation.message || 'General Donation');
+    row('Payment Method', donation.metadata?.payment_provider === 'paypal' ? 'PayPal' : donation.payment_method);
+    if (donation.metadata?.transaction_id) row('Transaction Reference', donation.metadata.transaction_id);
+    row('Amount Received', formatMoney(receipt.amount ?? donation.amount, currency));
+    if (isAmended) {
+      row('Amount Refunded', formatMoney(Number(receipt.amount ?? donation.amount) - Number(receipt.amended_amount), currency));
+      row('Deductible Amount', formatMoney(receipt.amended_amount, currency));
+    }
+
+    doc.moveDown(1.2);
+    doc.font('Helvetica').fontSize(10).text(temple.statement, 56, doc.y, { width: 500, align: 'justify' });
+
+    if (isVoid) {
+      doc.moveDown(1);
+      doc.font('Helvetica-Bold').fontSize(11).fillColor('#b91c1c')
+        .text(`This receipt is VOID${receipt.void_reason ? `: ${receipt.void_reason}` : ''}.`, 56, doc.y, { width: 500 });
+      const y = doc.y;
+      doc.save()
+        .rotate(-30, { origin: [306, 396] })
+        .fontSize(110).fillColor('#b91c1c').opacity(0.15)
+        .text('VOID', 56, 340, { width: 500, align: 'center', lineBreak: false })
+        .restore();
+      doc.fillColor('black').opacity(1).fontSize(10);
+      doc.y = y;
+    } else if (isAmended) {
+      doc.moveDown(1);
+      doc.font('Helvetica-Oblique').fontSize(10)
+        .text('This receipt was amended after part of the donation was refunded.', 56, doc.y, { width: 500 });
+    }
+
+    doc.moveDown(3);
+    doc.font('Helvetica').fontSize(10).text('_______________________________', 56);
+    doc.text(`${temple.signatory}, ${temple.name}`, 56);
+
+    doc.moveDown(2);
+    doc.font('Helvetica-Oblique').fontSize(10).text('Thank you for your generous support. Om Sai Ram!', 56, doc.y, { width: 500, align: 'center' });
+
+    doc.end();
+    return rendered;
+  }
+
+  filenameFor(receipt) {
+    return `receipt-${receipt.receipt_number}.pdf`;
+  }
+
+  /**
+   * Receipt and PDF for a donation. Never issues one - reading a receipt must
+   * not use up a number; issuing is issueReceipt().
+   */
+  async getReceiptPdf(donationId) {
+    const donation = await this.getDonation(donationId);
+    const receipt = await this.findReceipt(donationId);
+    if (!receipt) throw new AppError('This donation has no receipt', 404);
+
+    const pdf = await this.renderPdf(receipt, donation);
+    return { receipt, pdf, filename: this.filenameFor(receipt) };
+  }
+
+  /**
+   * Email the receipt PDF to the donor.
+   */
+  async sendReceiptEmail(donationId, { issuedBy = null } = {}) {
+    const { receipt, donation } = await this.issueReceipt(donationId, { issuedBy });
+    const to = donorEmailOf(donation);
+    if (!to) throw new AppError('This donation has no donor email address', 422);
+
+    const temple = templeDetails();
+    const pdf = await this.renderPdf(receipt, donation);
+    const amount = formatMoney(receipt.amended_amount ?? receipt.amount ?? donation.amount, receipt.currency || donation.currency);
+
+    const result = await emailService.sendEmail({
+      to,
+      subject: `Your donation receipt ${receipt.receipt_number} - ${temple.name}`,
+      topic: COMMUNICATION_TOPICS.DONATION_RECEIPTS,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #7a2e0e;">Thank you for your donation</h2>
+          <p>Dear ${escapeHtml(donorNameOf(donation))},</p>
+          <p>We gratefully acknowledge your donation of <strong>${amount}</strong> to ${temple.name}.
+             Your official receipt <strong>${receipt.receipt_number}</strong> is attached for your tax records.</p>
+          <p>🙏 Om Sai Ram!</p>
+        </div>`,
+      attachments: [{ filename: this.filenameFor(receipt), content: pdf, type: 'application/pdf' }]
+    });
+
+    if (result.success && result.status !== 'suppressed') {
+      const { error } = await supabase
+        .from('donation_receipts')
+        .update({ email_sent: true, email_sent_at: new Date().toISOString() })
+        .eq('id', receipt.id);
+      if (error) console.error('❌ Failed to mark receipt as emailed:', error.message);
+    }
+
+    return { receipt, email: result };
+  }
+
+  /**
+   * Issue and email a receipt once a donation completes. Never throws - a
+   * receipt problem must not fail the payment; the receipt can be issued again
+   * from POST /api/donations/:id/receipt.
+   */
+  async issueForCompletedDonation(donation) {
+    if (!donation?.id || !ISSUABLE_STATUSES.includes(donation.payment_status)) return null;
+
+    try {
+      if (!donorEmailOf(donation)) return (await this.issueReceipt(donation.id)).receipt;
+      return (await this.sendReceiptEmail(donation.id)).receipt;
+    } catch (error) {
+      console.error(`❌ Failed to issue receipt for donation ${donation.id}:`, error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = new ReceiptService();
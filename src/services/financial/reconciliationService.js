@@ -0,0 +1,727 @@
+const crypto = require('crypto');
+const { supabase } = require('../../config/supabase');
+const { AppError } = require('../../middleware/errorHandler');
+const { parseStatement } = require('../../utils/statementParser');
+
+// How far a bank posting date may drift from the recorded donation/expense date
+const DATE_WINDOW_DAYS = parseInt(process.env.RECONCILIATION_DATE_WINDOW_DAYS) || 5;
+// Lowest score that is matched without a human looking at it
+const AUTO_MATCH_SCORE = Number(process.env.RECONCILIATION_AUTO_MATCH_SCORE) || 0.85;
+const MAX_SUGGESTIONS = 5;
+const INSERT_BATCH = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Donations that actually moved money
+const MATCHABLE_DONATION_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+const roundAmount = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const sameAmount = (a, b) => Math.abs(roundAmount(a) - roundAmount(b)) < 0.005;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const dayDiff = (a, b) => Math.round(Math.abs(new Date(a) - new Date(b)) / DAY_MS);
+
+const shiftDate = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS).toISOString().split('T')[0];
+
+const normalizeText = (value) => String(value || '').toLowerCase();
+
+// Does any 3+ letter word of `name` appear in the statement text?
+const nameMentioned = (name, text) => {
+  const haystack = normalizeText(text);
+  if (!haystack) return false;
+  return normalizeText(name).split(/[^a-z0-9]+/).some(word => word.length >= 3 && haystack.includes(word));
+};
+
+const isPayPalDonation = (donation) => donation.metadata?.payment_provider === 'paypal' ||
+  Boolean(donation.metadata?.paypal_order_id);
+
+const donationReferences = (donation) => [
+  donation.metadata?.transaction_id,
+  donation.metadata?.order_reference,
+  donation.metadata?.receipt_number
+].filter(Boolean).map(String);
+
+const expenseReferences = (expense) => [expense.payment_reference, expense.receipt_number]
+  .filter(Boolean).map(String);
+
+/**
+ * Bank and payment-gateway reconciliation.
+ *
+ * Statements (bank CSV/OFX, PayPal activity or settlement CSV) are imported
+ * as lines, which are matched to donations (inflows) and expenses (outflows)
+ * by reference, amount and date. A line is matched automatically only when a
+ * single candidate scores at least AUTO_MATCH_SCORE; everything else waits in
+ * the manual queue with its best suggestions. Matching a line sets the
+ * record's reconciled flag.
+ *
+ * When every line of an account's period is matched or excluded the period
+ * can be locked, which freezes its lines and the records they reconcile.
+ */
+class ReconciliationService {
+  // ------------------------------------------------------------------
+  // Import
+  // ------------------------------------------------------------------
+
+  async importStatement(file, { source, accountKey, mapping, currency, createdBy } = {}) {
+    if (!file?.buffer?.length) throw new AppError('Statement file is required', 400);
+
+    let parsed;
+    try {
+      parsed = parseStatement(file.buffer, { source, filename: file.originalname, mapping, currency });
+    } catch (error) {
+      throw new AppError(`Could not read statement: ${error.message}`, 400);
+    }
+    if (!parsed.lines.length) throw new AppError('Statement contains no transactions', 400);
+
+    const account = String(accountKey || parsed.account || '').trim();
+    const fileHash = sha256(file.buffer);
+
+    const { data: existing, error: existingError } = await supabase
+      .from('reconciliation_imports')
+      .select('id, created_at')
+      .eq('source', source)
+      .eq('account_key', account)
+      .eq('file_hash', fileHash)
+      .maybeSingle();
+    if (existingError) throw existingError;
+    if (existing) {
+      throw new AppError('This statement has already been imported', 409, { import_id: existing.id });
+    }
+
+    const dates = parsed.lines.map(line => line.transaction_date).sort();
+    const periodStart = dates[0];
+    const periodEnd = dates[dates.length - 1];
+
+    const locked = await this.findLockedPeriods(source, account, periodStart, periodEnd);
+    const lockedLines = parsed.lines.filter(line => locked.some(period =>
+      line.transaction_date >= period.period_start && line.transaction_date <= period.period_end));
+    if (lockedLines.length) {
+      throw new AppError('Statement contains transactions in a locked period', 409, {
+        locked_periods: locked.map(({ id, period_start, period_end }) => ({ id, period_start, period_end })),
+        locked_line_count: lockedLines.length
+      });
+    }
+
+    const { data: importRow, error: importError } = await supabase
+      .from('reconciliation_imports')
+      .insert([{
+        source,
+        format: parsed.format,
+        account_key: account,
+        file_name: file.originalname || null,
+        file_hash: fileHash,
+        period_start: periodStart,
+        period_end: periodEnd,
+        created_by: createdBy || null
+      }])
+      .select()
+      .single();
+    if (importError) {
+      if (importError.code === '23505') throw new AppError('This statement has already been imported', 409);
+      throw importError;
+    }
+
+    // Lines without a provider reference are fingerprinted by content; the
+    // occurrence index keeps two identical same-day payments apart
+    const occurrences = {};
+    const rows = parsed.lines.map(line => {
+      let fingerprint;
+      if (line.reference) {
+        fingerprint = `ref:${line.reference}`;
+      } else {
+        const key = [line.transaction_date, line.amount.toFixed(2), normalizeText(line.description)].join('|');
+        occurrences[key] = (occurrences[key] || 0) + 1;
+        fingerprint = `hash:${sha256(`${key}#${occurrences[key]}`)}`;
+      }
+      return {
+        import_id: importRow.id,
+        source,
+        account_key: account,
+        line_number: line.line_number,
+        fingerprint,
+        transaction_date: line.transaction_date,
+        amount: line.amount,
+        fee: line.fee || 0,
+        currency: line.currency || 'USD',
+        description: line.description,
+        reference: line.reference,
+        counterparty: line.counterparty,
+        raw: line.raw || {}
+      };
+    });
+
+    const inserted = [];
+    for (let i = 0; i < rows.length; i += INSERT_BATCH) {
+      const { data, error } = await supabase
+        .from('reconciliation_lines')
+        .upsert(rows.slice(i, i + INSERT_BATCH), {
+          onConflict: 'source,account_key,fingerprint',
+          ignoreDuplicates: true
+        })
+        .select();
+      if (error) throw error;
+      inserted.push(...(data || []));
+    }
+
+    const matched = await this.autoMatch(inserted);
+
+    const summary = {
+      line_count: inserted.length,
+      duplicate_count: rows.length - inserted.length,
+      matched_count: matched
+    };
+    const { data: updated, error: updateError } = await supabase
+      .from('reconciliation_imports')
+      .update(summary)
+      .eq('id', importRow.id)
+      .select()
+      .single();
+    if (updateError) throw updateError;
+
+    return { ...updated, unmatched_count: inserted.length - matched };
+  }
+
+  // ------------------------------------------------------------------
+  // Matching
+  // ------------------------------------------------------------------
+
+  /**
+   * Match freshly imported lines. Returns how many were matched; the rest
+   * keep their suggestions for the manual queue.
+   */
+  async autoMatch(lines) {
+    const pending = lines.filter(line => line.status === 'unmatched');
+    if (!pending.length) return 0;
+
+    const pool = await this.loadCandidatePool(pending);
+    const claimed = new Set();
+    let matched = 0;
+
+    for (const line of pending) {
+      const candidates = this.scoreCandidates(line, pool)
+        .filter(candidate => !claimed.has(`${candidate.type}:${candidate.id}`));
+      const [best, runnerUp] = candidates;
+      const unique = best && (!runnerUp || best.score - runnerUp.score >= 0.1);
+
+      if (best && unique && best.score >= AUTO_MATCH_SCORE && !best.reconciled) {
+        await this.applyMatch(line, best, { matchType: 'auto', matchedBy: 'system' });
+        claimed.add(`${best.type}:${best.id}`);
+        matched++;
+      } else {
+        const { error } = await supabase
+          .from('reconciliation_lines')
+          .update({
+            suggestions: candidates.slice(0, MAX_SUGGESTIONS),
+            updated_at: new Date().toISOString()
+          })
+          .eq('id', line.id);
+        if (error) throw error;
+      }
+    }
+
+    return matched;
+  }
+
+  // Unreconciled donations and expenses around the lines' dates, plus any
+  // record whose reference appears on a line regardless of date
+  async loadCandidatePool(lines) {
+    const dates = lines.map(line => line.transaction_date).sort();
+    const from = shiftDate(dates[0], -DATE_WINDOW_DAYS);
+    const to = shiftDate(dates[dates.length - 1], DATE_WINDOW_DAYS);
+    const references = [...new Set(lines.map(line => line.reference).filter(Boolean))];
+    const hasInflows = lines.some(line => line.amount > 0);
+    const hasOutflows = lines.some(line => line.amount < 0);
+
+    const donationColumns = 'id, amount, currency, donation_date, donor_name, name, donor_email, email, payment_method, payment_status, metadata, reconciled';
+    const expenseColumns = 'id, amount, currency, expense_date, vendor_name, description, payment_method, payment_reference, receipt_number, reconciled';
+
+    const donations = new Map();
+    const expenses = new Map();
+
+    if (hasInflows) {
+      const { data, error } = await supabase
+        .from('donations')
+        .select(donationColumns)
+        .in('payment_status', MATCHABLE_DONATION_STATUSES)
+        .eq('reconciled', false)
+        .gte('donation_date', from)
+        .lte('donation_date', to);
+      if (error) throw error;
+      (data || []).forEach(donation => donations.set(donation.id, donation));
+    }
+
+    if (references.length) {
+      const { data, error } = await supabase
+        .from('donations')
+        .select(donationColumns)
+        .in('metadata->>transaction_id', references);
+      if (error) throw error;
+      (data || []).forEach(donation => donations.set(donation.id, donation));
+
+      // Refund lines carry the refund id recorded on the donation's adjustment
+      const { data: adjustments, error: adjustmentError } = await supabase
+        .from('donation_adjustments')
+        .select(`provider_reference, amount, donation:donations(${donationColumns})`)
+        .in('provider_reference', references);
+      if (adjustmentError) throw adjustmentError;
+      (adjustments || []).forEach(adjustment => {
+        if (!adjustment.donation) return;
+        const donation = donations.get(adjustment.donation.id) || adjustment.donation;
+        donation.refund_references = [...(donation.refund_references || []), adjustment.provider_reference];
+        donations.set(donation.id, donation);
+      });
+    }
+
+    if (hasOutflows) {
+      const { data, error } = await supabase
+        .from('expenses')
+        .select(expenseColumns)
+        .eq('payment_status', 'completed')
+        .eq('reconciled', false)
+        .gte('expense_date', from)
+        .lte('expense_date', to);
+      if (error) throw error;
+      (data || []).forEach(expense => expenses.set(expense.id, expense));
+
+      if (references.length) {
+        const { data: byReference, error: referenceError } = await supabase
+          .from('expenses')
+          .select(expenseColumns)
+          .or(`payment_reference.in.(${references.map(ref => `"${ref}"`).join(',')}),receipt_number.in.(${references.map(ref => `"${ref}"`).join(',')})`);
+        if (referenceError) throw referenceError;
+        (byReference || []).forEach(expense => expenses.set(expense.id, expense));
+      }
+    }
+
+    return { donations: [...donations.values()], expenses: [...expenses.values()] };
+  }
+
+  /**
+   * Candidate matches for a line, best first. A reference match with the
+   * right amount scores 1; otherwise the amount must agree and the score is
+   * 0.6 plus up to 0.3 for date proximity and 0.1 when the donor or vendor
+   * name appears on the statement.
+   */
+  scoreCandidates(line, pool) {
+    const amount = roundAmount(line.amount);
+    const text = `${line.description || ''} ${line.counterparty || ''}`;
+    const candidates = [];
+
+    const score = ({ referenceMatch, amountMatch, date, name }) => {
+      if (referenceMatch) return amountMatch ? 1 : 0.7;
+      if (!amountMatch || !date) return null;
+      const days = dayDiff(line.transaction_date, date);
+      if (days > DATE_WINDOW_DAYS) return null;
+      const value = 0.6 + 0.3 * (1 - days / (DATE_WINDOW_DAYS + 1)) + (nameMentioned(name, text) ? 0.1 : 0);
+      return Math.round(value * 1000) / 1000;
+    };
+
+    if (amount > 0) {
+      for (const donation of pool.donations) {
+        // Subscription rows stand for the agreement; each payment is its own row
+        if (donation.metadata?.is_recurring === true) continue;
+        // Bank deposits never carry individual PayPal donations, and the
+        // PayPal report only carries PayPal donations
+        if ((line.source === 'paypal') !== isPayPalDonation(donation)) continue;
+        const referenceMatch = Boolean(line.reference) && donationReferences(donation).includes(line.reference);
+        const value = score({
+          referenceMatch,
+          amountMatch: sameAmount(donation.amount, amount),
+          date: donation.donation_date,
+          name: donation.donor_name || donation.name
+        });
+        if (value !== null) {
+          candidates.push({
+            type: 'donation',
+            id: donation.id,
+            score: value,
+            reference_match: referenceMatch,
+            amount: roundAmount(donation.amount),
+            date: donation.donation_date,
+            name: donation.donor_name || donation.name || null,
+            reconciled: Boolean(donation.reconciled)
+          });
+        }
+      }
+    } else {
+      for (const donation of pool.donations) {
+        if (!line.reference || !(donation.refund_references || []).includes(line.reference)) continue;
+        candidates.push({
+          type: 'donation',
+          id: donation.id,
+          score: 1,
+          reference_match: true,
+          amount: roundAmount(donation.amount),
+          date: donation.donation_date,
+          name: donation.donor_name || donation.name || null,
+          reconciled: false
+        });
+      }
+
+      for (const expense of pool.expenses) {
+        const referenceMatch = Boolean(line.reference) && expenseReferences(expense).includes(line.reference);
+        const value = score({
+          referenceMatch,
+          amountMatch: sameAmount(expense.amount, -amount),
+          date: expense.expense_date,
+          name: expense.vendor_name
+        });
+        if (value !== null) {
+          candidates.push({
+            type: 'expense',
+            id: expense.id,
+            score: value,
+            reference_match: referenceMatch,
+            amount: roundAmount(expense.amount),
+            date: expense.expense_date,
+            name: expense.vendor_name || expense.description || null,
+            reconciled: Boolean(expense.reconciled)
+          });
+        }
+      }
+    }
+
+    return candidates.sort((a, b) => b.score - a.score);
+  }
+
+  async applyMatch(line, candidate, { matchType, matchedBy, notes }) {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('reconciliation_lines')
+      .update({
+        status: 'matched',
+        match_type: matchType,
+        match_score: candidate.score ?? null,
+        donation_id: candidate.type === 'donation' ? candidate.id : null,
+        expense_id: candidate.type === 'expense' ? candidate.id : null,
+        suggestions: [],
+        matched_by: matchedBy || null,
+        matched_at: now,
+        notes: notes ?? line.notes ?? null,
+        updated_at: now
+      })
+      .eq('id', line.id)
+      .select()
+      .single();
+    if (error) {
+      if (error.code === '23505') {
+        throw new AppError(`This ${candidate.type} is already matched to another statement line`, 409);
+      }
+      throw error;
+    }
+
+    await this.setReconciled(candidate.type, candidate.id, true);
+    return data;
+  }
+
+  async setReconciled(type, id, reconciled) {
+    const table = type === 'donation' ? 'donations' : 'expenses';
+    const { error } = await supabase
+      .from(table)
+      .update({ reconciled, reconciled_at: reconciled ? new Date().toISOString() : null })
+      .eq('id', id);
+    if (error) throw error;
+  }
+
+  // ------------------------------------------------------------------
+  // Manual queue
+  // ------------------------------------------------------------------
+
+  async getLine(lineId) {
+    const { data, error } = await supabase.from('reconciliation_lines').select('*').eq('id', lineId).maybeSingle();
+    if (error) throw error;
+    if (!data) throw new AppError('Statement line not found', 404);
+    return data;
+  }
+
+  async listLines({ status, source, accountKey, importId, startDate, endDate, page = 1, limit = 50 } = {}) {
+    const offset = (page - 1) * limit;
+    let query = supabase
+      .from('reconciliation_lines')
+      .select('*', { count: 'exact' })
+      .order('transaction_date', { ascending: true })
+      .order('line_number', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (status) query = query.eq('status', status);
+    if (source) query = query.eq('source', source);
+    if (accountKey !== undefined) query = query.eq('account_key', accountKey);
+    if (importId) query = query.eq('import_id', importId);
+    if (startDate) query = query.gte('transaction_date', startDate);
+    if (endDate) query = query.lte('transaction_date', endDate);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+    return { lines: data || [], pagination: { page, limit, total: count || 0 } };
+  }
+
+  // Fresh candidates for a line, including weak ones, for manual matching
+  async getCandidates(lineId) {
+    const line = await this.getLine(lineId);
+    const pool = await this.loadCandidatePool([line]);
+    return { line, candidates: this.scoreCandidates(line, pool).slice(0, 20) };
+  }
+
+  async matchLine(lineId, { donationId, expenseId, notes } = {}, matchedBy) {
+    if (Boolean(donationId) === Boolean(expenseId)) {
+      throw new AppError('Provide either a donation_id or an expense_id', 400);
+    }
+    const line = await this.getLine(lineId);
+    await this.assertLineEditable(line);
+    if (line.status === 'matched') throw new AppError('Line is already matched; unmatch it first', 409);
+
+    const type = donationId ? 'donation' : 'expense';
+    const id = donationId || expenseId;
+    const { data: record, error } = await supabase
+      .from(type === 'donation' ? 'donations' : 'expenses')
+      .select('id, reconciled')
+      .eq('id', id)
+      .maybeSingle();
+    if (error) throw error;
+    if (!record) throw new AppError(`${type === 'donation' ? 'Donation' : 'Expense'} not found`, 404);
+
+    // Refund lines (negative) point at an already reconciled donation
+    if (record.reconciled && !(type === 'donation' && line.amount < 0)) {
+      throw new AppError(`This ${type} is already reconciled`, 409);
+    }
+
+    return this.applyMatch(line, { type, id, score: null }, { matchType: 'manual', matchedBy, notes });
+  }
+
+  async unmatchLine(lineId) {
+    const line = await this.getLine(lineId);
+    await this.assertLineEditable(line);
+    if (line.status === 'unmatched') throw new AppError('Line is not matched or excluded', 409);
+
+    const { data, error } = await supabase
+      .from('reconciliation_lines')
+      .update({
+        status: 'unmatched',
+        match_type: null,
+        match_score: null,
+        donation_id: null,
+        expense_id: null,
+        matched_by: null,
+        matched_at: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', line.id)
+      .select()
+      .single();
+    if (error) throw error;
+
+    // A refund line un-matching must not clear the original payment's match
+    if (line.donation_id && line.amount > 0) await this.setReconciled('donation', line.donation_id, false);
+    if (line.expense_id) await this.setReconciled('expense', line.expense_id, false);
+    return data;
+  }
+
+  // Lines with nothing to match (bank fees, transfers, PayPal withdrawals)
+  async excludeLine(lineId, reason, matchedBy) {
+    const line = await this.getLine(lineId);
+    await this.assertLineEditable(line);
+    if (line.status !== 'unmatched') throw new AppError('Only unmatched lines can be excluded', 409);
+
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('reconciliation_lines')
+      .update({
+        status: 'excluded',
+        suggestions: [],
+        matched_by: matchedBy || null,
+        matched_at: now,
+        notes: reason,
+        updated_at: now
+      })
+      .eq('id', line.id)
+      .select()
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  // ------------------------------------------------------------------
+  // Imports
+  // ------------------------------------------------------------------
+
+  async getImport(importId) {
+    const { data, error } = await supabase.from('reconciliation_imports').select('*').eq('id', importId).maybeSingle();
+    if (error) throw error;
+    if (!data) throw new AppError('Statement import not found', 404);
+
+    const { data: lines, error: linesError } = await supabase
+      .from('reconciliation_lines')
+      .select('status')
+      .eq('import_id', importId);
+    if (linesError) throw linesError;
+    const status_counts = { unmatched: 0, matched: 0, excluded: 0 };
+    (lines || []).forEach(line => { status_counts[line.status]++; });
+
+    return { ...data, status_counts };
+  }
+
+  async listImports({ source, page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+    let query = supabase
+      .from('reconciliation_imports')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (source) query = query.eq('source', source);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+    return { imports: data || [], pagination: { page, limit, total: count || 0 } };
+  }
+
+  // Undo a wrong upload: releases its matches and deletes its lines
+  async deleteImport(importId) {
+    const statementImport = await this.getImport(importId);
+    if (statementImport.period_start) {
+      const locked = await this.findLockedPeriods(
+        statementImport.source,
+        statementImport.account_key,
+        statementImport.period_start,
+        statementImport.period_end
+      );
+      if (locked.length) throw new AppError('Import overlaps a locked period', 409);
+    }
+
+    const { data: matched, error } = await supabase
+      .from('reconciliation_lines')
+      .select('amount, donation_id, expense_id')
+      .eq('import_id', importId)
+      .eq('status', 'matched');
+    if (error) throw error;
+    for (const line of matched || []) {
+      if (line.donation_id && line.amount > 0) await this.setReconciled('donation', line.donation_id, false);
+      if (line.expense_id) await this.setReconciled('expense', line.expense_id, false);
+    }
+
+    const { error: deleteError } = await supabase.from('reconciliation_imports').delete().eq('id', importId);
+    if (deleteError) throw deleteError;
+  }
+
+  // ------------------------------------------------------------------
+  // Locked periods
+  // ------------------------------------------------------------------
+
+  async findLockedPeriods(source, accountKey, startDate, endDate) {
+    const { data, error } = await supabase
+      .from('reconciliation_periods')
+      .select('*')
+      .eq('source', source)
+      .eq('account_key', accountKey || '')
+      .lte('period_start', endDate)
+      .gte('period_end', startDate);
+    if (error) throw error;
+    return data || [];
+  }
+
+  async assertLineEditable(line) {
+    const locked = await this.findLockedPeriods(line.source, line.account_key, line.transaction_date, line.transaction_date);
+    if (locked.length) {
+      throw new AppError('Statement line is in a locked reconciliation period', 409, {
+        period_id: locked[0].id
+      });
+    }
+  }
+
+  /**
+   * Throws when a donation or expense is reconciled by a line in a locked
+   * period; used to freeze those records against edits and deletes.
+   */
+  async assertRecordUnlocked(type, id) {
+    const { data, error } = await supabase
+      .from('reconciliation_lines')
+      .select('source, account_key, transaction_date')
+      .eq(type === 'donation' ? 'donation_id' : 'expense_id', id);
+    if (error) throw error;
+
+    for (const line of data || []) {
+      const locked = await this.findLockedPeriods(line.source, line.account_key, line.transaction_date, line.transaction_date);
+      if (locked.length) {
+        throw new AppError(`This ${type} is reconciled in a locked period and cannot be changed`, 409, {
+          period_id: locked[0].id
+        });
+      }
+    }
+  }
+
+  async lockPeriod({ source, accountKey = '', periodStart, periodEnd, notes }, lockedBy) {
+    if (periodEnd < periodStart) throw new AppError('Period end must be on or after its start', 400);
+
+    const overlapping = await this.findLockedPeriods(source, accountKey, periodStart, periodEnd);
+    if (overlapping.length) {
+      throw new AppError('Period overlaps an already locked period', 409, { period_id: overlapping[0].id });
+    }
+
+    const { data: lines, error } = await supabase
+      .from('reconciliation_lines')
+      .select('status, amount, fee')
+      .eq('source', source)
+      .eq('account_key', accountKey)
+      .gte('transaction_date', periodStart)
+      .lte('transaction_date', periodEnd);
+    if (error) throw error;
+
+    const unmatched = (lines || []).filter(line => line.status === 'unmatched').length;
+    if (unmatched) {
+      throw new AppError('Period still has unmatched statement lines', 409, { unmatched_count: unmatched });
+    }
+
+    const summary = (lines || []).reduce((totals, line) => {
+      const amount = Number(line.amount);
+      totals.line_count++;
+      totals[`${line.status}_count`]++;
+      if (amount > 0) totals.inflow = roundAmount(totals.inflow + amount);
+      else totals.outflow = roundAmount(totals.outflow - amount);
+      totals.fees = roundAmount(totals.fees + Number(line.fee || 0));
+      return totals;
+    }, { line_count: 0, matched_count: 0, excluded_count: 0, inflow: 0, outflow: 0, fees: 0 });
+
+    const { data, error: insertError } = await supabase
+      .from('reconciliation_periods')
+      .insert([{
+        source,
+        account_key: accountKey,
+        period_start: periodStart,
+        period_end: periodEnd,
+        summary,
+        notes: notes || null,
+        locked_by: lockedBy || null
+      }])
+      .select()
+      .single();
+    if (insertError) throw insertError;
+    return data;
+  }
+
+  async listPeriods({ source, accountKey } = {}) {
+    let query = supabase
+      .from('reconciliation_periods')
+      .select('*')
+      .order('period_start', { ascending: false });
+    if (source) query = query.eq('source', source);
+    if (accountKey !== undefined) query = query.eq('account_key', accountKey);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  async unlockPeriod(periodId) {
+    const { data, error } = await supabase
+      .from('reconciliation_periods')
+      .delete()
+      .eq('id', periodId)
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) throw new AppError('Locked period not found', 404);
+    return data;
+  }
+}
+
+module.exports = new ReconciliationService();
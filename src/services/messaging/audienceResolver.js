@@ -0,0 +1,331 @@
+const { supabase } = require('../../config/supabase');
+const { AppError } = require('../../middleware/errorHandler');
+const { addressFor } = require('./broadcastDeliveryService');
+
+const PAGE_SIZE = 1000;
+const LOOKUP_CHUNK = 200;
+
+const toArray = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+const lower = (value) => (value ? String(value).trim().toLowerCase() : undefined);
+
+// Supabase caps a select at 1000 rows, so page through large audiences
+const fetchAll = async (buildQuery) => {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+};
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+};
+
+/**
+ * Turns a broadcast audience definition (audience_type + audience_filters)
+ * into a de-duplicated list of { user_id, name, email, phone } recipients.
+ *
+ * Supported filters per audience type:
+ * - all_users:         roles
+ * - community_members: community_id(s), roles, leads_only
+ * - donors:            since, until, min_amount, donation_types, campaign_name
+ * - volunteers:        community_id(s), status (default active), skills
+ * - event_attendees:   event_id (required), occurrence_id, statuses
+ * - custom:            user_ids, emails (plus the broadcast's own recipients list)
+ */
+class AudienceResolver {
+  async fromUsers(filters) {
+    const roles = toArray(filters.roles);
+    const rows = await fetchAll(() => {
+      let query = supabase
+        .from('users')
+        .select('id, full_name, email, phone, role')
+        .is('deleted_at', null)
+        .order('created_at', { ascending: true });
+      if (roles.length) query = query.in('role', roles);
+      return query;
+    });
+
+    return rows.map(user => ({ user_id: user.id, name: user.full_name, email: user.email, phone: user.phone }));
+  }
+
+  async fromCommunityMembers(filters) {
+    const communityIds = toArray(filters.community_ids || filters.community_id);
+    const roles = toArray(filters.roles);
+
+    const rows = await fetchAll(() => {
+      let query = supabase
+        .from('community_members')
+        .select('user_id, full_name, email, phone')
+        .eq('status', 'active')
+        .order('joined_at', { ascending: true });
+      if (communityIds.length) query = query.in('community_id', communityIds);
+      if (roles.length) query = query.in('role', roles);
+      if (filters.leads_only) query = query.eq('is_lead', true);
+      return query;
+    });
+
+    return rows.map(member => ({
+      user_id: member.user_id,
+      name: member.full_name,
+      email: member.email,
+      phone: member.phone
+    }));
+  }
+
+  async fromDonors(filters) {
+    const donationTypes = toArray(filters.donation_types || filters.donation_type);
+
+    const rows = await fetchAll(() => {
+      let query = supabase
+        .from('donations')
+        .select('name, email, phone, donor_name, donor_email, donor_phone')
+        .eq('payment_status', 'completed')
+        .order('donation_date', { ascending: false });
+      if (filters.since) query = query.gte('donation_date', filters.since);
+      if (filters.until) query = query.lte('donation_date', filters.until);
+      if (filters.min_amount) query = query.gte('amount', filters.min_amount);
+      if (donationTypes.length) query = query.in('donation_type', donationTypes);
+      if (filters.campaign_name) query = query.eq('campaign_name', filters.campaign_name);
+      return query;
+    });
+
+    return rows.map(donation => ({
+      name: donation.donor_name || donation.name,
+      email: donation.donor_email || donation.email,
+      phone: donation.donor_phone || donation.phone
+    }));
+  }
+
+  async fromVolunteers(filters) {
+    const communityIds = toArray(filters.community_ids || filters.community_id);
+    const skills = toArray(filters.skills);
+
+    const rows = await fetchAll(() => {
+      let query = supabase
+        .from('volunteers')
+        .select('user_id, first_name, last_name, email, phone')
+        .eq('status', filters.status || 'active')
+        .order('created_at', { ascending: true });
+      if (communityIds.length) query = query.in('community_id', communityIds);
+      if (skills.length) query = query.overlaps('skills', skills);
+      return query;
+    });
+
+    return rows.map(volunteer => ({
+      user_id: volunteer.user_id,
+      name: [volunteer.first_name, volunteer.last_name].filter(Boolean).join(' '),
+      email: volunteer.email,
+      phone: volunteer.phone
+    }));
+  }
+
+  async fromEventAttendees(filters) {
+    if (!filters.event_id) {
+      throw new AppError('audience_filters.event_id is required for event_attendees', 400);
+    }
+
+    const statuses = toArray(filters.statuses);
+
+    const registrations = await fetchAll(() => {
+      let query = supabase
+        .from('event_registrations')
+        .select('user_id, name, email, phone')
+        .eq('event_id', filters.event_id)
+        .in('status', statuses.length ? statuses : ['confirmed', 'checked_in'])
+        .order('created_at', { ascending: true });
+      if (filters.occurrence_id) query = query.eq('occurrence_id', filters.occurrence_id);
+      return query;
+    });
+
+    // Events created before registrations existed track RSVPs in event_attendees
+    const attendees = await fetchAll(() => supabase
+      .from('event_attendees')
+      .select('user_id, users:user_id ( full_name, email, phone )')
+      .eq('event_id', filters.event_id)
+      .in('status', ['registered', 'attended'])
+      .order('registered_at', { ascending: true }));
+
+    return [
+      ...registrations.map(r => ({ user_id: r.user_id, name: r.name, email: r.email, phone: r.phone })),
+      ...attendees.map(a => ({
+        user_id: a.user_id,
+        name: a.users?.full_name,
+        email: a.users?.email,
+        phone: a.users?.phone
+      }))
+    ];
+  }
+
+  async fromCustom(filters, explicitRecipients = []) {
+    const userIds = toArray(filters.user_ids);
+    const users = [];
+
+    for (const ids of chunk(userIds, LOOKUP_CHUNK)) {
+      const { data, error } = await supabase
+        .from('users')
+        .select('id, full_name, email, phone')
+        .in('id', ids);
+      if (error) throw error;
+      users.push(...(data || []).map(u => ({ user_id: u.id, name: u.full_name, email: u.email, phone: u.phone })));
+    }
+
+    const listed = [...explicitRecipients, ...toArray(filters.emails)].map(entry => {
+      if (typeof entry !== 'string') {
+        return {
+          user_id: entry.user_id || entry.id,
+          name: entry.name || entry.full_name,
+          email: entry.email,
+          phone: entry.phone
+        };
+      }
+      return entry.includes('@') ? { email: entry } : { phone: entry };
+    });
+
+    return [...users, ...listed];
+  }
+
+  /**
+   * Fill in missing user_id / phone / email from the users table so that, for
+   * example, a donor matched only by email can still receive push or SMS.
+   */
+  async enrich(recipients) {
+    const missingByEmail = [...new Set(
+      recipients.filter(r => r.email && (!r.user_id || !r.phone)).map(r => lower(r.email))
+    )];
+    const missingById = [...new Set(
+      recipients.filter(r => r.user_id && (!r.email || !r.phone)).map(r => r.user_id)
+    )];
+
+    const byEmail = new Map();
+    const byId = new Map();
+
+    for (const emails of chunk(missingByEmail, LOOKUP_CHUNK)) {
+      const { data, error } = await supabase.from('users').select('id, full_name, email, phone').in('email', emails);
+      if (error) throw error;
+      (data || []).forEach(user => byEmail.set(lower(user.email), user));
+    }
+
+    for (const ids of chunk(missingById, LOOKUP_CHUNK)) {
+      const { data, error } = await supabase.from('users').select('id, full_name, email, phone').in('id', ids);
+      if (error) throw error;
+      (data || []).forEach(user => byId.set(user.id, user));
+    }
+
+    return recipients.map(recipient => {
+      const user = byId.get(recipient.user_id) || byEmail.get(lower(recipient.email));
+      if (!user) return recipient;
+      return {
+        user_id: recipient.user_id || user.id,
+        name: recipient.name || user.full_name,
+        email: recipient.email || user.email,
+        phone: recipient.phone || user.phone
+      };
+    });
+  }
+
+  /**
+   * Collapse duplicates: the same person can appear as a member, a donor and a
+   * volunteer. Records are merged on user id first, then email, then phone.
+   */
+  dedupe(recipients) {
+    const merged = [];
+    const index = new Map();
+
+    for (const raw of recipients) {
+      const recipient = {
+        user_id: raw.user_id || undefined,
+        name: raw.name || undefined,
+        email: lower(raw.email),
+        phone: raw.phone ? String(raw.phone).trim() : undefined
+      };
+
+      const keys = [
+        recipient.user_id && `id:${recipient.user_id}`,
+        recipient.email && `email:${recipient.email}`,
+        recipient.phone && `phone:${recipient.phone.replace(/\D/g, '')}`
+      ].filter(Boolean);
+      if (keys.length === 0) continue;
+
+      const existing = keys.map(key => index.get(key)).find(Boolean);
+      const target = existing || recipient;
+      if (existing) {
+        for (const field of ['user_id', 'name', 'email', 'phone']) {
+          if (!existing[field] && recipient[field]) existing[field] = recipient[field];
+        }
+      } else {
+        merged.push(target);
+      }
+
+      [
+        target.user_id && `id:${target.user_id}`,
+        target.email && `email:${target.email}`,
+        target.phone && `phone:${target.phone.replace(/\D/g, '')}`
+      ].filter(Boolean).forEach(key => index.set(key, target));
+    }
+
+    return merged;
+  }
+
+  /**
+   * Resolve an audience definition to recipients.
+   * @param {{ audience_type: string, audience_filters?: object, recipients?: Array }} audience
+   */
+  async resolve({ audience_type, audience_filters, recipients } = {}) {
+    const filters = audience_filters || {};
+    let raw;
+
+    switch (audience_type) {
+      case 'all_users':
+        raw = await this.fromUsers(filters);
+        break;
+      case 'community_members':
+        raw = await this.fromCommunityMembers(filters);
+        break;
+      case 'donors':
+        raw = await this.fromDonors(filters);
+        break;
+      case 'volunteers':
+        raw = await this.fromVolunteers(filters);
+        break;
+      case 'event_attendees':
+        raw = await this.fromEventAttendees(filters);
+        break;
+      case 'custom':
+        raw = await this.fromCustom(filters, recipients || []);
+        break;
+      default:
+        throw new AppError(`Unknown audience type: ${audience_type}`, 400);
+    }
+
+    return this.dedupe(await this.enrich(this.dedupe(raw)));
+  }
+
+  /**
+   * Count and sample an audience without sending anything. "reachable" is the
+   * number of recipients with an address for the chosen channel.
+   */
+  async preview(audience, { channel = 'email', sampleSize = 10 } = {}) {
+    const recipients = await this.resolve(audience);
+    const reachable = recipients.filter(recipient => addressFor(recipient, channel));
+
+    return {
+      audience_type: audience.audience_type,
+      channel,
+      total: recipients.length,
+      reachable: reachable.length,
+      unreachable: recipients.length - reachable.length,
+      sample: reachable.slice(0, sampleSize)
+    };
+  }
+}
+
+module.exports = new AudienceResolver();
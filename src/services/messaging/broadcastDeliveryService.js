@@ -0,0 +1,264 @@
+const Broadcast = require('../../models/Broadcast');
+const BroadcastDelivery = require('../../models/BroadcastDelivery');
+const { AppError } = require('../../middleware/errorHandler');
+const { getProvider } = require('./index');
+const { contactFor } = require('../../utils/contactHelpers');
+const preferenceService = require('./preferenceService');
+const templateRenderer = require('./templateRenderer');
+
+const MAX_ATTEMPTS = 4;
+const RETRY_BASE_MS = 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Accepts a bare email / phone string or a user-like object
+const normalizeRecipient = (raw) => {
+  if (!raw) return null;
+  if (typeof raw === 'string') {
+    return raw.includes('@') ? { email: raw.trim().toLowerCase() } : { phone: raw.trim() };
+  }
+  return {
+    user_id: raw.user_id || raw.id || undefined,
+    name: raw.name || raw.full_name || undefined,
+    email: raw.email ? String(raw.email).trim().toLowerCase() : undefined,
+    phone: raw.phone || raw.mobile || undefined
+  };
+};
+
+const addressFor = (recipient, channel) => contactFor(channel, recipient);
+
+class BroadcastDeliveryService {
+  /**
+   * Build the per-channel message for a broadcast. Template content (the
+   * template's variant for the channel, if any) is used when the broadcast has
+   * no body of its own; either way the body is rendered per recipient with the
+   * template's variables and the broadcast's `template_data`.
+   */
+  buildMessage(broadcast) {
+    const template = broadcast.template_id?.content ? broadcast.template_id : null;
+    const source = template ? templateRenderer.sourcesFor(template, broadcast.channel) : {};
+
+    return {
+      channel: broadcast.channel,
+      from: process.env.EMAIL_FROM || 'noreply@temple.com',
+      topic: broadcast.topic || 'general',
+      data: { broadcast_id: String(broadcast._id) },
+      template: {
+        subject: broadcast.subject || source.subject || 'Message from Sai Samsthan USA',
+        content: broadcast.content || source.content || '',
+        // A template's plain-text email part only matches the template's own body
+        variants: !broadcast.content && source.text ? { email: { text: source.text } } : {},
+        variables: template?.variables || []
+      },
+      values: broadcast.template_data || {}
+    };
+  }
+
+  /**
+   * Render the message against a sample recipient so a broadcast with a broken
+   * template, missing required variables or an over-long SMS is rejected
+   * before anything is queued.
+   */
+  checkMessage(message) {
+    templateRenderer.render(message.template, {
+      channel: message.channel,
+      data: message.values,
+      sample: true,
+      strict: true
+    });
+  }
+
+  personalize(message, recipient) {
+    const { template, values, ...base } = message;
+    const rendered = templateRenderer.render(template, {
+      channel: message.channel,
+      data: values,
+      recipient,
+      strict: true
+    });
+    return { ...base, subject: rendered.subject, html: rendered.html, text: rendered.text };
+  }
+
+  /**
+   * Create one pending delivery per unique address. Opted-out recipients and
+   * those with no usable address for the channel are recorded as skipped so
+   * they show up in reports.
+   */
+  async createDeliveries(broadcast, recipients, { suppressed = [] } = {}) {
+    const seen = new Set();
+    const docs = [];
+
+    for (const raw of suppressed) {
+      const recipient = normalizeRecipient(raw);
+      docs.push({
+        broadcast_id: broadcast._id,
+        channel: broadcast.channel,
+        recipient,
+        address: addressFor(recipient, broadcast.channel),
+        status: 'skipped',
+        error_message: 'Recipient opted out',
+        metadata: { suppressed: true }
+      });
+    }
+
+    for (const raw of recipients) {
+      const recipient = normalizeRecipient(raw);
+      if (!recipient) continue;
+
+      const address = addressFor(recipient, broadcast.channel);
+      if (address) {
+        if (seen.has(address)) continue;
+        seen.add(address);
+      }
+
+      docs.push({
+        broadcast_id: broadcast._id,
+        channel: broadcast.channel,
+        recipient,
+        address,
+        status: address ? 'pending' : 'skipped',
+        error_message: address ? undefined : `No ${broadcast.channel} address for recipient`
+      });
+    }
+
+    if (docs.length === 0) return [];
+    return BroadcastDelivery.insertMany(docs);
+  }
+
+  async sendOne(delivery, message) {
+    const provider = getProvider(delivery.channel);
+    let result;
+
+    try {
+      const personalized = this.personalize(message, delivery.recipient);
+      result = await provider.send({
+        ...personalized,
+        to: delivery.address,
+        // Echoed back by delivery event webhooks
+        data: { ...personalized.data, delivery_id: String(delivery._id) }
+      });
+    } catch (error) {
+      // Rendering errors (bad data for this recipient) will not fix themselves
+      result = { status: 'failed', provider: provider.name, error: error.message, retryable: !error.statusCode };
+    }
+
+    delivery.attempts += 1;
+    delivery.provider = result.provider;
+    delivery.provider_message_id = result.provider_message_id;
+
+    if (result.status === 'sent') {
+      delivery.status = 'sent';
+      delivery.sent_at = new Date();
+      delivery.error_message = undefined;
+      delivery.retryable = false;
+      delivery.next_attempt_at = undefined;
+    } else if (result.status === 'skipped') {
+      // Opted out between audience resolution and sending
+      delivery.status = 'skipped';
+      delivery.error_message = result.error;
+      delivery.retryable = false;
+      delivery.next_attempt_at = undefined;
+    } else {
+      // Transient failures are retried with exponential backoff until MAX_ATTEMPTS
+      const retryable = Boolean(result.retryable) && delivery.attempts < MAX_ATTEMPTS;
+      delivery.status = 'failed';
+      delivery.error_message = result.error;
+      delivery.retryable = retryable;
+      delivery.next_attempt_at = retryable
+        ? new Date(Date.now() + RETRY_BASE_MS * 2 ** (delivery.attempts - 1))
+        : undefined;
+    }
+
+    await delivery.save();
+    return delivery;
+  }
+
+  /**
+   * Send deliveries in concurrent chunks, throttled to BROADCAST_RATE_PER_SECOND
+   * so a large broadcast does not trip provider rate limits.
+   */
+  async sendDeliveries(deliveries, message, { shouldStop } = {}) {
+    const ratePerSecond = Math.max(parseInt(process.env.BROADCAST_RATE_PER_SECOND) || 10, 1);
+    const concurrency = Math.min(ratePerSecond, 10);
+    const chunkWindowMs = Math.ceil((concurrency / ratePerSecond) * 1000);
+
+    for (let i = 0; i < deliveries.length; i += concurrency) {
+      if (shouldStop && await shouldStop()) return false;
+
+      const startedAt = Date.now();
+      const chunk = deliveries.slice(i, i + concurrency);
+      await Promise.all(chunk.map(delivery => this.sendOne(delivery, message)));
+
+      // Email sends are counted by emailService itself
+      if (message.channel !== 'email') {
+        const sent = chunk.filter(delivery => delivery.status === 'sent').length;
+        await preferenceService.recordSendStats(message.channel, message.topic, sent);
+      }
+
+      const elapsed = Date.now() - startedAt;
+      if (i + concurrency < deliveries.length && elapsed < chunkWindowMs) {
+        await sleep(chunkWindowMs - elapsed);
+      }
+    }
+
+    return true;
+  }
+
+  // Recompute the broadcast counters from the stored delivery records
+  async refreshCounts(broadcast) {
+    const rows = await BroadcastDelivery.aggregate([
+      { $match: { broadcast_id: broadcast._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const counts = Object.fromEntries(rows.map(row => [row._id, row.count]));
+    const delivered = (counts.delivered || 0) + (counts.opened || 0) + (counts.clicked || 0);
+
+    broadcast.total_recipients = rows.reduce((sum, row) => sum + row.count, 0);
+    broadcast.sent_count = (counts.sent || 0) + delivered;
+    broadcast.failed_count = (counts.failed || 0) + (counts.bounced || 0);
+    broadcast.skipped_count = counts.skipped || 0;
+    // Engagement counts are cumulative: a clicked delivery was also opened and delivered
+    broadcast.delivered_count = delivered;
+    broadcast.opened_count = (counts.opened || 0) + (counts.clicked || 0);
+    broadcast.clicked_count = counts.clicked || 0;
+    counts.awaiting_retry = await BroadcastDelivery.countDocuments({
+      broadcast_id: broadcast._id,
+      status: 'failed',
+      retryable: true
+    });
+    return counts;
+  }
+
+  async getDeliveries(broadcastId, { status, page = 1, limit = 50 } = {}) {
+    const broadcast = await Broadcast.findById(broadcastId).select('_id');
+    if (!broadcast) throw new AppError('Broadcast not found', 404);
+
+    const query = { broadcast_id: broadcast._id };
+    if (status && status !== 'all') query.status = status;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const [deliveries, total] = await Promise.all([
+      BroadcastDelivery.find(query)
+        .sort({ created_at: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      BroadcastDelivery.countDocuments(query)
+    ]);
+
+    return {
+      deliveries,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        totalPages: Math.ceil(total / limitNum)
+      }
+    };
+  }
+}
+
+module.exports = new BroadcastDeliveryService();
+module.exports.addressFor = addressFor;
@@ -0,0 +1,366 @@
+const os = require('os');
+const mongoose = require('mongoose');
+const Broadcast = require('../../models/Broadcast');
+const BroadcastDelivery = require('../../models/BroadcastDelivery');
+const BroadcastJob = require('../../models/BroadcastJob');
+const { AppError } = require('../../middleware/errorHandler');
+const broadcastDeliveryService = require('./broadcastDeliveryService');
+const audienceResolver = require('./audienceResolver');
+const preferenceService = require('./preferenceService');
+
+const POLL_INTERVAL_MS = parseInt(process.env.BROADCAST_POLL_INTERVAL_MS) || 15000;
+const BATCH_SIZE = parseInt(process.env.BROADCAST_BATCH_SIZE) || 100;
+// A running job whose lock has not been refreshed for this long belongs to a
+// dispatcher that died; another instance may take it over
+const LOCK_TTL_MS = 5 * 60 * 1000;
+const MAX_JOB_RUNS = 5;
+const JOB_RETRY_BASE_MS = 60 * 1000;
+
+const TERMINAL_BROADCAST_STATUSES = ['sending', 'sent', 'cancelled'];
+const TEMPLATE_FIELDS = 'name type content subject variables variants';
+
+/**
+ * Background dispatcher for broadcasts. Sends are queued as BroadcastJob
+ * documents and processed outside the HTTP request:
+ *
+ * 1. Due `scheduled` broadcasts are enqueued on every poll.
+ * 2. A job is claimed with an atomic lock, its audience is resolved once into
+ *    pending BroadcastDelivery records, and those are sent in throttled batches.
+ * 3. Transient failures are re-sent with exponential backoff; the job sleeps
+ *    (`retrying`) until the next delivery is due.
+ *
+ * Because every recipient's state lives in BroadcastDelivery, a restart simply
+ * resumes with whatever is still pending.
+ */
+class BroadcastDispatcher {
+  constructor() {
+    this.instanceId = `${os.hostname()}-${process.pid}`;
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  isReady() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  start() {
+    if (this.timer || process.env.BROADCAST_DISPATCHER_ENABLED === 'false') return;
+
+    this.timer = setInterval(() => this.tick(), POLL_INTERVAL_MS);
+    this.timer.unref();
+    console.log(`📣 Broadcast dispatcher started (polling every ${POLL_INTERVAL_MS / 1000}s)`);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Run a tick soon without waiting for the next poll
+  kick() {
+    setImmediate(() => this.tick());
+  }
+
+  async tick() {
+    if (this.ticking || !this.isReady()) return;
+    this.ticking = true;
+
+    try {
+      await this.enqueueDueScheduled();
+
+      let job;
+      while ((job = await this.claimNext())) {
+        await this.processJob(job);
+      }
+    } catch (error) {
+      console.error('❌ Broadcast dispatcher error:', error.message);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  async enqueueDueScheduled() {
+    const due = await Broadcast.find({
+      status: 'scheduled',
+      scheduled_at: { $lte: new Date() }
+    }).limit(50);
+
+    for (const broadcast of due) {
+      console.log(`⏰ Scheduled broadcast ${broadcast._id} is due`);
+      try {
+        await this.enqueue(broadcast, { kick: false });
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        // Content that cannot be rendered - fail it rather than retry every poll
+        broadcast.status = 'failed';
+        broadcast.error_message = error.message;
+        await broadcast.save();
+      }
+    }
+  }
+
+  /**
+   * Queue a broadcast for sending. A fresh send discards delivery records left
+   * over from an earlier failed attempt; a retry keeps them. A fresh send is
+   * refused (400) when its content does not render.
+   */
+  async enqueue(broadcast, { fresh = true, kick = true } = {}) {
+    if (fresh) {
+      if (TERMINAL_BROADCAST_STATUSES.includes(broadcast.status)) {
+        throw new AppError(`Broadcast is already ${broadcast.status}`, 409);
+      }
+      await broadcast.populate('template_id', TEMPLATE_FIELDS);
+      broadcastDeliveryService.checkMessage(broadcastDeliveryService.buildMessage(broadcast));
+      await BroadcastDelivery.deleteMany({ broadcast_id: broadcast._id });
+    }
+
+    broadcast.status = 'sending';
+    broadcast.error_message = undefined;
+    await broadcast.save();
+
+    const update = {
+      status: 'queued',
+      run_at: new Date(),
+      last_error: null,
+      locked_by: null,
+      locked_at: null,
+      completed_at: null,
+      updated_at: new Date()
+    };
+    if (fresh) {
+      Object.assign(update, {
+        prepared_at: null,
+        runs: 0,
+        started_at: null,
+        progress: { total: 0, processed: 0, sent: 0, failed: 0, skipped: 0, awaiting_retry: 0 }
+      });
+    }
+
+    const job = await BroadcastJob.findOneAndUpdate(
+      { broadcast_id: broadcast._id },
+      { $set: update },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    if (kick) this.kick();
+    return job;
+  }
+
+  async claimNext() {
+    const now = new Date();
+    return BroadcastJob.findOneAndUpdate(
+      {
+        $or: [
+          { status: { $in: ['queued', 'retrying'] }, run_at: { $lte: now } },
+          { status: 'running', locked_at: { $lt: new Date(now.getTime() - LOCK_TTL_MS) } }
+        ]
+      },
+      {
+        $set: { status: 'running', locked_by: this.instanceId, locked_at: now },
+        $inc: { runs: 1 }
+      },
+      { new: true, sort: { run_at: 1 } }
+    );
+  }
+
+  async prepare(job, broadcast) {
+    const recipients = await audienceResolver.resolve(broadcast);
+    if (recipients.length === 0) {
+      throw new AppError('No recipients matched the broadcast audience', 400);
+    }
+
+    const { allowed, suppressed } = await preferenceService.filterRecipients(recipients, {
+      channel: broadcast.channel,
+      topic: broadcast.topic
+    });
+    await preferenceService.recordSendStats(broadcast.channel, broadcast.topic, 0, suppressed.length);
+
+    const deliveries = await broadcastDeliveryService.createDeliveries(broadcast, allowed, { suppressed });
+    job.prepared_at = new Date();
+    job.started_at = job.started_at || new Date();
+    job.progress.total = deliveries.length;
+    await job.save();
+
+    console.log(`📣 Broadcast ${broadcast._id}: ${allowed.length} ${broadcast.channel} deliveries queued, ${suppressed.length} opted out`);
+  }
+
+  // Refresh the lock and progress between batches; returns true when the
+  // broadcast was cancelled and sending should stop
+  async heartbeat(job, broadcast) {
+    const current = await Broadcast.findById(broadcast._id).select('status');
+    if (!current || current.status === 'cancelled') return true;
+
+    const counts = await broadcastDeliveryService.refreshCounts(broadcast);
+    this.applyProgress(job, counts);
+    job.locked_at = new Date();
+    await job.save();
+    return false;
+  }
+
+  applyProgress(job, counts) {
+    const sent = (counts.sent || 0) + (counts.delivered || 0) + (counts.opened || 0) + (counts.clicked || 0);
+    const failed = (counts.failed || 0) + (counts.bounced || 0);
+    const skipped = counts.skipped || 0;
+
+    job.progress.sent = sent;
+    job.progress.failed = failed;
+    job.progress.skipped = skipped;
+    job.progress.processed = sent + failed + skipped;
+    job.progress.awaiting_retry = counts.awaiting_retry || 0;
+  }
+
+  async sendBatches(job, broadcast, query) {
+    const message = broadcastDeliveryService.buildMessage(broadcast);
+    const shouldStop = () => this.heartbeat(job, broadcast);
+
+    for (;;) {
+      const batch = await BroadcastDelivery.find(query).sort({ created_at: 1 }).limit(BATCH_SIZE);
+      if (batch.length === 0) return true;
+
+      const completed = await broadcastDeliveryService.sendDeliveries(batch, message, { shouldStop });
+      if (!completed || await shouldStop()) return false;
+    }
+  }
+
+  async processJob(job) {
+    const broadcast = await Broadcast.findById(job.broadcast_id)
+      .populate('template_id', TEMPLATE_FIELDS);
+
+    if (!broadcast) {
+      job.status = 'failed';
+      job.last_error = 'Broadcast was deleted';
+      job.locked_by = null;
+      await job.save();
+      return;
+    }
+
+    try {
+      if (broadcast.status === 'cancelled') return await this.cancel(broadcast._id);
+      if (!job.prepared_at) await this.prepare(job, broadcast);
+
+      const finishedPending = await this.sendBatches(job, broadcast, {
+        broadcast_id: broadcast._id,
+        status: 'pending'
+      });
+      const finishedRetries = finishedPending && await this.sendBatches(job, broadcast, {
+        broadcast_id: broadcast._id,
+        status: 'failed',
+        retryable: true,
+        next_attempt_at: { $lte: new Date() }
+      });
+
+      if (!finishedRetries) return await this.cancel(broadcast._id);
+
+      const counts = await broadcastDeliveryService.refreshCounts(broadcast);
+      this.applyProgress(job, counts);
+      job.locked_by = null;
+      job.locked_at = null;
+      job.last_error = null;
+
+      if (counts.awaiting_retry > 0) {
+        const next = await BroadcastDelivery.findOne({
+          broadcast_id: broadcast._id,
+          status: 'failed',
+          retryable: true
+        }).sort({ next_attempt_at: 1 }).select('next_attempt_at');
+
+        job.status = 'retrying';
+        job.run_at = next?.next_attempt_at || new Date(Date.now() + JOB_RETRY_BASE_MS);
+        await Promise.all([job.save(), broadcast.save()]);
+        console.log(`🔁 Broadcast ${broadcast._id}: ${counts.awaiting_retry} deliveries awaiting retry at ${job.run_at.toISOString()}`);
+        return;
+      }
+
+      broadcast.status = broadcast.sent_count > 0 ? 'sent' : 'failed';
+      broadcast.sent_at = new Date();
+      if (broadcast.status === 'failed') {
+        broadcast.error_message = broadcast.failed_count > 0
+          ? 'All deliveries failed'
+          : `No recipients have a ${broadcast.channel} address`;
+      }
+      job.status = 'completed';
+      job.completed_at = new Date();
+      await Promise.all([job.save(), broadcast.save()]);
+
+      console.log(`✅ Broadcast ${broadcast._id}: ${broadcast.sent_count} sent, ${broadcast.failed_count} failed, ${broadcast.skipped_count} skipped`);
+    } catch (error) {
+      await this.failJob(job, broadcast, error);
+    }
+  }
+
+  // Job-level failure (database or audience errors, not provider rejections)
+  async failJob(job, broadcast, error) {
+    const permanent = error.statusCode && error.statusCode < 500;
+    const giveUp = permanent || job.runs >= MAX_JOB_RUNS;
+
+    console.error(`❌ Broadcast ${broadcast._id} job run ${job.runs} failed:`, error.message);
+
+    job.last_error = error.message;
+    job.locked_by = null;
+    job.locked_at = null;
+
+    if (giveUp) {
+      job.status = 'failed';
+      job.completed_at = new Date();
+      broadcast.status = 'failed';
+      broadcast.error_message = error.message;
+      await broadcast.save();
+    } else {
+      job.status = 'retrying';
+      job.run_at = new Date(Date.now() + JOB_RETRY_BASE_MS * 2 ** (job.runs - 1));
+    }
+
+    await job.save();
+  }
+
+  /**
+   * Stop a broadcast: anything not yet sent is marked skipped.
+   */
+  async cancel(broadcastId) {
+    await BroadcastDelivery.updateMany(
+      { broadcast_id: broadcastId, $or: [{ status: 'pending' }, { status: 'failed', retryable: true }] },
+      { $set: { status: 'skipped', retryable: false, error_message: 'Broadcast cancelled', updated_at: new Date() } }
+    );
+
+    await BroadcastJob.updateOne(
+      { broadcast_id: broadcastId, status: { $nin: ['completed', 'failed'] } },
+      { $set: { status: 'cancelled', locked_by: null, locked_at: null, completed_at: new Date(), updated_at: new Date() } }
+    );
+  }
+
+  /**
+   * Make every retryable failure due now and re-queue the broadcast.
+   */
+  async retry(broadcast) {
+    if (broadcast.status === 'cancelled') {
+      throw new AppError('Broadcast has been cancelled', 409);
+    }
+
+    const { modifiedCount } = await BroadcastDelivery.updateMany(
+      { broadcast_id: broadcast._id, status: 'failed', retryable: true },
+      { $set: { next_attempt_at: new Date(), updated_at: new Date() } }
+    );
+
+    if (modifiedCount > 0) await this.enqueue(broadcast, { fresh: false });
+    return { retried: modifiedCount };
+  }
+
+  async getProgress(broadcastId) {
+    const job = await BroadcastJob.findOne({ broadcast_id: broadcastId }).lean();
+    if (!job) return null;
+
+    const { total, processed } = job.progress || {};
+    return {
+      status: job.status,
+      ...job.progress,
+      percent: total ? Math.round((processed / total) * 100) : 0,
+      next_run_at: ['queued', 'retrying'].includes(job.status) ? job.run_at : null,
+      runs: job.runs,
+      last_error: job.last_error || null,
+      started_at: job.started_at || null,
+      completed_at: job.completed_at || null
+    };
+  }
+}
+
+module.exports = new BroadcastDispatcher();
@@ -0,0 +1,326 @@
+const { supabase } = require('../../config/supabase');
+const { AppError } = require('../../middleware/errorHandler');
+const { DEFAULT_TIMEZONE } = require('../../config/constants');
+const { isValidTimezone, zonedTimeToUtc } = require('../../utils/dateHelpers');
+const emailService = require('../emailService');
+const templateRenderer = require('./templateRenderer');
+const audienceResolver = require('./audienceResolver');
+
+// A scheduled time this far in the past is still accepted (clock skew, slow forms)
+const PAST_GRACE_MS = 60 * 1000;
+// A row left in `sending` this long belongs to a send that died mid-way
+const STALE_SENDING_MS = 15 * 60 * 1000;
+const RESCHEDULABLE_STATUSES = ['scheduled', 'failed', 'cancelled'];
+
+// "2026-03-01T09:30" or "2026-03-01 09:30:00" - a wall-clock time with no offset
+const LOCAL_DATETIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+/**
+ * Sending and scheduling for one-off emails (email_communications). Immediate
+ * and scheduled sends share deliver(), so both render per recipient, respect
+ * communication preferences and record their outcome on the row the same way:
+ * one attempt, `sent` or `failed`. A failed email is not retried automatically;
+ * it can be rescheduled.
+ */
+class EmailCommunicationService {
+  // email_templates.variables may hold bare names or { name, default_value } objects
+  normalizeVariables(variables) {
+    return (Array.isArray(variables) ? variables : [])
+      .map(variable => (typeof variable === 'string' ? { name: variable } : variable))
+      .filter(variable => variable?.name);
+  }
+
+  // Subject / content fall back to the saved template's own
+  async loadTemplate({ template_id, subject, content }) {
+    if (!template_id) return { subject, content, variables: [] };
+
+    const { data: saved, error } = await supabase
+      .from('email_templates')
+      .select('subject, content, variables')
+      .eq('id', template_id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!saved) throw new AppError('Template not found', 404);
+
+    return {
+      subject: subject || saved.subject,
+      content: content || saved.content,
+      variables: this.normalizeVariables(saved.variables)
+    };
+  }
+
+  // Timezone used for wall-clock schedule times: the requested one, else the
+  // community's settings.timezone, else the temple's
+  async resolveTimezone(timezone, communityId) {
+    if (timezone) {
+      if (!isValidTimezone(timezone)) throw new AppError(`Invalid timezone: ${timezone}`, 400);
+      return timezone;
+    }
+
+    if (communityId) {
+      const { data: community, error } = await supabase
+        .from('communities')
+        .select('settings')
+        .eq('id', communityId)
+        .maybeSingle();
+
+      if (error) throw error;
+      const communityTimezone = community?.settings?.timezone;
+      if (isValidTimezone(communityTimezone)) return communityTimezone;
+    }
+
+    return DEFAULT_TIMEZONE;
+  }
+
+  /**
+   * Turn a requested send time into a UTC instant. Times with an offset or `Z`
+   * are taken as-is; wall-clock times are read in the resolved timezone.
+   * @returns {Promise<{ scheduledAt: string, timezone: string }>}
+   */
+  async resolveSchedule({ scheduled_at, timezone, community_id }) {
+    const zone = await this.resolveTimezone(timezone, community_id);
+    const local = LOCAL_DATETIME_PATTERN.exec(String(scheduled_at).trim());
+
+    const instant = local
+      ? zonedTimeToUtc({
+        year: parseInt(local[1], 10),
+        month: parseInt(local[2], 10),
+        day: parseInt(local[3], 10),
+        hour: parseInt(local[4], 10),
+        minute: parseInt(local[5], 10),
+        second: parseInt(local[6] || '0', 10)
+      }, zone)
+      : new Date(scheduled_at);
+
+    if (Number.isNaN(instant.getTime())) {
+      throw new AppError('scheduled_at must be a valid date-time', 400);
+    }
+    if (instant.getTime() < Date.now() - PAST_GRACE_MS) {
+      throw new AppError('scheduled_at must be in the future', 400);
+    }
+
+    return { scheduledAt: instant.toISOString(), timezone: zone };
+  }
+
+  // Merge the results of several emailService.sendEmail calls into one
+  combineResults(results) {
+    const sent = results.filter(result => result.success);
+    if (sent.length === 0) {
+      return results[0] || { success: false, error: 'No recipients', status: 'failed' };
+    }
+
+    const sum = (field) => results.reduce((total, result) => total + (result[field] || 0), 0);
+    return {
+      success: true,
+      messageId: sent.find(result => result.messageId)?.messageId || null,
+      recipients: sum('recipients'),
+      failed: sum('failed') + (results.length - sent.length),
+      suppressed: sum('suppressed'),
+      status: sent.some(result => result.status === 'sent') ? 'sent' : sent[0].status
+    };
+  }
+
+  /**
+   * Render and send a stored email, then record the outcome on its row.
+   * Never throws for a failed send - the row is marked `failed` instead.
+   * @returns {Promise<{ success: boolean, record: object, result?: object, error?: string }>}
+   */
+  async deliver(record) {
+    const recipients = record.recipient_emails || [];
+    let outcome;
+
+    try {
+      const { variables } = record.template_id
+        ? await this.loadTemplate({ template_id: record.template_id }).catch(error => {
+          // A template deleted after scheduling only loses its variable defaults
+          if (error.statusCode === 404) return { variables: [] };
+          throw error;
+        })
+        : { variables: [] };
+      const template = { subject: record.subject, content: record.content, variables };
+
+      // Recipients who get identical output share one send
+      const people = templateRenderer.uses(template, 'recipient')
+        ? await audienceResolver.enrich(recipients.map(email => ({ email })))
+        : recipients.map(email => ({ email }));
+      const batches = templateRenderer.renderBatches(template, {
+        channel: 'email',
+        data: record.template_data || {},
+        recipients: people
+      });
+
+      const results = [];
+      for (const batch of batches) {
+        results.push(await emailService.sendEmail({
+          from: process.env.EMAIL_FROM || record.sender_email,
+          to: batch.recipients.map(person => person.email),
+          subject: batch.subject,
+          html: batch.html,
+          text: batch.text,
+          topic: record.topic || 'general'
+        }));
+      }
+
+      const result = this.combineResults(results);
+      if (!result.success) throw new Error(result.error);
+      outcome = { success: true, result };
+    } catch (error) {
+      outcome = { success: false, error: error.message };
+    }
+
+    const now = new Date().toISOString();
+    const updates = outcome.success
+      ? {
+        status: 'sent',
+        sent_at: now,
+        delivery_status: outcome.result,
+        recipient_count: recipients.length,
+        last_error: null
+      }
+      : {
+        status: 'failed',
+        delivery_status: { error: outcome.error },
+        last_error: outcome.error
+      };
+
+    const { data: updated, error: updateError } = await supabase
+      .from('email_communications')
+      .update({ ...updates, attempts: (record.attempts || 0) + 1, updated_at: now })
+      .eq('id', record.id)
+      .select('*')
+      .maybeSingle();
+
+    if (updateError) {
+      console.error(`❌ Could not record send result for email ${record.id}:`, updateError.message);
+    }
+
+    return { ...outcome, record: updated || { ...record, ...updates } };
+  }
+
+  async getEmail(id) {
+    const { data, error } = await supabase
+      .from('email_communications')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new AppError('Email not found', 404);
+    return data;
+  }
+
+  // Only emails still waiting to go out can be cancelled
+  async cancel(id, actor) {
+    const email = await this.getEmail(id);
+    if (email.status !== 'scheduled') {
+      throw new AppError(`Cannot cancel an email that is ${email.status}`, 409);
+    }
+
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('email_communications')
+      .update({ status: 'cancelled', cancelled_at: now, cancelled_by: actor || null, updated_at: now })
+      .eq('id', id)
+      .eq('status', 'scheduled')
+      .select('*')
+      .maybeSingle();
+
+    if (error) throw error;
+    // The scheduler claimed it between the read and the update
+    if (!data) throw new AppError('Email is already being sent', 409);
+    return data;
+  }
+
+  // Move a scheduled email, or put a failed / cancelled one back in the queue
+  async reschedule(id, { scheduled_at, timezone }) {
+    const email = await this.getEmail(id);
+    if (!RESCHEDULABLE_STATUSES.includes(email.status)) {
+      throw new AppError(`Cannot reschedule an email that is ${email.status}`, 409);
+    }
+
+    const schedule = await this.resolveSchedule({
+      scheduled_at,
+      timezone: timezone || email.timezone,
+      community_id: email.community_id
+    });
+
+    const { data, error } = await supabase
+      .from('email_communications')
+      .update({
+        status: 'scheduled',
+        scheduled_at: schedule.scheduledAt,
+        timezone: schedule.timezone,
+        last_error: null,
+        cancelled_at: null,
+        cancelled_by: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .eq('status', email.status)
+      .select('*')
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new AppError('Email changed while rescheduling; try again', 409);
+    return data;
+  }
+
+  /**
+   * Claim up to `limit` due scheduled emails by moving them to `sending`.
+   * The status check in the update makes the claim safe across instances.
+   */
+  async claimDue(limit) {
+    const { data: due, error } = await supabase
+      .from('email_communications')
+      .select('id')
+      .eq('status', 'scheduled')
+      .lte('scheduled_at', new Date().toISOString())
+      .order('scheduled_at', { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+
+    const claimed = [];
+    for (const { id } of due || []) {
+      const { data, error: claimError } = await supabase
+        .from('email_communications')
+        .update({ status: 'sending', updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .eq('status', 'scheduled')
+        .select('*')
+        .maybeSingle();
+
+      if (claimError) throw claimError;
+      if (data) claimed.push(data);
+    }
+    return claimed;
+  }
+
+  /**
+   * Fail scheduled emails stuck in `sending` (the process died mid-send). They
+   * are not re-sent automatically since some recipients may already have them.
+   */
+  async failStaleSends() {
+    const cutoff = new Date(Date.now() - STALE_SENDING_MS).toISOString();
+    const message = 'Send was interrupted; reschedule to try again';
+
+    const { data, error } = await supabase
+      .from('email_communications')
+      .update({
+        status: 'failed',
+        delivery_status: { error: message },
+        last_error: message,
+        updated_at: new Date().toISOString()
+      })
+      .eq('status', 'sending')
+      .not('scheduled_at', 'is', null)
+      .lt('updated_at', cutoff)
+      .select('id');
+
+    if (error) throw error;
+    return (data || []).length;
+  }
+}
+
+module.exports = new EmailCommunicationService();
@@ -0,0 +1,407 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { supabase } = require('../../config/supabase');
+const { AppError } = require('../../middleware/errorHandler');
+const { normalizeEmail } = require('../../utils/contactHelpers');
+const Broadcast = require('../../models/Broadcast');
+const BroadcastDelivery = require('../../models/BroadcastDelivery');
+const broadcastDeliveryService = require('./broadcastDeliveryService');
+const preferenceService = require('./preferenceService');
+const givingStatementService = require('../financial/givingStatementService');
+
+const SIMULATED_EVENTS = ['processed', 'delivered', 'open', 'click', 'bounce', 'dropped', 'deferred', 'spamreport'];
+
+// Engagement only moves a delivery forward: an open reported after the click
+// (events arrive out of order) must not downgrade it
+const ENGAGEMENT = {
+  delivered: { status: 'delivered', field: 'delivered_at', from: ['sent'] },
+  open: { status: 'opened', field: 'opened_at', from: ['sent', 'delivered'] },
+  click: { status: 'clicked', field: 'clicked_at', from: ['sent', 'delivered', 'opened'] }
+};
+const FAILABLE = ['pending', 'sent', 'delivered', 'opened', 'clicked'];
+
+const isMongoReady = () => mongoose.connection.readyState === 1;
+
+// The X-Message-Id returned at send time is sg_message_id up to the first "."
+const messageIdOf = (sgMessageId) => (sgMessageId ? String(sgMessageId).split('.')[0] : null);
+
+/**
+ * Delivery events from the SendGrid Event Webhook (delivered, open, click,
+ * bounce, dropped, deferred, spamreport).
+ *
+ * Every event is logged once in email_events, then applied:
+ * - broadcast deliveries advance to delivered / opened / clicked, or become
+ *   bounced / failed, and the broadcast's counters are recomputed
+ * - a bounced or dropped giving statement is marked bounced
+ * - a hard bounce or spam report opts the address out of all optional email
+ */
+class EmailEventService {
+  // ==========================================================================
+  // Webhook
+  // ==========================================================================
+
+  /**
+   * Check the Signed Event Webhook signature (ECDSA over timestamp + raw
+   * body). Without SENDGRID_WEBHOOK_PUBLIC_KEY the endpoint refuses events -
+   * unsigned ones could suppress any address - except in development or with
+   * SENDGRID_WEBHOOK_ALLOW_UNSIGNED=true, where they are accepted unverified.
+   * @returns {'verified'|'skipped'}
+   */
+  verifySignature(rawBody, signature, timestamp) {
+    const key = process.env.SENDGRID_WEBHOOK_PUBLIC_KEY;
+    if (!key) {
+      if (this.unsignedAllowed()) return 'skipped';
+      console.error('❌ SendGrid webhook rejected - SENDGRID_WEBHOOK_PUBLIC_KEY is not configured');
+      throw new AppError('Email event webhook is not configured', 503);
+    }
+
+    if (!rawBody || !signature || !timestamp) {
+      throw new AppError('Missing webhook signature', 401);
+    }
+
+    const pem = key.includes('BEGIN PUBLIC KEY')
+      ? key
+      : `-----BEGIN PUBLIC KEY-----\n${key}\n-----END PUBLIC KEY-----`;
+
+    let verified = false;
+    try {
+      verified = crypto.verify(
+        'sha256',
+        Buffer.concat([Buffer.from(String(timestamp)), rawBody]),
+        pem,
+        Buffer.from(String(signature), 'base64')
+      );
+    } catch (error) {
+      console.error('⚠️ SendGrid webhook signature check failed:', error.message);
+    }
+
+    if (!verified) throw new AppError('Invalid webhook signature', 403);
+    return 'verified';
+  }
+
+  unsignedAllowed() {
+    return process.env.NODE_ENV === 'development' || process.env.SENDGRID_WEBHOOK_ALLOW_UNSIGNED === 'true';
+  }
+
+  toRow(event, { source, verificationStatus }) {
+    const sgEventId = event.sg_event_id || crypto
+      .createHash('sha256')
+      .update([event.sg_message_id, event.event, event.email, event.timestamp, event.url].join('|'))
+      .digest('hex');
+
+    return {
+      sg_event_id: sgEventId,
+      sg_message_id: event.sg_message_id || null,
+      message_id: messageIdOf(event.sg_message_id),
+      event: event.event,
+      email: normalizeEmail(event.email),
+      occurred_at: new Date((Number(event.timestamp) || Date.now() / 1000) * 1000).toISOString(),
+      bounce_type: event.event === 'bounce' ? (event.type || 'bounce') : null,
+      reason: event.reason || event.response || null,
+      url: event.url || null,
+      broadcast_id: event.broadcast_id || null,
+      delivery_id: event.delivery_id || null,
+      source,
+      verification_status: verificationStatus,
+      payload: event
+    };
+  }
+
+  /**
+   * Log a batch of webhook events and apply the new ones. Events already seen
+   * (SendGrid retries unacknowledged batches) are skipped.
+   */
+  async ingest(events, { source = 'sendgrid', verificationStatus = 'skipped' } = {}) {
+    const rows = events
+      .filter(event => event && event.event && event.email)
+      .map(event => this.toRow(event, { source, verificationStatus }));
+
+    if (rows.length === 0) return { received: events.length, recorded: 0, processed: 0, failed: 0 };
+
+    const { data: inserted, error } = await supabase
+      .from('email_events')
+      .upsert(rows, { onConflict: 'sg_event_id', ignoreDuplicates: true })
+      .select('*');
+    if (error) throw error;
+
+    const fresh = (inserted || []).sort((a, b) => new Date(a.occurred_at) - new Date(b.occurred_at));
+    const broadcastIds = new Set();
+    let failed = 0;
+
+    for (const row of fresh) {
+      const outcome = await this.process(row);
+      if (outcome.status === 'failed') failed += 1;
+      if (outcome.broadcastId) broadcastIds.add(outcome.broadcastId);
+    }
+
+    await this.refreshBroadcasts([...broadcastIds]);
+
+    return {
+      received: events.length,
+      recorded: fresh.length,
+      duplicates: rows.length - fresh.length,
+      processed: fresh.length - failed,
+      failed
+    };
+  }
+
+  // Apply one logged event and record the outcome on it
+  async process(row) {
+    let outcome;
+    try {
+      outcome = { status: 'processed', broadcastId: await this.apply(row) };
+    } catch (error) {
+      console.error(`❌ Email event ${row.sg_event_id} (${row.event}) failed:`, error.message);
+      outcome = { status: 'failed', error: error.message };
+    }
+
+    const { error } = await supabase
+      .from('email_events')
+      .update({
+        status: outcome.status,
+        error_message: outcome.error || null,
+        processed_at: new Date().toISOString()
+      })
+      .eq('id', row.id);
+    if (error) console.error('⚠️ Failed to record email event outcome:', error.message);
+
+    return outcome;
+  }
+
+  // Returns the id of the broadcast whose delivery changed, if any
+  async apply(row) {
+    switch (row.event) {
+      case 'delivered':
+      case 'open':
+      case 'click':
+        return this.advanceDelivery(row, ENGAGEMENT[row.event]);
+
+      case 'bounce': {
+        const hard = row.bounce_type !== 'blocked';
+        const broadcastId = await this.failDelivery(row, hard ? 'bounced' : 'failed');
+        await this.markStatementBounced(row);
+        if (hard) await this.suppress(row.email, 'bounce', row.reason || 'Hard bounce');
+        return broadcastId;
+      }
+
+      case 'dropped': {
+        const broadcastId = await this.failDelivery(row, 'failed');
+        await this.markStatementBounced(row);
+        return broadcastId;
+      }
+
+      case 'spamreport':
+        await this.suppress(row.email, 'spam_report', 'Marked as spam');
+        return null;
+
+      // processed, deferred, unsubscribe, ... are only logged
+      default:
+        return null;
+    }
+  }
+
+  // ==========================================================================
+  // Broadcast deliveries
+  // ==========================================================================
+
+  // The delivery an event belongs to: by the delivery_id custom arg, else by
+  // provider message id and address. Null when the email was not a broadcast.
+  deliveryQuery(row) {
+    if (row.delivery_id && mongoose.isValidObjectId(row.delivery_id)) {
+      return { _id: row.delivery_id };
+    }
+    if (row.message_id) {
+      return { channel: 'email', provider_message_id: row.message_id, address: row.email };
+    }
+    return null;
+  }
+
+  async findDelivery(row) {
+    const query = this.deliveryQuery(row);
+    if (!query) return null;
+
+    if (!isMongoReady()) {
+      // Retry later (reprocess) rather than lose a broadcast event
+      if (row.delivery_id || row.broadcast_id) throw new Error('Broadcast database is not connected');
+      return null;
+    }
+
+    return BroadcastDelivery.findOne(query).select('_id broadcast_id status');
+  }
+
+  async advanceDelivery(row, { status, field, from }) {
+    const delivery = await this.findDelivery(row);
+    if (!delivery) return null;
+
+    const at = new Date(row.occurred_at);
+    await BroadcastDelivery.updateOne({ _id: delivery._id, [field]: null }, { $set: { [field]: at } });
+    await BroadcastDelivery.updateOne(
+      { _id: delivery._id, status: { $in: from } },
+      { $set: { status, updated_at: new Date() } }
+    );
+    return String(delivery.broadcast_id);
+  }
+
+  async failDelivery(row, status) {
+    const delivery = await this.findDelivery(row);
+    if (!delivery) return null;
+
+    await BroadcastDelivery.updateOne(
+      { _id: delivery._id, status: { $in: FAILABLE } },
+      {
+        $set: {
+          status,
+          error_message: row.reason || (status === 'bounced' ? 'Bounced' : 'Dropped by provider'),
+          retryable: false,
+          bounced_at: new Date(row.occurred_at),
+          updated_at: new Date()
+        },
+        $unset: { next_attempt_at: 1 }
+      }
+    );
+    return String(delivery.broadcast_id);
+  }
+
+  async refreshBroadcasts(broadcastIds) {
+    for (const id of broadcastIds) {
+      try {
+        const broadcast = await Broadcast.findById(id);
+        if (!broadcast) continue;
+        await broadcastDeliveryService.refreshCounts(broadcast);
+        await broadcast.save();
+      } catch (error) {
+        console.error(`⚠️ Failed to refresh broadcast ${id} stats:`, error.message);
+      }
+    }
+  }
+
+  // ==========================================================================
+  // Statements and suppression
+  // ==========================================================================
+
+  async markStatementBounced(row) {
+    if (!row.message_id) return;
+    await givingStatementService.markBounced({ messageId: row.message_id }, row.reason || row.event);
+  }
+
+  // Hard bounces and spam complaints stop all optional email to the address;
+  // account email (password resets etc.) is still sent
+  async suppress(email, source, reason) {
+    await preferenceService.setPreferences(
+      { channel: 'email', contact: normalizeEmail(email) },
+      [{ topic: 'all', subscribed: false }],
+      { source, reason }
+    );
+  }
+
+  async listSuppressed({ page = 1, limit = 50 } = {}) {
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const { data, error, count } = await supabase
+      .from('communication_preferences')
+      .select('contact, user_id, source, reason, updated_at', { count: 'exact' })
+      .eq('channel', 'email')
+      .eq('topic', 'all')
+      .eq('subscribed', false)
+      .in('source', ['bounce', 'spam_report'])
+      .order('updated_at', { ascending: false })
+      .range((pageNum - 1) * limitNum, pageNum * limitNum - 1);
+    if (error) throw error;
+
+    return {
+      addresses: data || [],
+      pagination: { page: pageNum, limit: limitNum, total: count || 0, totalPages: Math.ceil((count || 0) / limitNum) }
+    };
+  }
+
+  // ==========================================================================
+  // Log
+  // ==========================================================================
+
+  async listEvents({ event, email, message_id, broadcast_id, status, page = 1, limit = 50 } = {}) {
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    let query = supabase
+      .from('email_events')
+      .select('id, sg_event_id, message_id, event, email, occurred_at, bounce_type, reason, url, broadcast_id, delivery_id, source, verification_status, status, error_message, received_at, processed_at', { count: 'exact' })
+      .order('occurred_at', { ascending: false });
+
+    if (event) query = query.eq('event', event);
+    if (email) query = query.eq('email', normalizeEmail(email));
+    if (message_id) query = query.eq('message_id', message_id);
+    if (broadcast_id) query = query.eq('broadcast_id', broadcast_id);
+    if (status) query = query.eq('status', status);
+
+    const { data, error, count } = await query.range((pageNum - 1) * limitNum, pageNum * limitNum - 1);
+    if (error) throw error;
+
+    return {
+      events: data || [],
+      pagination: { page: pageNum, limit: limitNum, total: count || 0, totalPages: Math.ceil((count || 0) / limitNum) }
+    };
+  }
+
+  async reprocess(id) {
+    const { data: row, error } = await supabase.from('email_events').select('*').eq('id', id).maybeSingle();
+    if (error) throw error;
+    if (!row) throw new AppError('Email event not found', 404);
+
+    const outcome = await this.process(row);
+    if (outcome.broadcastId) await this.refreshBroadcasts([outcome.broadcastId]);
+    return { id, status: outcome.status, error_message: outcome.error || null };
+  }
+
+  // ==========================================================================
+  // Simulator
+  // ==========================================================================
+
+  isSimulatorEnabled() {
+    return process.env.NODE_ENV !== 'production' || process.env.EMAIL_EVENT_SIMULATOR === 'true';
+  }
+
+  /**
+   * Build SendGrid-shaped events for an email that was sent (a broadcast
+   * delivery, or any provider message id / address) and run them through the
+   * same pipeline as the webhook, so tracking can be exercised locally.
+   */
+  async simulate({ delivery_id, message_id, email, events = ['delivered'], bounce_type = 'bounce', reason, url }) {
+    if (!this.isSimulatorEnabled()) throw new AppError('The email event simulator is disabled', 403);
+
+    let target = { email, message_id, broadcast_id: null, delivery_id: null };
+    if (delivery_id) {
+      if (!isMongoReady()) throw new AppError('Broadcast database is not connected', 503);
+      const delivery = mongoose.isValidObjectId(delivery_id) ? await BroadcastDelivery.findById(delivery_id) : null;
+      if (!delivery) throw new AppError('Delivery not found', 404);
+      if (delivery.channel !== 'email') throw new AppError('Only email deliveries have email events', 400);
+
+      target = {
+        email: delivery.address,
+        message_id: delivery.provider_message_id || message_id,
+        broadcast_id: String(delivery.broadcast_id),
+        delivery_id: String(delivery._id)
+      };
+    }
+    if (!target.email) throw new AppError('email or delivery_id is required', 400);
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const payload = events.map((event, index) => ({
+      email: target.email,
+      timestamp: timestamp + index,
+      event,
+      sg_event_id: `simulated-${crypto.randomUUID()}`,
+      sg_message_id: target.message_id ? `${target.message_id}.simulated` : undefined,
+      ...(event === 'bounce' && { type: bounce_type }),
+      ...((event === 'bounce' || event === 'dropped' || event === 'deferred') && { reason: reason || `Simulated ${event}` }),
+      ...(event === 'click' && { url: url || 'https://example.com/' }),
+      ...(target.broadcast_id && { broadcast_id: target.broadcast_id, delivery_id: target.delivery_id })
+    }));
+
+    const result = await this.ingest(payload, { source: 'simulator' });
+    return { ...result, events: payload };
+  }
+}
+
+module.exports = new EmailEventService();
+module.exports.SIMULATED_EVENTS = SIMULATED_EVENTS;
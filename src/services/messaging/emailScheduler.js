@@ -0,0 +1,59 @@
+const emailCommunicationService = require('./emailCommunicationService');
+
+const POLL_INTERVAL_MS = parseInt(process.env.EMAIL_SCHEDULER_POLL_INTERVAL_MS) || 30000;
+const BATCH_SIZE = parseInt(process.env.EMAIL_SCHEDULER_BATCH_SIZE) || 20;
+
+/**
+ * Background sender for scheduled one-off emails. On every poll it claims the
+ * `scheduled` emails whose scheduled_at has passed and sends them through
+ * emailCommunicationService.deliver(), which records the result on each row.
+ */
+class EmailScheduler {
+  constructor() {
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  start() {
+    if (this.timer || process.env.EMAIL_SCHEDULER_ENABLED === 'false') return;
+
+    this.timer = setInterval(() => this.tick(), POLL_INTERVAL_MS);
+    this.timer.unref();
+    console.log(`📅 Email scheduler started (polling every ${POLL_INTERVAL_MS / 1000}s)`);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      const interrupted = await emailCommunicationService.failStaleSends();
+      if (interrupted > 0) {
+        console.warn(`⚠️ Marked ${interrupted} interrupted scheduled email(s) as failed`);
+      }
+
+      let batch;
+      while ((batch = await emailCommunicationService.claimDue(BATCH_SIZE)).length > 0) {
+        for (const email of batch) {
+          const { success, error } = await emailCommunicationService.deliver(email);
+          if (success) {
+            console.log('✅ Scheduled email sent:', email.id);
+          } else {
+            console.error(`❌ Scheduled email ${email.id} failed:`, error);
+          }
+        }
+      }
+    } catch (error) {
+      console.error('❌ Email scheduler error:', error.message);
+    } finally {
+      this.ticking = false;
+    }
+  }
+}
+
+module.exports = new EmailScheduler();
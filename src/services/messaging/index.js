@@ -0,0 +1,77 @@
+// Messaging provider registry - maps a broadcast channel to the provider that
+// delivers it. Every provider implements:
+//
+//   isConfigured() -> boolean
+//   send({ channel, to, subject, html, text, from, topic, data })
+//     -> { status: 'sent'|'failed'|'skipped', provider, provider_message_id?, error?, retryable? }
+//
+// Every channel uses the sandbox provider, which records messages instead of
+// sending them, when MESSAGING_SANDBOX=true or NODE_ENV=test - and only then.
+// A real provider without credentials fails its deliveries rather than
+// reporting messages as sent that never left the server.
+const SendGridEmailProvider = require('./providers/sendgridEmailProvider');
+const TwilioProvider = require('./providers/twilioProvider');
+const ExpoPushProvider = require('./providers/expoPushProvider');
+const SandboxProvider = require('./providers/sandboxProvider');
+
+const CHANNELS = ['email', 'sms', 'whatsapp', 'push'];
+
+const sandbox = new SandboxProvider();
+
+const providers = {
+    email: new SendGridEmailProvider(),
+    sms: new TwilioProvider('sms'),
+    whatsapp: new TwilioProvider('whatsapp'),
+    push: new ExpoPushProvider()
+};
+
+const warned = new Set();
+
+const isSandboxMode = () =>
+    process.env.MESSAGING_SANDBOX === 'true' || process.env.NODE_ENV === 'test';
+
+// Stands in for a provider that has no credentials - every send fails permanently
+const unconfigured = (channel, provider) => ({
+    name: provider.name,
+    isConfigured: () => false,
+    send: async () => ({
+        status: 'failed',
+        provider: provider.name,
+        error: `Provider not configured: no ${channel} credentials`,
+        retryable: false
+    })
+});
+
+const getProvider = (channel) => {
+    if (!CHANNELS.includes(channel)) {
+        throw new Error(`Unsupported channel: ${channel}`);
+    }
+
+    if (isSandboxMode()) return sandbox;
+
+    const provider = providers[channel];
+    if (!provider.isConfigured()) {
+        if (!warned.has(channel)) {
+            console.error(`❌ No ${channel} provider configured - ${channel} deliveries will fail (set MESSAGING_SANDBOX=true to record them instead)`);
+            warned.add(channel);
+        }
+        return unconfigured(channel, provider);
+    }
+
+    return provider;
+};
+
+// Lets deployments swap in another vendor (e.g. a different SMS gateway)
+const registerProvider = (channel, provider) => {
+    if (!CHANNELS.includes(channel)) {
+        throw new Error(`Unsupported channel: ${channel}`);
+    }
+    providers[channel] = provider;
+};
+
+module.exports = {
+    CHANNELS,
+    getProvider,
+    registerProvider,
+    sandbox
+};
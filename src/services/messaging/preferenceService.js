@@ -0,0 +1,406 @@
+const { supabase } = require('../../config/supabase');
+const { AppError } = require('../../middleware/errorHandler');
+const { COMMUNICATION_TOPICS, REQUIRED_COMMUNICATION_TOPICS } = require('../../config/constants');
+const { normalizeEmail, normalizePhone, contactFor } = require('../../utils/contactHelpers');
+const signedToken = require('../../utils/signedToken');
+
+const TOKEN_PURPOSE = 'unsubscribe';
+const CHANNELS = ['email', 'sms', 'whatsapp', 'push'];
+const TOPICS = Object.values(COMMUNICATION_TOPICS);
+const OPTIONAL_TOPICS = TOPICS.filter(topic => !REQUIRED_COMMUNICATION_TOPICS.includes(topic));
+const LOOKUP_CHUNK = 200;
+
+// users.preferences.notifications predates this service and only has
+// channel-level switches; there is no sms switch in it
+const LEGACY_CHANNEL_KEYS = { email: 'email', whatsapp: 'whatsapp', push: 'push' };
+
+const TOPIC_LABELS = {
+  general: 'General announcements',
+  festival_announcements: 'Festival announcements',
+  event_updates: 'Event updates and reminders',
+  donation_receipts: 'Donation receipts and statements',
+  volunteer_shifts: 'Volunteer shifts',
+  community_updates: 'Community updates',
+  puja_bookings: 'Puja booking updates',
+  account: 'Account and security'
+};
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+};
+
+const apiBaseUrl = () => (process.env.API_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+const frontendBaseUrl = () => (process.env.VITE_FRONTEND_URL || process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+// The most specific row wins: (channel, topic) over (channel, 'all')
+const isSubscribed = (rows, topic) => {
+  const exact = rows.find(row => row.topic === topic);
+  if (exact) return exact.subscribed;
+  const all = rows.find(row => row.topic === 'all');
+  return all ? all.subscribed : true;
+};
+
+class PreferenceService {
+  get topics() {
+    return TOPICS;
+  }
+
+  isRequired(topic) {
+    return REQUIRED_COMMUNICATION_TOPICS.includes(topic);
+  }
+
+  topicLabel(topic) {
+    return TOPIC_LABELS[topic] || topic;
+  }
+
+  assertChannelTopic(channel, topic) {
+    if (!CHANNELS.includes(channel)) throw new AppError(`Unknown channel: ${channel}`, 400);
+    if (topic !== 'all' && !TOPICS.includes(topic)) throw new AppError(`Unknown topic: ${topic}`, 400);
+    if (this.isRequired(topic)) throw new AppError(`${this.topicLabel(topic)} messages cannot be turned off`, 400);
+  }
+
+  // ==========================================================================
+  // Signed links
+  // ==========================================================================
+
+  // One token per recipient address; it identifies the contact for both the
+  // one-click unsubscribe link and the preference center
+  buildToken({ channel = 'email', contact, user_id }) {
+    return signedToken.sign(TOKEN_PURPOSE, { ch: channel, c: contact, u: user_id || undefined });
+  }
+
+  verifyToken(token) {
+    const claims = signedToken.verify(TOKEN_PURPOSE, token);
+    if (!claims || !claims.c || !CHANNELS.includes(claims.ch)) {
+      throw new AppError('Invalid or expired link', 400);
+    }
+    return { channel: claims.ch, contact: claims.c, user_id: claims.u || null };
+  }
+
+  unsubscribeUrl(token, topic = 'all') {
+    return `${apiBaseUrl()}/api/public/preferences/unsubscribe?token=${encodeURIComponent(token)}&topic=${encodeURIComponent(topic)}`;
+  }
+
+  preferenceCenterUrl(token) {
+    return `${frontendBaseUrl()}/preferences?token=${encodeURIComponent(token)}`;
+  }
+
+  // ==========================================================================
+  // Suppression
+  // ==========================================================================
+
+  async getRows(channel, contacts) {
+    const rows = [];
+    for (const batch of chunk([...new Set(contacts)], LOOKUP_CHUNK)) {
+      const { data, error } = await supabase
+        .from('communication_preferences')
+        .select('contact, topic, subscribed')
+        .eq('channel', channel)
+        .in('contact', batch);
+      if (error) throw error;
+      rows.push(...(data || []));
+    }
+    return rows;
+  }
+
+  // Contacts whose legacy users.preferences switch for the channel is off
+  async getLegacyOptOuts(channel, recipients) {
+    const key = LEGACY_CHANNEL_KEYS[channel];
+    const optedOut = new Set();
+    if (!key) return optedOut;
+
+    const userIds = [...new Set(recipients.map(r => r.user_id).filter(Boolean))];
+    const emails = [...new Set(recipients.filter(r => !r.user_id).map(r => normalizeEmail(r.email)).filter(Boolean))];
+
+    const collect = (users) => (users || []).forEach(user => {
+      if (user.preferences?.notifications?.[key] === false) {
+        optedOut.add(user.id);
+        if (user.email) optedOut.add(normalizeEmail(user.email));
+      }
+    });
+
+    for (const ids of chunk(userIds, LOOKUP_CHUNK)) {
+      const { data, error } = await supabase.from('users').select('id, email, preferences').in('id', ids);
+      if (error) throw error;
+      collect(data);
+    }
+    for (const batch of chunk(emails, LOOKUP_CHUNK)) {
+      const { data, error } = await supabase.from('users').select('id, email, preferences').in('email', batch);
+      if (error) throw error;
+      collect(data);
+    }
+
+    return optedOut;
+  }
+
+  /**
+   * Split recipients into those who may be contacted on a channel about a
+   * topic and those who opted out. Required topics are never suppressed.
+   * @param {Array<{ user_id?, email?, phone? }>} recipients
+   */
+  async filterRecipients(recipients, { channel, topic = COMMUNICATION_TOPICS.GENERAL }) {
+    if (this.isRequired(topic) || recipients.length === 0) {
+      return { allowed: recipients, suppressed: [] };
+    }
+
+    const contacts = recipients.map(recipient => contactFor(channel, recipient)).filter(Boolean);
+    const [rows, legacy] = await Promise.all([
+      this.getRows(channel, contacts),
+      this.getLegacyOptOuts(channel, recipients)
+    ]);
+
+    const rowsByContact = new Map();
+    rows.forEach(row => {
+      if (!rowsByContact.has(row.contact)) rowsByContact.set(row.contact, []);
+      rowsByContact.get(row.contact).push(row);
+    });
+
+    const allowed = [];
+    const suppressed = [];
+
+    for (const recipient of recipients) {
+      const contact = contactFor(channel, recipient);
+      const ownRows = rowsByContact.get(contact);
+      const optedOut = ownRows
+        ? !isSubscribed(ownRows, topic)
+        : legacy.has(recipient.user_id) || legacy.has(normalizeEmail(recipient.email));
+
+      (optedOut ? suppressed : allowed).push(recipient);
+    }
+
+    return { allowed, suppressed };
+  }
+
+  async filterEmails(emails, topic) {
+    const { allowed, suppressed } = await this.filterRecipients(
+      emails.map(email => ({ email })),
+      { channel: 'email', topic }
+    );
+    return { allowed: allowed.map(r => r.email), suppressed: suppressed.map(r => r.email) };
+  }
+
+  // Best effort: reporting must never block a send
+  async recordSendStats(channel, topic, sent, suppressed = 0) {
+    if (!sent && !suppressed) return;
+    const { error } = await supabase.rpc('increment_communication_send_stats', {
+      p_channel: channel,
+      p_topic: topic || COMMUNICATION_TOPICS.GENERAL,
+      p_sent: sent,
+      p_suppressed: suppressed
+    });
+    if (error) console.error('⚠️ Failed to record send stats:', error.message);
+  }
+
+  // ==========================================================================
+  // Preference center
+  // ==========================================================================
+
+  /**
+   * Preferences for a set of channel addresses.
+   * @param {Array<{ channel, contact }>} identities
+   */
+  async getPreferences(identities) {
+    const result = {};
+
+    for (const { channel, contact } of identities) {
+      if (!contact) continue;
+      const rows = await this.getRows(channel, [contact]);
+      result[channel] = {
+        contact,
+        unsubscribed_all: rows.some(row => row.topic === 'all' && !row.subscribed),
+        topics: Object.fromEntries(OPTIONAL_TOPICS.map(topic => [topic, isSubscribed(rows, topic)]))
+      };
+    }
+
+    return {
+      channels: result,
+      topics: OPTIONAL_TOPICS.map(topic => ({ topic, label: this.topicLabel(topic) }))
+    };
+  }
+
+  /**
+   * Apply preference changes and log each actual change as a consent event.
+   * @param {{ channel, contact, user_id? }} identity
+   * @param {Array<{ topic, subscribed }>} changes
+   */
+  async setPreferences(identity, changes, { source = 'preference_center', reason, ipAddress, userAgent } = {}) {
+    const { channel, contact, user_id } = identity;
+    if (!contact) throw new AppError(`No ${channel} address on file`, 400);
+    changes.forEach(change => this.assertChannelTopic(channel, change.topic));
+
+    const existing = await this.getRows(channel, [contact]);
+    const now = new Date().toISOString();
+    const events = [];
+
+    const rows = changes.map(({ topic, subscribed }) => {
+      const before = topic === 'all'
+        ? !existing.some(row => row.topic === 'all' && !row.subscribed)
+        : isSubscribed(existing, topic);
+      if (before !== subscribed) {
+        events.push({
+          contact,
+          user_id: user_id || null,
+          channel,
+          topic,
+          action: subscribed ? 'opt_in' : 'opt_out',
+          source,
+          reason: reason || null,
+          ip_address: ipAddress || null,
+          user_agent: userAgent || null
+        });
+      }
+      return { contact, user_id: user_id || null, channel, topic, subscribed, source, reason: reason || null, updated_at: now };
+    });
+
+    // Re-subscribing to everything clears topic-level opt-outs as well
+    const resubscribeAll = changes.some(change => change.topic === 'all' && change.subscribed);
+
+    const { error } = await supabase
+      .from('communication_preferences')
+      .upsert(rows, { onConflict: 'contact,channel,topic' });
+    if (error) throw error;
+
+    if (resubscribeAll) {
+      const { error: clearError } = await supabase
+        .from('communication_preferences')
+        .delete()
+        .eq('channel', channel)
+        .eq('contact', contact)
+        .neq('topic', 'all')
+        .eq('subscribed', false);
+      if (clearError) throw clearError;
+    }
+
+    if (events.length > 0) {
+      const { error: eventError } = await supabase.from('communication_consent_events').insert(events);
+      if (eventError) console.error('⚠️ Failed to record consent events:', eventError.message);
+    }
+
+    return this.getPreferences([{ channel, contact }]);
+  }
+
+  async unsubscribe(token, topic = 'all', options = {}) {
+    const identity = this.verifyToken(token);
+    await this.setPreferences(identity, [{ topic, subscribed: false }], options);
+    return { ...identity, topic };
+  }
+
+  // Every channel address on file for a logged-in user
+  async getUserIdentities(userId) {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('id, email, phone')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!user) throw new AppError('User not found', 404);
+
+    return CHANNELS
+      .map(channel => ({ channel, contact: contactFor(channel, { ...user, user_id: user.id }), user_id: user.id }))
+      .filter(identity => identity.contact);
+  }
+
+  resolveContact(channel, contact) {
+    const normalized = channel === 'email' ? normalizeEmail(contact)
+      : channel === 'push' ? contact
+        : normalizePhone(contact);
+    if (!normalized) throw new AppError(`Invalid ${channel} address`, 400);
+    return normalized;
+  }
+
+  // ==========================================================================
+  // Reporting
+  // ==========================================================================
+
+  /**
+   * Opt-out report: current opt-outs, opt-outs/opt-ins in the period and the
+   * opt-out rate against messages sent in the period, per channel and topic.
+   */
+  async getOptOutReport({ from, to } = {}) {
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+    const startDay = start.toISOString().slice(0, 10);
+    const endDay = end.toISOString().slice(0, 10);
+
+    const [current, events, sends] = await Promise.all([
+      supabase.from('communication_preferences').select('channel, topic').eq('subscribed', false),
+      supabase
+        .from('communication_consent_events')
+        .select('channel, topic, action, source')
+        .gte('created_at', start.toISOString())
+        .lte('created_at', end.toISOString()),
+      supabase
+        .from('communication_send_stats')
+        .select('channel, topic, sent_count, suppressed_count')
+        .gte('day', startDay)
+        .lte('day', endDay)
+    ]);
+
+    for (const { error } of [current, events, sends]) {
+      if (error) throw error;
+    }
+
+    const rows = new Map();
+    const rowFor = (channel, topic) => {
+      const key = `${channel}:${topic}`;
+      if (!rows.has(key)) {
+        rows.set(key, { channel, topic, opted_out: 0, opt_outs: 0, opt_ins: 0, sent: 0, suppressed: 0 });
+      }
+      return rows.get(key);
+    };
+
+    (current.data || []).forEach(row => { rowFor(row.channel, row.topic).opted_out += 1; });
+    (events.data || []).forEach(event => {
+      const row = rowFor(event.channel, event.topic);
+      if (event.action === 'opt_out') row.opt_outs += 1;
+      else row.opt_ins += 1;
+    });
+    (sends.data || []).forEach(stat => {
+      const row = rowFor(stat.channel, stat.topic);
+      row.sent += stat.sent_count;
+      row.suppressed += stat.suppressed_count;
+    });
+
+    // 'all' opt-outs are attributed across every topic sent on that channel
+    const sentByChannel = {};
+    rows.forEach(row => { sentByChannel[row.channel] = (sentByChannel[row.channel] || 0) + row.sent; });
+
+    const breakdown = [...rows.values()]
+      .map(row => {
+        const denominator = row.topic === 'all' ? sentByChannel[row.channel] : row.sent;
+        return {
+          ...row,
+          label: row.topic === 'all' ? 'All topics' : this.topicLabel(row.topic),
+          opt_out_rate: denominator ? Number(((row.opt_outs / denominator) * 100).toFixed(2)) : null
+        };
+      })
+      .sort((a, b) => a.channel.localeCompare(b.channel) || a.topic.localeCompare(b.topic));
+
+    const bySource = {};
+    (events.data || [])
+      .filter(event => event.action === 'opt_out')
+      .forEach(event => { bySource[event.source] = (bySource[event.source] || 0) + 1; });
+
+    const totals = breakdown.reduce((sum, row) => ({
+      opt_outs: sum.opt_outs + row.opt_outs,
+      opt_ins: sum.opt_ins + row.opt_ins,
+      sent: sum.sent + row.sent,
+      suppressed: sum.suppressed + row.suppressed
+    }), { opt_outs: 0, opt_ins: 0, sent: 0, suppressed: 0 });
+
+    return {
+      period: { from: start.toISOString(), to: end.toISOString() },
+      totals: {
+        ...totals,
+        opt_out_rate: totals.sent ? Number(((totals.opt_outs / totals.sent) * 100).toFixed(2)) : null
+      },
+      opt_outs_by_source: bySource,
+      breakdown
+    };
+  }
+}
+
+module.exports = new PreferenceService();
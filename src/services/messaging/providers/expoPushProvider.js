@@ -0,0 +1,125 @@
+// Expo Push Provider - mobile push notifications for the volunteer app.
+// Devices register their Expo push tokens via POST /api/mobile/me/push-tokens;
+// a push "address" is the user id and every active token for that user is notified.
+const supabaseService = require('../../supabaseService');
+const emailService = require('../../emailService');
+
+const EXPO_PUSH_URL = 'https://exp.host/--/api/v2/push/send';
+
+class ExpoPushProvider {
+    constructor() {
+        this.name = 'expo';
+    }
+
+    // Expo accepts unauthenticated requests; EXPO_ACCESS_TOKEN is only needed
+    // when enhanced push security is enabled on the Expo project
+    isConfigured() {
+        return process.env.PUSH_PROVIDER !== 'none';
+    }
+
+    async getTokens(userId) {
+        const { data, error } = await supabaseService.client
+            .from('push_tokens')
+            .select('token')
+            .eq('user_id', userId)
+            .eq('is_active', true);
+
+        if (error) throw error;
+        return (data || []).map(row => row.token);
+    }
+
+    async deactivateTokens(tokens) {
+        if (tokens.length === 0) return;
+        const { error } = await supabaseService.client
+            .from('push_tokens')
+            .update({ is_active: false, updated_at: new Date().toISOString() })
+            .in('token', tokens);
+
+        if (error) console.error('⚠️ Failed to deactivate stale push tokens:', error.message);
+    }
+
+    async send(message) {
+        let tokens;
+        try {
+            tokens = await this.getTokens(message.to);
+        } catch (error) {
+            return { status: 'failed', provider: this.name, error: error.message, retryable: true };
+        }
+
+        if (tokens.length === 0) {
+            return {
+                status: 'failed',
+                provider: this.name,
+                error: 'No registered devices for recipient',
+                retryable: false
+            };
+        }
+
+        const body = message.text || emailService.htmlToText(message.html || '');
+        const payload = tokens.map(token => ({
+            to: token,
+            title: message.subject || 'Sai Samsthan USA',
+            body: body.length > 178 ? `${body.slice(0, 175)}...` : body,
+            data: message.data || {},
+            sound: 'default'
+        }));
+
+        const headers = { 'Content-Type': 'application/json', Accept: 'application/json' };
+        if (process.env.EXPO_ACCESS_TOKEN) {
+            headers.Authorization = `Bearer ${process.env.EXPO_ACCESS_TOKEN}`;
+        }
+
+        try {
+            const response = await fetch(EXPO_PUSH_URL, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(payload)
+            });
+
+            if (!response.ok) {
+                return {
+                    status: 'failed',
+                    provider: this.name,
+                    error: `Expo push service responded with ${response.status}`,
+                    retryable: response.status === 429 || response.status >= 500
+                };
+            }
+
+            const { data: tickets = [] } = await response.json();
+            const staleTokens = [];
+            const ticketIds = [];
+            let lastError = null;
+
+            tickets.forEach((ticket, index) => {
+                if (ticket.status === 'ok') {
+                    ticketIds.push(ticket.id);
+                } else {
+                    lastError = ticket.message;
+                    if (ticket.details?.error === 'DeviceNotRegistered') staleTokens.push(tokens[index]);
+                }
+            });
+
+            await this.deactivateTokens(staleTokens);
+
+            if (ticketIds.length === 0) {
+                return {
+                    status: 'failed',
+                    provider: this.name,
+                    error: lastError || 'All devices rejected the notification',
+                    retryable: staleTokens.length < tokens.length
+                };
+            }
+
+            return {
+                status: 'sent',
+                provider: this.name,
+                provider_message_id: ticketIds.join(','),
+                devices: ticketIds.length
+            };
+        } catch (error) {
+            return { status: 'failed', provider: this.name, error: error.message, retryable: true };
+        }
+    }
+}
+
+module.exports = ExpoPushProvider;
@@ -0,0 +1,73 @@
+// Sandbox Provider - records messages instead of sending them.
+// Used when MESSAGING_SANDBOX=true or NODE_ENV=test; never as a silent
+// fallback for a channel whose real provider has no credentials.
+const fs = require('fs');
+const path = require('path');
+
+const OUTBOX_LIMIT = 500;
+
+class SandboxProvider {
+    constructor() {
+        this.name = 'sandbox';
+        this.outbox = [];
+        this.outboxFile = process.env.SANDBOX_OUTBOX_FILE || null;
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    // Addresses containing "+fail" (e.g. devotee+fail@example.com,
+    // +15550000000+fail) simulate a permanent provider rejection so the
+    // failure paths can be exercised without real credentials.
+    async send(message) {
+        const record = {
+            id: `sandbox-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`,
+            channel: message.channel,
+            to: message.to,
+            subject: message.subject || null,
+            body: message.text || message.html || '',
+            recorded_at: new Date().toISOString()
+        };
+
+        this.outbox.push(record);
+        if (this.outbox.length > OUTBOX_LIMIT) this.outbox.shift();
+
+        if (this.outboxFile) {
+            try {
+                fs.mkdirSync(path.dirname(this.outboxFile), { recursive: true });
+                fs.appendFileSync(this.outboxFile, JSON.stringify(record) + '\n');
+            } catch (error) {
+                console.error('⚠️ Could not write sandbox outbox file:', error.message);
+            }
+        }
+
+        const addresses = Array.isArray(message.to) ? message.to : [message.to];
+        if (addresses.some(address => String(address).includes('+fail'))) {
+            return {
+                status: 'failed',
+                provider: this.name,
+                provider_message_id: record.id,
+                error: 'Simulated delivery failure',
+                retryable: false
+            };
+        }
+
+        return {
+            status: 'sent',
+            provider: this.name,
+            provider_message_id: record.id
+        };
+    }
+
+    getOutbox({ channel, limit = 50 } = {}) {
+        const items = channel ? this.outbox.filter(m => m.channel === channel) : this.outbox;
+        return items.slice(-limit).reverse();
+    }
+
+    clear() {
+        this.outbox = [];
+    }
+}
+
+module.exports = SandboxProvider;
@@ -0,0 +1,50 @@
+// SendGrid Email Provider - adapts emailService to the provider interface
+const emailService = require('../../emailService');
+
+class SendGridEmailProvider {
+    constructor() {
+        this.name = 'sendgrid';
+    }
+
+    isConfigured() {
+        return emailService.initialized;
+    }
+
+    async send(message) {
+        const result = await emailService.sendEmail({
+            from: message.from,
+            to: message.to,
+            subject: message.subject,
+            html: message.html,
+            text: message.text,
+            topic: message.topic,
+            // Returned with every event webhook post for this email
+            customArgs: message.data
+        });
+
+        if (result.status === 'suppressed') {
+            return {
+                status: 'skipped',
+                provider: this.name,
+                error: 'Recipient opted out'
+            };
+        }
+
+        if (!result.success) {
+            return {
+                status: 'failed',
+                provider: this.name,
+                error: result.error || 'SendGrid rejected the message',
+                retryable: true
+            };
+        }
+
+        return {
+            status: 'sent',
+            provider: this.name,
+            provider_message_id: result.messageId
+        };
+    }
+}
+
+module.exports = SendGridEmailProvider;
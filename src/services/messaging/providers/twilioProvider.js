@@ -0,0 +1,71 @@
+// Twilio Provider - SMS and WhatsApp delivery
+const twilio = require('twilio');
+const emailService = require('../../emailService');
+
+// Twilio error codes that mean "this number will never work" - retrying is pointless
+const PERMANENT_ERROR_CODES = [21211, 21214, 21408, 21610, 21612, 21614, 63003, 63024];
+
+class TwilioProvider {
+    /**
+     * @param {'sms'|'whatsapp'} channel
+     */
+    constructor(channel) {
+        this.channel = channel;
+        this.name = channel === 'whatsapp' ? 'twilio-whatsapp' : 'twilio-sms';
+        this.client = null;
+
+        const accountSid = process.env.TWILIO_ACCOUNT_SID;
+        const authToken = process.env.TWILIO_AUTH_TOKEN;
+        if (accountSid && authToken) {
+            this.client = twilio(accountSid, authToken);
+        }
+    }
+
+    getSender() {
+        if (this.channel === 'whatsapp') {
+            const from = process.env.TWILIO_WHATSAPP_FROM;
+            return from ? { from: this.toWhatsApp(from) } : null;
+        }
+        if (process.env.TWILIO_MESSAGING_SERVICE_SID) {
+            return { messagingServiceSid: process.env.TWILIO_MESSAGING_SERVICE_SID };
+        }
+        return process.env.TWILIO_SMS_FROM ? { from: process.env.TWILIO_SMS_FROM } : null;
+    }
+
+    isConfigured() {
+        return Boolean(this.client && this.getSender());
+    }
+
+    toWhatsApp(number) {
+        return number.startsWith('whatsapp:') ? number : `whatsapp:${number}`;
+    }
+
+    async send(message) {
+        const to = this.channel === 'whatsapp' ? this.toWhatsApp(message.to) : message.to;
+        const body = message.text || emailService.htmlToText(message.html || '');
+
+        try {
+            const result = await this.client.messages.create({
+                ...this.getSender(),
+                to,
+                body
+            });
+
+            return {
+                status: 'sent',
+                provider: this.name,
+                provider_message_id: result.sid
+            };
+        } catch (error) {
+            const permanent = PERMANENT_ERROR_CODES.includes(error.code);
+            return {
+                status: 'failed',
+                provider: this.name,
+                error: error.message,
+                retryable: !permanent && (!error.status || error.status === 429 || error.status >= 500)
+            };
+        }
+    }
+}
+
+module.exports = TwilioProvider;
@@ -0,0 +1,421 @@
+const { AppError } = require('../../middleware/errorHandler');
+const emailService = require('../emailService');
+const { escapeHtml } = require('../../utils/html');
+
+// Variables every template may use without declaring them
+const BUILT_INS = ['recipient'];
+
+const SMS_MAX_SEGMENTS = parseInt(process.env.SMS_MAX_SEGMENTS) || 3;
+const WHATSAPP_MAX_LENGTH = 4096;
+const PUSH_MAX_LENGTH = 1000;
+
+// GSM 03.38 basic set; anything else forces the UCS-2 encoding. The extended
+// set costs two characters each.
+const GSM_BASIC = /^[@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&'()*+,\-./0-9:;<=>?¡A-ZÄÖÑÜ§¿a-zäöñüà{}\\[~\]|^€]*$/;
+const GSM_EXTENDED = /[{}\\[~\]|^€]/g;
+
+const PATH = /^(this|@index|@first|@last|[A-Za-z_]\w*)(\.[A-Za-z_]\w*)*$/;
+const VARIABLE_NAME = /^[A-Za-z_]\w*$/;
+const BLOCKS = ['if', 'unless', 'each'];
+
+const SAMPLE_RECIPIENT = {
+  name: 'Sample Recipient',
+  first_name: 'Sample',
+  email: 'recipient@example.com',
+  phone: '+15555550100'
+};
+
+const lineOf = (source, offset) => source.slice(0, offset).split('\n').length;
+
+// Plain text for SMS / push / the email text part: block-level tags become
+// line breaks, other markup is dropped
+const toText = (value) => {
+  if (!/<[a-z!/][^>]*>/i.test(value)) return value.trim();
+  const text = emailService.htmlToText(value
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|h[1-6]|tr)>/gi, '\n'));
+  return text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n');
+};
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+const stringify = (value) => {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (Array.isArray(value)) return value.map(stringify).join(', ');
+  if (typeof value === 'object' || typeof value === 'function') return '';
+  return String(value);
+};
+
+/**
+ * Handlebars-like template engine for communication templates.
+ *
+ * Supported syntax:
+ * - `{{name}}`, `{{event.date}}` - value, HTML-escaped in HTML output
+ * - `{{{name}}}` - value inserted as-is (trusted markup only)
+ * - `{{#if x}}...{{else}}...{{/if}}`, `{{#unless x}}...{{/unless}}`
+ * - `{{#each items}}...{{this}} {{@index}}...{{else}}...{{/each}}`; inside a
+ *   loop, names resolve against the item first, then the outer data
+ * - `{{! comment }}`
+ *
+ * Templates declare their variables (`variables: [{ name, default_value,
+ * required }]`); placeholders that use anything else are rejected when the
+ * template is saved. `recipient` (name, first_name, email, phone) is always
+ * available. There are no helpers or expressions, so template authors cannot
+ * run code.
+ */
+class TemplateRenderer {
+  /**
+   * Parse a template string into a node tree; throws a 400 on syntax errors.
+   */
+  parse(source, field = 'content') {
+    const root = { body: [] };
+    const stack = [{ node: root, target: root.body }];
+    const text = String(source || '');
+    let cursor = 0;
+
+    const fail = (message, offset) => {
+      throw new AppError(`Template syntax error in ${field} (line ${lineOf(text, offset)}): ${message}`, 400);
+    };
+
+    while (cursor < text.length) {
+      const open = text.indexOf('{{', cursor);
+      if (open === -1) break;
+
+      if (open > cursor) stack[stack.length - 1].target.push({ type: 'text', value: text.slice(cursor, open) });
+
+      const raw = text.startsWith('{{{', open);
+      const close = text.indexOf(raw ? '}}}' : '}}', open);
+      if (close === -1) fail('unclosed "{{"', open);
+
+      const tag = text.slice(open + (raw ? 3 : 2), close).trim();
+      cursor = close + (raw ? 3 : 2);
+      const top = stack[stack.length - 1];
+
+      if (tag.startsWith('!')) continue;
+
+      if (raw) {
+        if (!PATH.test(tag)) fail(`invalid placeholder "{{{${tag}}}}"`, open);
+        top.target.push({ type: 'var', path: tag, raw: true });
+        continue;
+      }
+
+      if (tag.startsWith('#')) {
+        const [kind, path, ...rest] = tag.slice(1).trim().split(/\s+/);
+        if (!BLOCKS.includes(kind)) fail(`unknown block "#${kind}"`, open);
+        if (!path || rest.length || !PATH.test(path)) fail(`"#${kind}" needs a single variable`, open);
+
+        const block = { type: 'block', kind, path, body: [], inverse: [], offset: open };
+        top.target.push(block);
+        stack.push({ node: block, target: block.body });
+        continue;
+      }
+
+      if (tag === 'else') {
+        if (stack.length === 1 || top.target === top.node.inverse) fail('"else" outside a block', open);
+        top.target = top.node.inverse;
+        continue;
+      }
+
+      if (tag.startsWith('/')) {
+        const kind = tag.slice(1).trim();
+        if (stack.length === 1 || top.node.kind !== kind) fail(`unexpected "{{/${kind}}}"`, open);
+        stack.pop();
+        continue;
+      }
+
+      if (!PATH.test(tag)) fail(`invalid placeholder "{{${tag}}}"`, open);
+      top.target.push({ type: 'var', path: tag, raw: false });
+    }
+
+    if (cursor < text.length) stack[stack.length - 1].target.push({ type: 'text', value: text.slice(cursor) });
+    if (stack.length > 1) {
+      const { node } = stack[stack.length - 1];
+      fail(`"{{#${node.kind} ${node.path}}}" is never closed`, node.offset);
+    }
+
+    return root.body;
+  }
+
+  // Top-level names a node tree reads; names inside loops may be item fields
+  // and are not reported
+  references(nodes, names = new Set(), inLoop = false) {
+    for (const node of nodes) {
+      if (node.type === 'text') continue;
+
+      const rootName = node.path.split('.')[0];
+      if (!inLoop && rootName !== 'this' && !rootName.startsWith('@')) names.add(rootName);
+
+      if (node.type === 'block') {
+        this.references(node.body, names, inLoop || node.kind === 'each');
+        this.references(node.inverse, names, inLoop || node.kind === 'each');
+      }
+    }
+    return names;
+  }
+
+  lookup(scopes, path) {
+    const [first, ...rest] = path.split('.');
+    let value;
+
+    if (first === 'this') {
+      value = scopes[scopes.length - 1].this;
+    } else {
+      const scope = [...scopes].reverse().find(s => Object.hasOwn(s, first));
+      value = scope ? scope[first] : undefined;
+    }
+
+    // Own properties only, so "{{name.constructor}}" cannot reach prototypes
+    for (const key of rest) {
+      if (value === undefined || value === null || !Object.hasOwn(Object(value), key)) return undefined;
+      value = value[key];
+    }
+    return value;
+  }
+
+  evaluate(nodes, scopes, escape) {
+    let out = '';
+
+    for (const node of nodes) {
+      if (node.type === 'text') {
+        out += node.value;
+      } else if (node.type === 'var') {
+        const value = stringify(this.lookup(scopes, node.path));
+        out += escape && !node.raw ? escapeHtml(value) : value;
+      } else if (node.kind === 'each') {
+        const items = this.lookup(scopes, node.path);
+        const list = Array.isArray(items) ? items : [];
+        if (list.length === 0) {
+          out += this.evaluate(node.inverse, scopes, escape);
+          continue;
+        }
+        list.forEach((item, index) => {
+          const scope = {
+            ...(item && typeof item === 'object' && !Array.isArray(item) ? item : {}),
+            this: item,
+            '@index': index,
+            '@first': index === 0,
+            '@last': index === list.length - 1
+          };
+          out += this.evaluate(node.body, [...scopes, scope], escape);
+        });
+      } else {
+        const truthy = isTruthy(this.lookup(scopes, node.path));
+        const show = node.kind === 'if' ? truthy : !truthy;
+        out += this.evaluate(show ? node.body : node.inverse, scopes, escape);
+      }
+    }
+
+    return out;
+  }
+
+  /**
+   * Render a single string. `escape` HTML-escapes `{{value}}` output.
+   */
+  renderString(source, data = {}, { escape = false, field } = {}) {
+    return this.evaluate(this.parse(source, field), [{ this: data, ...data }], escape);
+  }
+
+  /**
+   * The subject / body / text-part sources for a channel: the template's
+   * variant for that channel where it defines one, the shared fields otherwise.
+   */
+  sourcesFor(template, channel) {
+    const variant = template.variants?.[channel] || {};
+    return {
+      subject: variant.subject || template.subject || '',
+      content: variant.content || template.content || '',
+      text: channel === 'email' ? variant.text || '' : ''
+    };
+  }
+
+  // Every source field of a template, keyed by a readable field name
+  allSources(template) {
+    const fields = { subject: template.subject, content: template.content };
+    for (const [channel, variant] of Object.entries(template.variants || {})) {
+      if (!variant) continue;
+      for (const key of ['subject', 'content', 'text']) {
+        if (variant[key]) fields[`variants.${channel}.${key}`] = variant[key];
+      }
+    }
+    return Object.entries(fields).filter(([, source]) => source);
+  }
+
+  /**
+   * Check a template before it is saved: every field must parse, variable
+   * names must be valid and unique, and placeholders may only use declared
+   * variables. Throws a 400 listing every problem.
+   */
+  validate(template) {
+    const errors = [];
+    const declared = new Set();
+
+    for (const variable of template.variables || []) {
+      if (!variable?.name || !VARIABLE_NAME.test(variable.name)) {
+        errors.push({ field: 'variables', message: `Invalid variable name "${variable?.name || ''}"` });
+      } else if (declared.has(variable.name) || BUILT_INS.includes(variable.name)) {
+        errors.push({ field: 'variables', message: `Variable "${variable.name}" is declared more than once or is reserved` });
+      }
+      if (variable?.name) declared.add(variable.name);
+    }
+
+    for (const [field, source] of this.allSources(template)) {
+      let nodes;
+      try {
+        nodes = this.parse(source, field);
+      } catch (error) {
+        errors.push({ field, message: error.message });
+        continue;
+      }
+
+      for (const name of this.references(nodes)) {
+        if (!declared.has(name) && !BUILT_INS.includes(name)) {
+          errors.push({ field, message: `Undeclared variable "${name}"` });
+        }
+      }
+    }
+
+    if (errors.length) throw new AppError('Invalid template', 400, errors);
+  }
+
+  recipientData(recipient) {
+    if (!recipient) return {};
+    const name = recipient.name || recipient.full_name || '';
+    return {
+      name,
+      first_name: recipient.first_name || name.split(' ')[0] || '',
+      email: recipient.email || '',
+      phone: recipient.phone || ''
+    };
+  }
+
+  /**
+   * Merge declared defaults, caller data and the recipient into the render
+   * context. `sample` fills values nobody supplied with a "[name]" marker so
+   * a preview shows where they go.
+   */
+  buildContext(template, { data = {}, recipient, sample = false } = {}) {
+    const context = {};
+    const missing = [];
+
+    for (const variable of template.variables || []) {
+      const supplied = data[variable.name];
+      if (supplied !== undefined && supplied !== null && supplied !== '') {
+        context[variable.name] = supplied;
+      } else if (variable.default_value !== undefined && variable.default_value !== null && variable.default_value !== '') {
+        context[variable.name] = variable.default_value;
+      } else {
+        if (variable.required) missing.push(variable.name);
+        if (sample) context[variable.name] = `[${variable.name}]`;
+      }
+    }
+
+    // Free-form content (no declared variables) can use any supplied value
+    if (!template.variables?.length) Object.assign(context, data);
+
+    context.recipient = this.recipientData(recipient || (sample ? SAMPLE_RECIPIENT : null));
+    return { context, missing };
+  }
+
+  smsStats(text) {
+    const gsm = GSM_BASIC.test(text);
+    const length = gsm ? text.length + (text.match(GSM_EXTENDED) || []).length : text.length;
+    const [single, multi] = gsm ? [160, 153] : [70, 67];
+    return {
+      encoding: gsm ? 'GSM-7' : 'UCS-2',
+      length,
+      segments: length <= single ? 1 : Math.ceil(length / multi)
+    };
+  }
+
+  /**
+   * Render a template for one channel and recipient.
+   *
+   * Email yields `{ subject, html, text }` (the text part is rendered from the
+   * email variant's `text` or derived from the HTML); SMS, WhatsApp and push
+   * yield plain `text` checked against the channel's length limit.
+   *
+   * With `strict` (sending), missing required variables and over-long messages
+   * throw a 400; otherwise (previews) they are returned as `warnings`.
+   *
+   * @param {{ subject?, content, variables?, variants? }} template
+   * @param {{ channel?: string, data?: object, recipient?: object, sample?: boolean, strict?: boolean }} options
+   */
+  render(template, { channel, data, recipient, sample = false, strict = false } = {}) {
+    const target = channel || template.type || 'email';
+    const { context, missing } = this.buildContext(template, { data, recipient, sample });
+    const sources = this.sourcesFor(template, target);
+    const warnings = [];
+
+    if (missing.length) {
+      const message = `Missing template variables: ${missing.join(', ')}`;
+      if (strict) throw new AppError(message, 400, { missing });
+      warnings.push(message);
+    }
+
+    const subject = this.renderString(sources.subject, context, { field: 'subject' }).trim();
+    const result = { channel: target, subject };
+
+    if (target === 'email') {
+      result.html = this.renderString(sources.content, context, { escape: true, field: 'content' });
+      result.text = sources.text
+        ? this.renderString(sources.text, context, { field: 'text' })
+        : toText(result.html);
+    } else {
+      const rendered = this.renderString(sources.content, context, { field: 'content' });
+      result.text = toText(rendered);
+      result.length = result.text.length;
+
+      let limitError = null;
+      if (target === 'sms') {
+        Object.assign(result, this.smsStats(result.text));
+        if (result.segments > SMS_MAX_SEGMENTS) {
+          limitError = `SMS is ${result.segments} segments long (limit ${SMS_MAX_SEGMENTS})`;
+        }
+      } else if (target === 'whatsapp' && result.length > WHATSAPP_MAX_LENGTH) {
+        limitError = `WhatsApp message is ${result.length} characters long (limit ${WHATSAPP_MAX_LENGTH})`;
+      } else if (target === 'push' && result.length > PUSH_MAX_LENGTH) {
+        limitError = `Push notification is ${result.length} characters long (limit ${PUSH_MAX_LENGTH})`;
+      }
+
+      if (limitError) {
+        if (strict) throw new AppError(limitError, 400);
+        warnings.push(limitError);
+      }
+    }
+
+    result.warnings = warnings;
+    result.missing = missing;
+    return result;
+  }
+
+  // True when any of the template's fields reads the given variable
+  uses(template, name) {
+    const reads = (nodes) => nodes.some(node => node.type !== 'text' && (
+      node.path.split('.')[0] === name ||
+      (node.type === 'block' && (reads(node.body) || reads(node.inverse)))
+    ));
+    return this.allSources(template).some(([field, source]) => reads(this.parse(source, field)));
+  }
+
+  /**
+   * Render a template for many recipients at once, grouping recipients who get
+   * identical output so each distinct message is sent once.
+   * @returns {Array<{ recipients: object[], subject, html?, text }>}
+   */
+  renderBatches(template, { channel, data, recipients = [], strict = true } = {}) {
+    const batches = new Map();
+
+    for (const recipient of recipients) {
+      const { subject, html, text } = this.render(template, { channel, data, recipient, strict });
+      const key = JSON.stringify([subject, html, text]);
+      if (!batches.has(key)) batches.set(key, { recipients: [], subject, html, text });
+      batches.get(key).recipients.push(recipient);
+    }
+
+    return [...batches.values()];
+  }
+}
+
+module.exports = new TemplateRenderer();
+module.exports.SAMPLE_RECIPIENT = SAMPLE_RECIPIENT;
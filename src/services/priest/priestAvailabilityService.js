@@ -0,0 +1,571 @@
+const { supabase } = require('../../config/supabase');
+const { AppError } = require('../../middleware/errorHandler');
+
+const DEFAULT_DURATION_MINUTES = parseInt(process.env.PRIEST_DEFAULT_PUJA_MINUTES) || 60;
+const DEFAULT_TRAVEL_BUFFER_MINUTES = parseInt(process.env.PRIEST_TRAVEL_BUFFER_MINUTES) || 45;
+const MINUTES_PER_DAY = 24 * 60;
+
+// Bookings in these states hold the priest's time
+const ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed'];
+
+const BOOKING_FIELDS = 'id, name, puja_type, preferred_date, preferred_time, address, city, location_type, duration_minutes, status, priest_id';
+
+// 'HH:MM', 'HH:MM:SS' or 'H:MM AM' -> minutes after midnight (null if unparseable)
+const toMinutes = (time) => {
+  const match = String(time || '').trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*([ap]\.?m\.?)?$/i);
+  if (!match) return null;
+  let hours = Number(match[1]) % 24;
+  const meridiem = match[3] && match[3][0].toLowerCase();
+  if (meridiem === 'p' && hours < 12) hours += 12;
+  if (meridiem === 'a' && hours === 12) hours = 0;
+  return hours * 60 + Number(match[2]);
+};
+
+const formatMinutes = (total) => {
+  const clamped = Math.max(0, Math.min(total, MINUTES_PER_DAY));
+  const hours = String(Math.floor(clamped / 60)).padStart(2, '0');
+  const minutes = String(clamped % 60).padStart(2, '0');
+  return `${hours}:${minutes}`;
+};
+
+// 0 = Sunday, matching priest_working_hours.day_of_week
+const dayOfWeek = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+const normalizePujaType = (type) => String(type || '').trim().toLowerCase();
+
+const isHomePuja = (booking) => (booking.location_type
+  ? booking.location_type === 'home'
+  : Boolean(booking.address));
+
+const overlaps = (aStart, aEnd, bStart, bEnd) => aStart < bEnd && bStart < aEnd;
+
+/**
+ * Priest availability: weekly working hours, days off, puja durations and
+ * conflict detection between bookings.
+ *
+ * A booking occupies [preferred_time, preferred_time + duration). Home pujas
+ * also need travel time, so two bookings for the same priest must be at least
+ * the larger of their travel buffers apart (temple pujas have none).
+ */
+class PriestAvailabilityService {
+  // ------------------------------------------------------------------
+  // Durations
+  // ------------------------------------------------------------------
+
+  async loadDurations() {
+    const { data, error } = await supabase.from('priest_puja_durations').select('*');
+    if (error) throw error;
+    return data || [];
+  }
+
+  durationRuleFor(durations, pujaType, priestId) {
+    const type = normalizePujaType(pujaType);
+    return durations.find(row => row.puja_type === type && priestId && row.priest_id === priestId)
+      || durations.find(row => row.puja_type === type && !row.priest_id)
+      || null;
+  }
+
+  /**
+   * Time window a booking occupies for a given priest, in minutes after
+   * midnight on its date, plus the travel buffer it needs around it.
+   */
+  windowFor(booking, priestId, durations) {
+    const rule = this.durationRuleFor(durations, booking.puja_type, priestId);
+    const start = toMinutes(booking.preferred_time);
+    const duration = booking.duration_minutes || rule?.duration_minutes || DEFAULT_DURATION_MINUTES;
+    const buffer = isHomePuja(booking)
+      ? rule?.travel_buffer_minutes ?? DEFAULT_TRAVEL_BUFFER_MINUTES
+      : 0;
+
+    // Without a usable time the booking can only be placed on its day, so it
+    // holds the whole day
+    if (start === null) {
+      return { start: 0, end: MINUTES_PER_DAY, duration, buffer, home: isHomePuja(booking), untimed: true };
+    }
+
+    return { start, end: start + duration, duration, buffer, home: isHomePuja(booking), untimed: false };
+  }
+
+  describeWindow(window) {
+    return `${formatMinutes(window.start)}-${formatMinutes(window.end)}`;
+  }
+
+  // ------------------------------------------------------------------
+  // Availability data
+  // ------------------------------------------------------------------
+
+  async loadDay(priestIds, date, { excludeBookingId } = {}) {
+    if (priestIds.length === 0) return { hours: [], timeOff: [], bookings: [] };
+
+    let bookingsQuery = supabase
+      .from('priest_bookings')
+      .select(BOOKING_FIELDS)
+      .eq('preferred_date', date)
+      .in('priest_id', priestIds)
+      .in('status', ACTIVE_BOOKING_STATUSES);
+    if (excludeBookingId) bookingsQuery = bookingsQuery.neq('id', excludeBookingId);
+
+    const [hours, timeOff, bookings] = await Promise.all([
+      supabase
+        .from('priest_working_hours')
+        .select('priest_id, day_of_week, start_time, end_time')
+        .in('priest_id', priestIds),
+      supabase
+        .from('priest_time_off')
+        .select('*')
+        .in('priest_id', priestIds)
+        .lte('start_date', date)
+        .gte('end_date', date),
+      bookingsQuery
+    ]);
+
+    for (const result of [hours, timeOff, bookings]) {
+      if (result.error) throw result.error;
+    }
+
+    return { hours: hours.data || [], timeOff: timeOff.data || [], bookings: bookings.data || [] };
+  }
+
+  /**
+   * Check whether a priest can take a booking. Overlapping bookings are
+   * returned as `conflicts`; working-hours and day-off problems as `issues`.
+   */
+  evaluate(priestId, booking, day, durations) {
+    const window = this.windowFor(booking, priestId, durations);
+    const conflicts = [];
+    const issues = [];
+
+    const allHours = day.hours.filter(row => row.priest_id === priestId);
+    if (allHours.length > 0) {
+      const todays = allHours.filter(row => row.day_of_week === dayOfWeek(booking.preferred_date));
+      const fits = window.untimed || todays.some(row => toMinutes(row.start_time) <= window.start && window.end <= toMinutes(row.end_time));
+      if (todays.length === 0) {
+        issues.push({ type: 'not_working', message: 'Priest does not work on this day' });
+      } else if (!fits) {
+        issues.push({
+          type: 'outside_working_hours',
+          message: `Outside working hours (${todays.map(row => `${formatMinutes(toMinutes(row.start_time))}-${formatMinutes(toMinutes(row.end_time))}`).join(', ')})`
+        });
+      }
+    }
+
+    for (const off of day.timeOff.filter(row => row.priest_id === priestId)) {
+      const allDay = !off.start_time;
+      if (allDay || overlaps(window.start, window.end, toMinutes(off.start_time), toMinutes(off.end_time))) {
+        issues.push({
+          type: 'time_off',
+          message: allDay
+            ? `Day off${off.reason ? `: ${off.reason}` : ''}`
+            : `Unavailable ${formatMinutes(toMinutes(off.start_time))}-${formatMinutes(toMinutes(off.end_time))}${off.reason ? `: ${off.reason}` : ''}`,
+          time_off_id: off.id
+        });
+      }
+    }
+
+    for (const other of day.bookings.filter(row => row.priest_id === priestId && row.id !== booking.id)) {
+      const otherWindow = this.windowFor(other, priestId, durations);
+      const gap = Math.max(window.buffer, otherWindow.buffer);
+
+      if (overlaps(window.start, window.end + gap, otherWindow.start, otherWindow.end + gap)) {
+        conflicts.push({
+          booking_id: other.id,
+          puja_type: other.puja_type,
+          name: other.name,
+          status: other.status,
+          time: this.describeWindow(otherWindow),
+          travel_buffer_minutes: gap,
+          reason: overlaps(window.start, window.end, otherWindow.start, otherWindow.end)
+            ? 'overlapping_booking'
+            : 'insufficient_travel_time'
+        });
+      }
+    }
+
+    return {
+      priest_id: priestId,
+      available: conflicts.length === 0 && issues.length === 0,
+      window: {
+        start: formatMinutes(window.start),
+        end: formatMinutes(window.end),
+        duration_minutes: window.duration,
+        travel_buffer_minutes: window.buffer,
+        home_puja: window.home,
+        untimed: window.untimed
+      },
+      conflicts,
+      issues,
+      bookings_that_day: day.bookings.filter(row => row.priest_id === priestId && row.id !== booking.id).length
+    };
+  }
+
+  /**
+   * Validate assigning `priestId` to a booking (existing or proposed).
+   * Throws 409 when the priest is double-booked, or when they are off / outside
+   * working hours and `force` is not set.
+   */
+  async assertAssignable(booking, priestId, { force = false } = {}) {
+    if (!priestId || !ACTIVE_BOOKING_STATUSES.includes(booking.status || 'pending')) return null;
+
+    const [day, durations] = await Promise.all([
+      this.loadDay([priestId], booking.preferred_date, { excludeBookingId: booking.id }),
+      this.loadDurations()
+    ]);
+    const result = this.evaluate(priestId, booking, day, durations);
+
+    if (result.conflicts.length > 0) {
+      throw new AppError('Priest already has a booking at this time', 409, {
+        conflicts: result.conflicts,
+        window: result.window
+      });
+    }
+    if (result.issues.length > 0 && !force) {
+      throw new AppError('Priest is not available at this time', 409, {
+        issues: result.issues,
+        window: result.window,
+        hint: 'Send force: true to assign anyway'
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Second half of the double-booking check. assertAssignable reads before the
+   * caller writes, so two concurrent assignments can both pass it. Once the
+   * booking is saved, look again and undo the write (`rollback`) if another
+   * booking now overlaps. Of two racing writes at least one sees the other;
+   * both may roll back, but both never stay.
+   */
+  async confirmAssigned(booking, priestId, rollback) {
+    if (!priestId || !ACTIVE_BOOKING_STATUSES.includes(booking.status || 'pending')) return;
+
+    const [day, durations] = await Promise.all([
+      this.loadDay([priestId], booking.preferred_date, { excludeBookingId: booking.id }),
+      this.loadDurations()
+    ]);
+    const result = this.evaluate(priestId, booking, day, durations);
+    if (result.conflicts.length === 0) return;
+
+    await rollback();
+    throw new AppError('Priest was just booked at this time by another request', 409, {
+      conflicts: result.conflicts,
+      window: result.window
+    });
+  }
+
+  async getBooking(bookingId) {
+    const { data, error } = await supabase
+      .from('priest_bookings')
+      .select(BOOKING_FIELDS)
+      .eq('id', bookingId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) throw new AppError('Booking not found', 404);
+    return data;
+  }
+
+  /**
+   * Rank active priests for a booking: available priests first, then those
+   * with the fewest bookings that day.
+   */
+  async suggestPriests(bookingId, { includeUnavailable = true } = {}) {
+    const booking = await this.getBooking(bookingId);
+
+    const { data: priests, error } = await supabase
+      .from('priests')
+      .select('id, name, phone, email, specialization, image_url')
+      .eq('status', 'active');
+    if (error) throw error;
+
+    const ids = (priests || []).map(priest => priest.id);
+    const [day, durations] = await Promise.all([
+      this.loadDay(ids, booking.preferred_date, { excludeBookingId: booking.id }),
+      this.loadDurations()
+    ]);
+
+    const pujaType = normalizePujaType(booking.puja_type);
+    const suggestions = (priests || []).map(priest => {
+      const result = this.evaluate(priest.id, booking, day, durations);
+      return {
+        priest,
+        ...result,
+        specializes: Boolean(priest.specialization && pujaType &&
+          priest.specialization.toLowerCase().includes(pujaType)),
+        current: booking.priest_id === priest.id
+      };
+    });
+
+    suggestions.sort((a, b) => (b.available - a.available)
+      || (b.specializes - a.specializes)
+      || (a.bookings_that_day - b.bookings_that_day)
+      || a.priest.name.localeCompare(b.priest.name));
+
+    // Each suggestion carries its own window: durations can differ per priest
+    return {
+      booking,
+      suggestions: includeUnavailable ? suggestions : suggestions.filter(s => s.available)
+    };
+  }
+
+  /**
+   * Priests that are busy on a date, with the time ranges they are booked.
+   * With `time` (and optionally `pujaType`), only priests who could not take a
+   * booking at that time are returned.
+   */
+  async getBusyPriests(date, { time, pujaType, address, locationType, excludeBookingId } = {}) {
+    const { data: bookings, error } = await supabase
+      .from('priest_bookings')
+      .select(BOOKING_FIELDS)
+      .eq('preferred_date', date)
+      .not('priest_id', 'is', null)
+      .in('status', ACTIVE_BOOKING_STATUSES);
+    if (error) throw error;
+
+    const relevant = (bookings || []).filter(booking => booking.id !== excludeBookingId);
+    const durations = await this.loadDurations();
+
+    const busy = {};
+    for (const booking of relevant) {
+      const window = this.windowFor(booking, booking.priest_id, durations);
+      (busy[booking.priest_id] = busy[booking.priest_id] || []).push(this.describeWindow(window));
+    }
+
+    if (!time) return busy;
+
+    const { data: priests, error: priestError } = await supabase.from('priests').select('id').eq('status', 'active');
+    if (priestError) throw priestError;
+
+    const ids = [...new Set([...(priests || []).map(p => p.id), ...Object.keys(busy)])];
+    const day = await this.loadDay(ids, date, { excludeBookingId });
+    const proposed = {
+      id: excludeBookingId || null,
+      puja_type: pujaType,
+      preferred_date: date,
+      preferred_time: time,
+      address,
+      location_type: locationType
+    };
+
+    const unavailable = {};
+    for (const priestId of ids) {
+      const result = this.evaluate(priestId, proposed, day, durations);
+      if (!result.available) {
+        unavailable[priestId] = [
+          ...result.conflicts.map(conflict => conflict.time),
+          ...result.issues.map(issue => issue.message)
+        ];
+      }
+    }
+    return unavailable;
+  }
+
+  // ------------------------------------------------------------------
+  // Working hours, time off and durations management
+  // ------------------------------------------------------------------
+
+  async assertPriest(priestId) {
+    const { data, error } = await supabase.from('priests').select('id, name, status').eq('id', priestId).maybeSingle();
+    if (error) throw error;
+    if (!data) throw new AppError('Priest not found', 404);
+    return data;
+  }
+
+  async getAvailability(priestId) {
+    const priest = await this.assertPriest(priestId);
+    const today = new Date().toISOString().split('T')[0];
+
+    const [hours, timeOff, durations] = await Promise.all([
+      supabase.from('priest_working_hours').select('*').eq('priest_id', priestId)
+        .order('day_of_week', { ascending: true }).order('start_time', { ascending: true }),
+      supabase.from('priest_time_off').select('*').eq('priest_id', priestId)
+        .gte('end_date', today).order('start_date', { ascending: true }),
+      supabase.from('priest_puja_durations').select('*').eq('priest_id', priestId)
+        .order('puja_type', { ascending: true })
+    ]);
+
+    for (const result of [hours, timeOff, durations]) {
+      if (result.error) throw result.error;
+    }
+
+    return {
+      priest,
+      working_hours: hours.data || [],
+      time_off: timeOff.data || [],
+      puja_durations: durations.data || []
+    };
+  }
+
+  /**
+   * Replace a priest's weekly working hours. An empty list means "no fixed
+   * hours" (available any time).
+   */
+  async setWorkingHours(priestId, hours) {
+    await this.assertPriest(priestId);
+
+    const rows = hours.map(row => ({
+      priest_id: priestId,
+      day_of_week: Number(row.day_of_week),
+      start_time: row.start_time,
+      end_time: row.end_time
+    }));
+
+    for (const row of rows) {
+      if (toMinutes(row.end_time) <= toMinutes(row.start_time)) {
+        throw new AppError(`End time must be after start time (day ${row.day_of_week})`, 400);
+      }
+      const clash = rows.find(other => other !== row && other.day_of_week === row.day_of_week &&
+        overlaps(toMinutes(row.start_time), toMinutes(row.end_time), toMinutes(other.start_time), toMinutes(other.end_time)));
+      if (clash) throw new AppError(`Working hours overlap on day ${row.day_of_week}`, 400);
+    }
+
+    // One transaction (migration 025) - a failed insert keeps the old hours
+    const { error } = await supabase.rpc('replace_priest_working_hours', {
+      p_priest_id: priestId,
+      p_hours: rows
+    });
+    if (error) throw error;
+
+    return (await this.getAvailability(priestId)).working_hours;
+  }
+
+  async addTimeOff(priestId, { start_date, end_date, start_time, end_time, reason }, userId) {
+    await this.assertPriest(priestId);
+
+    const record = {
+      priest_id: priestId,
+      start_date,
+      end_date: end_date || start_date,
+      start_time: start_time || null,
+      end_time: end_time || null,
+      reason: reason || null,
+      created_by: userId || null
+    };
+
+    if (record.end_date < record.start_date) throw new AppError('End date must be on or after start date', 400);
+    if (Boolean(record.start_time) !== Boolean(record.end_time)) {
+      throw new AppError('Provide both start_time and end_time, or neither for whole days', 400);
+    }
+    if (record.start_time && toMinutes(record.end_time) <= toMinutes(record.start_time)) {
+      throw new AppError('End time must be after start time', 400);
+    }
+
+    const { data, error } = await supabase.from('priest_time_off').insert(record).select('*').single();
+    if (error) throw error;
+
+    // Bookings already assigned in that period need a new priest
+    const { data: affected } = await supabase
+      .from('priest_bookings')
+      .select(BOOKING_FIELDS)
+      .eq('priest_id', priestId)
+      .in('status', ACTIVE_BOOKING_STATUSES)
+      .gte('preferred_date', record.start_date)
+      .lte('preferred_date', record.end_date);
+
+    const durations = await this.loadDurations();
+    const affectedBookings = (affected || []).filter(booking => {
+      if (!record.start_time) return true;
+      const window = this.windowFor(booking, priestId, durations);
+      return overlaps(window.start, window.end, toMinutes(record.start_time), toMinutes(record.end_time));
+    });
+
+    return { time_off: data, affected_bookings: affectedBookings };
+  }
+
+  async removeTimeOff(priestId, timeOffId) {
+    const { data, error } = await supabase
+      .from('priest_time_off')
+      .delete()
+      .eq('id', timeOffId)
+      .eq('priest_id', priestId)
+      .select('id');
+    if (error) throw error;
+    if (!data || data.length === 0) throw new AppError('Time off entry not found', 404);
+  }
+
+  async listDurations({ priestId } = {}) {
+    let query = supabase.from('priest_puja_durations').select('*').order('puja_type', { ascending: true });
+    if (priestId) query = query.eq('priest_id', priestId);
+    const { data, error } = await query;
+    if (error) throw error;
+    return {
+      defaults: { duration_minutes: DEFAULT_DURATION_MINUTES, travel_buffer_minutes: DEFAULT_TRAVEL_BUFFER_MINUTES },
+      durations: data || []
+    };
+  }
+
+  /**
+   * Create or update the duration for a puja type, either as the default
+   * (no priest_id) or for one priest.
+   */
+  async setDuration({ puja_type, priest_id, duration_minutes, travel_buffer_minutes }) {
+    if (priest_id) await this.assertPriest(priest_id);
+
+    const pujaType = normalizePujaType(puja_type);
+    let lookup = supabase.from('priest_puja_durations').select('id').eq('puja_type', pujaType);
+    lookup = priest_id ? lookup.eq('priest_id', priest_id) : lookup.is('priest_id', null);
+    const { data: existing, error: lookupError } = await lookup.maybeSingle();
+    if (lookupError) throw lookupError;
+
+    const record = {
+      puja_type: pujaType,
+      priest_id: priest_id || null,
+      duration_minutes: Number(duration_minutes),
+      travel_buffer_minutes: travel_buffer_minutes === undefined || travel_buffer_minutes === null
+        ? null
+        : Number(travel_buffer_minutes),
+      updated_at: new Date().toISOString()
+    };
+
+    const { data, error } = existing
+      ? await supabase.from('priest_puja_durations').update(record).eq('id', existing.id).select('*').single()
+      : await supabase.from('priest_puja_durations').insert(record).select('*').single();
+    if (error) throw error;
+    return data;
+  }
+
+  async deleteDuration(id) {
+    const { data, error } = await supabase.from('priest_puja_durations').delete().eq('id', id).select('id');
+    if (error) throw error;
+    if (!data || data.length === 0) throw new AppError('Puja duration not found', 404);
+  }
+
+  /**
+   * A priest's bookings and time off between two dates, with each booking's
+   * computed time range.
+   */
+  async getSchedule(priestId, { startDate, endDate }) {
+    await this.assertPriest(priestId);
+
+    const [bookings, timeOff, durations] = await Promise.all([
+      supabase.from('priest_bookings').select(BOOKING_FIELDS)
+        .eq('priest_id', priestId)
+        .in('status', ACTIVE_BOOKING_STATUSES)
+        .gte('preferred_date', startDate)
+        .lte('preferred_date', endDate)
+        .order('preferred_date', { ascending: true })
+        .order('preferred_time', { ascending: true }),
+      supabase.from('priest_time_off').select('*')
+        .eq('priest_id', priestId)
+        .lte('start_date', endDate)
+        .gte('end_date', startDate),
+      this.loadDurations()
+    ]);
+
+    if (bookings.error) throw bookings.error;
+    if (timeOff.error) throw timeOff.error;
+
+    return {
+      bookings: (bookings.data || []).map(booking => {
+        const window = this.windowFor(booking, priestId, durations);
+        return {
+          ...booking,
+          start_time: formatMinutes(window.start),
+          end_time: formatMinutes(window.end),
+          travel_buffer_minutes: window.buffer
+        };
+      }),
+      time_off: timeOff.data || []
+    };
+  }
+}
+
+module.exports = new PriestAvailabilityService();
@@ -0,0 +1,73 @@
+const { supabase } = require('../../config/supabase');
+const { UUID_PATTERN } = require('./permissionService');
+
+const REASONS = ['missing_permission', 'not_a_member', 'community_role', 'unknown_community'];
+
+/**
+ * Log of requests requirePermission() turned away. Writing is best effort:
+ * the caller has already been refused, and a failed insert must not turn
+ * that 403 into a 500.
+ */
+class AccessAuditService {
+  /**
+   * @param {object} req          the denied request (req.user is set)
+   * @param {object} denial
+   * @param {string[]} denial.permissions  any of which would have allowed it
+   * @param {string} denial.reason         one of REASONS
+   * @param {string} [denial.communityId]
+   * @param {string} [denial.communityRole] the caller's role there, if any
+   */
+  async recordDenial(req, { permissions, reason, communityId = null, communityRole = null }) {
+    const user = req.user || {};
+    console.warn(`🚫 Access denied: ${user.email || user.id} ${req.method} ${req.originalUrl} - ${reason} (${permissions.join(' or ')})`);
+
+    try {
+      const { error } = await supabase
+        .from('access_denials')
+        .insert({
+          user_id: user.id || null,
+          user_email: user.email || null,
+          roles: user.roles || [],
+          permissions,
+          reason,
+          community_id: UUID_PATTERN.test(String(communityId)) ? communityId : null,
+          community_role: communityRole,
+          method: req.method,
+          path: (req.originalUrl || req.url || '').split('?')[0],
+          ip_address: req.ip || null,
+          user_agent: req.get?.('user-agent') || null
+        });
+
+      if (error) throw error;
+    } catch (error) {
+      console.error('⚠️ Failed to record access denial:', error.message);
+    }
+  }
+
+  async listDenials({ userId, communityId, permission, reason, since, page = 1, limit = 50 } = {}) {
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    let query = supabase
+      .from('access_denials')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false });
+
+    if (userId) query = query.eq('user_id', userId);
+    if (communityId) query = query.eq('community_id', communityId);
+    if (permission) query = query.contains('permissions', [permission]);
+    if (reason) query = query.eq('reason', reason);
+    if (since) query = query.gte('created_at', new Date(since).toISOString());
+
+    const { data, error, count } = await query.range((pageNum - 1) * limitNum, pageNum * limitNum - 1);
+    if (error) throw error;
+
+    return {
+      denials: data || [],
+      pagination: { page: pageNum, limit: limitNum, total: count || 0, totalPages: Math.ceil((count || 0) / limitNum) }
+    };
+  }
+}
+
+module.exports = new AccessAuditService();
+module.exports.REASONS = REASONS;
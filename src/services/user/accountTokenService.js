@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { supabase } = require('../../config/supabase');
+const { AppError } = require('../../middleware/errorHandler');
+const { normalizeEmail } = require('../../utils/contactHelpers');
+const HybridUserService = require('../hybridUserService');
+const emailService = require('../emailService');
+const sessionService = require('./sessionService');
+const { escapeHtml } = require('../../utils/html');
+
+const PURPOSES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification'
+};
+
+const TTL_MINUTES = {
+  [PURPOSES.PASSWORD_RESET]: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+  [PURPOSES.EMAIL_VERIFICATION]: (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48) * 60
+};
+
+// Emails of each kind one account can be sent per hour, whatever the IP
+const MAX_TOKENS_PER_HOUR = 3;
+
+const frontendUrl = () => (process.env.VITE_FRONTEND_URL || process.env.FRONTEND_URL || 'http://localhost:8080').replace(/\/$/, '');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const describeTtl = (minutes) => (minutes % 60 === 0
+  ? `${minutes / 60} hour${minutes === 60 ? '' : 's'}`
+  : `${minutes} minutes`);
+
+const INVALID_LINK = 'This link is invalid or has expired. Please request a new one.';
+
+/**
+ * Forgot-password and email-verification links. Each link carries a random
+ * token that is stored only as a hash, expires, and works once. Issuing a new
+ * link spends the account's older ones, and each account gets at most
+ * MAX_TOKENS_PER_HOUR links of a kind per hour (IP limits live on the routes).
+ */
+class AccountTokenService {
+  /**
+   * Create a token for a user, or return null when the account has hit its
+   * hourly limit.
+   */
+  async issue(user, purpose, { ip } = {}) {
+    const since = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    const { count, error: countError } = await supabase
+      .from('account_tokens')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', user.id)
+      .eq('purpose', purpose)
+      .gte('created_at', since);
+
+    if (countError) throw countError;
+    if (count >= MAX_TOKENS_PER_HOUR) {
+      console.log(`⏳ ${purpose} link for ${user.email} not sent - hourly limit reached`);
+      return null;
+    }
+
+    await this.spendTokens(user.id, purpose);
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const { error } = await supabase
+      .from('account_tokens')
+      .insert({
+        user_id: user.id,
+        purpose,
+        token_hash: hashToken(token),
+        email: normalizeEmail(user.email),
+        expires_at: new Date(Date.now() + TTL_MINUTES[purpose] * 60000).toISOString(),
+        requested_ip: ip || null
+      });
+
+    if (error) throw error;
+    return token;
+  }
+
+  // Invalidate every unused token of a kind for a user
+  async spendTokens(userId, purpose) {
+    const { error } = await supabase
+      .from('account_tokens')
+      .update({ used_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('purpose', purpose)
+      .is('used_at', null);
+
+    if (error) throw error;
+  }
+
+  /**
+   * Spend a token and return the user it was issued to. The conditional update
+   * makes a token usable exactly once, even under concurrent requests. A token
+   * sent to an address the account no longer uses is rejected.
+   */
+  async consume(token, purpose) {
+    if (!token) throw new AppError(INVALID_LINK, 400);
+
+    const { data: row, error } = await supabase
+      .from('account_tokens')
+      .update({ used_at: new Date().toISOString() })
+      .eq('token_hash', hashToken(token))
+      .eq('purpose', purpose)
+      .is('used_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .select('user_id, email')
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!row) throw new AppError(INVALID_LINK, 400);
+
+    const user = await HybridUserService.findUserById(row.user_id);
+    if (!user || normalizeEmail(user.email) !== row.email) throw new AppError(INVALID_LINK, 400);
+    return user;
+  }
+
+  // ------------------------------------------------------------------
+  // Password reset
+  // ------------------------------------------------------------------
+
+  /**
+   * Email a reset link if the address belongs to an active account. Callers
+   * answer the same way either way so the endpoint cannot be used to find
+   * accounts.
+   */
+  async requestPasswordReset(rawEmail, { ip } = {}) {
+    const email = normalizeEmail(rawEmail);
+    const user = email ? await HybridUserService.findUserByEmail(email) : null;
+
+    if (!user || (user.status && user.status !== 'active')) {
+      console.log(`ℹ️ Password reset requested for ${email} - no active account`);
+      return { sent: false };
+    }
+
+    const token = await this.issue(user, PURPOSES.PASSWORD_RESET, { ip });
+    if (!token) return { sent: false };
+
+    const url = `${frontendUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+    await emailService.sendEmail({
+      to: user.email,
+      topic: 'account',
+      subject: '🔑 Reset your password - Temple Management System',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <p>Hello ${escapeHtml(user.full_name || '')},</p>
+          <p>We received a request to reset the password for your account. Use the button below to choose a new one.</p>
+          <p style="text-align: center; margin: 24px 0;">
+            <a href="${escapeHtml(url)}" style="background: #667eea; color: #fff; padding: 12px 24px; border-radius: 4px; text-decoration: none;">Reset my password</a>
+          </p>
+          <p style="font-size: 13px; color: #666;">This link works once, for ${describeTtl(TTL_MINUTES[PURPOSES.PASSWORD_RESET])}. If you did not ask to reset your password, you can ignore this email - your password has not changed.</p>
+        </div>
+      `
+    });
+
+    return { sent: true };
+  }
+
+  /**
+   * Set a new password from a reset link. Like a password change, this
+   * invalidates every existing access token (password_changed_at) and signs
+   * out all sessions. Receiving the link also proves the email address.
+   */
+  async resetPassword(token, newPassword) {
+    const user = await this.consume(token, PURPOSES.PASSWORD_RESET);
+
+    const salt = await bcrypt.genSalt(10);
+    const updated = await HybridUserService.updateUserPassword(user.id, await bcrypt.hash(newPassword, salt));
+    if (!updated) throw new AppError('Failed to update password', 500);
+
+    await this.spendTokens(user.id, PURPOSES.PASSWORD_RESET);
+    await sessionService.revokeAllSessions(user.id, { reason: 'password_changed', revokedBy: user.id });
+    if (!user.email_verified_at) await this.markVerified(user.id);
+
+    try {
+      await emailService.sendEmail({
+        to: user.email,
+        topic: 'account',
+        subject: '🔒 Your password was changed - Temple Management System',
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <p>Hello ${escapeHtml(user.full_name || '')},</p>
+            <p>The password for your account was just reset and all devices have been signed out.</p>
+            <p>If this wasn't you, please contact the temple administration right away.</p>
+          </div>
+        `
+      });
+    } catch (error) {
+      console.error('⚠️ Failed to send password change notice:', error.message);
+    }
+
+    console.log('✅ Password reset for:', user.email);
+    return { user_id: user.id, email: user.email };
+  }
+
+  // ------------------------------------------------------------------
+  // Email verification
+  // ------------------------------------------------------------------
+
+  /**
+   * A verification link for a user, or null when the hourly limit is reached.
+   * Registration embeds it in the welcome email; sendVerification mails it alone.
+   */
+  async createVerificationLink(user, { ip } = {}) {
+    const token = await this.issue(user, PURPOSES.EMAIL_VERIFICATION, { ip });
+    return token ? `${frontendUrl()}/verify-email?token=${encodeURIComponent(token)}` : null;
+  }
+
+  async sendVerification(userId, { ip } = {}) {
+    const user = await HybridUserService.findUserById(userId);
+    if (!user) throw new AppError('User not found', 404);
+    if (user.email_verified_at) throw new AppError('Email address is already verified', 409);
+
+    const url = await this.createVerificationLink(user, { ip });
+    if (!url) throw new AppError('Too many verification emails requested. Please try again later.', 429);
+
+    await emailService.sendEmail({
+      to: user.email,
+      topic: 'account',
+      subject: '✅ Verify your email address - Temple Management System',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <p>Hello ${escapeHtml(user.full_name || '')},</p>
+          <p>Please confirm that this is your email address.</p>
+          <p style="text-align: center; margin: 24px 0;">
+            <a href="${escapeHtml(url)}" style="background: #667eea; color: #fff; padding: 12px 24px; border-radius: 4px; text-decoration: none;">Verify my email</a>
+          </p>
+          <p style="font-size: 13px; color: #666;">This link works for ${describeTtl(TTL_MINUTES[PURPOSES.EMAIL_VERIFICATION])}. If you did not create an account, you can ignore this email.</p>
+        </div>
+      `
+    });
+
+    return { email: user.email };
+  }
+
+  async verifyEmail(token) {
+    const user = await this.consume(token, PURPOSES.EMAIL_VERIFICATION);
+    const verifiedAt = user.email_verified_at || await this.markVerified(user.id);
+
+    console.log('✅ Email verified for:', user.email);
+    return { user_id: user.id, email: user.email, email_verified_at: verifiedAt };
+  }
+
+  async markVerified(userId) {
+    const verifiedAt = new Date().toISOString();
+    await HybridUserService.updateUser(userId, { email_verified_at: verifiedAt });
+    await this.spendTokens(userId, PURPOSES.EMAIL_VERIFICATION);
+    return verifiedAt;
+  }
+}
+
+module.exports = new AccountTokenService();
+module.exports.PURPOSES = PURPOSES;
@@ -0,0 +1,235 @@
+const { supabase } = require('../../config/supabase');
+const { AppError } = require('../../middleware/errorHandler');
+const { ROLES, ASSIGNABLE_ROLES } = require('../../config/constants');
+const {
+  PERMISSIONS,
+  PERMISSION_DESCRIPTIONS,
+  COMMUNITY_ROLES,
+  DEFAULT_ROLE_PERMISSIONS
+} = require('../../config/permissions');
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+// Overrides change rarely; every authenticated request reads the mapping
+const CACHE_TTL_MS = 60 * 1000;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Role -> permission mappings: the registry defaults in config/permissions
+ * plus admin overrides from role_permissions.
+ *
+ * The auth middleware resolves req.user.permissions from the user's roles,
+ * leaving out community roles (community_owner, community_lead,
+ * community_member). On a request about one community the caller's role
+ * there is looked up instead - see checkCommunityAccess - so a lead of one
+ * community has no say in another.
+ */
+class PermissionService {
+  constructor() {
+    this.cache = null;
+    this.loadedAt = 0;
+  }
+
+  invalidate() {
+    this.cache = null;
+    this.loadedAt = 0;
+  }
+
+  /**
+   * @returns {Promise<Map<string, Set<string>>>} role -> permissions
+   */
+  async getRoleMap() {
+    if (this.cache && Date.now() - this.loadedAt < CACHE_TTL_MS) return this.cache;
+
+    const map = new Map(
+      Object.entries(DEFAULT_ROLE_PERMISSIONS).map(([role, permissions]) => [role, new Set(permissions)])
+    );
+
+    const { data, error } = await supabase
+      .from('role_permissions')
+      .select('role, permission, granted');
+
+    if (error) {
+      // Keep the last known mapping rather than failing every request
+      console.error('⚠️ Failed to load role permissions:', error.message);
+      return this.cache || map;
+    }
+
+    for (const row of data || []) {
+      if (row.role === ROLES.ADMIN || !ALL_PERMISSIONS.includes(row.permission)) continue;
+      if (!map.has(row.role)) map.set(row.role, new Set());
+      if (row.granted) map.get(row.role).add(row.permission);
+      else map.get(row.role).delete(row.permission);
+    }
+
+    this.cache = map;
+    this.loadedAt = Date.now();
+    return map;
+  }
+
+  /**
+   * Permissions the given roles grant everywhere (community roles excluded)
+   * @returns {Promise<string[]>}
+   */
+  async permissionsForRoles(roles = []) {
+    if (roles.includes(ROLES.ADMIN)) return [...ALL_PERMISSIONS];
+
+    const map = await this.getRoleMap();
+    const granted = new Set();
+    for (const role of roles) {
+      if (COMMUNITY_ROLES.includes(role)) continue;
+      for (const permission of map.get(role) || []) granted.add(permission);
+    }
+    return [...granted];
+  }
+
+  /**
+   * Synchronous check against the permissions the auth middleware put on
+   * req.user. Use in controllers and services that already have the user.
+   */
+  can(user, permission) {
+    if (!user) return false;
+    if ((user.roles || []).includes(ROLES.ADMIN)) return true;
+    return (user.permissions || []).includes(permission);
+  }
+
+  /**
+   * The user's role inside a community: community_owner for the owner_id,
+   * community_lead or community_member from their active membership, or null.
+   */
+  async communityRoleFor(userId, communityId) {
+    if (!UUID_PATTERN.test(String(communityId))) return null;
+
+    const [community, membership] = await Promise.all([
+      supabase.from('communities').select('owner_id').eq('id', communityId).maybeSingle(),
+      supabase
+        .from('community_members')
+        .select('role, is_lead')
+        .eq('community_id', communityId)
+        .eq('user_id', userId)
+        .eq('status', 'active')
+        .limit(1)
+    ]);
+
+    if (community.error) throw community.error;
+    if (membership.error) throw membership.error;
+
+    if (community.data?.owner_id && community.data.owner_id === String(userId)) return ROLES.COMMUNITY_OWNER;
+    const member = (membership.data || [])[0];
+    if (!member) return null;
+    return member.role === 'lead' || member.is_lead ? ROLES.COMMUNITY_LEAD : ROLES.COMMUNITY_MEMBER;
+  }
+
+  /**
+   * Whether the user's role in the community grants any of the permissions.
+   * @param {object} user          req.user
+   * @param {string[]} permissions any one is enough
+   * @param {string} communityId
+   * @returns {Promise<{ granted: boolean, communityRole: string|null }>}
+   */
+  async checkCommunityAccess(user, permissions, communityId) {
+    if (!user || !communityId) return { granted: false, communityRole: null };
+
+    const communityRole = await this.communityRoleFor(user.id, communityId);
+    if (!communityRole) return { granted: false, communityRole };
+
+    const map = await this.getRoleMap();
+    const granted = permissions.some(permission => map.get(communityRole)?.has(permission));
+    return { granted, communityRole };
+  }
+
+  async hasCommunityPermission(user, permissions, communityId) {
+    const { granted } = await this.checkCommunityAccess(user, permissions, communityId);
+    return granted;
+  }
+
+  // ------------------------------------------------------------------
+  // Admin editing
+  // ------------------------------------------------------------------
+
+  /**
+   * The registry and each role's current permissions, for the admin screen
+   */
+  async getMatrix() {
+    const map = await this.getRoleMap();
+
+    return {
+      permissions: ALL_PERMISSIONS.map(key => ({
+        key,
+        area: key.split('.')[0],
+        description: PERMISSION_DESCRIPTIONS[key]
+      })),
+      roles: ASSIGNABLE_ROLES.map(role => this.describeRole(role, map))
+    };
+  }
+
+  describeRole(role, map) {
+    const current = role === ROLES.ADMIN ? ALL_PERMISSIONS : ALL_PERMISSIONS.filter(p => map.get(role)?.has(p));
+    const defaults = new Set(DEFAULT_ROLE_PERMISSIONS[role] || []);
+
+    return {
+      role,
+      scope: COMMUNITY_ROLES.includes(role) ? 'community' : 'global',
+      editable: role !== ROLES.ADMIN,
+      permissions: current,
+      customized: current.length !== defaults.size || current.some(p => !defaults.has(p))
+    };
+  }
+
+  assertEditable(role) {
+    if (!ASSIGNABLE_ROLES.includes(role)) throw new AppError(`Unknown role: ${role}`, 404);
+    if (role === ROLES.ADMIN) throw new AppError('The admin role always has every permission', 400);
+  }
+
+  /**
+   * Replace a role's permissions. Stored as differences from the defaults so
+   * permissions added to the registry later still reach the role.
+   */
+  async setRolePermissions(role, permissions, updatedBy) {
+    this.assertEditable(role);
+
+    const unknown = permissions.filter(p => !ALL_PERMISSIONS.includes(p));
+    if (unknown.length) throw new AppError(`Unknown permission: ${unknown.join(', ')}`, 400);
+
+    const wanted = new Set(permissions);
+    const defaults = new Set(DEFAULT_ROLE_PERMISSIONS[role] || []);
+    const now = new Date().toISOString();
+    const overrides = ALL_PERMISSIONS
+      .filter(p => wanted.has(p) !== defaults.has(p))
+      .map(permission => ({
+        role,
+        permission,
+        granted: wanted.has(permission),
+        updated_by: updatedBy || null,
+        updated_at: now
+      }));
+
+    await this.clearOverrides(role);
+    if (overrides.length) {
+      const { error } = await supabase.from('role_permissions').insert(overrides);
+      if (error) throw error;
+    }
+
+    this.invalidate();
+    console.log(`🔐 Permissions for ${role} updated by ${updatedBy} (${overrides.length} override(s))`);
+    return this.describeRole(role, await this.getRoleMap());
+  }
+
+  async resetRole(role, updatedBy) {
+    this.assertEditable(role);
+    await this.clearOverrides(role);
+
+    this.invalidate();
+    console.log(`🔐 Permissions for ${role} reset to defaults by ${updatedBy}`);
+    return this.describeRole(role, await this.getRoleMap());
+  }
+
+  async clearOverrides(role) {
+    const { error } = await supabase.from('role_permissions').delete().eq('role', role);
+    if (error) throw error;
+  }
+}
+
+module.exports = new PermissionService();
+module.exports.UUID_PATTERN = UUID_PATTERN;
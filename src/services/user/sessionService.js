@@ -0,0 +1,277 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { supabase } = require('../../config/supabase');
+const { AppError } = require('../../middleware/errorHandler');
+
+const ACCESS_TOKEN_EXPIRE = process.env.ACCESS_TOKEN_EXPIRE || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SESSION_FIELDS = 'id, user_id, device_name, user_agent, ip_address, created_at, last_used_at, expires_at, revoked_at, revoked_reason';
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const expiresAt = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS).toISOString();
+
+// "Chrome on Windows", "Safari on iPhone" - enough to recognise a device in the list
+const describeUserAgent = (userAgent) => {
+  if (!userAgent) return null;
+
+  const platforms = [
+    [/iPhone/i, 'iPhone'], [/iPad/i, 'iPad'], [/Android/i, 'Android'],
+    [/Windows/i, 'Windows'], [/Mac OS X|Macintosh/i, 'Mac'], [/CrOS/i, 'ChromeOS'], [/Linux/i, 'Linux']
+  ];
+  const clients = [
+    [/Expo|okhttp|CFNetwork|Dalvik/i, 'Mobile app'], [/Edg\//i, 'Edge'], [/OPR\//i, 'Opera'],
+    [/Firefox\//i, 'Firefox'], [/Chrome\//i, 'Chrome'], [/Safari\//i, 'Safari'],
+    [/curl|PostmanRuntime|axios|node-fetch/i, 'API client']
+  ];
+
+  const platform = platforms.find(([pattern]) => pattern.test(userAgent))?.[1];
+  const client = clients.find(([pattern]) => pattern.test(userAgent))?.[1];
+  if (client && platform) return `${client} on ${platform}`;
+  return client || platform || 'Unknown device';
+};
+
+const isActive = (session) => !session.revoked_at && new Date(session.expires_at) > new Date();
+
+/**
+ * Login sessions with short-lived access tokens and rotating refresh tokens.
+ *
+ * A login creates a user_sessions row and returns an access token (a JWT
+ * carrying the session id as `sid`) plus an opaque refresh token. Refreshing
+ * exchanges the refresh token for a new pair; each refresh token works once.
+ * Presenting an already-used refresh token means it leaked, so the session is
+ * revoked and both the thief and the owner have to log in again.
+ */
+class SessionService {
+  issueAccessToken(user, sessionId) {
+    return jwt.sign(
+      { id: user.id, email: user.email, role: user.role || 'user', sid: sessionId },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_EXPIRE }
+    );
+  }
+
+  async issueRefreshToken(sessionId) {
+    const token = crypto.randomBytes(48).toString('base64url');
+    const { error } = await supabase
+      .from('refresh_tokens')
+      .insert({ session_id: sessionId, token_hash: hashToken(token) });
+
+    if (error) throw error;
+    return token;
+  }
+
+  // The response shape returned by login, registration and refresh
+  async tokensFor(user, session) {
+    const accessToken = this.issueAccessToken(user, session.id);
+    const refreshToken = await this.issueRefreshToken(session.id);
+    const { exp } = jwt.decode(accessToken);
+
+    return {
+      token: accessToken,
+      access_token: accessToken,
+      access_token_expires_at: new Date(exp * 1000).toISOString(),
+      refresh_token: refreshToken,
+      refresh_token_expires_at: session.expires_at,
+      session_id: session.id
+    };
+  }
+
+  /**
+   * Start a session for a user who just authenticated.
+   * @param {object} user
+   * @param {object} [client] { userAgent, ip, deviceName }
+   */
+  async createSession(user, { userAgent, ip, deviceName } = {}) {
+    const { data: session, error } = await supabase
+      .from('user_sessions')
+      .insert({
+        user_id: user.id,
+        device_name: deviceName || describeUserAgent(userAgent),
+        user_agent: userAgent || null,
+        ip_address: ip || null,
+        expires_at: expiresAt()
+      })
+      .select(SESSION_FIELDS)
+      .single();
+
+    if (error) throw error;
+    return this.tokensFor(user, session);
+  }
+
+  /**
+   * Exchange a refresh token for a new access / refresh token pair.
+   * @param {string} refreshToken
+   * @param {function} loadUser  (userId) => user, so roles and email are current
+   */
+  async refresh(refreshToken, loadUser, { ip } = {}) {
+    if (!refreshToken) throw new AppError('Refresh token is required', 400);
+
+    const tokenHash = hashToken(refreshToken);
+
+    // Claim the token; only one request can mark it used
+    const { data: claimed, error } = await supabase
+      .from('refresh_tokens')
+      .update({ used_at: new Date().toISOString() })
+      .eq('token_hash', tokenHash)
+      .is('used_at', null)
+      .select('id, session_id')
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!claimed) {
+      const { data: known, error: lookupError } = await supabase
+        .from('refresh_tokens')
+        .select('session_id')
+        .eq('token_hash', tokenHash)
+        .maybeSingle();
+
+      if (lookupError) throw lookupError;
+      if (known) {
+        console.warn(`🚨 Refresh token reuse detected - revoking session ${known.session_id}`);
+        await this.revokeSessionById(known.session_id, { reason: 'refresh_token_reuse' });
+        throw new AppError('Refresh token has already been used. Please login again.', 401);
+      }
+      throw new AppError('Invalid refresh token', 401);
+    }
+
+    const session = await this.getSession(claimed.session_id);
+    if (!session || !isActive(session)) {
+      throw new AppError('Session has expired or been signed out. Please login again.', 401);
+    }
+
+    const user = await loadUser(session.user_id);
+    if (!user) {
+      await this.revokeSessionById(session.id, { reason: 'admin' });
+      throw new AppError('User not found', 401);
+    }
+
+    // Sessions started before a password change or forced logout are over
+    const startedBefore = (value) => value && new Date(session.created_at) <= new Date(value);
+    if (startedBefore(user.password_changed_at) || startedBefore(user.sessions_revoked_at)) {
+      await this.revokeSessionById(session.id, {
+        reason: startedBefore(user.password_changed_at) ? 'password_changed' : 'admin'
+      });
+      throw new AppError('Session has expired or been signed out. Please login again.', 401);
+    }
+
+    const { data: updated, error: updateError } = await supabase
+      .from('user_sessions')
+      .update({ last_used_at: new Date().toISOString(), expires_at: expiresAt(), ...(ip && { ip_address: ip }) })
+      .eq('id', session.id)
+      .select(SESSION_FIELDS)
+      .single();
+
+    if (updateError) throw updateError;
+    return { user, tokens: await this.tokensFor(user, updated) };
+  }
+
+  async getSession(sessionId) {
+    const { data, error } = await supabase
+      .from('user_sessions')
+      .select(SESSION_FIELDS)
+      .eq('id', sessionId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Used by the auth middleware on every request carrying a session id
+  async isSessionActive(sessionId, userId) {
+    const session = await this.getSession(sessionId);
+    return Boolean(session && session.user_id === String(userId) && isActive(session));
+  }
+
+  // Active sessions, newest first, with the caller's own flagged
+  async listSessions(userId, currentSessionId) {
+    const { data, error } = await supabase
+      .from('user_sessions')
+      .select(SESSION_FIELDS)
+      .eq('user_id', userId)
+      .is('revoked_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('last_used_at', { ascending: false });
+
+    if (error) throw error;
+    return (data || []).map(session => ({ ...session, current: session.id === currentSessionId }));
+  }
+
+  async revokeSessionById(sessionId, { reason, revokedBy } = {}) {
+    const { error } = await supabase
+      .from('user_sessions')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: reason, revoked_by: revokedBy || null })
+      .eq('id', sessionId)
+      .is('revoked_at', null);
+
+    if (error) throw error;
+  }
+
+  // Sign out one of the user's own sessions
+  async revokeSession(userId, sessionId, { reason = 'logout', revokedBy } = {}) {
+    const session = await this.getSession(sessionId);
+    if (!session || session.user_id !== String(userId)) throw new AppError('Session not found', 404);
+    if (session.revoked_at) return session;
+
+    await this.revokeSessionById(sessionId, { reason, revokedBy: revokedBy || String(userId) });
+    return { ...session, revoked_at: new Date().toISOString(), revoked_reason: reason };
+  }
+
+  // Log out with a refresh token (no access token needed, e.g. after it expired)
+  async revokeByRefreshToken(refreshToken) {
+    const { data, error } = await supabase
+      .from('refresh_tokens')
+      .select('session_id')
+      .eq('token_hash', hashToken(refreshToken))
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new AppError('Invalid refresh token', 401);
+
+    await this.revokeSessionById(data.session_id, { reason: 'logout' });
+    return data.session_id;
+  }
+
+  /**
+   * Revoke every active session of a user, optionally keeping one (the caller's).
+   * @returns {Promise<number>} sessions revoked
+   */
+  async revokeAllSessions(userId, { reason, revokedBy, exceptSessionId } = {}) {
+    let query = supabase
+      .from('user_sessions')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: reason, revoked_by: revokedBy || null })
+      .eq('user_id', userId)
+      .is('revoked_at', null);
+    if (exceptSessionId) query = query.neq('id', exceptSessionId);
+
+    const { data, error } = await query.select('id');
+    if (error) throw error;
+    return (data || []).length;
+  }
+
+  /**
+   * Admin force-logout: revoke all sessions and reject any access token issued
+   * before now, including tokens from before sessions existed.
+   */
+  async forceLogout(userId, adminId) {
+    const { data: user, error } = await supabase
+      .from('users')
+      .update({ sessions_revoked_at: new Date().toISOString() })
+      .eq('id', userId)
+      .select('id, email')
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!user) throw new AppError('User not found', 404);
+
+    const revoked = await this.revokeAllSessions(userId, { reason: 'admin', revokedBy: adminId });
+    console.log(`🔒 Forced logout of ${user.email} (${revoked} session(s)) by ${adminId}`);
+    return { user_id: user.id, email: user.email, sessions_revoked: revoked };
+  }
+}
+
+module.exports = new SessionService();
+module.exports.describeUserAgent = describeUserAgent;
@@ -0,0 +1,36 @@
+// Contact helpers - normalise addresses so the same person is recognised
+// across users, donations, volunteers and preference records
+
+const normalizeEmail = (value) => (value ? String(value).trim().toLowerCase() : null);
+
+// Normalise to E.164; bare 10-digit numbers are assumed to be US numbers
+const normalizePhone = (value) => {
+  if (!value) return null;
+  const raw = String(value).trim();
+  const digits = raw.replace(/\D/g, '');
+  if (raw.startsWith('+')) return digits.length >= 8 ? `+${digits}` : null;
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+  return null;
+};
+
+// The address a channel delivers to: email, phone number, or user id for push
+const contactFor = (channel, recipient) => {
+  switch (channel) {
+    case 'email':
+      return normalizeEmail(recipient.email);
+    case 'sms':
+    case 'whatsapp':
+      return normalizePhone(recipient.phone);
+    case 'push':
+      return recipient.user_id ? String(recipient.user_id) : null;
+    default:
+      return null;
+  }
+};
+
+module.exports = {
+  normalizeEmail,
+  normalizePhone,
+  contactFor
+};
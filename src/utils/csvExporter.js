@@ -1,4 +1,4 @@
-const { createObjectCsvWriter } = require('csv-writer');
+const { createObjectCsvWriter, createObjectCsvStringifier } = require('csv-writer');
 const path = require('path');
 const fs = require('fs');
 
@@ -22,6 +22,12 @@ class CSVExporter {
     return filepath;
   }
 
+  // Build CSV text in memory (for streaming a download instead of writing a file)
+  static toCSVString(data, headers) {
+    const stringifier = createObjectCsvStringifier({ header: headers });
+    return stringifier.getHeaderString() + stringifier.stringifyRecords(data);
+  }
+
   static async exportFinancialReport(reportData, reportType) {
     let headers, data;
 
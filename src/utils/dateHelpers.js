@@ -0,0 +1,116 @@
+// Date helpers - timezone-aware wall-clock conversions using Intl (no extra deps)
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const formatterCache = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timeZone);
+};
+
+// Check that a string is an IANA timezone Intl understands
+const isValidTimezone = (timeZone) => {
+  if (!timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Break a UTC instant into wall-clock parts in the given timezone
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(date))) {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+};
+
+// Offset of the timezone from UTC (in minutes) at the given instant
+const getTimezoneOffsetMinutes = (timeZone, date) => {
+  const instant = new Date(date);
+  const p = getZonedParts(instant, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+};
+
+// Convert wall-clock parts in a timezone to a UTC Date (DST-safe)
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  const firstOffset = getTimezoneOffsetMinutes(timeZone, guess);
+  const candidate = guess - firstOffset * 60000;
+  // Re-check once: the offset may differ on the other side of a DST transition
+  const secondOffset = getTimezoneOffsetMinutes(timeZone, candidate);
+  return new Date(guess - secondOffset * 60000);
+};
+
+// YYYY-MM-DD for a calendar date object ({ year, month, day })
+const toDateKey = ({ year, month, day }) =>
+  `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+// Parse YYYY-MM-DD into a calendar date object
+const parseDateKey = (key) => {
+  const [year, month, day] = String(key).slice(0, 10).split('-').map(n => parseInt(n, 10));
+  return { year, month, day };
+};
+
+// Calendar-date arithmetic, independent of any timezone
+const addDays = (date, days) => {
+  const d = new Date(Date.UTC(date.year, date.month - 1, date.day) + days * DAY_MS);
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+};
+
+const addMonths = (date, months) => {
+  const index = date.year * 12 + (date.month - 1) + months;
+  return { year: Math.floor(index / 12), month: (index % 12) + 1, day: date.day };
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// 0 = Sunday ... 6 = Saturday
+const getWeekday = ({ year, month, day }) => new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+const compareDates = (a, b) => toDateKey(a).localeCompare(toDateKey(b));
+
+const diffInDays = (a, b) =>
+  Math.round((Date.UTC(a.year, a.month - 1, a.day) - Date.UTC(b.year, b.month - 1, b.day)) / DAY_MS);
+
+module.exports = {
+  DAY_MS,
+  WEEKDAY_CODES,
+  isValidTimezone,
+  getZonedParts,
+  getTimezoneOffsetMinutes,
+  zonedTimeToUtc,
+  toDateKey,
+  parseDateKey,
+  addDays,
+  addMonths,
+  daysInMonth,
+  getWeekday,
+  compareDates,
+  diffInDays
+};
@@ -0,0 +1,59 @@
+// Donation document helpers - temple details and formatting shared by tax
+// receipts and annual giving statements
+
+const { normalizeEmail } = require('./contactHelpers');
+
+const PLACEHOLDER_EMAIL = 'not-provided@example.com';
+
+// Legal details printed on every receipt and statement
+const templeDetails = () => {
+  const name = process.env.TEMPLE_LEGAL_NAME || 'Sai Samsthan USA';
+  return {
+    name,
+    address: process.env.TEMPLE_ADDRESS || '',
+    taxId: process.env.TEMPLE_TAX_ID || '',
+    contactEmail: process.env.TEMPLE_CONTACT_EMAIL || process.env.EMAIL_FROM || '',
+    signatory: process.env.RECEIPT_SIGNATORY || 'Treasurer',
+    statement: process.env.RECEIPT_TAX_STATEMENT ||
+      `${name} is a tax-exempt religious organization under Section 501(c)(3) of the Internal Revenue Code. ` +
+      'No goods or services were provided in exchange for this contribution other than intangible religious benefits. ' +
+      'Please keep this receipt for your tax records.'
+  };
+};
+
+const formatMoney = (amount, currency = 'USD') => {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(Number(amount || 0));
+  } catch (error) {
+    return `${currency} ${Number(amount || 0).toFixed(2)}`;
+  }
+};
+
+// YYYY-MM-DD (or ISO timestamp) -> 'October 18, 2026'
+const formatDate = (date) => new Date(`${String(date).slice(0, 10)}T00:00:00Z`)
+  .toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+
+const donorNameOf = (donation) => donation.donor_name || donation.name || 'Anonymous';
+
+// Donations store a placeholder address when the donor gave none
+const donorEmailOf = (donation) => {
+  const email = normalizeEmail(donation.donor_email || donation.email);
+  return email && email !== PLACEHOLDER_EMAIL ? email : null;
+};
+
+// Collect a PDFKit document into a Buffer
+const pdfToBuffer = (doc) => new Promise((resolve, reject) => {
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+});
+
+module.exports = {
+  templeDetails,
+  formatMoney,
+  formatDate,
+  donorNameOf,
+  donorEmailOf,
+  pdfToBuffer
+};
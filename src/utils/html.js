@@ -0,0 +1,13 @@
+// HTML helpers - escaping for values interpolated into emails and pages
+
+// Safe in element content and in quoted attribute values
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+module.exports = {
+  escapeHtml
+};
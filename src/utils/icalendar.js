@@ -0,0 +1,130 @@
+// iCalendar (RFC 5545) writer for subscribable .ics feeds. Times are written in
+// UTC so feeds need no VTIMEZONE blocks; calendar apps show them in local time.
+
+const PRODUCT_ID = '-//Temple Management//Calendar Feeds//EN';
+const MAX_LINE_OCTETS = 75;
+
+const STATUSES = {
+  confirmed: 'CONFIRMED',
+  tentative: 'TENTATIVE',
+  cancelled: 'CANCELLED'
+};
+
+// TEXT values escape backslashes, separators and line breaks
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r\n|\r|\n/g, '\\n');
+
+// Lines longer than 75 octets continue on lines starting with a space; never
+// split inside a multi-byte character
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines lose one octet to the leading space
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// 20260301T093000Z
+const formatUtc = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// 'YYYY-MM-DD' -> 20260301
+const formatDate = (dateKey) => String(dateKey).slice(0, 10).replace(/-/g, '');
+
+const nextDateKey = (dateKey) => {
+  const date = new Date(`${String(dateKey).slice(0, 10)}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * One VEVENT.
+ * @param {object} event
+ * @param {string} event.uid        Stable, globally unique id
+ * @param {Date|string} event.start Instant, or 'YYYY-MM-DD' when allDay
+ * @param {Date|string} [event.end] Instant, or the last day when allDay
+ * @param {boolean} [event.allDay]
+ * @param {string} event.summary
+ * @param {string} [event.description]
+ * @param {string} [event.location]
+ * @param {string} [event.url]
+ * @param {string} [event.status]   confirmed | tentative | cancelled
+ * @param {Date|string} [event.updatedAt]
+ */
+const buildEvent = (event, stamp) => {
+  const lines = ['BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${formatUtc(stamp)}`];
+
+  if (event.allDay) {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(event.start)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDate(nextDateKey(event.end || event.start))}`);
+  } else {
+    lines.push(`DTSTART:${formatUtc(event.start)}`);
+    if (event.end) lines.push(`DTEND:${formatUtc(event.end)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (STATUSES[event.status]) lines.push(`STATUS:${STATUSES[event.status]}`);
+  if (event.updatedAt) lines.push(`LAST-MODIFIED:${formatUtc(event.updatedAt)}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+};
+
+/**
+ * A complete VCALENDAR document.
+ * @param {object} calendar
+ * @param {string} calendar.name         Shown as the subscription's name
+ * @param {string} [calendar.description]
+ * @param {string} [calendar.timezone]   Display hint (X-WR-TIMEZONE) only
+ * @param {object[]} calendar.events     See buildEvent
+ * @returns {string}
+ */
+const buildCalendar = ({ name, description, timezone, events = [] }) => {
+  const stamp = new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  if (description) lines.push(`X-WR-CALDESC:${escapeText(description)}`);
+  if (timezone) lines.push(`X-WR-TIMEZONE:${timezone}`);
+  // How often subscribers should refresh (Outlook / Apple honour these)
+  lines.push('REFRESH-INTERVAL;VALUE=DURATION:PT1H', 'X-PUBLISHED-TTL:PT1H');
+
+  for (const event of events) {
+    lines.push(...buildEvent(event, stamp));
+  }
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatUtc,
+  buildCalendar
+};
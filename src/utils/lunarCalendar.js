@@ -0,0 +1,148 @@
+// Lunar (panchang) helpers - tithi calculation for Hindu-calendar recurrences
+// Uses truncated Meeus series for the Sun and Moon; accurate to well under an hour
+// for tithi boundaries, which is enough to pick the observance day.
+
+const { zonedTimeToUtc, addDays, compareDates } = require('./dateHelpers');
+const { AppError } = require('../middleware/errorHandler');
+
+const DEG = Math.PI / 180;
+
+// Named tithis, 1-15 Shukla paksha (waxing), 16-30 Krishna paksha (waning)
+const NAMED_TITHIS = {
+  pratipada: [1, 16],
+  chaturthi: [4, 19],
+  vinayaka_chaturthi: [4],
+  sankashti_chaturthi: [19],
+  panchami: [5, 20],
+  shashthi: [6, 21],
+  ashtami: [8, 23],
+  navami: [9, 24],
+  ekadashi: [11, 26],
+  dwadashi: [12, 27],
+  pradosh: [13, 28],
+  trayodashi: [13, 28],
+  chaturdashi: [14, 29],
+  purnima: [15],
+  amavasya: [30]
+};
+
+const normalizeAngle = (angle) => ((angle % 360) + 360) % 360;
+
+const julianDay = (date) => new Date(date).getTime() / 86400000 + 2440587.5;
+
+const sunLongitude = (T) => {
+  const L0 = 280.46646 + 36000.76983 * T + 0.0003032 * T * T;
+  const M = (357.52911 + 35999.05029 * T - 0.0001537 * T * T) * DEG;
+  const C = (1.914602 - 0.004817 * T - 0.000014 * T * T) * Math.sin(M)
+    + (0.019993 - 0.000101 * T) * Math.sin(2 * M)
+    + 0.000289 * Math.sin(3 * M);
+  return normalizeAngle(L0 + C);
+};
+
+const moonLongitude = (T) => {
+  const Lp = 218.3164477 + 481267.88123421 * T;
+  const D = (297.8501921 + 445267.1114034 * T) * DEG;
+  const M = (357.5291092 + 35999.0502909 * T) * DEG;
+  const Mp = (134.9633964 + 477198.8675055 * T) * DEG;
+  const F = (93.2720950 + 483202.0175233 * T) * DEG;
+
+  const terms =
+    6.288774 * Math.sin(Mp)
+    + 1.274027 * Math.sin(2 * D - Mp)
+    + 0.658314 * Math.sin(2 * D)
+    + 0.213618 * Math.sin(2 * Mp)
+    - 0.185116 * Math.sin(M)
+    - 0.114332 * Math.sin(2 * F)
+    + 0.058793 * Math.sin(2 * D - 2 * Mp)
+    + 0.057066 * Math.sin(2 * D - M - Mp)
+    + 0.053322 * Math.sin(2 * D + Mp)
+    + 0.045758 * Math.sin(2 * D - M)
+    - 0.040923 * Math.sin(M - Mp)
+    - 0.034720 * Math.sin(D)
+    - 0.030383 * Math.sin(M + Mp)
+    + 0.015327 * Math.sin(2 * D - 2 * F)
+    - 0.012528 * Math.sin(Mp + 2 * F)
+    + 0.010980 * Math.sin(Mp - 2 * F)
+    + 0.010675 * Math.sin(4 * D - Mp)
+    + 0.010034 * Math.sin(3 * Mp)
+    + 0.008548 * Math.sin(4 * D - 2 * Mp)
+    - 0.007888 * Math.sin(2 * D + M - Mp)
+    - 0.006766 * Math.sin(2 * D + M)
+    - 0.005163 * Math.sin(D - Mp)
+    + 0.004987 * Math.sin(D + M)
+    + 0.004036 * Math.sin(2 * D - M + Mp);
+
+  return normalizeAngle(Lp + terms);
+};
+
+// Tithi (1-30) in effect at the given instant
+const getTithi = (date) => {
+  const T = (julianDay(date) - 2451545.0) / 36525;
+  const elongation = normalizeAngle(moonLongitude(T) - sunLongitude(T));
+  return Math.floor(elongation / 12) + 1;
+};
+
+// Resolve a tithi spec (number, name or array of either) to tithi numbers
+const resolveTithis = (spec) => {
+  const values = Array.isArray(spec) ? spec : [spec];
+  const tithis = new Set();
+
+  for (const value of values) {
+    if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+      const n = parseInt(value, 10);
+      if (n < 1 || n > 30) throw new AppError(`Invalid tithi: ${value} (must be 1-30)`, 400);
+      tithis.add(n);
+      continue;
+    }
+    const named = NAMED_TITHIS[String(value).toLowerCase()];
+    if (!named) throw new AppError(`Unknown tithi name: ${value}`, 400);
+    named.forEach(n => tithis.add(n));
+  }
+
+  return [...tithis];
+};
+
+/**
+ * Find the calendar dates (in timeZone) on which the given tithis are observed.
+ * A tithi belongs to the day on whose reference time (sunrise, default 06:00) it
+ * prevails; a tithi that starts and ends between two sunrises (kshaya) is
+ * observed on the day it begins, and a tithi spanning two sunrises is only
+ * counted on the first.
+ */
+const findTithiDates = (tithiSpec, fromDate, toDate, timeZone, { referenceHour = 6 } = {}) => {
+  const targets = new Set(resolveTithis(tithiSpec));
+  const tithiOn = (date) => getTithi(zonedTimeToUtc({ ...date, hour: referenceHour }, timeZone));
+
+  const results = [];
+  let previous = tithiOn(addDays(fromDate, -1));
+  let cursor = { ...fromDate };
+
+  while (compareDates(cursor, toDate) <= 0) {
+    const current = tithiOn(cursor);
+
+    if (current !== previous) {
+      // Every tithi passed through since the previous sunrise, excluding the one already counted
+      const steps = ((current - previous) + 30) % 30;
+      for (let i = 1; i <= steps; i++) {
+        const passed = ((previous - 1 + i) % 30) + 1;
+        if (targets.has(passed)) {
+          const observed = passed === current ? cursor : addDays(cursor, -1);
+          results.push({ date: { ...observed }, tithi: passed });
+        }
+      }
+    }
+
+    previous = current;
+    cursor = addDays(cursor, 1);
+  }
+
+  // Kshaya tithis resolve to the previous day, which may fall before the window
+  return results.filter(r => compareDates(r.date, fromDate) >= 0);
+};
+
+module.exports = {
+  NAMED_TITHIS,
+  getTithi,
+  resolveTithis,
+  findTithiDates
+};
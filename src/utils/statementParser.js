@@ -0,0 +1,299 @@
+// Statement parser - turns bank statements (CSV / OFX / QFX) and PayPal
+// reports (activity CSV or settlement STL) into uniform transaction lines:
+// { line_number, transaction_date, amount, fee, currency, description,
+//   reference, counterparty, raw }. Inflows are positive, outflows negative.
+
+// ------------------------------------------------------------------
+// CSV
+// ------------------------------------------------------------------
+
+// RFC 4180 CSV: quoted fields, escaped quotes, newlines inside quotes
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows
+    .map(cells => cells.map(cell => cell.trim()))
+    .filter(cells => cells.some(cell => cell !== ''));
+};
+
+const headerKey = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// '$1,234.56', '(12.00)', '-12', '12.00 CR' -> number (null if blank)
+const parseAmount = (value) => {
+  if (value === undefined || value === null) return null;
+  let text = String(value).trim();
+  if (!text) return null;
+  let sign = 1;
+  if (/^\(.*\)$/.test(text)) {
+    sign = -1;
+    text = text.slice(1, -1);
+  }
+  if (/\bDR$/i.test(text)) sign = -1;
+  text = text.replace(/\b(CR|DR)$/i, '').replace(/[^0-9.-]/g, '');
+  if (!text || Number.isNaN(Number(text))) return null;
+  return Math.round(sign * Number(text) * 100) / 100;
+};
+
+// YYYY-MM-DD, YYYY/MM/DD, YYYYMMDD, MM/DD/YYYY, M/D/YY (US order), DD.MM.YYYY -> YYYY-MM-DD
+const parseDate = (value) => {
+  const text = String(value || '').trim();
+  let match = text.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})/);
+  if (match) return toIsoDate(match[1], match[2], match[3]);
+  match = text.match(/^(\d{4})(\d{2})(\d{2})/);
+  if (match) return toIsoDate(match[1], match[2], match[3]);
+  match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})/);
+  if (match) return toIsoDate(match[3].length === 2 ? `20${match[3]}` : match[3], match[1], match[2]);
+  match = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})/);
+  if (match) return toIsoDate(match[3], match[2], match[1]);
+  return null;
+};
+
+const toIsoDate = (year, month, day) => {
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (date.getUTCMonth() !== Number(month) - 1) return null;
+  return date.toISOString().split('T')[0];
+};
+
+// Header aliases for common US bank exports
+const BANK_COLUMNS = {
+  date: ['date', 'transactiondate', 'posteddate', 'postingdate', 'valuedate', 'bookingdate'],
+  amount: ['amount', 'transactionamount', 'amountusd'],
+  debit: ['debit', 'withdrawal', 'withdrawals', 'debitamount', 'moneyout'],
+  credit: ['credit', 'deposit', 'deposits', 'creditamount', 'moneyin'],
+  description: ['description', 'memo', 'details', 'narrative', 'payee', 'transactiondescription', 'name'],
+  reference: ['reference', 'referencenumber', 'ref', 'checknumber', 'check', 'chequenumber', 'transactionid', 'fitid', 'id'],
+  currency: ['currency', 'currencycode']
+};
+
+const findColumn = (headers, aliases, override) => {
+  if (override) return headers.indexOf(headerKey(override));
+  return headers.findIndex(header => aliases.includes(header));
+};
+
+/**
+ * Bank CSV. Columns are detected from the header row; `mapping` can name
+ * them explicitly ({ date, amount, debit, credit, description, reference }).
+ */
+const parseBankCsv = (text, { mapping = {}, currency = 'USD' } = {}) => {
+  const rows = parseCsv(text);
+  const headerIndex = rows.findIndex(row => row.some(cell => BANK_COLUMNS.date.includes(headerKey(cell)) ||
+    (mapping.date && headerKey(cell) === headerKey(mapping.date))));
+  if (headerIndex === -1) throw new Error('Could not find a header row with a date column');
+
+  const headers = rows[headerIndex].map(headerKey);
+  const column = {};
+  for (const [name, aliases] of Object.entries(BANK_COLUMNS)) {
+    column[name] = findColumn(headers, aliases, mapping[name]);
+  }
+  if (column.amount === -1 && column.debit === -1 && column.credit === -1) {
+    throw new Error('Could not find an amount (or debit/credit) column');
+  }
+
+  const lines = [];
+  rows.slice(headerIndex + 1).forEach((cells, index) => {
+    const transactionDate = parseDate(cells[column.date]);
+    let amount = column.amount !== -1 ? parseAmount(cells[column.amount]) : null;
+    if (amount === null) {
+      const credit = column.credit !== -1 ? parseAmount(cells[column.credit]) : null;
+      const debit = column.debit !== -1 ? parseAmount(cells[column.debit]) : null;
+      if (credit) amount = Math.abs(credit);
+      else if (debit) amount = -Math.abs(debit);
+    }
+    if (!transactionDate || amount === null || amount === 0) return;
+
+    lines.push({
+      line_number: headerIndex + index + 2,
+      transaction_date: transactionDate,
+      amount,
+      fee: 0,
+      currency: (column.currency !== -1 && cells[column.currency]) || currency,
+      description: column.description !== -1 ? cells[column.description] || null : null,
+      reference: column.reference !== -1 ? cells[column.reference] || null : null,
+      counterparty: null,
+      raw: Object.fromEntries(rows[headerIndex].map((header, i) => [header, cells[i] ?? '']))
+    });
+  });
+
+  return { lines, account: null };
+};
+
+// ------------------------------------------------------------------
+// OFX / QFX
+// ------------------------------------------------------------------
+
+// OFX 1.x is SGML (closing tags optional), 2.x is XML; read both by tag
+const ofxValue = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : null;
+};
+
+const parseOfx = (text) => {
+  const currency = ofxValue(text, 'CURDEF') || 'USD';
+  const account = ofxValue(text, 'ACCTID');
+  const blocks = text.split(/<STMTTRN>/i).slice(1).map(block => block.split(/<\/STMTTRN>/i)[0]);
+
+  const lines = blocks.map((block, index) => {
+    const name = ofxValue(block, 'NAME');
+    const memo = ofxValue(block, 'MEMO');
+    return {
+      line_number: index + 1,
+      transaction_date: parseDate(ofxValue(block, 'DTPOSTED')),
+      amount: parseAmount(ofxValue(block, 'TRNAMT')),
+      fee: 0,
+      currency,
+      description: [name, memo].filter(Boolean).join(' - ') || null,
+      reference: ofxValue(block, 'FITID') || ofxValue(block, 'CHECKNUM'),
+      counterparty: name,
+      raw: {
+        type: ofxValue(block, 'TRNTYPE'),
+        fitid: ofxValue(block, 'FITID'),
+        checknum: ofxValue(block, 'CHECKNUM'),
+        name,
+        memo
+      }
+    };
+  }).filter(line => line.transaction_date && line.amount);
+
+  return { lines, account };
+};
+
+// ------------------------------------------------------------------
+// PayPal
+// ------------------------------------------------------------------
+
+/**
+ * PayPal settlement report (STL): record-type rows where "CH" names the
+ * columns and "SB" rows are transactions with amounts in minor units.
+ */
+const parsePayPalSettlement = (rows) => {
+  const header = rows.find(row => row[0] === 'CH');
+  if (!header) throw new Error('Settlement report has no CH column header row');
+  const columns = header.slice(1).map(headerKey);
+  const get = (cells, name) => cells[columns.indexOf(name) + 1];
+
+  const lines = [];
+  rows.forEach((row, index) => {
+    if (row[0] !== 'SB') return;
+    const sign = (value) => (String(value).toUpperCase() === 'DR' ? -1 : 1);
+    const amount = sign(get(row, 'transactiondebitorcredit')) * Number(get(row, 'grosstransactionamount') || 0) / 100;
+    const fee = sign(get(row, 'feedebitorcredit')) * Number(get(row, 'feeamount') || 0) / 100;
+    lines.push({
+      line_number: index + 1,
+      transaction_date: parseDate(get(row, 'transactioncompletiondate') || get(row, 'transactioninitiationdate')),
+      amount: Math.round(amount * 100) / 100,
+      fee: Math.round(Math.abs(fee) * 100) / 100,
+      currency: get(row, 'grosstransactioncurrency') || 'USD',
+      description: get(row, 'transactioneventcode') || null,
+      reference: get(row, 'transactionid') || null,
+      counterparty: get(row, 'consumerid') || null,
+      raw: Object.fromEntries(columns.map((column, i) => [column, row[i + 1] ?? '']))
+    });
+  });
+
+  return { lines: lines.filter(line => line.transaction_date && line.amount), account: null };
+};
+
+/**
+ * PayPal activity download CSV (Date, Name, Type, Status, Currency, Gross,
+ * Fee, Net, Transaction ID, ...). Only completed rows are kept.
+ */
+const parsePayPalActivity = (rows) => {
+  const headerIndex = rows.findIndex(row => row.map(headerKey).includes('transactionid'));
+  if (headerIndex === -1) throw new Error('PayPal report has no Transaction ID column');
+  const headers = rows[headerIndex].map(headerKey);
+  const get = (cells, name) => cells[headers.indexOf(name)];
+
+  const lines = [];
+  rows.slice(headerIndex + 1).forEach((cells, index) => {
+    const status = get(cells, 'status');
+    if (status && !['completed', 'cleared'].includes(status.toLowerCase())) return;
+
+    const amount = parseAmount(get(cells, 'gross'));
+    const transactionDate = parseDate(get(cells, 'date'));
+    if (!transactionDate || !amount) return;
+
+    lines.push({
+      line_number: headerIndex + index + 2,
+      transaction_date: transactionDate,
+      amount,
+      fee: Math.abs(parseAmount(get(cells, 'fee')) || 0),
+      currency: get(cells, 'currency') || 'USD',
+      description: get(cells, 'type') || null,
+      reference: get(cells, 'transactionid') || null,
+      counterparty: get(cells, 'fromemailaddress') || get(cells, 'name') || null,
+      raw: Object.fromEntries(rows[headerIndex].map((header, i) => [header, cells[i] ?? '']))
+    });
+  });
+
+  return { lines, account: null };
+};
+
+const parsePayPalReport = (text) => {
+  const rows = parseCsv(text);
+  return rows.some(row => row[0] === 'CH') ? parsePayPalSettlement(rows) : parsePayPalActivity(rows);
+};
+
+// ------------------------------------------------------------------
+// Entry point
+// ------------------------------------------------------------------
+
+const detectFormat = (filename = '', text = '') => {
+  if (/\.(ofx|qfx)$/i.test(filename) || /<OFX>/i.test(text.slice(0, 2000))) return 'ofx';
+  return 'csv';
+};
+
+/**
+ * Parse a statement file. `source` is 'bank' or 'paypal'.
+ */
+const parseStatement = (buffer, { source, filename, mapping, currency } = {}) => {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const format = detectFormat(filename, text);
+
+  if (source === 'paypal') {
+    if (format === 'ofx') throw new Error('PayPal reports must be CSV (activity download or settlement report)');
+    return { format: 'paypal_csv', ...parsePayPalReport(text) };
+  }
+  if (format === 'ofx') return { format, ...parseOfx(text) };
+  return { format, ...parseBankCsv(text, { mapping, currency }) };
+};
+
+module.exports = {
+  parseCsv,
+  parseAmount,
+  parseDate,
+  parseStatement
+};
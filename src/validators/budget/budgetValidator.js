@@ -0,0 +1,42 @@
+const { body, param, query } = require('express-validator');
+
+const dateRule = (field, label) => field
+  .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+  .withMessage(`${label} must be a date (YYYY-MM-DD)`);
+
+const idValidator = [param('id').isUUID().withMessage('Invalid ID')];
+
+const createFiscalYearValidator = [
+  dateRule(body('date').optional(), 'Date'),
+  body('include_quarters').optional().isBoolean().withMessage('include_quarters must be true or false').toBoolean()
+];
+
+const updatePeriodValidator = [
+  ...idValidator,
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty').isLength({ max: 100 }),
+  body('status').optional().isIn(['open', 'closed']).withMessage('Status must be open or closed')
+];
+
+const varianceReportValidator = [
+  query('period_id').optional().isUUID().withMessage('Invalid budget period ID'),
+  query('community_id').optional().isUUID().withMessage('Invalid community ID'),
+  dateRule(query('as_of').optional(), 'As-of date')
+];
+
+const budgetVarianceValidator = [
+  ...idValidator,
+  dateRule(query('as_of').optional(), 'As-of date')
+];
+
+const listAlertsValidator = [
+  query('budget_id').optional().isUUID().withMessage('Invalid budget ID'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200').toInt()
+];
+
+module.exports = {
+  createFiscalYearValidator,
+  updatePeriodValidator,
+  varianceReportValidator,
+  budgetVarianceValidator,
+  listAlertsValidator
+};
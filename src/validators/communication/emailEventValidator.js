@@ -0,0 +1,79 @@
+const { body, query, param } = require('express-validator');
+const { SIMULATED_EVENTS } = require('../../services/messaging/emailEventService');
+
+const webhookValidator = [
+  body()
+    .isArray({ max: 5000 })
+    .withMessage('Expected an array of events')
+];
+
+const listEventsValidator = [
+  query('email')
+    .optional()
+    .isEmail()
+    .withMessage('Email must be valid'),
+
+  query('status')
+    .optional()
+    .isIn(['received', 'processed', 'failed'])
+    .withMessage('Status must be received, processed or failed'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200')
+];
+
+const eventIdValidator = [
+  param('id')
+    .isUUID()
+    .withMessage('Valid event ID is required')
+];
+
+const simulateValidator = [
+  body('delivery_id')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid delivery ID is required'),
+
+  body('email')
+    .if(body('delivery_id').not().exists())
+    .isEmail()
+    .withMessage('email or delivery_id is required'),
+
+  body('message_id')
+    .optional()
+    .isString()
+    .withMessage('Message ID must be a string'),
+
+  body('events')
+    .optional()
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Events must be a non-empty array'),
+
+  body('events.*')
+    .isIn(SIMULATED_EVENTS)
+    .withMessage(`Events must be one of: ${SIMULATED_EVENTS.join(', ')}`),
+
+  body('bounce_type')
+    .optional()
+    .isIn(['bounce', 'blocked'])
+    .withMessage('Bounce type must be bounce (hard) or blocked (soft)'),
+
+  body('url')
+    .optional()
+    .isURL()
+    .withMessage('URL must be valid')
+];
+
+module.exports = {
+  webhookValidator,
+  listEventsValidator,
+  eventIdValidator,
+  simulateValidator
+};
@@ -0,0 +1,98 @@
+const { body, query } = require('express-validator');
+
+const CHANNELS = ['email', 'sms', 'whatsapp', 'push'];
+
+const tokenQuery = query('token')
+  .notEmpty()
+  .withMessage('Token is required');
+
+const unsubscribeValidator = [
+  tokenQuery,
+
+  query('topic')
+    .optional()
+    .isString()
+    .withMessage('Topic must be a string')
+];
+
+const tokenPreferencesValidator = [tokenQuery];
+
+const updateTokenPreferencesValidator = [
+  tokenQuery,
+
+  body('preferences')
+    .isArray({ min: 1 })
+    .withMessage('Preferences must be a non-empty array'),
+
+  body('preferences.*.topic')
+    .isString()
+    .withMessage('Each preference needs a topic'),
+
+  body('preferences.*.subscribed')
+    .isBoolean()
+    .withMessage('Subscribed must be true or false')
+];
+
+const updateMyPreferencesValidator = [
+  body('preferences')
+    .isArray({ min: 1 })
+    .withMessage('Preferences must be a non-empty array'),
+
+  body('preferences.*.channel')
+    .isIn(CHANNELS)
+    .withMessage(`Channel must be one of: ${CHANNELS.join(', ')}`),
+
+  body('preferences.*.topic')
+    .isString()
+    .withMessage('Each preference needs a topic'),
+
+  body('preferences.*.subscribed')
+    .isBoolean()
+    .withMessage('Subscribed must be true or false')
+];
+
+const adminSetPreferenceValidator = [
+  body('channel')
+    .isIn(CHANNELS)
+    .withMessage(`Channel must be one of: ${CHANNELS.join(', ')}`),
+
+  body('contact')
+    .trim()
+    .notEmpty()
+    .withMessage('Contact (email, phone or user ID) is required'),
+
+  body('topic')
+    .optional()
+    .isString()
+    .withMessage('Topic must be a string'),
+
+  body('subscribed')
+    .isBoolean()
+    .withMessage('Subscribed must be true or false'),
+
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters')
+];
+
+const reportValidator = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date')
+];
+
+module.exports = {
+  unsubscribeValidator,
+  tokenPreferencesValidator,
+  updateTokenPreferencesValidator,
+  updateMyPreferencesValidator,
+  adminSetPreferenceValidator,
+  reportValidator
+};
@@ -0,0 +1,40 @@
+const { param, query } = require('express-validator');
+
+const publicEventsFeedValidator = [
+  query('community_id')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid community ID')
+];
+
+const communityFeedValidator = [
+  param('communityId')
+    .isUUID()
+    .withMessage('Invalid community ID')
+];
+
+const volunteerFeedValidator = [
+  param('volunteerId')
+    .isUUID()
+    .withMessage('Invalid volunteer ID')
+];
+
+const priestFeedValidator = [
+  param('priestId')
+    .isUUID()
+    .withMessage('Invalid priest ID')
+];
+
+const feedTypeValidator = [
+  param('type')
+    .isIn(['volunteer', 'priest'])
+    .withMessage('Feed type must be volunteer or priest')
+];
+
+module.exports = {
+  publicEventsFeedValidator,
+  communityFeedValidator,
+  volunteerFeedValidator,
+  priestFeedValidator,
+  feedTypeValidator
+};
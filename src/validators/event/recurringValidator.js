@@ -0,0 +1,141 @@
+const { body, param, query } = require('express-validator');
+
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+const eventIdParam = param('id')
+  .isUUID()
+  .withMessage('Invalid event ID');
+
+const ruleBodyValidators = [
+  body('rrule')
+    .optional()
+    .isString()
+    .matches(/FREQ=/i)
+    .withMessage('rrule must be an RRULE string containing FREQ'),
+
+  body('freq')
+    .if(body('rrule').not().exists())
+    .notEmpty()
+    .withMessage('freq or rrule is required')
+    .bail()
+    .isIn(['daily', 'weekly', 'monthly', 'yearly', 'tithi'])
+    .withMessage('Invalid freq value'),
+
+  body('interval')
+    .optional()
+    .isInt({ min: 1, max: 52 })
+    .withMessage('interval must be between 1 and 52'),
+
+  body('by_weekday')
+    .optional()
+    .isArray()
+    .withMessage('by_weekday must be an array'),
+
+  body('by_weekday.*')
+    .customSanitizer(value => String(value).toUpperCase())
+    .isIn(WEEKDAYS)
+    .withMessage('by_weekday values must be MO, TU, WE, TH, FR, SA or SU'),
+
+  body('by_month_day')
+    .optional()
+    .isArray()
+    .withMessage('by_month_day must be an array'),
+
+  body('by_month_day.*')
+    .isInt({ min: -31, max: 31 })
+    .withMessage('by_month_day values must be between -31 and 31'),
+
+  body('by_set_pos')
+    .optional()
+    .isInt({ min: -5, max: 5 })
+    .withMessage('by_set_pos must be between -5 and 5'),
+
+  body('by_month.*')
+    .optional()
+    .isInt({ min: 1, max: 12 })
+    .withMessage('by_month values must be between 1 and 12'),
+
+  body('tithis')
+    .if(body('freq').equals('tithi'))
+    .isArray({ min: 1 })
+    .withMessage('tithis is required for tithi recurrences'),
+
+  body('offset_days')
+    .optional()
+    .isInt({ min: -15, max: 15 })
+    .withMessage('offset_days must be between -15 and 15'),
+
+  body('until')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('until must be a valid date'),
+
+  body('count')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('count must be between 1 and 1000'),
+
+  body('start_time')
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('start_time must be HH:MM'),
+
+  body('duration_minutes')
+    .optional()
+    .isInt({ min: 1, max: 1440 })
+    .withMessage('duration_minutes must be between 1 and 1440')
+];
+
+const setRecurrenceValidator = [
+  eventIdParam,
+  ...ruleBodyValidators
+];
+
+const previewRecurrenceValidator = [
+  eventIdParam,
+  ...ruleBodyValidators,
+  query('from').optional().isISO8601().withMessage('from must be a valid date'),
+  query('to').optional().isISO8601().withMessage('to must be a valid date')
+];
+
+const listOccurrencesValidator = [
+  eventIdParam,
+  query('from').optional().isISO8601().withMessage('from must be a valid date'),
+  query('to').optional().isISO8601().withMessage('to must be a valid date')
+];
+
+const updateOccurrenceValidator = [
+  eventIdParam,
+
+  param('occurrenceId')
+    .isUUID()
+    .withMessage('Invalid occurrence ID'),
+
+  body('scope')
+    .optional()
+    .isIn(['this', 'following'])
+    .withMessage('scope must be "this" or "following"'),
+
+  body('action')
+    .notEmpty()
+    .withMessage('action is required')
+    .isIn(['move', 'cancel', 'update', 'restore'])
+    .withMessage('Invalid action value'),
+
+  body('starts_at')
+    .if(body('action').equals('move'))
+    .isISO8601()
+    .withMessage('starts_at is required to move an occurrence'),
+
+  body('ends_at')
+    .optional()
+    .isISO8601()
+    .withMessage('ends_at must be a valid date')
+];
+
+module.exports = {
+  setRecurrenceValidator,
+  previewRecurrenceValidator,
+  listOccurrencesValidator,
+  updateOccurrenceValidator
+};
@@ -0,0 +1,87 @@
+const { body, param, query } = require('express-validator');
+
+const eventIdParam = param('id')
+  .isUUID()
+  .withMessage('Invalid event ID');
+
+const registerValidator = [
+  eventIdParam,
+
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 200 })
+    .withMessage('Name must be at most 200 characters'),
+
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Valid email is required'),
+
+  body('phone')
+    .optional({ nullable: true })
+    .isLength({ max: 30 })
+    .withMessage('Phone must be at most 30 characters'),
+
+  body('guest_count')
+    .optional()
+    .isInt({ min: 0, max: 10 })
+    .withMessage('guest_count must be between 0 and 10'),
+
+  body('occurrence_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Invalid occurrence ID'),
+
+  body('notes')
+    .optional({ nullable: true })
+    .isLength({ max: 1000 })
+    .withMessage('Notes must be at most 1000 characters')
+];
+
+const memberRegisterValidator = [
+  eventIdParam,
+
+  body('guest_count')
+    .optional()
+    .isInt({ min: 0, max: 10 })
+    .withMessage('guest_count must be between 0 and 10'),
+
+  body('occurrence_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Invalid occurrence ID')
+];
+
+const listRegistrationsValidator = [
+  eventIdParam,
+
+  query('status')
+    .optional()
+    .isIn(['all', 'confirmed', 'waitlisted', 'cancelled', 'checked_in'])
+    .withMessage('Invalid status value'),
+
+  query('occurrence_id')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid occurrence ID')
+];
+
+const checkInValidator = [
+  eventIdParam,
+
+  body('ticket_code')
+    .trim()
+    .notEmpty()
+    .withMessage('ticket_code is required')
+];
+
+module.exports = {
+  registerValidator,
+  memberRegisterValidator,
+  listRegistrationsValidator,
+  checkInValidator
+};
@@ -0,0 +1,57 @@
+const { body, param, query } = require('express-validator');
+
+const subscriptionParam = param('subscriptionId')
+  .matches(/^I-[A-Z0-9]+$/)
+  .withMessage('Invalid subscription ID');
+
+const magicLinkValidator = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('A valid email address is required')
+    .normalizeEmail({ gmail_remove_dots: false })
+];
+
+const paymentsValidator = [
+  query('subscription_id')
+    .optional()
+    .matches(/^I-[A-Z0-9]+$/)
+    .withMessage('Invalid subscription ID')
+];
+
+const subscriptionValidator = [subscriptionParam];
+
+const changeAmountValidator = [
+  subscriptionParam,
+
+  body('amount')
+    .isFloat({ min: 1, max: 100000 })
+    .withMessage('Amount must be between 1 and 100,000')
+    .toFloat()
+];
+
+const reasonValidator = [
+  subscriptionParam,
+
+  body('reason')
+    .optional()
+    .isString()
+    .isLength({ max: 128 })
+    .withMessage('Reason must be at most 128 characters')
+];
+
+const historyValidator = [
+  query('format')
+    .optional()
+    .isIn(['csv', 'json'])
+    .withMessage('Format must be csv or json')
+];
+
+module.exports = {
+  magicLinkValidator,
+  paymentsValidator,
+  subscriptionValidator,
+  changeAmountValidator,
+  reasonValidator,
+  historyValidator
+};
@@ -0,0 +1,101 @@
+const { body, param, query } = require('express-validator');
+
+const EXPENSE_TYPES = ['operational', 'maintenance', 'utilities', 'salaries', 'materials', 'events', 'donations', 'other'];
+const PAYMENT_METHODS = ['cash', 'upi', 'bank_transfer', 'card', 'cheque', 'online'];
+const APPLIES_TO = ['all', 'expense', 'reimbursement'];
+
+const dateRule = (field, label) => field
+  .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+  .withMessage(`${label} must be a date (YYYY-MM-DD)`);
+
+const idValidator = [param('id').isUUID().withMessage('Invalid ID')];
+
+// ------------------------------------------------------------------
+// Approval rules
+// ------------------------------------------------------------------
+
+const ruleRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().notEmpty().withMessage('Step name is required').isLength({ max: 100 }),
+    field('step_order').isInt({ min: 1 }).withMessage('Step order must be a positive number').toInt(),
+    body('min_amount').optional().isFloat({ min: 0 }).withMessage('Minimum amount cannot be negative').toFloat(),
+    body('max_amount').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Maximum amount must be greater than 0').toFloat(),
+    field('approver_roles').isArray({ min: 1 }).withMessage('At least one approver role is required'),
+    body('approver_roles.*').isString().trim().notEmpty(),
+    body('applies_to').optional().isIn(APPLIES_TO).withMessage(`Applies to must be one of: ${APPLIES_TO.join(', ')}`)
+  ];
+};
+
+const createRuleValidator = ruleRules(false);
+
+const updateRuleValidator = [
+  ...idValidator,
+  ...ruleRules(true),
+  body('is_active').optional().isBoolean().withMessage('is_active must be true or false').toBoolean()
+];
+
+// ------------------------------------------------------------------
+// Approval workflow
+// ------------------------------------------------------------------
+
+const decisionValidator = [
+  ...idValidator,
+  body('decision').isIn(['approve', 'reject']).withMessage('Decision must be approve or reject'),
+  body('comments')
+    .if(body('decision').equals('reject'))
+    .trim()
+    .notEmpty()
+    .withMessage('Please explain why the expense is rejected'),
+  body('comments').optional({ nullable: true }).isString().isLength({ max: 2000 }),
+  body('override_designation').optional().isBoolean().toBoolean()
+];
+
+const payValidator = [
+  ...idValidator,
+  body('payment_method').optional().isIn(PAYMENT_METHODS).withMessage(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`),
+  body('payment_reference').optional().isString().trim().isLength({ max: 100 }),
+  body('paid_at').optional().isISO8601().withMessage('paid_at must be a date')
+];
+
+// ------------------------------------------------------------------
+// Reimbursements
+// ------------------------------------------------------------------
+
+const claimRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('description').trim().notEmpty().withMessage('Description is required').isLength({ max: 500 }),
+    field('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than 0').toFloat(),
+    dateRule(field('expense_date'), 'Expense date'),
+    body('expense_type').optional().isIn(EXPENSE_TYPES).withMessage(`Expense type must be one of: ${EXPENSE_TYPES.join(', ')}`),
+    body('payment_method').optional().isIn(PAYMENT_METHODS).withMessage(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`),
+    body('vendor_name').optional({ nullable: true }).isString().isLength({ max: 200 }),
+    body('notes').optional({ nullable: true }).isString().isLength({ max: 2000 }),
+    body('community_id').optional({ nullable: true }).isUUID().withMessage('Invalid community ID'),
+    body('fund_id').optional({ nullable: true }).isUUID().withMessage('Invalid fund ID'),
+    body('budget_request_id').optional({ nullable: true }).isUUID().withMessage('Invalid budget request ID')
+  ];
+};
+
+const createReimbursementValidator = claimRules(false);
+
+const updateReimbursementValidator = [...idValidator, ...claimRules(true)];
+
+const listReimbursementsValidator = [
+  query('approval_status').optional().isIn(['draft', 'pending', 'approved', 'rejected']),
+  query('payment_status').optional().isIn(['pending', 'completed', 'failed', 'refunded']),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt()
+];
+
+module.exports = {
+  idValidator,
+  createRuleValidator,
+  updateRuleValidator,
+  decisionValidator,
+  payValidator,
+  createReimbursementValidator,
+  updateReimbursementValidator,
+  listReimbursementsValidator
+};
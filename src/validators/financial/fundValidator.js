@@ -0,0 +1,63 @@
+const { body, param, query } = require('express-validator');
+
+const RESTRICTION_TYPES = ['unrestricted', 'temporarily_restricted', 'permanently_restricted'];
+
+const dateRule = (field, label) => field
+  .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+  .withMessage(`${label} must be a date (YYYY-MM-DD)`);
+
+const idValidator = [param('id').isUUID().withMessage('Invalid fund ID')];
+
+const fundFieldRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().notEmpty().withMessage('Fund name is required').isLength({ max: 100 }),
+    body('restriction_type')
+      .optional()
+      .isIn(RESTRICTION_TYPES)
+      .withMessage(`Restriction type must be one of: ${RESTRICTION_TYPES.join(', ')}`),
+    body('is_designated').optional().isBoolean().withMessage('is_designated must be true or false').toBoolean(),
+    body('purpose').optional({ nullable: true }).isString().isLength({ max: 500 }),
+    body('donation_types').optional().isArray().withMessage('Donation types must be a list'),
+    body('donation_types.*').isString().trim().notEmpty().isLength({ max: 50 })
+  ];
+};
+
+const createFundValidator = [
+  body('code')
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z0-9_]{2,30}$/)
+    .withMessage('Fund code must be 2-30 letters, digits or underscores'),
+  ...fundFieldRules(false)
+];
+
+const updateFundValidator = [
+  ...idValidator,
+  ...fundFieldRules(true),
+  body('is_active').optional().isBoolean().withMessage('is_active must be true or false').toBoolean()
+];
+
+const transferValidator = [
+  body('from_fund_id').isUUID().withMessage('Invalid source fund ID'),
+  body('to_fund_id').isUUID().withMessage('Invalid destination fund ID'),
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than 0').toFloat(),
+  dateRule(body('entry_date').optional(), 'Entry date'),
+  body('description').optional().isString().isLength({ max: 500 }),
+  body('override_designation').optional().isBoolean().toBoolean()
+];
+
+const balanceReportValidator = [
+  dateRule(query('start_date').optional(), 'Start date'),
+  dateRule(query('end_date').optional(), 'End date'),
+  query('interval').optional().isIn(['month', 'quarter', 'year']).withMessage('Interval must be month, quarter or year'),
+  query('fund_id').optional().isUUID().withMessage('Invalid fund ID')
+];
+
+module.exports = {
+  idValidator,
+  createFundValidator,
+  updateFundValidator,
+  transferValidator,
+  balanceReportValidator
+};
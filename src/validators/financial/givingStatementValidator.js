@@ -0,0 +1,70 @@
+const { body, param, query } = require('express-validator');
+
+const currentYear = () => new Date().getFullYear();
+
+const yearRule = (field) => field
+  .isInt({ min: 2000, max: currentYear() })
+  .withMessage(`Year must be between 2000 and ${currentYear()}`)
+  .toInt();
+
+const periodTypeRule = (field) => field
+  .optional()
+  .isIn(['calendar', 'fiscal'])
+  .withMessage('Period type must be calendar or fiscal');
+
+const paginationRules = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200').toInt()
+];
+
+const createRunValidator = [
+  yearRule(body('year')),
+  periodTypeRule(body('period_type')),
+  body('send').optional().isBoolean().withMessage('Send must be true or false').toBoolean()
+];
+
+const runIdValidator = [param('runId').isUUID().withMessage('Invalid run ID')];
+
+const statementIdValidator = [param('id').isUUID().withMessage('Invalid statement ID')];
+
+const summaryValidator = [
+  yearRule(query('year')),
+  periodTypeRule(query('period_type'))
+];
+
+const listStatementsValidator = [
+  yearRule(query('year').optional()),
+  periodTypeRule(query('period_type')),
+  query('status')
+    .optional()
+    .isIn(['pending', 'sent', 'suppressed', 'failed', 'bounced'])
+    .withMessage('Invalid status'),
+  query('email').optional().isString().trim().isLength({ max: 254 }),
+  ...paginationRules
+];
+
+const bounceValidator = [
+  ...statementIdValidator,
+  body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters')
+];
+
+const requestStatementValidator = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('A valid email address is required')
+    .normalizeEmail({ gmail_remove_dots: false }),
+  yearRule(body('year')),
+  periodTypeRule(body('period_type'))
+];
+
+module.exports = {
+  createRunValidator,
+  runIdValidator,
+  statementIdValidator,
+  summaryValidator,
+  listStatementsValidator,
+  bounceValidator,
+  requestStatementValidator,
+  paginationRules
+};
@@ -0,0 +1,99 @@
+const { body, param, query } = require('express-validator');
+
+const ACCOUNT_TYPES = ['asset', 'liability', 'net_assets', 'income', 'expense'];
+const SOURCE_TYPES = ['donation', 'donation_adjustment', 'expense', 'transaction', 'budget_spend', 'manual'];
+
+// Reports and closes compare dates as YYYY-MM-DD strings
+const dateRule = (field, label) => field
+  .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+  .withMessage(`${label} must be a date (YYYY-MM-DD)`);
+
+const idValidator = [param('id').isUUID().withMessage('Invalid ID')];
+
+const paginationRules = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200').toInt()
+];
+
+const createAccountValidator = [
+  body('code').trim().matches(/^\d{4,6}$/).withMessage('Account code must be 4-6 digits'),
+  body('name').trim().notEmpty().withMessage('Account name is required').isLength({ max: 100 }),
+  body('account_type').isIn(ACCOUNT_TYPES).withMessage(`Account type must be one of: ${ACCOUNT_TYPES.join(', ')}`),
+  body('normal_balance').optional().isIn(['debit', 'credit']).withMessage('Normal balance must be debit or credit'),
+  body('description').optional().isString().isLength({ max: 500 })
+];
+
+const updateAccountValidator = [
+  ...idValidator,
+  body('name').optional().trim().notEmpty().withMessage('Account name cannot be empty').isLength({ max: 100 }),
+  body('description').optional({ nullable: true }).isString().isLength({ max: 500 }),
+  body('is_active').optional().isBoolean().withMessage('is_active must be true or false').toBoolean()
+];
+
+const accountLedgerValidator = [
+  ...idValidator,
+  dateRule(query('start_date').optional(), 'Start date'),
+  dateRule(query('end_date').optional(), 'End date')
+];
+
+const listEntriesValidator = [
+  dateRule(query('start_date').optional(), 'Start date'),
+  dateRule(query('end_date').optional(), 'End date'),
+  query('source_type').optional().isIn(SOURCE_TYPES).withMessage('Invalid source type'),
+  query('source_id').optional().isString().isLength({ max: 100 }),
+  ...paginationRules
+];
+
+const amountRule = (field) => field
+  .optional()
+  .isFloat({ min: 0 })
+  .withMessage('Debit and credit must be zero or positive')
+  .toFloat();
+
+const createEntryValidator = [
+  dateRule(body('entry_date'), 'Entry date'),
+  body('description').trim().notEmpty().withMessage('Description is required').isLength({ max: 500 }),
+  body('lines').isArray({ min: 2 }).withMessage('A journal entry needs at least two lines'),
+  body('lines.*.account_code').trim().notEmpty().withMessage('Each line needs an account code'),
+  amountRule(body('lines.*.debit')),
+  amountRule(body('lines.*.credit')),
+  body('lines.*.budget_id').optional({ nullable: true }).isUUID().withMessage('Invalid budget ID'),
+  body('lines.*.fund_id').optional({ nullable: true }).isUUID().withMessage('Invalid fund ID'),
+  body('lines.*.memo').optional().isString().isLength({ max: 200 }),
+  body('lines').custom(lines => lines.every(line => (Number(line.debit) > 0) !== (Number(line.credit) > 0)))
+    .withMessage('Each line must have either a debit or a credit')
+];
+
+const reverseEntryValidator = [
+  ...idValidator,
+  dateRule(body('entry_date').optional(), 'Entry date'),
+  body('reason').optional().isString().isLength({ max: 200 })
+];
+
+const syncValidator = [dateRule(body('since').optional(), 'Since')];
+
+const asOfValidator = [dateRule(query('as_of').optional(), 'As-of date')];
+
+const incomeStatementValidator = [
+  dateRule(query('start_date').optional(), 'Start date'),
+  dateRule(query('end_date').optional(), 'End date')
+];
+
+const closePeriodValidator = [
+  dateRule(body('closed_through'), 'Closed-through date'),
+  body('notes').optional().isString().isLength({ max: 1000 })
+];
+
+module.exports = {
+  idValidator,
+  createAccountValidator,
+  updateAccountValidator,
+  accountLedgerValidator,
+  listEntriesValidator,
+  createEntryValidator,
+  reverseEntryValidator,
+  syncValidator,
+  asOfValidator,
+  incomeStatementValidator,
+  closePeriodValidator
+};
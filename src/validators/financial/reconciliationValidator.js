@@ -0,0 +1,98 @@
+const { body, param, query } = require('express-validator');
+
+const SOURCES = ['bank', 'paypal'];
+
+const sourceRule = (field) => field
+  .isIn(SOURCES)
+  .withMessage('Source must be bank or paypal');
+
+const accountKeyRule = (field) => field
+  .optional()
+  .isString()
+  .trim()
+  .isLength({ max: 100 })
+  .withMessage('Account key must be at most 100 characters');
+
+const paginationRules = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200').toInt()
+];
+
+const idValidator = [param('id').isUUID().withMessage('Invalid ID')];
+
+// multipart fields arrive as strings; mapping may be a JSON object
+const importValidator = [
+  sourceRule(body('source')),
+  accountKeyRule(body('account_key')),
+  body('currency').optional().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter code').toUpperCase(),
+  body('mapping')
+    .optional()
+    .customSanitizer(value => {
+      if (typeof value !== 'string') return value;
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return value;
+      }
+    })
+    .custom(value => value && typeof value === 'object' && !Array.isArray(value))
+    .withMessage('Mapping must be a JSON object of column names')
+];
+
+const listImportsValidator = [
+  sourceRule(query('source').optional()),
+  ...paginationRules
+];
+
+const listLinesValidator = [
+  query('status').optional().isIn(['unmatched', 'matched', 'excluded', 'all']).withMessage('Invalid status'),
+  sourceRule(query('source').optional()),
+  accountKeyRule(query('account_key')),
+  query('import_id').optional().isUUID().withMessage('Invalid import ID'),
+  query('start_date').optional().isISO8601().withMessage('Start date must be a valid date'),
+  query('end_date').optional().isISO8601().withMessage('End date must be a valid date'),
+  ...paginationRules
+];
+
+const matchValidator = [
+  ...idValidator,
+  body('donation_id').optional().isUUID().withMessage('Invalid donation ID'),
+  body('expense_id').optional().isUUID().withMessage('Invalid expense ID'),
+  body().custom(value => Boolean(value.donation_id) !== Boolean(value.expense_id))
+    .withMessage('Provide either a donation_id or an expense_id'),
+  body('notes').optional().isString().isLength({ max: 500 }).withMessage('Notes must be at most 500 characters')
+];
+
+const excludeValidator = [
+  ...idValidator,
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('A reason is required to exclude a line')
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters')
+];
+
+const listPeriodsValidator = [
+  sourceRule(query('source').optional()),
+  accountKeyRule(query('account_key'))
+];
+
+const lockPeriodValidator = [
+  sourceRule(body('source')),
+  accountKeyRule(body('account_key')),
+  body('period_start').isISO8601().withMessage('Period start must be a valid date'),
+  body('period_end').isISO8601().withMessage('Period end must be a valid date'),
+  body('notes').optional().isString().isLength({ max: 1000 }).withMessage('Notes must be at most 1000 characters')
+];
+
+module.exports = {
+  idValidator,
+  importValidator,
+  listImportsValidator,
+  listLinesValidator,
+  matchValidator,
+  excludeValidator,
+  listPeriodsValidator,
+  lockPeriodValidator
+};
@@ -0,0 +1,37 @@
+const { body, param, query } = require('express-validator');
+const { ASSIGNABLE_ROLES } = require('../../config/constants');
+const { REASONS } = require('../../services/user/accessAuditService');
+
+const roleValidator = [
+  param('role')
+    .isIn(ASSIGNABLE_ROLES)
+    .withMessage(`Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`)
+];
+
+const updateRolePermissionsValidator = [
+  ...roleValidator,
+
+  body('permissions')
+    .isArray()
+    .withMessage('Permissions must be an array of permission keys'),
+
+  body('permissions.*')
+    .isString()
+    .withMessage('Each permission must be a string')
+];
+
+const listDenialsValidator = [
+  query('user_id').optional().isUUID().withMessage('User ID must be a valid UUID'),
+  query('community_id').optional().isUUID().withMessage('Community ID must be a valid UUID'),
+  query('permission').optional().isString(),
+  query('reason').optional().isIn(REASONS).withMessage(`Reason must be one of: ${REASONS.join(', ')}`),
+  query('since').optional().isISO8601().withMessage('Since must be a valid date'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200').toInt()
+];
+
+module.exports = {
+  roleValidator,
+  updateRolePermissionsValidator,
+  listDenialsValidator
+};